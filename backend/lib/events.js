@@ -0,0 +1,65 @@
+// Live updates pushed to dashboard clients as server-sent events.
+//
+// Every published event gets an increasing id and is kept in a short history, so a browser that
+// reconnects (EventSource does this on its own, sending Last-Event-ID) receives what it missed.
+// Ids restart with the server; a client that reconnects with an id from an earlier run simply
+// gets no replay.
+
+const DEFAULT_HISTORY_SIZE = 100;
+const HEARTBEAT_INTERVAL = 15000;
+const RECONNECT_DELAY = 3000;
+
+function formatEvent({ id, type, data }) {
+  return `id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+class EventStream {
+  constructor({ historySize = DEFAULT_HISTORY_SIZE } = {}) {
+    this.historySize = historySize;
+    this.history = [];
+    this.clients = new Set();
+    this.lastId = 0;
+  }
+  
+  publish(type, data = {}) {
+    const event = { id: ++this.lastId, type, data: { ...data, at: new Date().toISOString() } };
+    
+    this.history.push(event);
+    if (this.history.length > this.historySize) this.history.shift();
+    
+    const message = formatEvent(event);
+    for (const res of this.clients) {
+      res.write(message);
+    }
+    return event;
+  }
+  
+  // Keep the response open as an event stream until the client disconnects
+  subscribe(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    res.write(`retry: ${RECONNECT_DELAY}\n\n`);
+    
+    const lastEventId = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (lastEventId && lastEventId <= this.lastId) {
+      this.history
+        .filter(event => event.id > lastEventId)
+        .forEach(event => res.write(formatEvent(event)));
+    }
+    
+    this.clients.add(res);
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_INTERVAL);
+    
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      this.clients.delete(res);
+    });
+  }
+}
+
+module.exports = {
+  EventStream
+};
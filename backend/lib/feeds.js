@@ -0,0 +1,94 @@
+// Syndication feeds (Atom 1.0, RSS 2.0, JSON Feed 1.1).
+//
+// Each builder takes the same format-neutral description of a feed:
+//   { id, title, description, homeUrl, feedUrl, updated: Date, entries: [...] }
+// where every entry is
+//   { id, title, url, summary, contentHtml, published: Date, updated: Date, tags: [] }
+// Entry ids are stable URNs, so readers keep track of items across edits; `updated` tells them
+// when to refresh one.
+
+function escapeXml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+function buildAtomFeed(feed) {
+  const entries = feed.entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <link rel="alternate" href="${escapeXml(entry.url)}"/>
+    <published>${entry.published.toISOString()}</published>
+    <updated>${entry.updated.toISOString()}</updated>
+${entry.tags.map(tag => `    <category term="${escapeXml(tag)}"/>\n`).join('')}${entry.summary ? `    <summary>${escapeXml(entry.summary)}</summary>\n` : ''}    <content type="html">${escapeXml(entry.contentHtml)}</content>
+  </entry>
+`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>${escapeXml(feed.id)}</id>
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}"/>
+  <link rel="alternate" href="${escapeXml(feed.homeUrl)}"/>
+  <updated>${feed.updated.toISOString()}</updated>
+  <author><name>${escapeXml(feed.title)}</name></author>
+${entries}</feed>
+`;
+}
+
+function buildRssFeed(feed) {
+  const items = feed.entries.map(entry => `    <item>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.url)}</link>
+      <pubDate>${entry.published.toUTCString()}</pubDate>
+${entry.tags.map(tag => `      <category>${escapeXml(tag)}</category>\n`).join('')}      <description>${escapeXml(entry.contentHtml)}</description>
+    </item>
+`).join('');
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.homeUrl)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link rel="self" type="application/rss+xml" href="${escapeXml(feed.feedUrl)}"/>
+    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>
+${items}  </channel>
+</rss>
+`;
+}
+
+function buildJsonFeed(feed) {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    home_page_url: feed.homeUrl,
+    feed_url: feed.feedUrl,
+    description: feed.description,
+    items: feed.entries.map(entry => ({
+      id: entry.id,
+      url: entry.url,
+      title: entry.title,
+      content_html: entry.contentHtml,
+      ...(entry.summary && { summary: entry.summary }),
+      date_published: entry.published.toISOString(),
+      date_modified: entry.updated.toISOString(),
+      ...(entry.tags.length > 0 && { tags: entry.tags })
+    }))
+  }, null, 2);
+}
+
+const FEED_FORMATS = {
+  atom: { contentType: 'application/atom+xml; charset=utf-8', build: buildAtomFeed },
+  rss: { contentType: 'application/rss+xml; charset=utf-8', build: buildRssFeed },
+  json: { contentType: 'application/feed+json; charset=utf-8', build: buildJsonFeed }
+};
+
+module.exports = {
+  FEED_FORMATS
+};
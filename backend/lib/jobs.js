@@ -0,0 +1,229 @@
+const { EventEmitter } = require('events');
+
+// Persistent background job queue.
+//
+// Jobs live in the background_jobs table, so they survive restarts: jobs that were running when
+// the server stopped are queued again on start, unless they were being cancelled. The worker polls
+// for queued jobs and runs up to `concurrency` of them at once through the handler registered for
+// their type:
+//
+//   handler(payload, { job, signal, progress(current, total, message), stream(data) }) => result
+//
+// A handler that throws is retried with exponential backoff until the job's max_attempts is
+// reached. Cancelling a running job aborts `signal`; handlers check it between steps. Every change
+// to a job is emitted as an 'update' event with the job row. `stream` passes partial output to
+// listeners as a 'stream' event (job id, data) without storing it.
+
+const TERMINAL_STATUSES = ['completed', 'failed', 'cancelled'];
+const DEFAULT_POLL_INTERVAL = 2000;
+
+function jobQueueConfigFromEnv(env = process.env) {
+  return {
+    concurrency: Math.max(1, Number(env.JOB_CONCURRENCY) || 2),
+    maxAttempts: Math.max(1, Number(env.JOB_MAX_ATTEMPTS) || 3),
+    retryDelay: Number(env.JOB_RETRY_DELAY) || 5000
+  };
+}
+
+class JobQueue extends EventEmitter {
+  // `db` provides promise-returning get/all/run; `handlers` maps job types to handler functions
+  constructor({ db, handlers, pollInterval = DEFAULT_POLL_INTERVAL, ...config }) {
+    super();
+    this.db = db;
+    this.handlers = handlers;
+    this.pollInterval = pollInterval;
+    this.config = { ...jobQueueConfigFromEnv(), ...config };
+    this.running = new Map(); // job id -> AbortController
+    this.timer = null;
+    this.claiming = false;
+  }
+  
+  async start() {
+    if (this.timer) return;
+    
+    // Jobs cancelled before the server stopped, but whose handler never saw the abort, stay cancelled
+    const cancelled = await this.db.run(`
+      UPDATE background_jobs SET status = 'cancelled', finished_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE status IN ('queued', 'running') AND cancel_requested = 1
+    `, [new Date().toISOString()]);
+    if (cancelled.changes > 0) {
+      console.log(`Cancelled ${cancelled.changes} background job(s) whose cancellation was interrupted`);
+    }
+    
+    const { changes } = await this.db.run(`
+      UPDATE background_jobs SET status = 'queued', updated_at = CURRENT_TIMESTAMP
+      WHERE status = 'running'
+    `);
+    if (changes > 0) {
+      console.log(`Re-queued ${changes} interrupted background job(s)`);
+    }
+    
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref();
+    this.tick();
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  async enqueue(type, payload = {}, { maxAttempts = this.config.maxAttempts } = {}) {
+    if (!this.handlers[type]) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+    
+    const { lastID } = await this.db.run(`
+      INSERT INTO background_jobs (type, payload, max_attempts, run_after)
+      VALUES (?, ?, ?, ?)
+    `, [type, JSON.stringify(payload), maxAttempts, new Date().toISOString()]);
+    
+    const job = await this.notify(lastID);
+    this.tick();
+    return job;
+  }
+  
+  get(id) {
+    return this.db.get('SELECT * FROM background_jobs WHERE id = ?', [id]);
+  }
+  
+  // Queued jobs are cancelled straight away; running ones once their handler notices the abort.
+  // Resolves to the job row, or null if there is no such job.
+  async cancel(id) {
+    const job = await this.get(id);
+    if (!job || TERMINAL_STATUSES.includes(job.status)) return job || null;
+    
+    if (job.status === 'queued') {
+      await this.db.run(`
+        UPDATE background_jobs SET status = 'cancelled', finished_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'queued'
+      `, [new Date().toISOString(), id]);
+    } else {
+      await this.db.run(
+        'UPDATE background_jobs SET cancel_requested = 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?',
+        [id]
+      );
+      const controller = this.running.get(job.id);
+      if (controller) controller.abort();
+    }
+    
+    return this.notify(id);
+  }
+  
+  // Start queued jobs that are due, up to the concurrency limit
+  async tick() {
+    if (this.claiming) return;
+    this.claiming = true;
+    
+    try {
+      while (this.running.size < this.config.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.run(job).catch(error => this.abandon(job, error));
+      }
+    } catch (error) {
+      console.error('Job queue error:', error.message);
+    } finally {
+      this.claiming = false;
+    }
+  }
+  
+  async claimNext() {
+    const next = await this.db.get(`
+      SELECT id FROM background_jobs
+      WHERE status = 'queued' AND cancel_requested = 0 AND run_after <= ?
+      ORDER BY run_after, id
+      LIMIT 1
+    `, [new Date().toISOString()]);
+    if (!next) return null;
+    
+    const { changes } = await this.db.run(`
+      UPDATE background_jobs
+      SET status = 'running', attempts = attempts + 1, started_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued' AND cancel_requested = 0
+    `, [new Date().toISOString(), next.id]);
+    if (changes === 0) return null;
+    
+    this.running.set(next.id, new AbortController());
+    return this.notify(next.id);
+  }
+  
+  async run(job) {
+    const controller = this.running.get(job.id);
+    const progress = async (current, total, message = null) => {
+      await this.db.run(`
+        UPDATE background_jobs
+        SET progress_current = ?, progress_total = ?, progress_message = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [current, total, message, job.id]);
+      await this.notify(job.id);
+    };
+    
+    try {
+      const result = await this.handlers[job.type](JSON.parse(job.payload || '{}'), {
+        job,
+        signal: controller.signal,
+        progress,
+        stream: (data) => this.emit('stream', job.id, data)
+      });
+      
+      await this.finish(job.id, controller.signal.aborted ? 'cancelled' : 'completed', {
+        result: JSON.stringify(result ?? null),
+        error: null
+      });
+    } catch (error) {
+      if (controller.signal.aborted) {
+        await this.finish(job.id, 'cancelled', { error: null });
+      } else if (job.attempts < job.max_attempts) {
+        const delay = this.config.retryDelay * 2 ** (job.attempts - 1);
+        console.log(`Job ${job.id} (${job.type}) failed, retrying in ${delay}ms: ${error.message}`);
+        await this.db.run(`
+          UPDATE background_jobs SET status = 'queued', error = ?, run_after = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [error.message, new Date(Date.now() + delay).toISOString(), job.id]);
+        await this.notify(job.id);
+      } else {
+        console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+        await this.finish(job.id, 'failed', { error: error.message });
+      }
+    } finally {
+      this.running.delete(job.id);
+      this.tick();
+    }
+  }
+  
+  // run() only rejects when recording a job's outcome failed. The job is failed if it is still
+  // marked running, so it doesn't wait for the next restart to be re-queued.
+  async abandon(job, error) {
+    console.error(`Job ${job.id} (${job.type}) outcome could not be recorded:`, error.message);
+    try {
+      await this.db.run(`
+        UPDATE background_jobs SET status = 'failed', error = ?, finished_at = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'running'
+      `, [error.message, new Date().toISOString(), job.id]);
+      await this.notify(job.id);
+    } catch (dbError) {
+      console.error(`Error failing job ${job.id}:`, dbError.message);
+    }
+  }
+  
+  async finish(id, status, { result = null, error }) {
+    await this.db.run(`
+      UPDATE background_jobs SET status = ?, result = ?, error = ?, finished_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, result, error, new Date().toISOString(), id]);
+    await this.notify(id);
+  }
+  
+  async notify(id) {
+    const job = await this.get(id);
+    if (job) this.emit('update', job);
+    return job;
+  }
+}
+
+module.exports = {
+  JobQueue,
+  TERMINAL_STATUSES,
+  jobQueueConfigFromEnv
+};
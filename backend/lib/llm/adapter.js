@@ -0,0 +1,105 @@
+const fetch = require('node-fetch');
+
+// Shared pieces of the provider adapters.
+//
+// An adapter is an object with
+//   name, label, defaultUrl, requiresApiKey, requiresApiUrl, acceptsHeaders, paid
+//   generate(config, prompt, { params, signal }) => { text, usage }
+//   stream(config, prompt, { params, onToken, signal }) => { text, usage }, calling onToken(text)
+//     as output arrives
+//   listModels(config) => [{ name, ... }]
+//   healthCheck(config) => { ok, latencyMs, error? }
+// where `config` is an llm_config row (with its API key decrypted and api_headers parsed into an
+// object) and `params` the generation parameters from lib/llm/params.js. `usage` is the token
+// count the provider reported, { promptTokens, completionTokens }, or null if it reported none.
+
+const DEFAULT_LIST_TIMEOUT = 5000;
+
+// Fill in the parts of the interface that can be derived from the rest
+function defineAdapter(adapter) {
+  return {
+    requiresApiKey: true,
+    requiresApiUrl: false,
+    acceptsHeaders: false,
+    paid: false, // billed per token; skipped once the monthly LLM budget is spent
+    defaultUrl: null,
+    
+    // A provider is healthy when it answers a model listing
+    async healthCheck(config) {
+      const started = Date.now();
+      try {
+        const models = await this.listModels(config);
+        return { ok: true, latencyMs: Date.now() - started, models: models.length };
+      } catch (error) {
+        return { ok: false, latencyMs: Date.now() - started, error: error.message };
+      }
+    },
+    
+    ...adapter
+  };
+}
+
+function baseUrl(config, defaultUrl) {
+  return (config.api_url || defaultUrl).replace(/\/+$/, '');
+}
+
+// Send a request and fail with "<label> API error: <status>" on an error response. `body` is
+// sent as JSON.
+async function request(label, url, { method = 'GET', headers = {}, body, signal, timeout } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: body === undefined ? headers : { 'Content-Type': 'application/json', ...headers },
+    body: body === undefined ? undefined : JSON.stringify(body),
+    signal,
+    timeout
+  });
+  
+  if (!response.ok) {
+    throw new Error(`${label} API error: ${response.status}`);
+  }
+  return response;
+}
+
+async function requestJson(label, url, options) {
+  const response = await request(label, url, options);
+  return response.json();
+}
+
+function toUsage(promptTokens, completionTokens) {
+  if (typeof promptTokens !== 'number' && typeof completionTokens !== 'number') return null;
+  return { promptTokens: promptTokens || 0, completionTokens: completionTokens || 0 };
+}
+
+// Returns an error message unless `headers` is an object of header names to string values
+function validateApiHeaders(headers) {
+  if (headers === null || headers === undefined) return null;
+  if (typeof headers !== 'object' || Array.isArray(headers)) {
+    return 'api_headers must be an object';
+  }
+  
+  for (const [name, value] of Object.entries(headers)) {
+    if (!/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(name)) {
+      return `Invalid header name: ${name}`;
+    }
+    if (typeof value !== 'string' || /[\r\n]/.test(value)) {
+      return `Header ${name} must be a single-line string`;
+    }
+  }
+  return null;
+}
+
+// Drop undefined values so providers apply their own defaults
+function compact(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+module.exports = {
+  DEFAULT_LIST_TIMEOUT,
+  defineAdapter,
+  baseUrl,
+  request,
+  requestJson,
+  validateApiHeaders,
+  toUsage,
+  compact
+};
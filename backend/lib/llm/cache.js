@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+
+// Cache keys for LLM responses.
+//
+// A response is reusable when the same content went through the same prompt version on the same
+// model, so the key is a hash of exactly those three. Content is normalized first (Unicode form,
+// whitespace, case) so duplicate sessions of one article whose extractions only differ in spacing
+// share an entry.
+
+function normalizeContent(content) {
+  return String(content ?? '')
+    .normalize('NFKC')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+}
+
+function cacheKey({ content, promptVersion, provider, model }) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([normalizeContent(content), String(promptVersion), `${provider}:${model}`]))
+    .digest('hex');
+}
+
+module.exports = {
+  normalizeContent,
+  cacheKey
+};
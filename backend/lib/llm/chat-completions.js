@@ -0,0 +1,90 @@
+const { defineAdapter, baseUrl, request, requestJson, compact, toUsage, DEFAULT_LIST_TIMEOUT } = require('./adapter');
+const { readEventData } = require('./streaming');
+
+// Adapter factory for providers speaking the OpenAI chat completions API (OpenAI, Grok and
+// self-hosted servers). api_url replaces the default base URL, e.g. for a proxy; `resolveBase`
+// lets an adapter adjust it. `apiName` prefixes error messages. The configuration's api_headers
+// are sent with every request. With `streamUsage` streamed requests ask for a final usage chunk
+// (stream_options.include_usage), which not every compatible server understands.
+
+function createChatCompletionsAdapter({ name, label, apiName = label, defaultUrl, requiresApiKey = true, requiresApiUrl = false, paid = false, streamUsage = false, resolveBase = (url) => url }) {
+  const headers = (config) => ({
+    ...(config.api_key && { 'Authorization': `Bearer ${config.api_key}` }),
+    ...config.api_headers
+  });
+  
+  const apiBase = (config) => {
+    if (!config.api_url && !defaultUrl) {
+      throw new Error(`${apiName} requires an API URL`);
+    }
+    return resolveBase(baseUrl(config, defaultUrl));
+  };
+  
+  const body = (config, prompt, params, stream) => compact({
+    model: config.model_name,
+    messages: [{ role: 'user', content: prompt }],
+    max_tokens: params.max_tokens,
+    temperature: params.temperature,
+    top_p: params.top_p,
+    stop: params.stop,
+    stream: stream || undefined,
+    stream_options: stream && streamUsage ? { include_usage: true } : undefined
+  });
+  
+  const usage = (data) => (data.usage ? toUsage(data.usage.prompt_tokens, data.usage.completion_tokens) : null);
+  
+  return defineAdapter({
+    name,
+    label,
+    defaultUrl,
+    requiresApiKey,
+    requiresApiUrl,
+    acceptsHeaders: true,
+    paid,
+    
+    async generate(config, prompt, { params, signal }) {
+      const data = await requestJson(apiName, `${apiBase(config)}/chat/completions`, {
+        method: 'POST',
+        headers: headers(config),
+        body: body(config, prompt, params, false),
+        signal
+      });
+      return { text: data.choices[0].message.content, usage: usage(data) };
+    },
+    
+    // Streamed completions arrive as server-sent events carrying content deltas; some servers add
+    // usage to the last event
+    async stream(config, prompt, { params, onToken, signal }) {
+      const response = await request(apiName, `${apiBase(config)}/chat/completions`, {
+        method: 'POST',
+        headers: headers(config),
+        body: body(config, prompt, params, true),
+        signal
+      });
+      
+      let text = '';
+      let streamedUsage = null;
+      for await (const event of readEventData(response.body)) {
+        streamedUsage = usage(event) || streamedUsage;
+        const delta = event.choices && event.choices[0] && event.choices[0].delta && event.choices[0].delta.content;
+        if (delta) {
+          text += delta;
+          onToken(delta);
+        }
+      }
+      return { text, usage: streamedUsage };
+    },
+    
+    async listModels(config) {
+      const data = await requestJson(apiName, `${apiBase(config)}/models`, {
+        headers: headers(config),
+        timeout: DEFAULT_LIST_TIMEOUT
+      });
+      return data.data.map(model => ({ name: model.id, owned_by: model.owned_by }));
+    }
+  });
+}
+
+module.exports = {
+  createChatCompletionsAdapter
+};
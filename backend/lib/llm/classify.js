@@ -0,0 +1,215 @@
+// Classification of reading sessions: a category, tags and a difficulty level.
+//
+// The LLM is asked for a JSON answer and told which tags already exist, so it reuses them rather
+// than inventing near-duplicates; parseClassification maps its tags onto the existing ones either
+// way. heuristicClassify is the fallback when no model answers. It combines the keyword rules that
+// used to live in three places: topic keywords from the extension's UniversalContentAnalyzer, the
+// URL and title rules of the extension's background categorizeContent, and the title rules of
+// scripts/update-learning-scores.js.
+
+const CATEGORIES = ['technology', 'science', 'education', 'business', 'future', 'other'];
+const DIFFICULTIES = ['beginner', 'intermediate', 'advanced'];
+const MAX_TAGS = 5;
+const MAX_CLASSIFY_CONTENT_LENGTH = 3000;
+
+const TOPIC_KEYWORDS = {
+  technology: [
+    'programming', 'software', 'development', 'coding', 'web development',
+    'AI', 'machine learning', 'data science', 'blockchain', 'cybersecurity',
+    'cloud computing', 'devops', 'mobile development', 'game development',
+    'frontend', 'backend', 'fullstack', 'javascript', 'python', 'react',
+    'nodejs', 'database', 'api', 'framework', 'library', 'algorithm',
+    'architecture', 'microservices', 'docker', 'kubernetes', 'aws'
+  ],
+  science: [
+    'research', 'experiment', 'discovery', 'physics', 'chemistry', 'biology',
+    'mathematics', 'engineering', 'quantum', 'nanotechnology', 'biotechnology',
+    'neuroscience', 'genetics', 'astronomy', 'climate', 'energy', 'materials',
+    'scientific method', 'peer review', 'hypothesis', 'theory', 'analysis'
+  ],
+  education: [
+    'learning', 'teaching', 'education', 'course', 'curriculum', 'pedagogy',
+    'skill development', 'certification', 'training', 'mentorship',
+    'tutorial', 'guide', 'howto', 'explained', 'introduction', 'beginner',
+    'advanced', 'masterclass', 'workshop', 'seminar', 'lecture'
+  ],
+  business: [
+    'entrepreneurship', 'startup', 'business strategy', 'management',
+    'leadership', 'productivity', 'innovation', 'growth', 'scaling',
+    'marketing', 'sales', 'finance', 'operations', 'strategy', 'planning',
+    'execution', 'metrics', 'optimization', 'automation', 'efficiency'
+  ],
+  future: [
+    'future', 'trends', 'emerging technology', 'innovation', 'disruption',
+    'automation', 'robotics', 'space technology', 'renewable energy',
+    'sustainability', 'breakthrough', 'advancement', 'revolution',
+    'transformation', 'next generation', 'cutting edge', 'pioneering'
+  ]
+};
+
+// Words in the title, checked in order when no topic keyword matches
+const TITLE_CATEGORY_RULES = [
+  { category: 'technology', patterns: ['ai', 'artificial intelligence', 'machine learning'] },
+  { category: 'business', patterns: ['business', 'strategy', 'ceo', 'leadership'] },
+  { category: 'science', patterns: ['science', 'research'] },
+  { category: 'education', patterns: ['education', 'learning'] },
+  { category: 'future', patterns: ['future', 'innovation', 'disruption'] }
+];
+
+const URL_TAG_RULES = [
+  { tag: 'Technology', patterns: ['github.com', 'stackoverflow', 'dev.to'] },
+  { tag: 'Blog', patterns: ['medium.com', 'substack.com'] },
+  { tag: 'News', patterns: ['news', 'cnn', 'bbc'] },
+  { tag: 'Reference', patterns: ['wikipedia'] },
+  { tag: 'Research', patterns: ['research', 'arxiv', 'paper'] }
+];
+
+const TITLE_TAG_RULES = [
+  { tag: 'Tutorial', patterns: ['tutorial', 'guide', 'how to'] },
+  { tag: 'Review', patterns: ['review', 'analysis'] }
+];
+
+const TECHNICAL_TERMS = [
+  'API', 'SDK', 'CLI', 'IDE', 'HTTP', 'JSON', 'XML', 'SQL', 'NoSQL',
+  'REST', 'GraphQL', 'OAuth', 'JWT', 'CORS', 'CDN', 'DNS', 'SSL',
+  'regex', 'async', 'await', 'promise', 'callback', 'closure', 'scope',
+  'prototype', 'inheritance', 'polymorphism', 'encapsulation', 'abstraction'
+];
+
+const BEGINNER_MARKERS = ['beginner', 'introduction', 'intro to', 'getting started', 'basics', 'explained', '101', 'for dummies'];
+const ADVANCED_MARKERS = ['advanced', 'deep dive', 'internals', 'under the hood', 'in depth', 'optimizing', 'at scale'];
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countMatches(text, term) {
+  const matches = text.match(new RegExp(`\\b${escapeRegExp(term)}\\b`, 'gi'));
+  return matches ? matches.length : 0;
+}
+
+function firstRuleMatch(rules, text) {
+  return rules.find(rule => rule.patterns.some(pattern => text.includes(pattern))) || null;
+}
+
+// Keyword matches per topic, with matches in the title counting double
+function topicScores(title, content) {
+  const text = `${title} ${content}`;
+  const lowerTitle = title.toLowerCase();
+  const scores = {};
+  
+  for (const [topic, keywords] of Object.entries(TOPIC_KEYWORDS)) {
+    scores[topic] = keywords.reduce((score, keyword) => (
+      score + countMatches(text, keyword) * (lowerTitle.includes(keyword.toLowerCase()) ? 2 : 1)
+    ), 0);
+  }
+  return scores;
+}
+
+function heuristicDifficulty(title, content) {
+  const text = `${title} ${content}`.toLowerCase();
+  if (ADVANCED_MARKERS.some(marker => text.includes(marker))) return 'advanced';
+  if (BEGINNER_MARKERS.some(marker => text.includes(marker))) return 'beginner';
+  
+  const words = content.split(/\s+/).filter(Boolean).length;
+  if (words === 0) return null;
+  
+  const technical = TECHNICAL_TERMS.reduce((count, term) => count + countMatches(content, term), 0);
+  if (technical / words > 0.01 && words >= 1500) return 'advanced';
+  return technical === 0 && words < 500 ? 'beginner' : 'intermediate';
+}
+
+function heuristicClassify({ title = '', url = '', content = '' } = {}) {
+  const scores = topicScores(title || '', content || '');
+  const best = Math.max(...Object.values(scores));
+  const titleRule = TITLE_CATEGORY_RULES.find(rule => rule.patterns.some(pattern => countMatches(title || '', pattern) > 0));
+  const category = best > 0
+    ? Object.keys(scores).find(topic => scores[topic] === best)
+    : (titleRule ? titleRule.category : 'other');
+  
+  // Unlike the extension this adds no catch-all tag when no rule matches
+  const tags = [
+    firstRuleMatch(URL_TAG_RULES, (url || '').toLowerCase()),
+    firstRuleMatch(TITLE_TAG_RULES, (title || '').toLowerCase())
+  ].filter(Boolean).map(rule => rule.tag);
+  
+  return {
+    category,
+    tags,
+    difficulty: heuristicDifficulty(title || '', content || '')
+  };
+}
+
+function classificationPrompt({ title, url, content, existingTags = [] }) {
+  const text = (content || '').length > MAX_CLASSIFY_CONTENT_LENGTH
+    ? `${content.slice(0, MAX_CLASSIFY_CONTENT_LENGTH)}...`
+    : content || '';
+  
+  return `Classify this article from a personal reading log.
+
+Title: ${title || ''}
+URL: ${url || ''}
+Content: ${text}
+
+Reply with a JSON object only, with these fields:
+- "category": one of ${CATEGORIES.map(category => `"${category}"`).join(', ')}
+- "tags": 1-${MAX_TAGS} short topic tags${existingTags.length > 0 ? `. Prefer these existing tags where they fit: ${existingTags.join(', ')}` : ''}
+- "difficulty": one of ${DIFFICULTIES.map(difficulty => `"${difficulty}"`).join(', ')}
+
+JSON:`;
+}
+
+function tagKey(tag) {
+  return tag.toLowerCase().replace(/[^a-z0-9]+/g, '');
+}
+
+// Replace tags with the existing tag they match case- and punctuation-insensitively (so "machine
+// learning" becomes "Machine-Learning" when that exists); unmatched tags are kept as given
+function mapToExistingTags(tags, existingTags = []) {
+  const existing = new Map(existingTags.map(tag => [tagKey(tag), tag]));
+  const mapped = [];
+  
+  for (const tag of tags) {
+    const name = String(tag).trim();
+    if (!name || !tagKey(name)) continue;
+    
+    const match = existing.get(tagKey(name)) || existing.get(tagKey(name).replace(/s$/, '')) || name;
+    if (!mapped.some(other => tagKey(other) === tagKey(match))) mapped.push(match);
+  }
+  return mapped.slice(0, MAX_TAGS);
+}
+
+// Parse the model's answer. Throws when it holds no usable JSON; an unknown category or difficulty
+// becomes 'other' / null rather than failing the whole classification.
+function parseClassification(text, { existingTags = [] } = {}) {
+  const match = (text || '').match(/\{[\s\S]*\}/);
+  if (!match) {
+    throw new Error('Classification is not JSON');
+  }
+  
+  let parsed;
+  try {
+    parsed = JSON.parse(match[0]);
+  } catch (error) {
+    throw new Error(`Classification is not valid JSON: ${error.message}`);
+  }
+  
+  const category = String(parsed.category || '').toLowerCase().trim();
+  const difficulty = String(parsed.difficulty || '').toLowerCase().trim();
+  const tags = Array.isArray(parsed.tags) ? parsed.tags : typeof parsed.tags === 'string' ? parsed.tags.split(',') : [];
+  
+  return {
+    category: CATEGORIES.includes(category) ? category : 'other',
+    tags: mapToExistingTags(tags, existingTags),
+    difficulty: DIFFICULTIES.includes(difficulty) ? difficulty : null
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  DIFFICULTIES,
+  heuristicClassify,
+  classificationPrompt,
+  mapToExistingTags,
+  parseClassification
+};
@@ -0,0 +1,78 @@
+// Editorial copy for a newsletter, written by the LLM from the summaries of its items.
+//
+// An issue gets four parts: a theme tying the reading together, an editorial intro, a one-line
+// transition per section and an email subject line. Each part is written with the default prompt
+// of its purpose in the prompt library (`editorial-<part>`, see prompts.js) so it can be edited and
+// regenerated on its own; the theme is written first and handed to the others when there is one.
+
+const { renderTemplate } = require('../templates');
+
+const EDITORIAL_PARTS = ['theme', 'intro', 'transition', 'subject'];
+const MAX_EXCERPT_LENGTH = 300;
+
+function describeItem(item) {
+  const excerpt = (item.excerpt || '').replace(/\s+/g, ' ').trim();
+  const short = excerpt.length > MAX_EXCERPT_LENGTH ? `${excerpt.slice(0, MAX_EXCERPT_LENGTH)}...` : excerpt;
+  return `- ${item.title}${short ? `: ${short}` : ''}`;
+}
+
+function describeSections(sections) {
+  return sections
+    .filter(section => section.items && section.items.length > 0)
+    .map(section => `${section.title}\n${section.items.map(describeItem).join('\n')}`)
+    .join('\n\n');
+}
+
+function describeOutline(sections, sectionIndex) {
+  return sections.map((other, index) => `${index === sectionIndex ? '>' : '-'} ${other.title}`).join('\n');
+}
+
+// Variables for editorial prompts from the prompt library (see PROMPT_VARIABLES in prompts.js).
+// The section variables are only set for a `sectionIndex`.
+function editorialContext(newsletter, { sectionIndex = null, theme = newsletter.theme } = {}) {
+  const sections = newsletter.sections || [];
+  const context = {
+    articles: describeSections(sections),
+    sections: sections
+      .filter(section => section.items && section.items.length > 0)
+      .map(section => ({
+        title: section.title,
+        items: section.items.map(item => ({ title: item.title, excerpt: item.excerpt || '' }))
+      })),
+    theme: theme || ''
+  };
+  
+  if (sectionIndex !== null && sections[sectionIndex]) {
+    const section = sections[sectionIndex];
+    context.outline = describeOutline(sections, sectionIndex);
+    context.section = section.title;
+    context.sectionArticles = (section.items || []).map(describeItem).join('\n');
+  }
+  return context;
+}
+
+function renderEditorialPrompt(prompt, newsletter, options = {}) {
+  return renderTemplate(prompt.body, editorialContext(newsletter, options));
+}
+
+// Models like to add labels, quotes and markdown around short answers; keep just the text. Only
+// the intro may run over several lines.
+function cleanEditorialText(part, text) {
+  let cleaned = (text || '').trim();
+  if (part !== 'intro') {
+    cleaned = cleaned.split('\n').map(line => line.trim()).find(Boolean) || '';
+  }
+  
+  return cleaned
+    .replace(/^(theme|intro|transition|subject( line)?)\s*:\s*/i, '')
+    .replace(/^\*+|\*+$/g, '')
+    .replace(/^["'“”]+|["'“”]+$/g, '')
+    .trim();
+}
+
+module.exports = {
+  EDITORIAL_PARTS,
+  editorialContext,
+  renderEditorialPrompt,
+  cleanEditorialText
+};
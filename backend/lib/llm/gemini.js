@@ -0,0 +1,83 @@
+const { defineAdapter, baseUrl, request, requestJson, compact, toUsage, DEFAULT_LIST_TIMEOUT } = require('./adapter');
+const { readEventData } = require('./streaming');
+
+// Google Gemini (Generative Language API). The API key goes in the query string.
+
+const DEFAULT_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+function modelUrl(config, method, query = '') {
+  const key = encodeURIComponent(config.api_key || '');
+  return `${baseUrl(config, DEFAULT_URL)}/models/${config.model_name}:${method}?${query}key=${key}`;
+}
+
+function body(prompt, params) {
+  return {
+    contents: [{
+      parts: [{ text: prompt }]
+    }],
+    generationConfig: compact({
+      temperature: params.temperature,
+      maxOutputTokens: params.max_tokens,
+      topP: params.top_p,
+      stopSequences: params.stop
+    })
+  };
+}
+
+function candidateText(data) {
+  const parts = (data.candidates && data.candidates[0] && data.candidates[0].content && data.candidates[0].content.parts) || [];
+  return parts.map(part => part.text || '').join('');
+}
+
+function usageMetadata(data) {
+  const usage = data.usageMetadata || {};
+  return toUsage(usage.promptTokenCount, usage.candidatesTokenCount);
+}
+
+module.exports = defineAdapter({
+  name: 'gemini',
+  label: 'Google Gemini',
+  defaultUrl: DEFAULT_URL,
+  paid: true,
+  
+  async generate(config, prompt, { params, signal }) {
+    const data = await requestJson('Gemini', modelUrl(config, 'generateContent'), {
+      method: 'POST',
+      body: body(prompt, params),
+      signal
+    });
+    return { text: candidateText(data), usage: usageMetadata(data) };
+  },
+  
+  // With alt=sse, streamGenerateContent sends each partial candidate as a server-sent event. Each
+  // event repeats the running usage metadata, so the last one holds the totals.
+  async stream(config, prompt, { params, onToken, signal }) {
+    const response = await request('Gemini', modelUrl(config, 'streamGenerateContent', 'alt=sse&'), {
+      method: 'POST',
+      body: body(prompt, params),
+      signal
+    });
+    
+    let text = '';
+    let usage = null;
+    for await (const event of readEventData(response.body)) {
+      usage = usageMetadata(event) || usage;
+      const delta = candidateText(event);
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+    return { text, usage };
+  },
+  
+  async listModels(config) {
+    const data = await requestJson('Gemini', `${baseUrl(config, DEFAULT_URL)}/models?key=${encodeURIComponent(config.api_key || '')}`, {
+      timeout: DEFAULT_LIST_TIMEOUT
+    });
+    return (data.models || []).map(model => ({
+      name: model.name.replace(/^models\//, ''),
+      display_name: model.displayName
+    }));
+  }
+});
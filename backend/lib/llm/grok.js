@@ -0,0 +1,9 @@
+const { createChatCompletionsAdapter } = require('./chat-completions');
+
+module.exports = createChatCompletionsAdapter({
+  name: 'grok',
+  label: 'Grok (X.AI)',
+  apiName: 'Grok',
+  paid: true,
+  defaultUrl: 'https://api.x.ai/v1'
+});
@@ -0,0 +1,148 @@
+// Health tracking and circuit breaking for LLM configurations.
+//
+// Every generation attempt is recorded per configuration id: successes with their latency,
+// failures with the error. After `threshold` consecutive failures the configuration's breaker
+// opens and the waterfall skips it for `cooldownMs`. Once the cool-down has passed a single
+// trial request is let through (half-open): success closes the breaker, failure opens it again.
+// State is kept in memory, so a restart gives every configuration a clean slate.
+
+const STATUSES = {
+  UNKNOWN: 'unknown',
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+function healthConfigFromEnv(env = process.env) {
+  return {
+    threshold: Math.max(1, Number(env.LLM_BREAKER_THRESHOLD) || 3),
+    cooldownMs: Number(env.LLM_BREAKER_COOLDOWN) || 60000,
+    latencySamples: Math.max(1, Number(env.LLM_LATENCY_SAMPLES) || 100)
+  };
+}
+
+// Nearest-rank percentile of an ascending list
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+class HealthTracker {
+  constructor(config = {}) {
+    this.config = { ...healthConfigFromEnv(), ...config };
+    this.entries = new Map(); // config id -> entry
+  }
+  
+  entry(id) {
+    if (!this.entries.has(id)) {
+      this.entries.set(id, {
+        successes: 0,
+        failures: 0,
+        fallbacks: 0,
+        consecutiveFailures: 0,
+        latencies: [],
+        lastError: null,
+        lastErrorAt: null,
+        lastSuccessAt: null,
+        openUntil: null,
+        trialInFlight: false
+      });
+    }
+    return this.entries.get(id);
+  }
+  
+  // Whether the waterfall may try this configuration now. Claims the trial request when the
+  // breaker is half-open, so concurrent callers don't all hit a provider that is still down.
+  allowRequest(id, now = Date.now()) {
+    const entry = this.entry(id);
+    if (entry.openUntil === null) return true;
+    if (now < entry.openUntil || entry.trialInFlight) return false;
+    
+    entry.trialInFlight = true;
+    return true;
+  }
+  
+  // `fallback` marks a success that only came after higher-priority configurations failed
+  recordSuccess(id, latencyMs, { fallback = false } = {}) {
+    const entry = this.entry(id);
+    entry.successes++;
+    if (fallback) entry.fallbacks++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = new Date().toISOString();
+    entry.openUntil = null;
+    entry.trialInFlight = false;
+    
+    entry.latencies.push(latencyMs);
+    if (entry.latencies.length > this.config.latencySamples) entry.latencies.shift();
+  }
+  
+  recordFailure(id, error, now = Date.now()) {
+    const entry = this.entry(id);
+    entry.failures++;
+    entry.consecutiveFailures++;
+    entry.lastError = error.message;
+    entry.lastErrorAt = new Date(now).toISOString();
+    
+    if (entry.trialInFlight || entry.consecutiveFailures >= this.config.threshold) {
+      entry.openUntil = now + this.config.cooldownMs;
+    }
+    entry.trialInFlight = false;
+  }
+  
+  // Give up on an attempt without counting it either way (e.g. it was cancelled)
+  release(id) {
+    this.entry(id).trialInFlight = false;
+  }
+  
+  // Close the breaker, e.g. after a manual health check succeeded
+  reset(id) {
+    const entry = this.entry(id);
+    entry.consecutiveFailures = 0;
+    entry.openUntil = null;
+    entry.trialInFlight = false;
+  }
+  
+  forget(id) {
+    this.entries.delete(id);
+  }
+  
+  status(id, now = Date.now()) {
+    const entry = this.entries.get(id);
+    if (!entry || entry.successes + entry.failures === 0) return STATUSES.UNKNOWN;
+    if (entry.openUntil !== null) return now < entry.openUntil ? STATUSES.OPEN : STATUSES.HALF_OPEN;
+    return entry.consecutiveFailures > 0 ? STATUSES.DEGRADED : STATUSES.HEALTHY;
+  }
+  
+  snapshot(id, now = Date.now()) {
+    const entry = this.entry(id);
+    const sorted = [...entry.latencies].sort((a, b) => a - b);
+    const calls = entry.successes + entry.failures;
+    
+    return {
+      status: this.status(id, now),
+      calls,
+      successes: entry.successes,
+      failures: entry.failures,
+      fallbacks: entry.fallbacks,
+      successRate: calls > 0 ? entry.successes / calls : null,
+      consecutiveFailures: entry.consecutiveFailures,
+      latency: {
+        samples: sorted.length,
+        p50: percentile(sorted, 50),
+        p90: percentile(sorted, 90),
+        p99: percentile(sorted, 99)
+      },
+      lastError: entry.lastError,
+      lastErrorAt: entry.lastErrorAt,
+      lastSuccessAt: entry.lastSuccessAt,
+      openUntil: entry.openUntil !== null && now < entry.openUntil ? new Date(entry.openUntil).toISOString() : null
+    };
+  }
+}
+
+module.exports = {
+  HealthTracker,
+  healthConfigFromEnv,
+  STATUSES
+};
@@ -0,0 +1,83 @@
+// Registry of LLM provider adapters, keyed by the provider name stored in llm_config. Adding a
+// provider means writing an adapter (see adapter.js for the interface) and registering it here.
+
+const { DEFAULT_GENERATION_PARAMS, validateGenerationParams, generationParams } = require('./params');
+const { validateApiHeaders } = require('./adapter');
+const { HealthTracker, healthConfigFromEnv } = require('./health');
+const { DEFAULT_PRICES, PRICE_KEY_PATTERN, estimateTokens, findPrice, callCost, validatePrice } = require('./pricing');
+const { normalizeContent, cacheKey } = require('./cache');
+const {
+  PROMPT_VARIABLES, PROMPT_PURPOSES, DEFAULT_MAX_CONTENT_LENGTH, BUILTIN_PROMPTS, truncateContent, validatePrompt, renderPrompt
+} = require('./prompts');
+const { EDITORIAL_PARTS, editorialContext, renderEditorialPrompt, cleanEditorialText } = require('./editorial');
+const {
+  CATEGORIES, DIFFICULTIES, heuristicClassify, classificationPrompt, mapToExistingTags, parseClassification
+} = require('./classify');
+
+const adapters = new Map();
+
+function registerAdapter(adapter) {
+  adapters.set(adapter.name, adapter);
+}
+
+function getAdapter(provider) {
+  const adapter = adapters.get(provider);
+  if (!adapter) {
+    throw new Error(`Unsupported LLM provider: ${provider}`);
+  }
+  return adapter;
+}
+
+function hasAdapter(provider) {
+  return adapters.has(provider);
+}
+
+function listAdapters() {
+  return [...adapters.values()];
+}
+
+[
+  require('./ollama'),
+  require('./openai'),
+  require('./gemini'),
+  require('./grok'),
+  require('./openai-compatible')
+].forEach(registerAdapter);
+
+module.exports = {
+  registerAdapter,
+  getAdapter,
+  hasAdapter,
+  listAdapters,
+  DEFAULT_GENERATION_PARAMS,
+  validateGenerationParams,
+  generationParams,
+  validateApiHeaders,
+  HealthTracker,
+  healthConfigFromEnv,
+  DEFAULT_PRICES,
+  PRICE_KEY_PATTERN,
+  estimateTokens,
+  findPrice,
+  callCost,
+  validatePrice,
+  normalizeContent,
+  cacheKey,
+  PROMPT_VARIABLES,
+  PROMPT_PURPOSES,
+  DEFAULT_MAX_CONTENT_LENGTH,
+  BUILTIN_PROMPTS,
+  truncateContent,
+  validatePrompt,
+  renderPrompt,
+  EDITORIAL_PARTS,
+  editorialContext,
+  renderEditorialPrompt,
+  cleanEditorialText,
+  CATEGORIES,
+  DIFFICULTIES,
+  heuristicClassify,
+  classificationPrompt,
+  mapToExistingTags,
+  parseClassification
+};
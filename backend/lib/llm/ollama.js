@@ -0,0 +1,125 @@
+const fetch = require('node-fetch');
+const { defineAdapter, compact, toUsage } = require('./adapter');
+const { readLines } = require('./streaming');
+
+// Ollama runs locally. Besides the configured api_url, the usual addresses are tried in turn so
+// the same configuration works inside Docker and on the host.
+
+const FALLBACK_URLS = [
+  'http://host.docker.internal:11434',
+  'http://localhost:11434',
+  'http://127.0.0.1:11434'
+];
+
+const LIST_TIMEOUT = 2000;
+
+function baseUrls(config) {
+  return [...new Set([config.api_url, ...FALLBACK_URLS].filter(Boolean).map(url => url.replace(/\/+$/, '')))];
+}
+
+function options(params) {
+  return compact({
+    temperature: params.temperature,
+    num_predict: params.max_tokens,
+    top_p: params.top_p,
+    stop: params.stop
+  });
+}
+
+// POST to the first base URL that answers; connection errors move on to the next one
+async function post(config, path, body, signal) {
+  let lastError;
+  
+  for (const baseUrl of baseUrls(config)) {
+    try {
+      const response = await fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal
+      });
+      
+      if (!response.ok) {
+        throw new Error(`Ollama API error: ${response.status}`);
+      }
+      return response;
+    } catch (error) {
+      if (signal && signal.aborted) throw error;
+      lastError = error;
+    }
+  }
+  
+  throw lastError || new Error('Could not connect to Ollama');
+}
+
+module.exports = defineAdapter({
+  name: 'ollama',
+  label: 'Ollama (Local)',
+  defaultUrl: 'http://localhost:11434',
+  requiresApiKey: false,
+  
+  async generate(config, prompt, { params, signal }) {
+    const response = await post(config, '/api/generate', {
+      model: config.model_name,
+      prompt,
+      stream: false,
+      options: options(params)
+    }, signal);
+    
+    const data = await response.json();
+    return { text: data.response, usage: toUsage(data.prompt_eval_count, data.eval_count) };
+  },
+  
+  // Ollama streams newline-delimited JSON objects with a `response` fragment each; the last one
+  // (done: true) carries the token counts
+  async stream(config, prompt, { params, onToken, signal }) {
+    const response = await post(config, '/api/generate', {
+      model: config.model_name,
+      prompt,
+      stream: true,
+      options: options(params)
+    }, signal);
+    
+    let text = '';
+    let usage = null;
+    for await (const line of readLines(response.body)) {
+      const chunk = JSON.parse(line);
+      if (chunk.error) {
+        throw new Error(`Ollama API error: ${chunk.error}`);
+      }
+      if (chunk.response) {
+        text += chunk.response;
+        onToken(chunk.response);
+      }
+      if (chunk.done) {
+        usage = toUsage(chunk.prompt_eval_count, chunk.eval_count);
+        break;
+      }
+    }
+    return { text, usage };
+  },
+  
+  async listModels(config) {
+    let lastError;
+    
+    for (const baseUrl of baseUrls(config)) {
+      try {
+        const response = await fetch(`${baseUrl}/api/tags`, { timeout: LIST_TIMEOUT });
+        if (!response.ok) {
+          throw new Error(`Ollama API error: ${response.status}`);
+        }
+        
+        const data = await response.json();
+        return data.models.map(model => ({
+          name: model.name,
+          size: model.size,
+          modified_at: model.modified_at
+        }));
+      } catch (error) {
+        lastError = error;
+      }
+    }
+    
+    throw lastError || new Error('Ollama not available on any endpoint');
+  }
+});
@@ -0,0 +1,15 @@
+const { createChatCompletionsAdapter } = require('./chat-completions');
+
+// Self-hosted servers speaking the OpenAI protocol (llama.cpp server, vLLM, LM Studio, LocalAI...).
+// api_url is required; a URL without a version path gets /v1, so "http://gpu-box:8080" and
+// "http://gpu-box:8080/v1" both work. An API key is optional and extra headers can be configured.
+
+module.exports = createChatCompletionsAdapter({
+  name: 'openai-compatible',
+  label: 'OpenAI-compatible (llama.cpp, vLLM, ...)',
+  apiName: 'OpenAI-compatible',
+  defaultUrl: null,
+  requiresApiKey: false,
+  requiresApiUrl: true,
+  resolveBase: (url) => (/\/v\d+$/.test(url) ? url : `${url}/v1`)
+});
@@ -0,0 +1,9 @@
+const { createChatCompletionsAdapter } = require('./chat-completions');
+
+module.exports = createChatCompletionsAdapter({
+  name: 'openai',
+  label: 'OpenAI',
+  defaultUrl: 'https://api.openai.com/v1',
+  paid: true,
+  streamUsage: true
+});
@@ -0,0 +1,66 @@
+// Generation parameters, stored per configuration as JSON in llm_config.generation_params.
+// Adapters translate them to their provider's names (e.g. max_tokens is num_predict for Ollama
+// and maxOutputTokens for Gemini).
+
+const DEFAULT_GENERATION_PARAMS = {
+  temperature: 0.7,
+  max_tokens: 200
+};
+
+const PARAM_RULES = {
+  temperature: { min: 0, max: 2 },
+  max_tokens: { min: 1, max: 32768, integer: true },
+  top_p: { min: 0, max: 1 }
+};
+
+const MAX_STOP_SEQUENCES = 4;
+
+// Returns an error message for invalid parameters, otherwise null
+function validateGenerationParams(params) {
+  if (params === null || params === undefined) return null;
+  if (typeof params !== 'object' || Array.isArray(params)) {
+    return 'generation_params must be an object';
+  }
+  
+  for (const [key, value] of Object.entries(params)) {
+    if (key === 'stop') {
+      if (!Array.isArray(value) || value.length > MAX_STOP_SEQUENCES || !value.every(item => typeof item === 'string' && item)) {
+        return `stop must be a list of up to ${MAX_STOP_SEQUENCES} strings`;
+      }
+      continue;
+    }
+    
+    const rule = PARAM_RULES[key];
+    if (!rule) {
+      return `Unknown generation parameter: ${key}`;
+    }
+    if (value === null) continue;
+    if (typeof value !== 'number' || value < rule.min || value > rule.max || (rule.integer && !Number.isInteger(value))) {
+      return `${key} must be ${rule.integer ? 'an integer' : 'a number'} between ${rule.min} and ${rule.max}`;
+    }
+  }
+  return null;
+}
+
+// The parameters for a configuration: its stored values over the defaults. Stored nulls reset a
+// parameter to the default.
+function generationParams(config) {
+  let stored = {};
+  try {
+    stored = config.generation_params ? JSON.parse(config.generation_params) : {};
+  } catch (error) {
+    stored = {};
+  }
+  
+  const params = { ...DEFAULT_GENERATION_PARAMS };
+  for (const [key, value] of Object.entries(stored)) {
+    if (value !== null && value !== undefined) params[key] = value;
+  }
+  return params;
+}
+
+module.exports = {
+  DEFAULT_GENERATION_PARAMS,
+  validateGenerationParams,
+  generationParams
+};
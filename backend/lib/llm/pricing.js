@@ -0,0 +1,64 @@
+// Token prices for cost accounting, in USD per million tokens.
+//
+// Keys are "<provider>:<model prefix>"; the longest matching prefix wins, so "openai:gpt-4o-mini"
+// takes precedence over "openai:gpt-4o" for gpt-4o-mini-2024-07-18. DEFAULT_PRICES holds list
+// prices at the time of writing; entries can be overridden or added in the llm_prices table.
+// Models without a price cost nothing (local and self-hosted models).
+
+const DEFAULT_PRICES = {
+  'openai:gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'openai:gpt-4o': { input: 2.5, output: 10 },
+  'openai:gpt-4-turbo': { input: 10, output: 30 },
+  'openai:gpt-4': { input: 30, output: 60 },
+  'openai:gpt-3.5-turbo': { input: 0.5, output: 1.5 },
+  'gemini:gemini-2.0-flash': { input: 0.1, output: 0.4 },
+  'gemini:gemini-1.5-flash': { input: 0.075, output: 0.3 },
+  'gemini:gemini-1.5-pro': { input: 1.25, output: 5 },
+  'gemini:gemini-pro': { input: 0.5, output: 1.5 },
+  'grok:grok-2': { input: 2, output: 10 },
+  'grok:grok-beta': { input: 5, output: 15 }
+};
+
+const PRICE_KEY_PATTERN = /^[a-z0-9-]+:[^\s]+$/;
+
+// Rough token count for providers that don't report one: about four characters per token
+function estimateTokens(text) {
+  return text ? Math.ceil(text.length / 4) : 0;
+}
+
+function findPrice(prices, provider, model) {
+  const name = `${provider}:${model}`;
+  let match = null;
+  
+  for (const key of Object.keys(prices)) {
+    if (name.startsWith(key) && (!match || key.length > match.length)) match = key;
+  }
+  return match ? prices[match] : null;
+}
+
+function callCost(price, { promptTokens, completionTokens }) {
+  if (!price) return 0;
+  return (promptTokens * price.input + completionTokens * price.output) / 1e6;
+}
+
+// Returns an error message for an invalid { input, output } price, otherwise null
+function validatePrice(price) {
+  if (typeof price !== 'object' || price === null) {
+    return 'Price must be an object with input and output';
+  }
+  for (const field of ['input', 'output']) {
+    if (typeof price[field] !== 'number' || price[field] < 0) {
+      return `${field} must be a non-negative number (USD per million tokens)`;
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  DEFAULT_PRICES,
+  PRICE_KEY_PATTERN,
+  estimateTokens,
+  findPrice,
+  callCost,
+  validatePrice
+};
@@ -0,0 +1,191 @@
+const { renderTemplate, validateTemplate } = require('../templates');
+
+// Prompt templates for LLM calls.
+//
+// Prompts are Handlebars templates (with the helpers of lib/templates.js) stored in the llm_prompts
+// table. Every change to a prompt's body is kept in llm_prompt_versions, and summaries record the
+// prompt id and version that produced them. Each purpose has its own default prompt and receives
+// its own PROMPT_VARIABLES:
+//
+// - summary: one article. `tags` is a list and `content` is the extracted article text, cut to the
+//   prompt's max_content_length.
+// - editorial-*: the editorial parts of a newsletter issue (see lib/llm/editorial.js). `articles`
+//   lists the items of every section with their summaries, `sections` holds the same as a list of
+//   { title, items: [{ title, excerpt }] }. A transition gets its `section` title and
+//   `sectionArticles`, and an `outline` of all section titles with the current one marked.
+
+const PROMPT_VARIABLES = {
+  summary: ['title', 'url', 'content', 'tags', 'audience'],
+  'editorial-theme': ['articles', 'sections'],
+  'editorial-intro': ['articles', 'sections', 'theme'],
+  'editorial-transition': ['outline', 'section', 'sectionArticles', 'theme'],
+  'editorial-subject': ['articles', 'sections', 'theme']
+};
+const PROMPT_PURPOSES = Object.keys(PROMPT_VARIABLES);
+const DEFAULT_MAX_CONTENT_LENGTH = 8000;
+
+// The variable a prompt of each purpose can't do without
+const REQUIRED_VARIABLES = {
+  summary: 'content',
+  'editorial-theme': 'articles',
+  'editorial-intro': 'articles',
+  'editorial-transition': 'sectionArticles',
+  'editorial-subject': 'articles'
+};
+
+const BUILTIN_PROMPTS = [
+  {
+    key: 'newsletter-summary',
+    name: 'Newsletter summary',
+    purpose: 'summary',
+    description: 'Concise 2-3 sentence summary of the key takeaways',
+    body: `Please provide a concise, engaging summary of this article in 2-3 sentences. Focus on the key insights and takeaways that would be valuable for {{#if audience}}{{audience}}{{else}}a professional newsletter{{/if}}.
+
+Title: {{title}}
+URL: {{url}}
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+Content: {{content}}
+
+Summary:`
+  },
+  {
+    key: 'technical-deep-dive',
+    name: 'Technical deep-dive',
+    purpose: 'summary',
+    description: 'Technologies, techniques and trade-offs, for practitioners',
+    audience: 'experienced software engineers',
+    body: `Summarize this article for {{audience}} in 3-4 sentences. Name the specific technologies, techniques and trade-offs it covers, and say what a practitioner could apply from it. Leave out marketing language.
+
+Title: {{title}}
+URL: {{url}}
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+Content: {{content}}
+
+Summary:`
+  },
+  {
+    key: 'executive-brief',
+    name: 'Executive brief',
+    purpose: 'summary',
+    description: 'Two sentences on business impact',
+    audience: 'busy executives',
+    body: `Write a two-sentence brief of this article for {{audience}}. The first sentence states the main point; the second says why it matters for business strategy or decisions. Avoid jargon.
+
+Title: {{title}}
+URL: {{url}}
+Content: {{content}}
+
+Brief:`
+  },
+  {
+    key: 'editorial-theme',
+    name: 'Theme of the week',
+    purpose: 'editorial-theme',
+    description: 'A theme of at most eight words',
+    body: `These are the articles in this issue of a personal reading newsletter, grouped by section:
+
+{{articles}}
+
+In at most eight words, name the theme that ties this reading together. Reply with the theme only.
+
+Theme:`
+  },
+  {
+    key: 'editorial-intro',
+    name: 'Editorial intro',
+    purpose: 'editorial-intro',
+    description: 'A warm first-person intro of 3-4 sentences',
+    body: `You write the editorial intro of a personal reading newsletter, in the first person. These are the articles in this issue:
+
+{{articles}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+Write a warm, specific intro of 3-4 sentences that draws the threads between the articles and tells readers what to look out for. Don't list every article, and don't use a greeting or sign-off. Reply with the intro only.
+
+Intro:`
+  },
+  {
+    key: 'editorial-transition',
+    name: 'Section transition',
+    purpose: 'editorial-transition',
+    description: 'One sentence leading into a section',
+    body: `You are editing a personal reading newsletter. Its sections, with the current one marked:
+
+{{outline}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+The current section "{{section}}" contains:
+{{sectionArticles}}
+
+Write one sentence that leads the reader into this section. Reply with the sentence only.
+
+Transition:`
+  },
+  {
+    key: 'editorial-subject',
+    name: 'Subject line',
+    purpose: 'editorial-subject',
+    description: 'An email subject line of at most 60 characters',
+    body: `These are the articles in this issue of a personal reading newsletter:
+
+{{articles}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+Suggest an email subject line of at most 60 characters that makes subscribers want to open it. No emoji, no quotes. Reply with the subject line only.
+
+Subject line:`
+  }
+];
+
+function truncateContent(content, maxLength = DEFAULT_MAX_CONTENT_LENGTH) {
+  const text = content || '';
+  return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
+}
+
+// Returns an error message for a prompt body that doesn't parse or never uses the variable its
+// purpose requires (the article content for summaries), otherwise null
+function validatePrompt(body, purpose = 'summary') {
+  const error = validateTemplate(body);
+  if (error) return error;
+  
+  const required = REQUIRED_VARIABLES[purpose];
+  if (!new RegExp(`\\{\\{\\s*${required}\\s*\\}\\}`).test(body)) {
+    return `Prompt must include {{${required}}}`;
+  }
+  return null;
+}
+
+// Render a prompt row (body, audience, max_content_length) for one article. An explicit audience
+// overrides the prompt's own.
+function renderPrompt(prompt, { title, url, content, tags = [], audience } = {}) {
+  return renderTemplate(prompt.body, {
+    title: title || '',
+    url: url || '',
+    content: truncateContent(content, prompt.max_content_length || DEFAULT_MAX_CONTENT_LENGTH),
+    tags,
+    audience: audience || prompt.audience || ''
+  });
+}
+
+module.exports = {
+  PROMPT_VARIABLES,
+  PROMPT_PURPOSES,
+  DEFAULT_MAX_CONTENT_LENGTH,
+  BUILTIN_PROMPTS,
+  truncateContent,
+  validatePrompt,
+  renderPrompt
+};
@@ -0,0 +1,35 @@
+// Helpers for reading streamed LLM responses from a node-fetch body (a Node readable stream).
+
+// Yield the non-empty lines of a stream as they arrive
+async function* readLines(body) {
+  let buffer = '';
+  
+  for await (const chunk of body) {
+    buffer += chunk.toString('utf8');
+    
+    let newline;
+    while ((newline = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newline).replace(/\r$/, '');
+      buffer = buffer.slice(newline + 1);
+      if (line.trim()) yield line;
+    }
+  }
+  
+  if (buffer.trim()) yield buffer;
+}
+
+// Yield the parsed `data:` payloads of a server-sent event stream, stopping at OpenAI's [DONE]
+async function* readEventData(body) {
+  for await (const line of readLines(body)) {
+    if (!line.startsWith('data:')) continue;
+    
+    const data = line.slice(5).trim();
+    if (data === '[DONE]') return;
+    yield JSON.parse(data);
+  }
+}
+
+module.exports = {
+  readLines,
+  readEventData
+};
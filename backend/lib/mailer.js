@@ -0,0 +1,62 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail over SMTP.
+//
+// Configured from the environment; the defaults point at a MailHog-style catcher on
+// localhost:1025 so nothing leaves the machine in development. Sends that fail with a transient
+// error (4xx SMTP reply, dropped connection, timeout) are retried with exponential backoff.
+
+const TRANSIENT_ERROR_CODES = ['ECONNECTION', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ESOCKET', 'EDNS'];
+
+function smtpConfigFromEnv(env = process.env) {
+  return {
+    host: env.SMTP_HOST || 'localhost',
+    port: Number(env.SMTP_PORT) || 1025,
+    secure: env.SMTP_SECURE === 'true',
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || '' } : undefined,
+    from: env.MAIL_FROM || 'Reading Tracker <newsletter@localhost>',
+    maxAttempts: Math.max(1, Number(env.SMTP_MAX_ATTEMPTS) || 3),
+    retryDelay: Number(env.SMTP_RETRY_DELAY) || 1000
+  };
+}
+
+function isTransientError(error) {
+  if (error.responseCode) return error.responseCode >= 400 && error.responseCode < 500;
+  return TRANSIENT_ERROR_CODES.includes(error.code);
+}
+
+class Mailer {
+  constructor(config = smtpConfigFromEnv()) {
+    this.config = config;
+    this.transport = nodemailer.createTransport({
+      host: config.host,
+      port: config.port,
+      secure: config.secure,
+      auth: config.auth
+    });
+  }
+  
+  // Send one message. Resolves to { messageId, attempts }; on failure the thrown error carries
+  // `attempts` and `transient` so callers can record it.
+  async send(message) {
+    const { maxAttempts, retryDelay } = this.config;
+    
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const info = await this.transport.sendMail({ from: this.config.from, ...message });
+        return { messageId: info.messageId, attempts: attempt };
+      } catch (error) {
+        error.attempts = attempt;
+        error.transient = isTransientError(error);
+        if (!error.transient || attempt >= maxAttempts) throw error;
+        await new Promise(resolve => setTimeout(resolve, retryDelay * 2 ** (attempt - 1)));
+      }
+    }
+  }
+}
+
+module.exports = {
+  Mailer,
+  smtpConfigFromEnv,
+  isTransientError
+};
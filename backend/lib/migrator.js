@@ -0,0 +1,184 @@
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named NNN_description.js and export { up(db), down(db) }
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Promise interface over a sqlite3 database handed to each migration
+function wrapDatabase(db) {
+  return {
+    run(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+          if (err) reject(err);
+          else resolve({ lastID: this.lastID, changes: this.changes });
+        });
+      });
+    },
+    get(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        });
+      });
+    },
+    all(sql, params = []) {
+      return new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        });
+      });
+    },
+    exec(sql) {
+      return new Promise((resolve, reject) => {
+        db.exec(sql, (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    },
+    async hasColumn(table, column) {
+      const columns = await this.all(`PRAGMA table_info(${table})`);
+      return columns.some(col => col.name === column);
+    },
+    async hasTable(table) {
+      const row = await this.get(`SELECT name FROM sqlite_master WHERE type IN ('table', 'view') AND name = ?`, [table]);
+      return !!row;
+    }
+  };
+}
+
+// Runs the numbered migrations in backend/migrations against a database and
+// records applied versions in schema_migrations. Each migration runs in its own transaction.
+class Migrator {
+  constructor(db, { directory = MIGRATIONS_DIR } = {}) {
+    this.db = wrapDatabase(db);
+    this.directory = directory;
+  }
+  
+  // All migrations on disk, in version order
+  loadMigrations() {
+    const migrations = fs.readdirSync(this.directory)
+      .map(file => {
+        const match = file.match(MIGRATION_FILE_PATTERN);
+        if (!match) return null;
+        
+        const migration = require(path.join(this.directory, file));
+        if (typeof migration.up !== 'function' || typeof migration.down !== 'function') {
+          throw new Error(`Migration ${file} must export up() and down() functions`);
+        }
+        
+        return {
+          version: parseInt(match[1], 10),
+          name: match[2],
+          file,
+          up: migration.up,
+          down: migration.down
+        };
+      })
+      .filter(Boolean)
+      .sort((a, b) => a.version - b.version);
+    
+    migrations.forEach((migration, index) => {
+      if (index > 0 && migrations[index - 1].version === migration.version) {
+        throw new Error(`Duplicate migration version ${migration.version}: ${migrations[index - 1].file} and ${migration.file}`);
+      }
+    });
+    
+    return migrations;
+  }
+  
+  async ensureMigrationsTable() {
+    await this.db.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  }
+  
+  async appliedVersions() {
+    await this.ensureMigrationsTable();
+    const rows = await this.db.all('SELECT version, name, applied_at FROM schema_migrations ORDER BY version');
+    return new Map(rows.map(row => [row.version, row]));
+  }
+  
+  // Every known migration with whether (and when) it was applied
+  async status() {
+    const applied = await this.appliedVersions();
+    const migrations = this.loadMigrations();
+    
+    const result = migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: applied.has(migration.version),
+      applied_at: applied.has(migration.version) ? applied.get(migration.version).applied_at : null
+    }));
+    
+    // Versions recorded in the database whose files no longer exist
+    for (const [version, row] of applied) {
+      if (!migrations.some(m => m.version === version)) {
+        result.push({ version, name: row.name, applied: true, applied_at: row.applied_at, missing: true });
+      }
+    }
+    
+    return result.sort((a, b) => a.version - b.version);
+  }
+  
+  async pending() {
+    const applied = await this.appliedVersions();
+    return this.loadMigrations().filter(migration => !applied.has(migration.version));
+  }
+  
+  async runInTransaction(work) {
+    await this.db.exec('BEGIN');
+    try {
+      await work();
+      await this.db.exec('COMMIT');
+    } catch (error) {
+      await this.db.exec('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+  
+  // Apply pending migrations, optionally stopping after version `to`
+  async up({ to = Infinity, log = () => {} } = {}) {
+    const pending = (await this.pending()).filter(migration => migration.version <= to);
+    
+    for (const migration of pending) {
+      log(`Applying ${migration.file}`);
+      await this.runInTransaction(async () => {
+        await migration.up(this.db);
+        await this.db.run('INSERT INTO schema_migrations (version, name) VALUES (?, ?)', [migration.version, migration.name]);
+      });
+    }
+    
+    return pending;
+  }
+  
+  // Revert the last `steps` applied migrations, or every migration above version `to`
+  async down({ steps = 1, to = null, log = () => {} } = {}) {
+    const applied = await this.appliedVersions();
+    const migrations = this.loadMigrations();
+    
+    let targets = migrations.filter(migration => applied.has(migration.version)).reverse();
+    targets = to !== null
+      ? targets.filter(migration => migration.version > to)
+      : targets.slice(0, steps);
+    
+    for (const migration of targets) {
+      log(`Reverting ${migration.file}`);
+      await this.runInTransaction(async () => {
+        await migration.down(this.db);
+        await this.db.run('DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+      });
+    }
+    
+    return targets;
+  }
+}
+
+module.exports = { Migrator, MIGRATIONS_DIR };
@@ -0,0 +1,85 @@
+// Minimal in-process scheduler for recurring jobs.
+//
+// Schedules are either daily or weekly at a fixed 'HH:MM' in server local time. The Scheduler
+// polls for due jobs rather than keeping one timer per job, so schedules edited through the API
+// are picked up on the next tick and runs missed while the server was down happen once at startup.
+
+const FREQUENCIES = ['daily', 'weekly'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DEFAULT_POLL_INTERVAL = 60 * 1000;
+
+function validateSchedule({ frequency, day_of_week, time_of_day }) {
+  if (!FREQUENCIES.includes(frequency)) {
+    return `frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!TIME_PATTERN.test(time_of_day || '')) {
+    return 'time_of_day must be formatted as HH:MM';
+  }
+  if (frequency === 'weekly' && !(Number.isInteger(day_of_week) && day_of_week >= 0 && day_of_week <= 6)) {
+    return 'day_of_week must be 0 (Sunday) to 6 for weekly schedules';
+  }
+  return null;
+}
+
+// First run time strictly after `from`
+function computeNextRun({ frequency, day_of_week, time_of_day }, from = new Date()) {
+  const [, hours, minutes] = time_of_day.match(TIME_PATTERN);
+  
+  const next = new Date(from);
+  next.setHours(Number(hours), Number(minutes), 0, 0);
+  
+  if (frequency === 'weekly') {
+    next.setDate(next.getDate() + ((day_of_week - next.getDay() + 7) % 7));
+    if (next <= from) next.setDate(next.getDate() + 7);
+  } else if (next <= from) {
+    next.setDate(next.getDate() + 1);
+  }
+  
+  return next;
+}
+
+class Scheduler {
+  // findDue(now) resolves to the jobs that should run; execute(job) runs one and records the outcome
+  constructor({ findDue, execute, pollInterval = DEFAULT_POLL_INTERVAL }) {
+    this.findDue = findDue;
+    this.execute = execute;
+    this.pollInterval = pollInterval;
+    this.timer = null;
+    this.ticking = false;
+  }
+  
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.pollInterval);
+    this.timer.unref();
+    this.tick();
+  }
+  
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+  
+  // Jobs run one at a time; a tick that starts while the previous one is still busy is skipped
+  async tick() {
+    if (this.ticking) return;
+    this.ticking = true;
+    
+    try {
+      const jobs = await this.findDue(new Date());
+      for (const job of jobs) {
+        try {
+          await this.execute(job);
+        } catch (error) {
+          console.error(`Scheduled job ${job.id} failed:`, error.message);
+        }
+      }
+    } catch (error) {
+      console.error('Scheduler error:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+  }
+}
+
+module.exports = { Scheduler, validateSchedule, computeNextRun, FREQUENCIES };
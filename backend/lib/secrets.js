@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+
+// Encryption of secrets stored in the database (LLM provider API keys).
+//
+// Values are encrypted with AES-256-GCM under a random IV and stored as
+//   v<keyVersion>:<iv>:<authTag>:<ciphertext>   (base64 parts)
+// The version prefix says which key encrypted the value, so the key can be rotated:
+// set ENCRYPTION_KEY to the new secret, bump ENCRYPTION_KEY_VERSION, move the old secret into
+// ENCRYPTION_PREVIOUS_KEYS ("1:old-secret,2:older-secret") and run scripts/rotate-keys.js.
+
+const DEFAULT_ENCRYPTION_KEY = 'reading-tracker-default-key-change-in-production';
+const KEY_SALT = 'reading-tracker-api-keys';
+const VALUE_PATTERN = /^v(\d+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]+):([A-Za-z0-9+/=]*)$/;
+
+function parsePreviousKeys(value) {
+  const keys = new Map();
+  if (!value) return keys;
+  
+  value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+    const separator = entry.indexOf(':');
+    const version = parseInt(entry.slice(0, separator), 10);
+    if (separator === -1 || isNaN(version)) {
+      throw new Error('ENCRYPTION_PREVIOUS_KEYS entries must look like "<version>:<secret>"');
+    }
+    keys.set(version, entry.slice(separator + 1));
+  });
+  
+  return keys;
+}
+
+function loadKeyring(env = process.env) {
+  const currentVersion = parseInt(env.ENCRYPTION_KEY_VERSION || '1', 10);
+  if (isNaN(currentVersion) || currentVersion < 1) {
+    throw new Error('ENCRYPTION_KEY_VERSION must be a positive integer');
+  }
+  
+  const secrets = parsePreviousKeys(env.ENCRYPTION_PREVIOUS_KEYS);
+  secrets.set(currentVersion, env.ENCRYPTION_KEY || DEFAULT_ENCRYPTION_KEY);
+  
+  return {
+    currentVersion,
+    secrets,
+    usingDefaultKey: !env.ENCRYPTION_KEY || env.ENCRYPTION_KEY === DEFAULT_ENCRYPTION_KEY
+  };
+}
+
+const keyring = loadKeyring();
+const derivedKeys = new Map();
+
+function deriveKey(secret) {
+  if (!derivedKeys.has(secret)) {
+    derivedKeys.set(secret, crypto.scryptSync(secret, KEY_SALT, 32));
+  }
+  return derivedKeys.get(secret);
+}
+
+function encryptApiKey(text) {
+  if (!text) return null;
+  
+  const key = deriveKey(keyring.secrets.get(keyring.currentVersion));
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+  const authTag = cipher.getAuthTag();
+  
+  return `v${keyring.currentVersion}:${iv.toString('base64')}:${authTag.toString('base64')}:${ciphertext.toString('base64')}`;
+}
+
+// Legacy values were written by crypto.createCipher('aes192', secret), which derives the key
+// and IV with OpenSSL's EVP_BytesToKey (MD5, one round, no salt). createDecipher is gone
+// from current Node releases, so the derivation is reproduced here to read old rows.
+function decryptLegacyValue(encrypted, secret) {
+  const keyLength = 24;
+  const ivLength = 16;
+  let derived = Buffer.alloc(0);
+  let block = Buffer.alloc(0);
+  
+  while (derived.length < keyLength + ivLength) {
+    block = crypto.createHash('md5').update(Buffer.concat([block, Buffer.from(secret, 'binary')])).digest();
+    derived = Buffer.concat([derived, block]);
+  }
+  
+  const decipher = crypto.createDecipheriv('aes192', derived.subarray(0, keyLength), derived.subarray(keyLength, keyLength + ivLength));
+  const text = Buffer.concat([decipher.update(Buffer.from(encrypted, 'hex')), decipher.final()]).toString('utf8');
+  
+  // CBC padding checks pass for a wrong key about once in 256 tries; API keys are printable ASCII
+  if (!/^[\x20-\x7e]+$/.test(text)) {
+    throw new Error('Decrypted legacy value is not valid text');
+  }
+  return text;
+}
+
+function isLegacyValue(encrypted) {
+  return /^[0-9a-f]+$/i.test(encrypted) && encrypted.length % 32 === 0;
+}
+
+// Decrypt a stored value. Throws when it can't be decrypted with any configured key.
+function decryptValue(encrypted) {
+  const match = encrypted.match(VALUE_PATTERN);
+  
+  if (match) {
+    const version = parseInt(match[1], 10);
+    const secret = keyring.secrets.get(version);
+    if (!secret) {
+      throw new Error(`No encryption key configured for key version ${version}`);
+    }
+    
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(secret), Buffer.from(match[2], 'base64'));
+    decipher.setAuthTag(Buffer.from(match[3], 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(match[4], 'base64')), decipher.final()]).toString('utf8');
+  }
+  
+  if (isLegacyValue(encrypted)) {
+    // Try every known secret, including the old built-in default
+    const candidates = [...new Set([...keyring.secrets.values(), DEFAULT_ENCRYPTION_KEY])];
+    for (const secret of candidates) {
+      try {
+        return decryptLegacyValue(encrypted, secret);
+      } catch (error) {
+        continue;
+      }
+    }
+    throw new Error('Legacy value could not be decrypted with any configured key');
+  }
+  
+  throw new Error('Unrecognized encrypted value format');
+}
+
+function decryptApiKey(encrypted) {
+  if (!encrypted) return null;
+  try {
+    return decryptValue(encrypted);
+  } catch (error) {
+    console.error('Error decrypting API key:', error.message);
+    return null;
+  }
+}
+
+// True when a stored value was not written with the current key (legacy format or older version)
+function needsReencryption(encrypted) {
+  if (!encrypted) return false;
+  const match = encrypted.match(VALUE_PATTERN);
+  return !match || parseInt(match[1], 10) !== keyring.currentVersion;
+}
+
+// Fail fast instead of encrypting production secrets with the key published in this repo
+function assertEncryptionKeyConfigured(env = process.env) {
+  if (env.NODE_ENV === 'production' && keyring.usingDefaultKey) {
+    throw new Error('ENCRYPTION_KEY must be set to a private value in production (the built-in default key is in use)');
+  }
+}
+
+module.exports = {
+  encryptApiKey,
+  decryptApiKey,
+  decryptValue,
+  needsReencryption,
+  assertEncryptionKeyConfigured,
+  currentKeyVersion: () => keyring.currentVersion,
+  usingDefaultKey: () => keyring.usingDefaultKey
+};
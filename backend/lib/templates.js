@@ -0,0 +1,438 @@
+const Handlebars = require('handlebars');
+
+// Newsletter templates.
+//
+// Output formats (html, markdown, ...) are rendered from Handlebars templates stored in the
+// newsletter_templates table. The built-in templates below are seeded by migration and reproduce the
+// original hand-written renderers. Templates receive the newsletter object (title, subtitle, theme,
+// intro, sections[].title, sections[].transition, sections[].items[], footer) as their context;
+// emails sent to subscribers also get unsubscribeUrl.
+//
+// The copy that goes into a generated newsletter (title, subtitle, intro, footer message and section
+// titles) is templated the same way; DEFAULT_COPY holds the original English text and individual
+// keys can be overridden in the newsletter_copy table.
+
+const engine = Handlebars.create();
+
+engine.registerHelper('join', (list, separator) =>
+  Array.isArray(list) ? list.join(typeof separator === 'string' ? separator : ', ') : '');
+engine.registerHelper('localeDateTime', (value) => (value ? new Date(value).toLocaleString() : ''));
+engine.registerHelper('capitalize', (value) =>
+  (typeof value === 'string' ? value.charAt(0).toUpperCase() + value.slice(1) : ''));
+engine.registerHelper('eq', (a, b) => a === b);
+engine.registerHelper('truncate', (value, length) => {
+  if (typeof value !== 'string') return '';
+  const max = typeof length === 'number' ? length : 140;
+  return value.length > max ? `${value.slice(0, max - 1).trimEnd()}…` : value;
+});
+// Only http(s) and mailto links are let through, so stored URLs can't inject javascript: links
+engine.registerHelper('safeUrl', (value) =>
+  (typeof value === 'string' && /^(https?:|mailto:)/i.test(value.trim()) ? value.trim() : '#'));
+
+const SUBSTACK_TEXT_TEMPLATE = `{{title}}
+
+{{subtitle}}
+
+{{#if theme}}
+Theme: {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+{{title}}
+
+{{#if transition}}
+{{transition}}
+
+{{/if}}
+{{#each items}}
+{{title}}
+Link: {{url}}
+
+{{excerpt}}
+
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+{{date}} • Score: {{learningScore}}/100
+
+—————————————————————————————————————
+
+{{/each}}
+{{/each}}
+About This Digest
+
+{{footer.message}}
+
+📊 Stats:
+• Total articles: {{footer.totalArticles}}
+• Categories: {{join footer.categories ", "}}
+• Generated: {{localeDateTime footer.generatedAt}}
+`;
+
+const MARKDOWN_TEMPLATE = `# {{title}}
+
+*{{subtitle}}*
+
+{{#if theme}}
+**Theme:** {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+## {{title}}
+
+{{#if transition}}
+*{{transition}}*
+
+{{/if}}
+{{#each items}}
+### [{{title}}]({{safeUrl url}})
+
+{{excerpt}}
+
+{{#if tags.length}}
+**Tags:** {{join tags ", "}}
+
+{{/if}}
+*{{date}} • Score: {{learningScore}}/100*
+
+---
+
+{{/each}}
+{{/each}}
+## About This Digest
+
+{{footer.message}}
+
+- **Total articles:** {{footer.totalArticles}}
+- **Categories:** {{join footer.categories ", "}}
+- **Generated:** {{localeDateTime footer.generatedAt}}
+`;
+
+const CLEAN_HTML_TEMPLATE = `<h1>{{title}}</h1>
+
+<p><em>{{subtitle}}</em></p>
+
+{{#if theme}}
+<p><strong>Theme:</strong> {{theme}}</p>
+
+{{/if}}
+<p>{{intro}}</p>
+
+{{#each sections}}
+<h2>{{title}}</h2>
+
+{{#if transition}}
+<p><em>{{transition}}</em></p>
+
+{{/if}}
+{{#each items}}
+<h3><a href="{{safeUrl url}}">{{title}}</a></h3>
+
+<p>{{excerpt}}</p>
+
+{{#if tags.length}}
+<p><em>Tags: {{join tags ", "}}</em></p>
+
+{{/if}}
+<p><small>{{date}} • Learning Score: {{learningScore}}/100</small></p>
+
+<hr>
+
+{{/each}}
+{{/each}}
+<h3>About This Digest</h3>
+
+<p>{{footer.message}}</p>
+
+<p><strong>Stats:</strong></p>
+<ul>
+  <li>Total articles: {{footer.totalArticles}}</li>
+  <li>Categories: {{join footer.categories ", "}}</li>
+  <li>Generated: {{localeDateTime footer.generatedAt}}</li>
+</ul>
+`;
+
+// Email clients ignore <style> blocks unevenly, so every element carries inline styles. The one
+// media query only tightens padding on small screens. The preheader is the hidden preview line
+// shown next to the subject in the inbox.
+const EMAIL_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>{{title}}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .container { width: 100% !important; }
+    .content { padding: 20px 16px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;color:#f3f4f6;opacity:0;">{{truncate intro 140}}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f3f4f6;">
+  <tr>
+    <td align="center" style="padding:24px 8px;">
+      <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;border-radius:8px;">
+        <tr>
+          <td class="content" style="padding:32px 40px;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+            <h1 style="margin:0 0 8px;font-size:26px;line-height:32px;font-weight:bold;color:#111827;">{{title}}</h1>
+            <p style="margin:0 0 20px;font-size:16px;line-height:24px;font-style:italic;color:#4b5563;">{{subtitle}}</p>
+{{#if theme}}
+            <p style="margin:0 0 20px;font-size:14px;line-height:20px;color:#2563eb;"><strong>Theme:</strong> {{theme}}</p>
+{{/if}}
+            <p style="margin:0 0 24px;font-size:16px;line-height:24px;color:#374151;">{{intro}}</p>
+{{#each sections}}
+            <h2 style="margin:32px 0 16px;padding-bottom:8px;border-bottom:2px solid #e5e7eb;font-size:20px;line-height:28px;color:#111827;">{{title}}</h2>
+{{#if transition}}
+            <p style="margin:0 0 16px;font-size:15px;line-height:22px;font-style:italic;color:#4b5563;">{{transition}}</p>
+{{/if}}
+{{#each items}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px;">
+              <tr>
+                <td style="font-family:Helvetica,Arial,sans-serif;">
+                  <h3 style="margin:0 0 6px;font-size:17px;line-height:24px;"><a href="{{safeUrl url}}" style="color:#2563eb;text-decoration:none;">{{title}}</a></h3>
+                  <p style="margin:0 0 8px;font-size:15px;line-height:22px;color:#374151;">{{excerpt}}</p>
+                  <p style="margin:0;font-size:12px;line-height:18px;color:#6b7280;">{{date}} &bull; Score: {{learningScore}}/100{{#if tags.length}} &bull; {{join tags ", "}}{{/if}}</p>
+                </td>
+              </tr>
+            </table>
+{{/each}}
+{{/each}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:32px;border-top:1px solid #e5e7eb;">
+              <tr>
+                <td style="padding-top:16px;font-family:Helvetica,Arial,sans-serif;font-size:13px;line-height:20px;color:#6b7280;">
+                  <p style="margin:0 0 8px;">{{footer.message}}</p>
+                  <p style="margin:0;">{{footer.totalArticles}} articles &bull; {{join footer.categories ", "}}</p>
+{{#if unsubscribeUrl}}
+                  <p style="margin:8px 0 0;"><a href="{{safeUrl unsubscribeUrl}}" style="color:#6b7280;text-decoration:underline;">Unsubscribe</a></p>
+{{/if}}
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>
+`;
+
+const PLAIN_TEXT_TEMPLATE = `{{title}}
+{{subtitle}}
+
+{{#if theme}}
+Theme: {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+{{title}}
+----------------------------------------
+
+{{#if transition}}
+{{transition}}
+
+{{/if}}
+{{#each items}}
+{{title}}
+{{url}}
+
+{{excerpt}}
+{{date}} - Score: {{learningScore}}/100{{#if tags.length}} - {{join tags ", "}}{{/if}}
+
+{{/each}}
+{{/each}}
+--
+{{footer.message}}
+{{footer.totalArticles}} articles - {{join footer.categories ", "}}
+{{#if unsubscribeUrl}}
+
+Unsubscribe: {{unsubscribeUrl}}
+{{/if}}
+`;
+
+const BUILTIN_TEMPLATES = [
+  {
+    key: 'substack-text',
+    name: 'Substack rich text',
+    format: 'html',
+    escape_html: false,
+    description: 'Plain text laid out for pasting into the Substack editor',
+    body: SUBSTACK_TEXT_TEMPLATE
+  },
+  {
+    key: 'markdown',
+    name: 'Markdown',
+    format: 'markdown',
+    escape_html: false,
+    description: 'Markdown with linked headings per article',
+    body: MARKDOWN_TEMPLATE
+  },
+  {
+    key: 'clean-html',
+    name: 'Clean HTML',
+    format: 'html',
+    escape_html: true,
+    description: 'Simple semantic HTML for other platforms',
+    body: CLEAN_HTML_TEMPLATE
+  },
+  {
+    key: 'email-html',
+    name: 'Email',
+    format: 'email',
+    escape_html: true,
+    description: 'Table-based responsive email with inline styles and a preheader',
+    body: EMAIL_HTML_TEMPLATE
+  },
+  {
+    key: 'plain-text',
+    name: 'Plain text',
+    format: 'text',
+    escape_html: false,
+    description: 'Plain-text alternative for email',
+    body: PLAIN_TEXT_TEMPLATE
+  }
+];
+
+const DEFAULT_COPY = {
+  title: 'Reading Digest - {{date}}',
+  subtitle: '{{#if today}}My curated learning from today{{else}}My curated learning from the past {{dateRange}} days{{/if}}',
+  intro: "{{#if today}}Today I've been tracking my reading and discovered some fascinating insights{{else}}Over the past {{dateRange}} days, I've been tracking my reading habits and discovered some fascinating insights{{/if}}. I've read {{totalArticles}} high-quality articles and resources, spending {{totalReadingTime}} minutes learning about technology, business strategy, and innovation. Here are the highlights with an average learning value of {{avgScore}}/100.",
+  footer_message: 'This digest was automatically generated from my reading tracker. Each article was intelligently filtered and scored for learning value.',
+  'section.lead': '📌 Lead Story',
+  'section.curated': '⭐ Curated Articles',
+  'section.technology': '🔧 Technology & Development',
+  'section.science': '🔬 Science & Research',
+  'section.business': '💼 Business & Strategy',
+  'section.education': '📚 Learning & Education',
+  'section.future': '🚀 Future & Innovation',
+  'section.linkedin': '💼 LinkedIn Professional Insights',
+  'section.linkedin_newsletter': '📰 Curated LinkedIn Posts',
+  'section.other': '📝 Other Insights',
+  'section.default': '📄 {{capitalize category}}'
+};
+
+// Compiled templates keyed by escaping mode and source. Edited templates leave stale entries
+// behind, so the cache is simply reset once it grows past MAX_COMPILED.
+const MAX_COMPILED = 200;
+const compiled = new Map();
+
+function compileTemplate(body, { escapeHtml = false } = {}) {
+  const cacheKey = `${escapeHtml ? 1 : 0}:${body}`;
+  if (!compiled.has(cacheKey)) {
+    if (compiled.size >= MAX_COMPILED) compiled.clear();
+    compiled.set(cacheKey, engine.compile(body, { noEscape: !escapeHtml, strict: false }));
+  }
+  return compiled.get(cacheKey);
+}
+
+// Sample contexts templates are rendered against before they are saved, with every field the real
+// ones can have (see generateNewsletterContent in server.js)
+const SAMPLE_NEWSLETTER = {
+  title: 'Reading Digest - Monday, January 6, 2025',
+  subtitle: 'My curated learning from the past 7 days',
+  theme: 'Building for scale',
+  subjectLine: 'Building for scale',
+  intro: 'Over the past 7 days I read 2 articles.',
+  sections: [{
+    title: '🔧 Technology & Development',
+    transition: 'Starting with infrastructure.',
+    items: [{
+      sessionId: 1,
+      title: 'Scaling Postgres',
+      url: 'https://example.com/postgres',
+      excerpt: 'How one team sharded their database.',
+      readingTime: 8,
+      learningScore: 85,
+      tags: ['databases', 'scaling'],
+      date: 'Jan 6, 2025',
+      category: 'technology',
+      llmGenerated: true,
+      llmModel: 'llama3'
+    }]
+  }],
+  footer: {
+    totalArticles: 1,
+    categoriesCovered: 1,
+    categories: ['technology'],
+    generatedAt: '2025-01-06T09:00:00.000Z',
+    message: 'This digest was automatically generated from my reading tracker.'
+  },
+  unsubscribeUrl: 'https://example.com/unsubscribe/token'
+};
+
+// Every variable any copy key receives
+const SAMPLE_COPY_CONTEXT = {
+  date: 'Monday, January 6, 2025',
+  today: false,
+  dateRange: 7,
+  totalArticles: 1,
+  totalReadingTime: 8,
+  avgScore: 85,
+  categories: ['technology'],
+  category: 'technology'
+};
+
+// Returns an error message for templates that don't parse, call a helper that isn't registered
+// (in any branch) or fail to render against `sample`, otherwise null
+function validateTemplate(body, sample = SAMPLE_NEWSLETTER) {
+  if (typeof body !== 'string' || !body.trim()) {
+    return 'Template body is required';
+  }
+  try {
+    const knownHelpers = Object.fromEntries(Object.keys(engine.helpers).map(name => [name, true]));
+    engine.precompile(body, { knownHelpers, knownHelpersOnly: true });
+    renderTemplate(body, sample);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+function validateCopy(template) {
+  return validateTemplate(template, SAMPLE_COPY_CONTEXT);
+}
+
+function renderTemplate(body, context, options) {
+  return compileTemplate(body, options)(context);
+}
+
+// Render one copy key, falling back to the built-in text for keys that aren't overridden and for
+// overrides that fail to render
+function renderCopy(copy, key, context) {
+  const defaultTemplate = DEFAULT_COPY[key] ?? DEFAULT_COPY['section.default'];
+  const template = copy[key] ?? DEFAULT_COPY[key];
+  if (!template) return '';
+  
+  try {
+    return renderTemplate(template, context);
+  } catch (error) {
+    console.error(`Error rendering newsletter copy ${key}:`, error.message);
+    return template === defaultTemplate ? '' : renderTemplate(defaultTemplate, context);
+  }
+}
+
+// Section titles use 'section.<category>', or 'section.default' for categories without their own key
+function renderSectionTitle(copy, category) {
+  const key = `section.${category}`;
+  return renderCopy(copy, key in copy || key in DEFAULT_COPY ? key : 'section.default', { category });
+}
+
+module.exports = {
+  BUILTIN_TEMPLATES,
+  DEFAULT_COPY,
+  validateTemplate,
+  validateCopy,
+  renderTemplate,
+  renderCopy,
+  renderSectionTitle
+};
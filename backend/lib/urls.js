@@ -0,0 +1,22 @@
+// URL normalization used to recognise the same article across reading sessions and newsletter issues.
+//
+// Query strings and fragments are dropped (tracking parameters make the same article look different),
+// as are the protocol, a leading "www." and trailing slashes:
+//   https://www.Example.com/post/?utm_source=x#top  ->  example.com/post
+
+function normalizeUrl(url) {
+  if (!url) return null;
+  
+  const normalized = url
+    .trim()
+    .toLowerCase()
+    .split('#')[0]
+    .split('?')[0]
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+  
+  return normalized || null;
+}
+
+module.exports = { normalizeUrl };
@@ -0,0 +1,70 @@
+// Core tables previously created by scripts/init-db.js and patched by scripts/migrate-db.js.
+// Databases created by those scripts already have these tables, so everything here is
+// conditional and the migration simply records them as up to date.
+
+const DEFAULT_TAGS = [
+  { name: 'Technology', color: '#3B82F6' },
+  { name: 'Business', color: '#10B981' },
+  { name: 'Personal', color: '#F59E0B' },
+  { name: 'Research', color: '#8B5CF6' },
+  { name: 'News', color: '#EF4444' }
+];
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE IF NOT EXISTS reading_sessions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      url TEXT,
+      content_type TEXT DEFAULT 'web',
+      reading_time INTEGER DEFAULT 0,
+      word_count INTEGER DEFAULT 0,
+      excerpt TEXT,
+      notes TEXT,
+      learning_score INTEGER DEFAULT 0,
+      category TEXT DEFAULT 'other',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    // Very old databases predate these two columns
+    if (!await db.hasColumn('reading_sessions', 'learning_score')) {
+      await db.run(`ALTER TABLE reading_sessions ADD COLUMN learning_score INTEGER DEFAULT 0`);
+    }
+    if (!await db.hasColumn('reading_sessions', 'category')) {
+      await db.run(`ALTER TABLE reading_sessions ADD COLUMN category TEXT DEFAULT 'other'`);
+    }
+    
+    await db.run(`CREATE TABLE IF NOT EXISTS tags (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      color TEXT DEFAULT '#6B7280',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE IF NOT EXISTS session_tags (
+      session_id INTEGER,
+      tag_id INTEGER,
+      PRIMARY KEY (session_id, tag_id),
+      FOREIGN KEY (session_id) REFERENCES reading_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (tag_id) REFERENCES tags(id) ON DELETE CASCADE
+    )`);
+    
+    await db.run(`CREATE TABLE IF NOT EXISTS settings (
+      key TEXT PRIMARY KEY,
+      value TEXT,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    for (const tag of DEFAULT_TAGS) {
+      await db.run('INSERT OR IGNORE INTO tags (name, color) VALUES (?, ?)', [tag.name, tag.color]);
+    }
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS settings');
+    await db.run('DROP TABLE IF EXISTS session_tags');
+    await db.run('DROP TABLE IF EXISTS tags');
+    await db.run('DROP TABLE IF EXISTS reading_sessions');
+  }
+};
@@ -0,0 +1,43 @@
+// LLM summary columns and provider configuration, previously applied at server
+// startup by initializeLLMSchema() in server.js.
+
+const SUMMARY_COLUMNS = [
+  ['llm_summary', 'TEXT DEFAULT NULL'],
+  ['llm_model', 'TEXT DEFAULT NULL'],
+  ['llm_generated_at', 'TIMESTAMP DEFAULT NULL']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [column, definition] of SUMMARY_COLUMNS) {
+      if (!await db.hasColumn('reading_sessions', column)) {
+        await db.run(`ALTER TABLE reading_sessions ADD COLUMN ${column} ${definition}`);
+      }
+    }
+    
+    await db.run(`CREATE TABLE IF NOT EXISTS llm_config (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      provider TEXT NOT NULL, -- 'ollama', 'openai', 'gemini', 'grok'
+      model_name TEXT NOT NULL,
+      api_key TEXT,
+      api_url TEXT,
+      is_active BOOLEAN DEFAULT FALSE,
+      priority INTEGER DEFAULT 1, -- 1 = highest priority, 2 = second, etc.
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    // llm_config tables created before priority existed
+    if (!await db.hasColumn('llm_config', 'priority')) {
+      await db.run(`ALTER TABLE llm_config ADD COLUMN priority INTEGER DEFAULT 1`);
+    }
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS llm_config');
+    
+    for (const [column] of [...SUMMARY_COLUMNS].reverse()) {
+      await db.run(`ALTER TABLE reading_sessions DROP COLUMN ${column}`);
+    }
+  }
+};
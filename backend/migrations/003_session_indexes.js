@@ -0,0 +1,17 @@
+// Indexes backing the filters and sort options of GET /api/sessions
+
+module.exports = {
+  async up(db) {
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_created_at ON reading_sessions(created_at)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_category ON reading_sessions(category)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_sessions_learning_score ON reading_sessions(learning_score)');
+    await db.run('CREATE INDEX IF NOT EXISTS idx_session_tags_tag_id ON session_tags(tag_id)');
+  },
+  
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_session_tags_tag_id');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_learning_score');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_category');
+    await db.run('DROP INDEX IF EXISTS idx_sessions_created_at');
+  }
+};
@@ -0,0 +1,39 @@
+// Full-text search index over reading sessions. It is an external-content FTS5 table,
+// so the text lives only in reading_sessions and the triggers keep the index in sync.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS reading_sessions_fts USING fts5(
+      title, excerpt, notes, llm_summary,
+      content='reading_sessions', content_rowid='id',
+      tokenize='porter unicode61'
+    )`);
+    
+    await db.run(`CREATE TRIGGER IF NOT EXISTS reading_sessions_fts_insert AFTER INSERT ON reading_sessions BEGIN
+      INSERT INTO reading_sessions_fts(rowid, title, excerpt, notes, llm_summary)
+      VALUES (new.id, new.title, new.excerpt, new.notes, new.llm_summary);
+    END`);
+    
+    await db.run(`CREATE TRIGGER IF NOT EXISTS reading_sessions_fts_delete AFTER DELETE ON reading_sessions BEGIN
+      INSERT INTO reading_sessions_fts(reading_sessions_fts, rowid, title, excerpt, notes, llm_summary)
+      VALUES ('delete', old.id, old.title, old.excerpt, old.notes, old.llm_summary);
+    END`);
+    
+    await db.run(`CREATE TRIGGER IF NOT EXISTS reading_sessions_fts_update AFTER UPDATE OF title, excerpt, notes, llm_summary ON reading_sessions BEGIN
+      INSERT INTO reading_sessions_fts(reading_sessions_fts, rowid, title, excerpt, notes, llm_summary)
+      VALUES ('delete', old.id, old.title, old.excerpt, old.notes, old.llm_summary);
+      INSERT INTO reading_sessions_fts(rowid, title, excerpt, notes, llm_summary)
+      VALUES (new.id, new.title, new.excerpt, new.notes, new.llm_summary);
+    END`);
+    
+    // Index rows that existed before the triggers did
+    await db.run(`INSERT INTO reading_sessions_fts(reading_sessions_fts) VALUES ('rebuild')`);
+  },
+  
+  async down(db) {
+    await db.run('DROP TRIGGER IF EXISTS reading_sessions_fts_update');
+    await db.run('DROP TRIGGER IF EXISTS reading_sessions_fts_delete');
+    await db.run('DROP TRIGGER IF EXISTS reading_sessions_fts_insert');
+    await db.run('DROP TABLE IF EXISTS reading_sessions_fts');
+  }
+};
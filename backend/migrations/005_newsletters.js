@@ -0,0 +1,62 @@
+// Saved newsletter issues. Items are copied from their sessions at generation time so later
+// edits to an issue (excerpts, order, sections) don't touch the underlying reading sessions.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE newsletters (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      title TEXT NOT NULL,
+      subtitle TEXT,
+      intro TEXT,
+      footer_message TEXT,
+      status TEXT NOT NULL DEFAULT 'draft', -- 'draft', 'scheduled', 'published'
+      scheduled_for TIMESTAMP,
+      published_at TIMESTAMP,
+      settings TEXT, -- JSON of the generation parameters
+      revision INTEGER NOT NULL DEFAULT 1,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_items (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      newsletter_id INTEGER NOT NULL,
+      session_id INTEGER, -- NULL for items that were not reading sessions
+      section_title TEXT NOT NULL,
+      position INTEGER NOT NULL,
+      title TEXT NOT NULL,
+      url TEXT,
+      excerpt TEXT,
+      tags TEXT, -- JSON array
+      reading_time INTEGER DEFAULT 0,
+      learning_score INTEGER DEFAULT 0,
+      category TEXT,
+      item_date TEXT,
+      llm_generated BOOLEAN DEFAULT FALSE,
+      llm_model TEXT,
+      FOREIGN KEY (newsletter_id) REFERENCES newsletters(id) ON DELETE CASCADE,
+      FOREIGN KEY (session_id) REFERENCES reading_sessions(id) ON DELETE SET NULL
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_revisions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      newsletter_id INTEGER NOT NULL,
+      revision INTEGER NOT NULL,
+      snapshot TEXT NOT NULL, -- JSON of the issue as it was before the revision was replaced
+      note TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (newsletter_id, revision),
+      FOREIGN KEY (newsletter_id) REFERENCES newsletters(id) ON DELETE CASCADE
+    )`);
+    
+    await db.run('CREATE INDEX idx_newsletters_status ON newsletters(status)');
+    await db.run('CREATE INDEX idx_newsletter_items_newsletter ON newsletter_items(newsletter_id, position)');
+    await db.run('CREATE INDEX idx_newsletter_items_session ON newsletter_items(session_id)');
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS newsletter_revisions');
+    await db.run('DROP TABLE IF EXISTS newsletter_items');
+    await db.run('DROP TABLE IF EXISTS newsletters');
+  }
+};
@@ -0,0 +1,37 @@
+// Normalized URL of each newsletter item, so the generator can recognise articles that already
+// went out in a published issue even when they were saved as a different reading session.
+
+// A frozen copy of normalizeUrl from lib/urls.js as it was when this migration was written, so later
+// changes to the library don't change what this migration stores
+function normalizeUrl(url) {
+  if (!url) return null;
+  
+  const normalized = url
+    .trim()
+    .toLowerCase()
+    .split('#')[0]
+    .split('?')[0]
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+  
+  return normalized || null;
+}
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE newsletter_items ADD COLUMN normalized_url TEXT');
+    
+    const items = await db.all('SELECT id, url FROM newsletter_items WHERE url IS NOT NULL');
+    for (const item of items) {
+      await db.run('UPDATE newsletter_items SET normalized_url = ? WHERE id = ?', [normalizeUrl(item.url), item.id]);
+    }
+    
+    await db.run('CREATE INDEX idx_newsletter_items_normalized_url ON newsletter_items(normalized_url)');
+  },
+  
+  async down(db) {
+    await db.run('DROP INDEX IF EXISTS idx_newsletter_items_normalized_url');
+    await db.run('ALTER TABLE newsletter_items DROP COLUMN normalized_url');
+  }
+};
@@ -0,0 +1,42 @@
+// Recurring newsletter generation. Each schedule runs the generate-from-queue pipeline and saves
+// the result as a draft issue; every run is recorded in newsletter_schedule_runs.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE newsletter_schedules (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      frequency TEXT NOT NULL, -- 'daily' or 'weekly'
+      day_of_week INTEGER, -- 0 (Sunday) to 6, weekly schedules only
+      time_of_day TEXT NOT NULL, -- 'HH:MM' in server local time
+      settings TEXT, -- JSON generation parameters (dateRange, minScore, includeTracked, resurface)
+      enabled BOOLEAN DEFAULT TRUE,
+      next_run_at TEXT, -- ISO timestamp
+      last_run_at TEXT,
+      last_status TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_schedule_runs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      schedule_id INTEGER NOT NULL,
+      status TEXT NOT NULL, -- 'running', 'success', 'empty', 'failed'
+      newsletter_id INTEGER,
+      article_count INTEGER,
+      error TEXT,
+      started_at TEXT NOT NULL,
+      finished_at TEXT,
+      FOREIGN KEY (schedule_id) REFERENCES newsletter_schedules(id) ON DELETE CASCADE,
+      FOREIGN KEY (newsletter_id) REFERENCES newsletters(id) ON DELETE SET NULL
+    )`);
+    
+    await db.run('CREATE INDEX idx_newsletter_schedules_next_run ON newsletter_schedules(enabled, next_run_at)');
+    await db.run('CREATE INDEX idx_newsletter_schedule_runs_schedule ON newsletter_schedule_runs(schedule_id, started_at)');
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS newsletter_schedule_runs');
+    await db.run('DROP TABLE IF EXISTS newsletter_schedules');
+  }
+};
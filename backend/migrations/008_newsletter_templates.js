@@ -0,0 +1,182 @@
+// User-editable newsletter templates, one default per output format, plus overrides for the copy
+// (title, intro, footer, section titles) used when generating a newsletter.
+//
+// The built-in templates are seeded as lib/templates.js shipped them when this migration was
+// written; later versions of the library don't change what it inserts.
+
+const SUBSTACK_TEXT_TEMPLATE = `{{title}}
+
+{{subtitle}}
+
+{{intro}}
+
+{{#each sections}}
+{{title}}
+
+{{#each items}}
+{{title}}
+Link: {{url}}
+
+{{excerpt}}
+
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+{{date}} • Score: {{learningScore}}/100
+
+—————————————————————————————————————
+
+{{/each}}
+{{/each}}
+About This Digest
+
+{{footer.message}}
+
+📊 Stats:
+• Total articles: {{footer.totalArticles}}
+• Categories: {{join footer.categories ", "}}
+• Generated: {{localeDateTime footer.generatedAt}}
+`;
+
+const MARKDOWN_TEMPLATE = `# {{title}}
+
+*{{subtitle}}*
+
+{{intro}}
+
+{{#each sections}}
+## {{title}}
+
+{{#each items}}
+### [{{title}}]({{url}})
+
+{{excerpt}}
+
+{{#if tags.length}}
+**Tags:** {{join tags ", "}}
+
+{{/if}}
+*{{date}} • Score: {{learningScore}}/100*
+
+---
+
+{{/each}}
+{{/each}}
+## About This Digest
+
+{{footer.message}}
+
+- **Total articles:** {{footer.totalArticles}}
+- **Categories:** {{join footer.categories ", "}}
+- **Generated:** {{localeDateTime footer.generatedAt}}
+`;
+
+const CLEAN_HTML_TEMPLATE = `<h1>{{title}}</h1>
+
+<p><em>{{subtitle}}</em></p>
+
+<p>{{intro}}</p>
+
+{{#each sections}}
+<h2>{{title}}</h2>
+
+{{#each items}}
+<h3><a href="{{url}}">{{title}}</a></h3>
+
+<p>{{excerpt}}</p>
+
+{{#if tags.length}}
+<p><em>Tags: {{join tags ", "}}</em></p>
+
+{{/if}}
+<p><small>{{date}} • Learning Score: {{learningScore}}/100</small></p>
+
+<hr>
+
+{{/each}}
+{{/each}}
+<h3>About This Digest</h3>
+
+<p>{{footer.message}}</p>
+
+<p><strong>Stats:</strong></p>
+<ul>
+  <li>Total articles: {{footer.totalArticles}}</li>
+  <li>Categories: {{join footer.categories ", "}}</li>
+  <li>Generated: {{localeDateTime footer.generatedAt}}</li>
+</ul>
+`;
+
+const SEEDED_TEMPLATES = [
+  {
+    key: 'substack-text',
+    name: 'Substack rich text',
+    format: 'html',
+    escape_html: false,
+    description: 'Plain text laid out for pasting into the Substack editor',
+    body: SUBSTACK_TEXT_TEMPLATE
+  },
+  {
+    key: 'markdown',
+    name: 'Markdown',
+    format: 'markdown',
+    escape_html: false,
+    description: 'Markdown with linked headings per article',
+    body: MARKDOWN_TEMPLATE
+  },
+  {
+    key: 'clean-html',
+    name: 'Clean HTML',
+    format: 'html',
+    escape_html: true,
+    description: 'Simple semantic HTML for other platforms',
+    body: CLEAN_HTML_TEMPLATE
+  }
+];
+const DEFAULT_TEMPLATE_KEYS = { html: 'substack-text', markdown: 'markdown' };
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE newsletter_templates (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      builtin_key TEXT UNIQUE, -- set for the read-only templates shipped with the app
+      name TEXT NOT NULL,
+      format TEXT NOT NULL, -- output format the template renders, e.g. 'html', 'markdown'
+      description TEXT,
+      body TEXT NOT NULL, -- Handlebars source
+      escape_html BOOLEAN DEFAULT FALSE,
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_copy (
+      key TEXT PRIMARY KEY,
+      template TEXT NOT NULL,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run('CREATE INDEX idx_newsletter_templates_format ON newsletter_templates(format, is_default)');
+    
+    for (const template of SEEDED_TEMPLATES) {
+      await db.run(
+        `INSERT INTO newsletter_templates (builtin_key, name, format, description, body, escape_html, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          template.key,
+          template.name,
+          template.format,
+          template.description,
+          template.body,
+          template.escape_html ? 1 : 0,
+          DEFAULT_TEMPLATE_KEYS[template.format] === template.key ? 1 : 0
+        ]
+      );
+    }
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS newsletter_copy');
+    await db.run('DROP TABLE IF EXISTS newsletter_templates');
+  }
+};
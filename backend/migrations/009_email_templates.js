@@ -0,0 +1,119 @@
+// Built-in templates for the email format (inline-styled HTML) and its plain-text alternative, as
+// lib/templates.js shipped them when this migration was written
+
+const EMAIL_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>{{title}}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .container { width: 100% !important; }
+    .content { padding: 20px 16px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;color:#f3f4f6;opacity:0;">{{truncate intro 140}}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f3f4f6;">
+  <tr>
+    <td align="center" style="padding:24px 8px;">
+      <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;border-radius:8px;">
+        <tr>
+          <td class="content" style="padding:32px 40px;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+            <h1 style="margin:0 0 8px;font-size:26px;line-height:32px;font-weight:bold;color:#111827;">{{title}}</h1>
+            <p style="margin:0 0 20px;font-size:16px;line-height:24px;font-style:italic;color:#4b5563;">{{subtitle}}</p>
+            <p style="margin:0 0 24px;font-size:16px;line-height:24px;color:#374151;">{{intro}}</p>
+{{#each sections}}
+            <h2 style="margin:32px 0 16px;padding-bottom:8px;border-bottom:2px solid #e5e7eb;font-size:20px;line-height:28px;color:#111827;">{{title}}</h2>
+{{#each items}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px;">
+              <tr>
+                <td style="font-family:Helvetica,Arial,sans-serif;">
+                  <h3 style="margin:0 0 6px;font-size:17px;line-height:24px;"><a href="{{safeUrl url}}" style="color:#2563eb;text-decoration:none;">{{title}}</a></h3>
+                  <p style="margin:0 0 8px;font-size:15px;line-height:22px;color:#374151;">{{excerpt}}</p>
+                  <p style="margin:0;font-size:12px;line-height:18px;color:#6b7280;">{{date}} &bull; Score: {{learningScore}}/100{{#if tags.length}} &bull; {{join tags ", "}}{{/if}}</p>
+                </td>
+              </tr>
+            </table>
+{{/each}}
+{{/each}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:32px;border-top:1px solid #e5e7eb;">
+              <tr>
+                <td style="padding-top:16px;font-family:Helvetica,Arial,sans-serif;font-size:13px;line-height:20px;color:#6b7280;">
+                  <p style="margin:0 0 8px;">{{footer.message}}</p>
+                  <p style="margin:0;">{{footer.totalArticles}} articles &bull; {{join footer.categories ", "}}</p>
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>
+`;
+
+const PLAIN_TEXT_TEMPLATE = `{{title}}
+{{subtitle}}
+
+{{intro}}
+
+{{#each sections}}
+{{title}}
+----------------------------------------
+
+{{#each items}}
+{{title}}
+{{url}}
+
+{{excerpt}}
+{{date}} - Score: {{learningScore}}/100{{#if tags.length}} - {{join tags ", "}}{{/if}}
+
+{{/each}}
+{{/each}}
+--
+{{footer.message}}
+{{footer.totalArticles}} articles - {{join footer.categories ", "}}
+`;
+
+const SEEDED_TEMPLATES = [
+  {
+    key: 'email-html',
+    name: 'Email',
+    format: 'email',
+    escape_html: true,
+    description: 'Table-based responsive email with inline styles and a preheader',
+    body: EMAIL_HTML_TEMPLATE
+  },
+  {
+    key: 'plain-text',
+    name: 'Plain text',
+    format: 'text',
+    escape_html: false,
+    description: 'Plain-text alternative for email',
+    body: PLAIN_TEXT_TEMPLATE
+  }
+];
+
+module.exports = {
+  async up(db) {
+    for (const template of SEEDED_TEMPLATES) {
+      await db.run(
+        `INSERT INTO newsletter_templates (builtin_key, name, format, description, body, escape_html, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, 1)`,
+        [template.key, template.name, template.format, template.description, template.body, template.escape_html ? 1 : 0]
+      );
+    }
+  },
+  
+  async down(db) {
+    await db.run(
+      `DELETE FROM newsletter_templates WHERE format IN ('email', 'text')`
+    );
+  }
+};
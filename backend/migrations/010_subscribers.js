@@ -0,0 +1,155 @@
+// Newsletter delivery over SMTP: subscribers with double opt-in, one newsletter_sends row per send of
+// an issue and one newsletter_deliveries row per recipient of that send.
+
+// The built-in email templates with the unsubscribe footer, frozen as lib/templates.js had them
+// when this migration was written
+const EMAIL_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>{{title}}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .container { width: 100% !important; }
+    .content { padding: 20px 16px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;color:#f3f4f6;opacity:0;">{{truncate intro 140}}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f3f4f6;">
+  <tr>
+    <td align="center" style="padding:24px 8px;">
+      <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;border-radius:8px;">
+        <tr>
+          <td class="content" style="padding:32px 40px;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+            <h1 style="margin:0 0 8px;font-size:26px;line-height:32px;font-weight:bold;color:#111827;">{{title}}</h1>
+            <p style="margin:0 0 20px;font-size:16px;line-height:24px;font-style:italic;color:#4b5563;">{{subtitle}}</p>
+            <p style="margin:0 0 24px;font-size:16px;line-height:24px;color:#374151;">{{intro}}</p>
+{{#each sections}}
+            <h2 style="margin:32px 0 16px;padding-bottom:8px;border-bottom:2px solid #e5e7eb;font-size:20px;line-height:28px;color:#111827;">{{title}}</h2>
+{{#each items}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px;">
+              <tr>
+                <td style="font-family:Helvetica,Arial,sans-serif;">
+                  <h3 style="margin:0 0 6px;font-size:17px;line-height:24px;"><a href="{{safeUrl url}}" style="color:#2563eb;text-decoration:none;">{{title}}</a></h3>
+                  <p style="margin:0 0 8px;font-size:15px;line-height:22px;color:#374151;">{{excerpt}}</p>
+                  <p style="margin:0;font-size:12px;line-height:18px;color:#6b7280;">{{date}} &bull; Score: {{learningScore}}/100{{#if tags.length}} &bull; {{join tags ", "}}{{/if}}</p>
+                </td>
+              </tr>
+            </table>
+{{/each}}
+{{/each}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:32px;border-top:1px solid #e5e7eb;">
+              <tr>
+                <td style="padding-top:16px;font-family:Helvetica,Arial,sans-serif;font-size:13px;line-height:20px;color:#6b7280;">
+                  <p style="margin:0 0 8px;">{{footer.message}}</p>
+                  <p style="margin:0;">{{footer.totalArticles}} articles &bull; {{join footer.categories ", "}}</p>
+{{#if unsubscribeUrl}}
+                  <p style="margin:8px 0 0;"><a href="{{safeUrl unsubscribeUrl}}" style="color:#6b7280;text-decoration:underline;">Unsubscribe</a></p>
+{{/if}}
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>
+`;
+
+const PLAIN_TEXT_TEMPLATE = `{{title}}
+{{subtitle}}
+
+{{intro}}
+
+{{#each sections}}
+{{title}}
+----------------------------------------
+
+{{#each items}}
+{{title}}
+{{url}}
+
+{{excerpt}}
+{{date}} - Score: {{learningScore}}/100{{#if tags.length}} - {{join tags ", "}}{{/if}}
+
+{{/each}}
+{{/each}}
+--
+{{footer.message}}
+{{footer.totalArticles}} articles - {{join footer.categories ", "}}
+{{#if unsubscribeUrl}}
+
+Unsubscribe: {{unsubscribeUrl}}
+{{/if}}
+`;
+
+const REFRESHED_TEMPLATES = { 'email-html': EMAIL_HTML_TEMPLATE, 'plain-text': PLAIN_TEXT_TEMPLATE };
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE subscribers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      email TEXT NOT NULL UNIQUE COLLATE NOCASE,
+      name TEXT,
+      status TEXT NOT NULL DEFAULT 'pending', -- 'pending' (awaiting confirmation), 'active', 'unsubscribed'
+      confirm_token TEXT UNIQUE,
+      unsubscribe_token TEXT NOT NULL UNIQUE,
+      confirmed_at TIMESTAMP,
+      unsubscribed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_sends (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      newsletter_id INTEGER NOT NULL,
+      status TEXT NOT NULL, -- 'sending', 'sent', 'partial', 'failed'
+      recipient_count INTEGER NOT NULL DEFAULT 0,
+      sent_count INTEGER NOT NULL DEFAULT 0,
+      failed_count INTEGER NOT NULL DEFAULT 0,
+      started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      finished_at TIMESTAMP,
+      FOREIGN KEY (newsletter_id) REFERENCES newsletters(id) ON DELETE CASCADE
+    )`);
+    
+    await db.run(`CREATE TABLE newsletter_deliveries (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      send_id INTEGER NOT NULL,
+      subscriber_id INTEGER,
+      email TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'sent', 'failed'
+      attempts INTEGER NOT NULL DEFAULT 0,
+      message_id TEXT,
+      last_error TEXT,
+      sent_at TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (send_id) REFERENCES newsletter_sends(id) ON DELETE CASCADE,
+      FOREIGN KEY (subscriber_id) REFERENCES subscribers(id) ON DELETE SET NULL
+    )`);
+    
+    await db.run('CREATE INDEX idx_subscribers_status ON subscribers(status)');
+    await db.run('CREATE INDEX idx_newsletter_sends_newsletter ON newsletter_sends(newsletter_id, started_at)');
+    await db.run('CREATE INDEX idx_newsletter_deliveries_send ON newsletter_deliveries(send_id, status)');
+    
+    // The built-in email templates gained an unsubscribe footer
+    for (const [key, body] of Object.entries(REFRESHED_TEMPLATES)) {
+      await db.run(
+        'UPDATE newsletter_templates SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE builtin_key = ?',
+        [body, key]
+      );
+    }
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS newsletter_deliveries');
+    await db.run('DROP TABLE IF EXISTS newsletter_sends');
+    await db.run('DROP TABLE IF EXISTS subscribers');
+  }
+};
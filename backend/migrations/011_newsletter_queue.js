@@ -0,0 +1,117 @@
+// The newsletter queue used to be reading_sessions rows with category = 'newsletter_queue', which
+// hid the article's real category, inflated the stats and duplicated sessions that were already
+// tracked. Queue entries now live in their own table and point at a session, or carry their own
+// title/url/excerpt when they stand alone (LinkedIn posts).
+
+const CATEGORIES = ['technology', 'science', 'business', 'education', 'future', 'linkedin', 'linkedin_newsletter', 'other'];
+
+// A frozen copy of normalizeUrl from lib/urls.js as it was when this migration was written
+function normalizeUrl(url) {
+  if (!url) return null;
+  
+  const normalized = url
+    .trim()
+    .toLowerCase()
+    .split('#')[0]
+    .split('?')[0]
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+    .replace(/^www\./, '')
+    .replace(/\/+$/, '');
+  
+  return normalized || null;
+}
+
+// The extension's newsletter button noted the analysed category: "Added via newsletter button - <category> content"
+function categoryFromNotes(notes) {
+  const match = /- (\w+) content$/.exec(notes || '');
+  return match && CATEGORIES.includes(match[1]) ? match[1] : 'other';
+}
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE newsletter_queue (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      session_id INTEGER, -- NULL for standalone items
+      title TEXT, -- standalone items only; linked items use the session's fields
+      url TEXT,
+      excerpt TEXT,
+      content_type TEXT,
+      category TEXT,
+      learning_score INTEGER,
+      position INTEGER NOT NULL,
+      editor_note TEXT,
+      target_newsletter_id INTEGER, -- issue the item is planned for; NULL for the next one
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      FOREIGN KEY (session_id) REFERENCES reading_sessions(id) ON DELETE CASCADE,
+      FOREIGN KEY (target_newsletter_id) REFERENCES newsletters(id) ON DELETE SET NULL
+    )`);
+    
+    await db.run('CREATE UNIQUE INDEX idx_newsletter_queue_session ON newsletter_queue(session_id) WHERE session_id IS NOT NULL');
+    await db.run('CREATE INDEX idx_newsletter_queue_position ON newsletter_queue(position)');
+    
+    const queued = await db.all("SELECT * FROM reading_sessions WHERE category = 'newsletter_queue' ORDER BY created_at, id");
+    let position = 0;
+    
+    for (const row of queued) {
+      position += 1;
+      
+      if (/linkedin\.com/i.test(row.url || '')) {
+        await db.run(`
+          INSERT INTO newsletter_queue (title, url, excerpt, content_type, category, learning_score, position, created_at)
+          VALUES (?, ?, ?, ?, 'linkedin_newsletter', ?, ?, ?)
+        `, [row.title, row.url, row.excerpt, row.content_type, row.learning_score, position, row.created_at]);
+        await db.run('DELETE FROM session_tags WHERE session_id = ?', [row.id]);
+        await db.run('UPDATE newsletter_items SET session_id = NULL WHERE session_id = ?', [row.id]);
+        await db.run('DELETE FROM reading_sessions WHERE id = ?', [row.id]);
+        continue;
+      }
+      
+      // Prefer the session that tracked the article in the first place over the queue's copy
+      const normalized = row.url ? normalizeUrl(row.url) : null;
+      const candidates = normalized
+        ? await db.all(
+          "SELECT * FROM reading_sessions WHERE category != 'newsletter_queue' AND url LIKE ? ORDER BY created_at DESC",
+          [`%${normalized}%`]
+        )
+        : [];
+      const original = candidates.find(candidate => normalizeUrl(candidate.url) === normalized);
+      const alreadyQueued = original && await db.get('SELECT id FROM newsletter_queue WHERE session_id = ?', [original.id]);
+      
+      if (original) {
+        if (!original.llm_summary && row.llm_summary) {
+          await db.run(
+            'UPDATE reading_sessions SET llm_summary = ?, llm_model = ?, llm_generated_at = ? WHERE id = ?',
+            [row.llm_summary, row.llm_model, row.llm_generated_at, original.id]
+          );
+        }
+        if (!alreadyQueued) {
+          await db.run('INSERT INTO newsletter_queue (session_id, position, created_at) VALUES (?, ?, ?)', [original.id, position, row.created_at]);
+        }
+        await db.run('DELETE FROM session_tags WHERE session_id = ?', [row.id]);
+        await db.run('UPDATE newsletter_items SET session_id = ? WHERE session_id = ?', [original.id, row.id]);
+        await db.run('DELETE FROM reading_sessions WHERE id = ?', [row.id]);
+      } else {
+        await db.run('UPDATE reading_sessions SET category = ? WHERE id = ?', [categoryFromNotes(row.notes), row.id]);
+        await db.run('INSERT INTO newsletter_queue (session_id, position, created_at) VALUES (?, ?, ?)', [row.id, position, row.created_at]);
+      }
+    }
+  },
+  
+  async down(db) {
+    // Back to the old model: linked sessions are recategorised, standalone items become sessions
+    const items = await db.all('SELECT * FROM newsletter_queue ORDER BY position');
+    for (const item of items) {
+      if (item.session_id) {
+        await db.run("UPDATE reading_sessions SET category = 'newsletter_queue' WHERE id = ?", [item.session_id]);
+      } else {
+        await db.run(`
+          INSERT INTO reading_sessions (title, url, content_type, excerpt, learning_score, category, created_at)
+          VALUES (?, ?, ?, ?, ?, 'newsletter_queue', ?)
+        `, [item.title, item.url, item.content_type || 'web', item.excerpt, item.learning_score || 0, item.created_at]);
+      }
+    }
+    
+    await db.run('DROP TABLE IF EXISTS newsletter_queue');
+  }
+};
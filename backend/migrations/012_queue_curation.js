@@ -0,0 +1,16 @@
+// Curation fields for queue items: a pinned lead story, the editor's own commentary (shown instead
+// of the LLM summary or excerpt) and a custom section to group the item under.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE newsletter_queue ADD COLUMN pinned BOOLEAN NOT NULL DEFAULT 0');
+    await db.run('ALTER TABLE newsletter_queue ADD COLUMN commentary TEXT');
+    await db.run('ALTER TABLE newsletter_queue ADD COLUMN section TEXT');
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE newsletter_queue DROP COLUMN section');
+    await db.run('ALTER TABLE newsletter_queue DROP COLUMN commentary');
+    await db.run('ALTER TABLE newsletter_queue DROP COLUMN pinned');
+  }
+};
@@ -0,0 +1,33 @@
+// Persistent background jobs (LLM summarization). The worker in lib/jobs.js claims queued jobs
+// whose run_after has passed; failed attempts are re-queued with backoff until max_attempts.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE background_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      type TEXT NOT NULL, -- handler name, e.g. 'summarize-batch'
+      payload TEXT, -- JSON handler input
+      status TEXT NOT NULL DEFAULT 'queued', -- 'queued', 'running', 'completed', 'failed', 'cancelled'
+      progress_current INTEGER NOT NULL DEFAULT 0,
+      progress_total INTEGER NOT NULL DEFAULT 0,
+      progress_message TEXT,
+      result TEXT, -- JSON handler output
+      error TEXT, -- last error, kept while a retry is pending
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      cancel_requested BOOLEAN NOT NULL DEFAULT 0,
+      run_after TEXT NOT NULL, -- ISO timestamp
+      started_at TEXT,
+      finished_at TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run('CREATE INDEX idx_background_jobs_status ON background_jobs(status, run_after)');
+    await db.run('CREATE INDEX idx_background_jobs_type ON background_jobs(type, created_at)');
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS background_jobs');
+  }
+};
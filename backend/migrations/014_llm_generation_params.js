@@ -0,0 +1,12 @@
+// Per-configuration generation parameters (temperature, max_tokens, top_p, stop) as JSON. NULL
+// means the defaults from lib/llm/params.js.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE llm_config ADD COLUMN generation_params TEXT');
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE llm_config DROP COLUMN generation_params');
+  }
+};
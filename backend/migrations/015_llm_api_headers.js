@@ -0,0 +1,12 @@
+// Extra HTTP headers sent to a provider (e.g. for a self-hosted OpenAI-compatible server behind a
+// gateway). Stored as encrypted JSON, like api_key, since they usually carry credentials.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE llm_config ADD COLUMN api_headers TEXT');
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE llm_config DROP COLUMN api_headers');
+  }
+};
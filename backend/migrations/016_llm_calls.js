@@ -0,0 +1,38 @@
+// Ledger of LLM calls for token, cost and latency accounting, plus overrides of the default
+// token prices in lib/llm/pricing.js.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE llm_calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      config_id INTEGER, -- llm_config row, kept when the configuration is deleted
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      purpose TEXT NOT NULL, -- 'summary', 'intro', 'classify'
+      session_id INTEGER,
+      status TEXT NOT NULL, -- 'success' or 'error'
+      error TEXT,
+      prompt_tokens INTEGER NOT NULL DEFAULT 0,
+      completion_tokens INTEGER NOT NULL DEFAULT 0,
+      tokens_estimated BOOLEAN NOT NULL DEFAULT 0, -- provider reported no counts
+      latency_ms INTEGER NOT NULL,
+      cost_usd REAL NOT NULL DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run('CREATE INDEX idx_llm_calls_created ON llm_calls(created_at)');
+    await db.run('CREATE INDEX idx_llm_calls_session ON llm_calls(session_id)');
+    
+    await db.run(`CREATE TABLE llm_prices (
+      key TEXT PRIMARY KEY, -- '<provider>:<model prefix>'
+      input_per_mtok REAL NOT NULL, -- USD per million prompt tokens
+      output_per_mtok REAL NOT NULL, -- USD per million completion tokens
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS llm_prices');
+    await db.run('DROP TABLE IF EXISTS llm_calls');
+  }
+};
@@ -0,0 +1,23 @@
+// Summaries keyed by a hash of the normalized article content, prompt version and model (see
+// lib/llm/cache.js), so re-summarizing the same article doesn't call the LLM again. Cache hits are
+// recorded in llm_calls with status 'cached'.
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE llm_summary_cache (
+      key TEXT PRIMARY KEY, -- sha256 of content, prompt version and model
+      provider TEXT NOT NULL,
+      model TEXT NOT NULL,
+      prompt_version TEXT NOT NULL,
+      summary TEXT NOT NULL,
+      cost_usd REAL NOT NULL DEFAULT 0, -- cost of the call that produced the summary
+      hits INTEGER NOT NULL DEFAULT 0,
+      last_hit_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+  },
+  
+  async down(db) {
+    await db.run('DROP TABLE IF EXISTS llm_summary_cache');
+  }
+};
@@ -0,0 +1,174 @@
+// Named, versioned prompt templates for LLM calls (see lib/llm/prompts.js): article summaries and
+// the editorial parts of newsletter issues. Summaries record the prompt id and version that
+// produced them. The first built-in prompt of each purpose is its default.
+//
+// The built-in prompts are seeded from a frozen copy of BUILTIN_PROMPTS, so editing the library
+// later doesn't change what this migration inserts.
+
+const DEFAULT_MAX_CONTENT_LENGTH = 8000;
+
+const SEEDED_PROMPTS = [
+  {
+    key: 'newsletter-summary',
+    name: 'Newsletter summary',
+    purpose: 'summary',
+    description: 'Concise 2-3 sentence summary of the key takeaways',
+    body: `Please provide a concise, engaging summary of this article in 2-3 sentences. Focus on the key insights and takeaways that would be valuable for {{#if audience}}{{audience}}{{else}}a professional newsletter{{/if}}.
+
+Title: {{title}}
+URL: {{url}}
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+Content: {{content}}
+
+Summary:`
+  },
+  {
+    key: 'technical-deep-dive',
+    name: 'Technical deep-dive',
+    purpose: 'summary',
+    description: 'Technologies, techniques and trade-offs, for practitioners',
+    audience: 'experienced software engineers',
+    body: `Summarize this article for {{audience}} in 3-4 sentences. Name the specific technologies, techniques and trade-offs it covers, and say what a practitioner could apply from it. Leave out marketing language.
+
+Title: {{title}}
+URL: {{url}}
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+Content: {{content}}
+
+Summary:`
+  },
+  {
+    key: 'executive-brief',
+    name: 'Executive brief',
+    purpose: 'summary',
+    description: 'Two sentences on business impact',
+    audience: 'busy executives',
+    body: `Write a two-sentence brief of this article for {{audience}}. The first sentence states the main point; the second says why it matters for business strategy or decisions. Avoid jargon.
+
+Title: {{title}}
+URL: {{url}}
+Content: {{content}}
+
+Brief:`
+  },
+  {
+    key: 'editorial-theme',
+    name: 'Theme of the week',
+    purpose: 'editorial-theme',
+    description: 'A theme of at most eight words',
+    body: `These are the articles in this issue of a personal reading newsletter, grouped by section:
+
+{{articles}}
+
+In at most eight words, name the theme that ties this reading together. Reply with the theme only.
+
+Theme:`
+  },
+  {
+    key: 'editorial-intro',
+    name: 'Editorial intro',
+    purpose: 'editorial-intro',
+    description: 'A warm first-person intro of 3-4 sentences',
+    body: `You write the editorial intro of a personal reading newsletter, in the first person. These are the articles in this issue:
+
+{{articles}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+Write a warm, specific intro of 3-4 sentences that draws the threads between the articles and tells readers what to look out for. Don't list every article, and don't use a greeting or sign-off. Reply with the intro only.
+
+Intro:`
+  },
+  {
+    key: 'editorial-transition',
+    name: 'Section transition',
+    purpose: 'editorial-transition',
+    description: 'One sentence leading into a section',
+    body: `You are editing a personal reading newsletter. Its sections, with the current one marked:
+
+{{outline}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+The current section "{{section}}" contains:
+{{sectionArticles}}
+
+Write one sentence that leads the reader into this section. Reply with the sentence only.
+
+Transition:`
+  },
+  {
+    key: 'editorial-subject',
+    name: 'Subject line',
+    purpose: 'editorial-subject',
+    description: 'An email subject line of at most 60 characters',
+    body: `These are the articles in this issue of a personal reading newsletter:
+
+{{articles}}
+
+{{#if theme}}
+The theme of this issue: {{theme}}
+
+{{/if}}
+Suggest an email subject line of at most 60 characters that makes subscribers want to open it. No emoji, no quotes. Reply with the subject line only.
+
+Subject line:`
+  }
+];
+
+module.exports = {
+  async up(db) {
+    await db.run(`CREATE TABLE llm_prompts (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      builtin_key TEXT UNIQUE, -- set for the prompts shipped with the app, which can't be deleted
+      name TEXT NOT NULL,
+      purpose TEXT NOT NULL DEFAULT 'summary',
+      description TEXT,
+      audience TEXT, -- default for the {{audience}} variable
+      max_content_length INTEGER NOT NULL DEFAULT ${DEFAULT_MAX_CONTENT_LENGTH}, -- article characters passed as {{content}}
+      body TEXT NOT NULL, -- Handlebars source of the current version
+      version INTEGER NOT NULL DEFAULT 1, -- current version
+      is_default BOOLEAN DEFAULT FALSE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )`);
+    
+    await db.run(`CREATE TABLE llm_prompt_versions (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      prompt_id INTEGER NOT NULL,
+      version INTEGER NOT NULL,
+      body TEXT NOT NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (prompt_id, version),
+      FOREIGN KEY (prompt_id) REFERENCES llm_prompts (id) ON DELETE CASCADE
+    )`);
+    
+    await db.run('ALTER TABLE reading_sessions ADD COLUMN llm_prompt_id INTEGER');
+    await db.run('ALTER TABLE reading_sessions ADD COLUMN llm_prompt_version INTEGER');
+    
+    for (const [index, prompt] of SEEDED_PROMPTS.entries()) {
+      const isDefault = SEEDED_PROMPTS.findIndex(other => other.purpose === prompt.purpose) === index;
+      const result = await db.run(
+        `INSERT INTO llm_prompts (builtin_key, name, purpose, description, audience, body, is_default)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [prompt.key, prompt.name, prompt.purpose, prompt.description, prompt.audience || null, prompt.body, isDefault ? 1 : 0]
+      );
+      await db.run('INSERT INTO llm_prompt_versions (prompt_id, version, body) VALUES (?, 1, ?)', [result.lastID, prompt.body]);
+    }
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE reading_sessions DROP COLUMN llm_prompt_version');
+    await db.run('ALTER TABLE reading_sessions DROP COLUMN llm_prompt_id');
+    await db.run('DROP TABLE IF EXISTS llm_prompt_versions');
+    await db.run('DROP TABLE IF EXISTS llm_prompts');
+  }
+};
@@ -0,0 +1,259 @@
+// Editorial copy written by the LLM (see lib/llm/editorial.js): a theme, a subject line and
+// per-section transitions for each issue. The built-in templates are refreshed so they render the
+// theme and transitions, with the bodies lib/templates.js had when this migration was written.
+
+const SUBSTACK_TEXT_TEMPLATE = `{{title}}
+
+{{subtitle}}
+
+{{#if theme}}
+Theme: {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+{{title}}
+
+{{#if transition}}
+{{transition}}
+
+{{/if}}
+{{#each items}}
+{{title}}
+Link: {{url}}
+
+{{excerpt}}
+
+{{#if tags.length}}
+Tags: {{join tags ", "}}
+{{/if}}
+{{date}} • Score: {{learningScore}}/100
+
+—————————————————————————————————————
+
+{{/each}}
+{{/each}}
+About This Digest
+
+{{footer.message}}
+
+📊 Stats:
+• Total articles: {{footer.totalArticles}}
+• Categories: {{join footer.categories ", "}}
+• Generated: {{localeDateTime footer.generatedAt}}
+`;
+
+const MARKDOWN_TEMPLATE = `# {{title}}
+
+*{{subtitle}}*
+
+{{#if theme}}
+**Theme:** {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+## {{title}}
+
+{{#if transition}}
+*{{transition}}*
+
+{{/if}}
+{{#each items}}
+### [{{title}}]({{url}})
+
+{{excerpt}}
+
+{{#if tags.length}}
+**Tags:** {{join tags ", "}}
+
+{{/if}}
+*{{date}} • Score: {{learningScore}}/100*
+
+---
+
+{{/each}}
+{{/each}}
+## About This Digest
+
+{{footer.message}}
+
+- **Total articles:** {{footer.totalArticles}}
+- **Categories:** {{join footer.categories ", "}}
+- **Generated:** {{localeDateTime footer.generatedAt}}
+`;
+
+const CLEAN_HTML_TEMPLATE = `<h1>{{title}}</h1>
+
+<p><em>{{subtitle}}</em></p>
+
+{{#if theme}}
+<p><strong>Theme:</strong> {{theme}}</p>
+
+{{/if}}
+<p>{{intro}}</p>
+
+{{#each sections}}
+<h2>{{title}}</h2>
+
+{{#if transition}}
+<p><em>{{transition}}</em></p>
+
+{{/if}}
+{{#each items}}
+<h3><a href="{{url}}">{{title}}</a></h3>
+
+<p>{{excerpt}}</p>
+
+{{#if tags.length}}
+<p><em>Tags: {{join tags ", "}}</em></p>
+
+{{/if}}
+<p><small>{{date}} • Learning Score: {{learningScore}}/100</small></p>
+
+<hr>
+
+{{/each}}
+{{/each}}
+<h3>About This Digest</h3>
+
+<p>{{footer.message}}</p>
+
+<p><strong>Stats:</strong></p>
+<ul>
+  <li>Total articles: {{footer.totalArticles}}</li>
+  <li>Categories: {{join footer.categories ", "}}</li>
+  <li>Generated: {{localeDateTime footer.generatedAt}}</li>
+</ul>
+`;
+
+const EMAIL_HTML_TEMPLATE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="x-apple-disable-message-reformatting">
+<title>{{title}}</title>
+<style>
+  @media only screen and (max-width: 620px) {
+    .container { width: 100% !important; }
+    .content { padding: 20px 16px !important; }
+  }
+</style>
+</head>
+<body style="margin:0;padding:0;background-color:#f3f4f6;">
+<div style="display:none;max-height:0;overflow:hidden;mso-hide:all;font-size:1px;line-height:1px;color:#f3f4f6;opacity:0;">{{truncate intro 140}}</div>
+<table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="background-color:#f3f4f6;">
+  <tr>
+    <td align="center" style="padding:24px 8px;">
+      <table role="presentation" class="container" width="600" cellpadding="0" cellspacing="0" border="0" style="width:600px;max-width:600px;background-color:#ffffff;border-radius:8px;">
+        <tr>
+          <td class="content" style="padding:32px 40px;font-family:Helvetica,Arial,sans-serif;color:#111827;">
+            <h1 style="margin:0 0 8px;font-size:26px;line-height:32px;font-weight:bold;color:#111827;">{{title}}</h1>
+            <p style="margin:0 0 20px;font-size:16px;line-height:24px;font-style:italic;color:#4b5563;">{{subtitle}}</p>
+{{#if theme}}
+            <p style="margin:0 0 20px;font-size:14px;line-height:20px;color:#2563eb;"><strong>Theme:</strong> {{theme}}</p>
+{{/if}}
+            <p style="margin:0 0 24px;font-size:16px;line-height:24px;color:#374151;">{{intro}}</p>
+{{#each sections}}
+            <h2 style="margin:32px 0 16px;padding-bottom:8px;border-bottom:2px solid #e5e7eb;font-size:20px;line-height:28px;color:#111827;">{{title}}</h2>
+{{#if transition}}
+            <p style="margin:0 0 16px;font-size:15px;line-height:22px;font-style:italic;color:#4b5563;">{{transition}}</p>
+{{/if}}
+{{#each items}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin:0 0 20px;">
+              <tr>
+                <td style="font-family:Helvetica,Arial,sans-serif;">
+                  <h3 style="margin:0 0 6px;font-size:17px;line-height:24px;"><a href="{{safeUrl url}}" style="color:#2563eb;text-decoration:none;">{{title}}</a></h3>
+                  <p style="margin:0 0 8px;font-size:15px;line-height:22px;color:#374151;">{{excerpt}}</p>
+                  <p style="margin:0;font-size:12px;line-height:18px;color:#6b7280;">{{date}} &bull; Score: {{learningScore}}/100{{#if tags.length}} &bull; {{join tags ", "}}{{/if}}</p>
+                </td>
+              </tr>
+            </table>
+{{/each}}
+{{/each}}
+            <table role="presentation" width="100%" cellpadding="0" cellspacing="0" border="0" style="margin-top:32px;border-top:1px solid #e5e7eb;">
+              <tr>
+                <td style="padding-top:16px;font-family:Helvetica,Arial,sans-serif;font-size:13px;line-height:20px;color:#6b7280;">
+                  <p style="margin:0 0 8px;">{{footer.message}}</p>
+                  <p style="margin:0;">{{footer.totalArticles}} articles &bull; {{join footer.categories ", "}}</p>
+{{#if unsubscribeUrl}}
+                  <p style="margin:8px 0 0;"><a href="{{safeUrl unsubscribeUrl}}" style="color:#6b7280;text-decoration:underline;">Unsubscribe</a></p>
+{{/if}}
+                </td>
+              </tr>
+            </table>
+          </td>
+        </tr>
+      </table>
+    </td>
+  </tr>
+</table>
+</body>
+</html>
+`;
+
+const PLAIN_TEXT_TEMPLATE = `{{title}}
+{{subtitle}}
+
+{{#if theme}}
+Theme: {{theme}}
+
+{{/if}}
+{{intro}}
+
+{{#each sections}}
+{{title}}
+----------------------------------------
+
+{{#if transition}}
+{{transition}}
+
+{{/if}}
+{{#each items}}
+{{title}}
+{{url}}
+
+{{excerpt}}
+{{date}} - Score: {{learningScore}}/100{{#if tags.length}} - {{join tags ", "}}{{/if}}
+
+{{/each}}
+{{/each}}
+--
+{{footer.message}}
+{{footer.totalArticles}} articles - {{join footer.categories ", "}}
+{{#if unsubscribeUrl}}
+
+Unsubscribe: {{unsubscribeUrl}}
+{{/if}}
+`;
+
+const REFRESHED_TEMPLATES = {
+  'substack-text': SUBSTACK_TEXT_TEMPLATE,
+  markdown: MARKDOWN_TEMPLATE,
+  'clean-html': CLEAN_HTML_TEMPLATE,
+  'email-html': EMAIL_HTML_TEMPLATE,
+  'plain-text': PLAIN_TEXT_TEMPLATE
+};
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE newsletters ADD COLUMN theme TEXT');
+    await db.run('ALTER TABLE newsletters ADD COLUMN subject_line TEXT'); // email subject; the title when empty
+    await db.run('ALTER TABLE newsletters ADD COLUMN section_transitions TEXT'); // JSON: section title -> transition
+    
+    for (const [key, body] of Object.entries(REFRESHED_TEMPLATES)) {
+      await db.run('UPDATE newsletter_templates SET body = ?, updated_at = CURRENT_TIMESTAMP WHERE builtin_key = ?', [body, key]);
+    }
+  },
+  
+  // Built-in template bodies keep the theme and transition blocks, which render nothing without
+  // the columns
+  async down(db) {
+    await db.run('ALTER TABLE newsletters DROP COLUMN section_transitions');
+    await db.run('ALTER TABLE newsletters DROP COLUMN subject_line');
+    await db.run('ALTER TABLE newsletters DROP COLUMN theme');
+  }
+};
@@ -0,0 +1,16 @@
+// Server-side classification of reading sessions (see lib/llm/classify.js): a difficulty level,
+// and when and by what the category and tags were last assigned.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE reading_sessions ADD COLUMN difficulty TEXT'); // beginner, intermediate, advanced
+    await db.run('ALTER TABLE reading_sessions ADD COLUMN classified_at DATETIME');
+    await db.run('ALTER TABLE reading_sessions ADD COLUMN classified_by TEXT'); // provider:model, or 'heuristic'
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE reading_sessions DROP COLUMN classified_by');
+    await db.run('ALTER TABLE reading_sessions DROP COLUMN classified_at');
+    await db.run('ALTER TABLE reading_sessions DROP COLUMN difficulty');
+  }
+};
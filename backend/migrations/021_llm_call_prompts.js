@@ -0,0 +1,14 @@
+// The library prompt and version behind each LLM call (summaries and editorial copy, see
+// lib/llm/prompts.js), so the ledger shows which prompt version produced what it cost.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE llm_calls ADD COLUMN prompt_id INTEGER'); // llm_prompts row, kept when the prompt is deleted
+    await db.run('ALTER TABLE llm_calls ADD COLUMN prompt_version INTEGER');
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE llm_calls DROP COLUMN prompt_version');
+    await db.run('ALTER TABLE llm_calls DROP COLUMN prompt_id');
+  }
+};
@@ -0,0 +1,28 @@
+// The markdown and clean HTML built-in templates link items through the safeUrl helper, like the
+// email template, so a stored javascript: URL renders as '#'. Built-in rows are read-only, so
+// their bodies are patched in place.
+
+const LINKS = [
+  ['markdown', '### [{{title}}]({{url}})', '### [{{title}}]({{safeUrl url}})'],
+  ['clean-html', '<h3><a href="{{url}}">{{title}}</a></h3>', '<h3><a href="{{safeUrl url}}">{{title}}</a></h3>']
+];
+
+module.exports = {
+  async up(db) {
+    for (const [key, unsafe, safe] of LINKS) {
+      await db.run(
+        'UPDATE newsletter_templates SET body = REPLACE(body, ?, ?), updated_at = CURRENT_TIMESTAMP WHERE builtin_key = ?',
+        [unsafe, safe, key]
+      );
+    }
+  },
+  
+  async down(db) {
+    for (const [key, unsafe, safe] of LINKS) {
+      await db.run(
+        'UPDATE newsletter_templates SET body = REPLACE(body, ?, ?), updated_at = CURRENT_TIMESTAMP WHERE builtin_key = ?',
+        [safe, unsafe, key]
+      );
+    }
+  }
+};
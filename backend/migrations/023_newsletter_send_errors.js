@@ -0,0 +1,12 @@
+// Why a newsletter send failed as a whole (the issue or templates couldn't be loaded, the totals
+// couldn't be recorded), as opposed to the per-recipient errors in newsletter_deliveries.last_error.
+
+module.exports = {
+  async up(db) {
+    await db.run('ALTER TABLE newsletter_sends ADD COLUMN error TEXT');
+  },
+  
+  async down(db) {
+    await db.run('ALTER TABLE newsletter_sends DROP COLUMN error');
+  }
+};
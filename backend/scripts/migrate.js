@@ -0,0 +1,70 @@
+const sqlite3 = require('sqlite3').verbose();
+const { Migrator } = require('../lib/migrator');
+
+const dbPath = process.env.DB_PATH || '/app/data/reading_tracker.db';
+
+const USAGE = `Usage: node scripts/migrate.js <command> [options]
+
+Commands:
+  status              List migrations and whether each has been applied
+  up [--to N]         Apply pending migrations (optionally only up to version N)
+  down [--steps N]    Revert the last N applied migrations (default 1)
+  down --to N         Revert every applied migration above version N`;
+
+function parseOption(args, name) {
+  const index = args.indexOf(name);
+  if (index === -1) return null;
+  
+  const value = parseInt(args[index + 1], 10);
+  if (isNaN(value)) {
+    throw new Error(`${name} requires a numeric value`);
+  }
+  return value;
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  
+  if (!['status', 'up', 'down'].includes(command)) {
+    console.log(USAGE);
+    process.exit(command ? 1 : 0);
+  }
+  
+  const db = await new Promise((resolve, reject) => {
+    const connection = new sqlite3.Database(dbPath, (err) => {
+      if (err) reject(err);
+      else resolve(connection);
+    });
+  });
+  
+  const migrator = new Migrator(db);
+  const log = message => console.log(message);
+  
+  try {
+    if (command === 'status') {
+      console.log(`Database: ${dbPath}\n`);
+      const migrations = await migrator.status();
+      migrations.forEach(m => {
+        const state = m.missing ? 'applied (file missing)' : m.applied ? `applied ${m.applied_at}` : 'pending';
+        console.log(`${String(m.version).padStart(3, '0')}  ${m.name.padEnd(30)} ${state}`);
+      });
+      const pending = migrations.filter(m => !m.applied).length;
+      console.log(`\n${pending} pending migration${pending === 1 ? '' : 's'}`);
+    } else if (command === 'up') {
+      const applied = await migrator.up({ to: parseOption(args, '--to') ?? Infinity, log });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else {
+      const to = parseOption(args, '--to');
+      const steps = parseOption(args, '--steps') ?? 1;
+      const reverted = await migrator.down({ steps, to, log });
+      console.log(reverted.length > 0 ? `Reverted ${reverted.length} migration(s)` : 'Nothing to revert');
+    }
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+main().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exit(1);
+});
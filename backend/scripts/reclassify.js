@@ -0,0 +1,57 @@
+const fetch = require('node-fetch');
+
+const apiUrl = (process.env.API_URL || 'http://localhost:3001').replace(/\/$/, '');
+const missingOnly = process.argv.includes('--missing');
+const force = process.argv.includes('--force');
+const POLL_INTERVAL = 2000;
+
+// Reclassifies reading sessions through the running backend, so the configured LLM providers,
+// their health and the usage ledger all apply. Pass --missing to only classify sessions that were
+// never classified, and --force to replace categories and difficulties that are already set
+// (LinkedIn categories are always kept). Progress is printed until the job finishes.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function request(path, options = {}) {
+  const response = await fetch(`${apiUrl}${path}`, options);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(data.error || `${response.status} ${response.statusText}`);
+  }
+  return data;
+}
+
+async function reclassify() {
+  console.log(`Reclassifying ${missingOnly ? 'unclassified' : 'all'} sessions via ${apiUrl}${force ? ', replacing existing categories' : ''}`);
+  
+  const { job, message } = await request('/api/llm/reclassify-all', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ missingOnly, force })
+  });
+  console.log(message);
+  if (!job) return;
+  
+  let current = job;
+  let lastReported = null;
+  while (['queued', 'running'].includes(current.status)) {
+    await sleep(POLL_INTERVAL);
+    current = await request(`/api/jobs/${job.id}`);
+    
+    const { current: done, total } = current.progress;
+    if (total && done !== lastReported) {
+      console.log(`  ${done}/${total}${current.progress.message ? ` ${current.progress.message}` : ''}`);
+      lastReported = done;
+    }
+  }
+  
+  if (current.status !== 'completed') {
+    throw new Error(`Job ${job.id} ${current.status}${current.error ? `: ${current.error}` : ''}`);
+  }
+  console.log(`Classified ${current.result.classified} session(s), ${current.result.heuristic} of them with keyword heuristics.`);
+}
+
+reclassify().catch(error => {
+  console.error('Reclassification failed:', error.message);
+  process.exitCode = 1;
+});
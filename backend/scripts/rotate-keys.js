@@ -0,0 +1,93 @@
+const sqlite3 = require('sqlite3').verbose();
+const { encryptApiKey, decryptValue, needsReencryption, currentKeyVersion, usingDefaultKey } = require('../lib/secrets');
+
+const dbPath = process.env.DB_PATH || '/app/data/reading_tracker.db';
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--all');
+
+// Re-encrypts llm_config.api_key and api_headers with the current ENCRYPTION_KEY / ENCRYPTION_KEY_VERSION.
+// Values written with older key versions (or the legacy aes192 format) are decrypted with
+// ENCRYPTION_PREVIOUS_KEYS. Pass --all to re-encrypt values already on the current version,
+// and --dry-run to report what would change without writing.
+
+console.log(`Rotating API keys in ${dbPath} to key version ${currentKeyVersion()}${dryRun ? ' (dry run)' : ''}`);
+
+if (usingDefaultKey()) {
+  console.warn('Warning: ENCRYPTION_KEY is not set, so keys will be encrypted with the built-in default key.');
+}
+
+const db = new sqlite3.Database(dbPath, (err) => {
+  if (err) {
+    console.error('Error opening database:', err.message);
+    process.exit(1);
+  }
+});
+
+function run(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+}
+
+function all(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+}
+
+const ENCRYPTED_COLUMNS = ['api_key', 'api_headers'];
+
+async function rotateKeys() {
+  const rows = await all('SELECT id, provider, model_name, api_key, api_headers FROM llm_config WHERE api_key IS NOT NULL OR api_headers IS NOT NULL');
+  const updates = [];
+  const failures = [];
+  
+  for (const row of rows) {
+    for (const column of ENCRYPTED_COLUMNS) {
+      if (!row[column] || (!force && !needsReencryption(row[column]))) continue;
+      
+      try {
+        updates.push({ row, column, encrypted: encryptApiKey(decryptValue(row[column])) });
+      } catch (error) {
+        failures.push({ row, column, error });
+      }
+    }
+  }
+  
+  // Refuse to write anything if some keys can't be read; a partial rotation is harder to recover from
+  if (failures.length > 0) {
+    failures.forEach(({ row, column, error }) => {
+      console.error(`  ✗ ${row.provider}:${row.model_name} (id ${row.id}) ${column}: ${error.message}`);
+    });
+    throw new Error(`${failures.length} secret(s) could not be decrypted. Check ENCRYPTION_PREVIOUS_KEYS.`);
+  }
+  
+  if (!dryRun && updates.length > 0) {
+    await run('BEGIN');
+    try {
+      for (const { row, column, encrypted } of updates) {
+        await run(`UPDATE llm_config SET ${column} = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [encrypted, row.id]);
+      }
+      await run('COMMIT');
+    } catch (error) {
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  }
+  
+  updates.forEach(({ row, column }) => console.log(`  ✓ ${row.provider}:${row.model_name} (id ${row.id}) ${column}`));
+  console.log(`${dryRun ? 'Would re-encrypt' : 'Re-encrypted'} ${updates.length} stored secret(s) across ${rows.length} configuration(s).`);
+}
+
+rotateKeys()
+  .catch(error => {
+    console.error('Key rotation failed:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.close());
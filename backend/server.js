@@ -4,35 +4,41 @@ const bodyParser = require('body-parser');
 const helmet = require('helmet');
 const sqlite3 = require('sqlite3').verbose();
 const path = require('path');
-const fetch = require('node-fetch');
 const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const fetch = require('node-fetch');
+const { Migrator } = require('./lib/migrator');
+const { encryptApiKey, decryptApiKey, assertEncryptionKeyConfigured, usingDefaultKey } = require('./lib/secrets');
+const { normalizeUrl } = require('./lib/urls');
+const { Scheduler, validateSchedule, computeNextRun } = require('./lib/scheduler');
+const { DEFAULT_COPY, validateTemplate, validateCopy, renderTemplate, renderCopy, renderSectionTitle } = require('./lib/templates');
+const { Mailer } = require('./lib/mailer');
+const { FEED_FORMATS } = require('./lib/feeds');
+const { JobQueue, TERMINAL_STATUSES } = require('./lib/jobs');
+const { EventStream } = require('./lib/events');
+const {
+  getAdapter, hasAdapter, listAdapters, HealthTracker,
+  DEFAULT_GENERATION_PARAMS, validateGenerationParams, generationParams, validateApiHeaders,
+  DEFAULT_PRICES, PRICE_KEY_PATTERN, estimateTokens, findPrice, callCost, validatePrice,
+  cacheKey, PROMPT_VARIABLES, PROMPT_PURPOSES, DEFAULT_MAX_CONTENT_LENGTH, truncateContent, validatePrompt, renderPrompt,
+  EDITORIAL_PARTS, renderEditorialPrompt, cleanEditorialText,
+  DIFFICULTIES, heuristicClassify, classificationPrompt, mapToExistingTags, parseClassification
+} = require('./lib/llm');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
 const DB_PATH = process.env.DB_PATH || '/app/data/reading_tracker.db';
 
-// Basic encryption for API keys (not production-grade, but better than plain text)
-const ENCRYPTION_KEY = process.env.ENCRYPTION_KEY || 'reading-tracker-default-key-change-in-production';
-
-function encryptApiKey(text) {
-  if (!text) return null;
-  const cipher = crypto.createCipher('aes192', ENCRYPTION_KEY);
-  let encrypted = cipher.update(text, 'utf8', 'hex');
-  encrypted += cipher.final('hex');
-  return encrypted;
+// API keys are encrypted at rest; refuse to run in production with the default key
+try {
+  assertEncryptionKeyConfigured();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
 }
 
-function decryptApiKey(encrypted) {
-  if (!encrypted) return null;
-  try {
-    const decipher = crypto.createDecipher('aes192', ENCRYPTION_KEY);
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
-    decrypted += decipher.final('utf8');
-    return decrypted;
-  } catch (error) {
-    console.error('Error decrypting API key:', error);
-    return null;
-  }
+if (usingDefaultKey()) {
+  console.warn('Warning: ENCRYPTION_KEY is not set; API keys are encrypted with the built-in development key.');
 }
 
 // Middleware
@@ -49,81 +55,154 @@ const db = new sqlite3.Database(DB_PATH, (err) => {
   }
   console.log('Connected to SQLite database.');
   
-  // Update database schema for LLM features
-  initializeLLMSchema();
+  checkSchemaAndStart();
 });
 
-// Initialize LLM-related database schema
-function initializeLLMSchema() {
-  // Add LLM summary columns to reading_sessions table
-  db.run(`ALTER TABLE reading_sessions ADD COLUMN llm_summary TEXT DEFAULT NULL`, (err) => {
-    if (err && !err.message.includes('duplicate column')) {
-      console.error('Error adding llm_summary column:', err.message);
+// Refuse to serve requests against a database whose schema is behind the code
+async function checkSchemaAndStart() {
+  try {
+    const pending = await new Migrator(db).pending();
+    if (pending.length > 0) {
+      console.error(`Database schema is out of date: ${pending.length} pending migration(s):`);
+      pending.forEach(migration => console.error(`  - ${migration.file}`));
+      console.error('Run "npm run migrate" (node scripts/migrate.js up) and restart the server.');
+      process.exit(1);
     }
-  });
+  } catch (error) {
+    console.error('Error checking database schema:', error.message);
+    process.exit(1);
+  }
   
-  db.run(`ALTER TABLE reading_sessions ADD COLUMN llm_model TEXT DEFAULT NULL`, (err) => {
-    if (err && !err.message.includes('duplicate column')) {
-      console.error('Error adding llm_model column:', err.message);
-    }
+  startServer();
+}
+
+// Promise wrappers around the sqlite3 callback API for use in async handlers
+function dbGet(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
   });
-  
-  db.run(`ALTER TABLE reading_sessions ADD COLUMN llm_generated_at TIMESTAMP DEFAULT NULL`, (err) => {
-    if (err && !err.message.includes('duplicate column')) {
-      console.error('Error adding llm_generated_at column:', err.message);
-    }
+}
+
+function dbAll(sql, params = []) {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
   });
-  
-  // Create LLM configuration table
-  db.run(`CREATE TABLE IF NOT EXISTS llm_config (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    provider TEXT NOT NULL, -- 'ollama', 'openai', 'gemini', 'grok'
-    model_name TEXT NOT NULL,
-    api_key TEXT,
-    api_url TEXT,
-    is_active BOOLEAN DEFAULT FALSE,
-    priority INTEGER DEFAULT 1, -- 1 = highest priority, 2 = second, etc.
-    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating llm_config table:', err.message);
-    } else {
-      console.log('LLM configuration table ready');
-    }
+}
+
+function runStatement(sql, params) {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function(err) {
+      if (err) reject(err);
+      else resolve({ lastID: this.lastID, changes: this.changes });
+    });
   });
+}
+
+// Every request shares one connection, so a write issued while another request's transaction is
+// open would become part of that transaction and be discarded by its ROLLBACK. Writes and whole
+// transactions therefore take turns in one queue; writes made inside a transaction's `work` (the
+// open transaction is tracked with AsyncLocalStorage) run at once. Reads aren't queued.
+let writeQueue = Promise.resolve();
+const openTransaction = new AsyncLocalStorage();
+
+function enqueueWrite(write) {
+  const run = writeQueue.then(write);
+  writeQueue = run.catch(() => {});
+  return run;
+}
+
+function dbRun(sql, params = []) {
+  const transaction = openTransaction.getStore();
+  return transaction && transaction.open ? runStatement(sql, params) : enqueueWrite(() => runStatement(sql, params));
+}
+
+function withTransaction(work) {
+  // A nested transaction joins the open one rather than waiting behind it in the queue
+  const current = openTransaction.getStore();
+  if (current && current.open) return work();
   
-  // Add priority column to existing table
-  db.run(`ALTER TABLE llm_config ADD COLUMN priority INTEGER DEFAULT 1`, (err) => {
-    if (err && !err.message.includes('duplicate column')) {
-      console.error('Error adding priority column:', err.message);
-    } else {
-      console.log('Priority column added/verified in llm_config table');
-    }
+  return enqueueWrite(() => {
+    const transaction = { open: true };
+    return openTransaction.run(transaction, async () => {
+      await runStatement('BEGIN');
+      try {
+        const result = await work();
+        await runStatement('COMMIT');
+        return result;
+      } catch (error) {
+        await runStatement('ROLLBACK').catch(() => {});
+        throw error;
+      } finally {
+        // Anything `work` left running (events, jobs) writes through the queue from here on
+        transaction.open = false;
+      }
+    });
   });
-  
-  console.log('Database schema updated for LLM features');
 }
 
+// Live updates for dashboard clients (GET /api/events): session-created, queue-changed,
+// summary-generated and stats-changed
+const liveEvents = new EventStream();
+
+async function publishSessionCreated(sessionId) {
+  try {
+    const session = await getSessionById(sessionId);
+    if (session) liveEvents.publish('session-created', { session });
+    liveEvents.publish('stats-changed');
+  } catch (error) {
+    console.error('Error publishing session event:', error.message);
+  }
+}
+
+// Announce a new session and queue it for classification
+function sessionCreated(sessionId) {
+  publishSessionCreated(sessionId);
+  if (AUTO_CLASSIFY) {
+    enqueueClassification([sessionId]).catch(error => console.error('Error queueing classification:', error.message));
+  }
+}
+
+// Per-configuration success/failure tracking; configurations whose breaker is open are skipped
+const llmHealth = new HealthTracker();
+
+// New sessions are classified in the background unless AUTO_CLASSIFY=false
+const AUTO_CLASSIFY = process.env.AUTO_CLASSIFY !== 'false';
+
+// Monthly spending cap in USD for paid providers (unset: no cap)
+const LLM_MONTHLY_BUDGET = Number(process.env.LLM_MONTHLY_BUDGET) > 0 ? Number(process.env.LLM_MONTHLY_BUDGET) : null;
+
 // LLM Service Layer
 class LLMService {
   static async getActiveConfigs() {
     return new Promise((resolve, reject) => {
       db.all('SELECT * FROM llm_config WHERE is_active = 1 ORDER BY priority ASC', [], (err, rows) => {
         if (err) reject(err);
-        else {
-          const configs = rows.map(row => {
-            if (row.api_key) {
-              row.api_key = decryptApiKey(row.api_key);
-            }
-            return row;
-          });
-          resolve(configs);
-        }
+        else resolve(rows.map(row => this.decryptConfig(row)));
       });
     });
   }
   
+  // Decrypt a stored configuration's API key and extra headers for use by an adapter
+  static decryptConfig(row) {
+    return {
+      ...row,
+      api_key: row.api_key ? decryptApiKey(row.api_key) : row.api_key,
+      api_headers: row.api_headers ? JSON.parse(decryptApiKey(row.api_headers)) : {}
+    };
+  }
+  
+  // One decrypted configuration by id, or null
+  static async getConfig(id) {
+    const row = await dbGet('SELECT * FROM llm_config WHERE id = ?', [id]);
+    return row ? this.decryptConfig(row) : null;
+  }
+  
   static async getActiveConfig() {
     const configs = await this.getActiveConfigs();
     return configs.length > 0 ? configs[0] : null;
@@ -223,14 +302,9 @@ class LLMService {
           continue;
         }
         
-        // Limit content length for LLM processing
-        if (content.length > 8000) {
-          content = content.substring(0, 8000) + '...';
-        }
-        
         console.log(`Successfully extracted ${content.length} characters from ${url}`);
         return content;
-        
+      
       } catch (error) {
         console.log(`Failed with User-Agent ${userAgent.substring(0, 30)}...: ${error.message}`);
         continue;
@@ -241,56 +315,82 @@ class LLMService {
     return null;
   }
   
-  static async generateSummary(title, url, content) {
+  // Run a prompt through the active configurations in priority order (the waterfall) until one
+  // succeeds. Configurations whose circuit breaker is open are skipped, and so are paid providers
+  // once the monthly budget is spent. Every attempt is recorded in the llm_calls ledger under
+  // `purpose` and `sessionId`, and `promptId` / `promptVersion` when the prompt comes from the
+  // prompt library.
+  //
+  // With `onToken` the output is streamed: onAttempt(config) is called before each model in the
+  // waterfall is tried (text streamed by a model that then fails should be discarded) and
+  // onToken(text) for every piece of output. `signal` aborts a streaming request.
+  static async complete(prompt, { purpose, sessionId = null, promptId = null, promptVersion = null, onToken, onAttempt, signal } = {}) {
     const configs = await this.getActiveConfigs();
     if (configs.length === 0) {
       throw new Error('No active LLM configurations found');
     }
     
-    const prompt = `Please provide a concise, engaging summary of this article in 2-3 sentences. Focus on the key insights and takeaways that would be valuable for a professional newsletter.
-
-Title: ${title}
-URL: ${url}
-Content: ${content}
-
-Summary:`;
-
+    const budgetExceeded = configs.some(config => hasAdapter(config.provider) && getAdapter(config.provider).paid)
+      && (await this.getBudget()).exceeded;
+    const prices = await this.loadPrices();
     const errors = [];
     
-    // Try each LLM in priority order (waterfall)
     for (const config of configs) {
+      const name = `${config.provider}:${config.model_name}`;
+      
+      if (budgetExceeded && hasAdapter(config.provider) && getAdapter(config.provider).paid) {
+        console.log(`⏭️  Skipping ${name} (monthly budget exceeded)`);
+        errors.push(`${name} skipped: monthly LLM budget exceeded`);
+        continue;
+      }
+      if (!llmHealth.allowRequest(config.id)) {
+        console.log(`⏭️  Skipping ${name} (circuit open)`);
+        errors.push(`${name} skipped: circuit open after repeated failures`);
+        continue;
+      }
+      
+      const started = Date.now();
       try {
-        console.log(`Trying ${config.provider}:${config.model_name} (priority ${config.priority})`);
+        console.log(`Trying ${name} (priority ${config.priority})`);
         
-        let summary;
+        const adapter = getAdapter(config.provider);
+        const params = generationParams(config);
         
-        switch (config.provider) {
-          case 'ollama':
-            summary = await this.generateWithOllama(config, prompt);
-            break;
-          case 'openai':
-            summary = await this.generateWithOpenAI(config, prompt);
-            break;
-          case 'gemini':
-            summary = await this.generateWithGemini(config, prompt);
-            break;
-          case 'grok':
-            summary = await this.generateWithGrok(config, prompt);
-            break;
-          default:
-            throw new Error(`Unsupported LLM provider: ${config.provider}`);
+        let result;
+        if (onToken) {
+          if (onAttempt) onAttempt(config);
+          result = await adapter.stream(config, prompt, { params, onToken, signal });
+        } else {
+          result = await adapter.generate(config, prompt, { params, signal });
         }
         
-        console.log(`✅ Success with ${config.provider}:${config.model_name}`);
+        const latencyMs = Date.now() - started;
+        llmHealth.recordSuccess(config.id, latencyMs, { fallback: errors.length > 0 });
+        
+        const usage = result.usage || { promptTokens: estimateTokens(prompt), completionTokens: estimateTokens(result.text) };
+        const costUsd = callCost(findPrice(prices, config.provider, config.model_name), usage);
+        await this.recordCall(config, { purpose, sessionId, promptId, promptVersion, status: 'success', usage, estimated: !result.usage, latencyMs, costUsd });
+        
+        console.log(`✅ Success with ${name}`);
         return {
-          summary,
+          text: result.text,
           model: config.model_name,
           provider: config.provider,
-          priority: config.priority
+          priority: config.priority,
+          usage,
+          costUsd
         };
-        
+      
       } catch (error) {
-        const errorMsg = `${config.provider}:${config.model_name} failed: ${error.message}`;
+        if (signal && signal.aborted) {
+          llmHealth.release(config.id);
+          throw error;
+        }
+        
+        llmHealth.recordFailure(config.id, error);
+        await this.recordCall(config, { purpose, sessionId, promptId, promptVersion, status: 'error', error: error.message, latencyMs: Date.now() - started });
+        
+        const errorMsg = `${name} failed: ${error.message}`;
         console.log(`❌ ${errorMsg}`);
         errors.push(errorMsg);
         continue;
@@ -301,107 +401,209 @@ Summary:`;
     throw new Error(`All LLM models failed. Errors: ${errors.join('; ')}`);
   }
   
-  static async generateWithOllama(config, prompt) {
-    // Try multiple Ollama endpoints
-    const baseUrls = [
-      config.api_url,
-      'http://host.docker.internal:11434',
-      'http://localhost:11434',
-      'http://127.0.0.1:11434'
-    ].filter(Boolean);
+  // A prompt of the given purpose by id, or the default prompt of that purpose
+  static async getPrompt(id = null, purpose = 'summary') {
+    return id
+      ? dbGet('SELECT * FROM llm_prompts WHERE id = ? AND purpose = ?', [id, purpose])
+      : dbGet('SELECT * FROM llm_prompts WHERE purpose = ? AND is_default = 1', [purpose]);
+  }
+  
+  // Summarize an article with a prompt from the library (the default one unless `prompt` is given).
+  // `audience` overrides the prompt's own audience.
+  //
+  // Summaries are cached per article content, prompt version and model (see lib/llm/cache.js).
+  // The cache is looked up for every active configuration in priority order, so a summary written
+  // by a fallback model is reused while it stays active. `refresh` skips the lookup and replaces
+  // the cached entry with a freshly generated summary.
+  static async generateSummary(title, url, content, { tags = [], prompt, audience, sessionId, refresh = false, onToken, onAttempt, signal } = {}) {
+    const summaryPrompt = prompt || await this.getPrompt();
+    if (!summaryPrompt) {
+      throw new Error('No summary prompt found');
+    }
     
-    let lastError;
+    // The audience isn't part of the prompt version, so it goes into the cache key separately
+    const effectiveAudience = audience || summaryPrompt.audience;
+    const cacheEntry = {
+      content: truncateContent(content, summaryPrompt.max_content_length),
+      promptVersion: `${summaryPrompt.id}.${summaryPrompt.version}${effectiveAudience ? `:${effectiveAudience}` : ''}`
+    };
+    const promptInfo = { promptId: summaryPrompt.id, promptVersion: summaryPrompt.version };
     
-    for (const baseUrl of baseUrls) {
-      try {
-        const response = await fetch(`${baseUrl}/api/generate`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            model: config.model_name,
-            prompt: prompt,
-            stream: false
-          })
-        });
-        
-        if (!response.ok) {
-          throw new Error(`Ollama API error: ${response.status}`);
+    if (!refresh) {
+      const cached = await this.findCachedSummary(cacheEntry, { sessionId, ...promptInfo });
+      if (cached) {
+        if (onToken) {
+          if (onAttempt) onAttempt(cached.config);
+          onToken(cached.summary);
         }
-        
-        const data = await response.json();
-        return data.response;
-      } catch (error) {
-        lastError = error;
-        continue;
+        return {
+          summary: cached.summary,
+          model: cached.config.model_name,
+          provider: cached.config.provider,
+          priority: cached.config.priority,
+          ...promptInfo,
+          cached: true
+        };
       }
     }
     
-    throw lastError || new Error('Could not connect to Ollama');
+    const text = renderPrompt(summaryPrompt, { title, url, content, tags, audience });
+    const result = await this.complete(text, { purpose: 'summary', sessionId, ...promptInfo, onToken, onAttempt, signal });
+    await this.cacheSummary(cacheEntry, result);
+    return {
+      summary: result.text,
+      model: result.model,
+      provider: result.provider,
+      priority: result.priority,
+      ...promptInfo,
+      cached: false
+    };
   }
   
-  static async generateWithOpenAI(config, prompt) {
-    const response = await fetch('https://api.openai.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.api_key}`
-      },
-      body: JSON.stringify({
-        model: config.model_name,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
-        temperature: 0.7
-      })
-    });
+  static async findCachedSummary({ content, promptVersion }, { sessionId = null, ...promptInfo } = {}) {
+    const configs = await this.getActiveConfigs();
+    const keys = configs.map(config => cacheKey({ content, promptVersion, provider: config.provider, model: config.model_name }));
+    if (keys.length === 0) return null;
     
-    if (!response.ok) {
-      throw new Error(`OpenAI API error: ${response.status}`);
-    }
+    const rows = await dbAll(
+      `SELECT key, summary FROM llm_summary_cache WHERE key IN (${keys.map(() => '?').join(',')})`,
+      keys
+    );
+    const summaries = new Map(rows.map(row => [row.key, row.summary]));
+    const index = keys.findIndex(key => summaries.has(key));
+    if (index === -1) return null;
     
-    const data = await response.json();
-    return data.choices[0].message.content;
+    const config = configs[index];
+    await dbRun('UPDATE llm_summary_cache SET hits = hits + 1, last_hit_at = CURRENT_TIMESTAMP WHERE key = ?', [keys[index]]);
+    await this.recordCall(config, { purpose: 'summary', sessionId, ...promptInfo, status: 'cached', latencyMs: 0 });
+    
+    console.log(`♻️  Cached summary from ${config.provider}:${config.model_name}`);
+    return { config, summary: summaries.get(keys[index]) };
   }
   
-  static async generateWithGemini(config, prompt) {
-    const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/${config.model_name}:generateContent?key=${config.api_key}`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        contents: [{
-          parts: [{ text: prompt }]
-        }]
-      })
-    });
+  // Like the ledger, the cache must never fail the summary it stores
+  static async cacheSummary({ content, promptVersion }, result) {
+    try {
+      await dbRun(`
+        INSERT INTO llm_summary_cache (key, provider, model, prompt_version, summary, cost_usd)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT(key) DO UPDATE SET summary = excluded.summary, cost_usd = excluded.cost_usd, created_at = CURRENT_TIMESTAMP
+      `, [
+        cacheKey({ content, promptVersion, provider: result.provider, model: result.model }),
+        result.provider, result.model, promptVersion, result.text, result.costUsd
+      ]);
+    } catch (error) {
+      console.error('Error caching LLM summary:', error.message);
+    }
+  }
+  
+  // Write a newsletter's editorial parts (see lib/llm/editorial.js) with the default prompts of
+  // their purposes. `part` is 'all' or one of EDITORIAL_PARTS; transitions are written for
+  // `sectionIndex`, or for every section without one. Returns the parts written and the prompt
+  // versions that wrote them: { theme, intro, subjectLine, transitions: { <section index>: text },
+  // prompts: { <part>: { promptId, promptVersion } } }
+  static async writeEditorial(newsletter, { part = 'all', sectionIndex = null } = {}) {
+    const editorial = { prompts: {} };
+    const write = async (name, options = {}) => {
+      const prompt = await this.getPrompt(null, `editorial-${name}`);
+      if (!prompt) {
+        throw new Error(`No editorial-${name} prompt found`);
+      }
+      
+      const promptInfo = { promptId: prompt.id, promptVersion: prompt.version };
+      const text = renderEditorialPrompt(prompt, newsletter, { ...options, theme: editorial.theme ?? newsletter.theme });
+      const result = await this.complete(text, { purpose: 'intro', ...promptInfo });
+      editorial.prompts[name] = promptInfo;
+      return cleanEditorialText(name, result.text);
+    };
     
-    if (!response.ok) {
-      throw new Error(`Gemini API error: ${response.status}`);
+    if (part === 'all' || part === 'theme') {
+      editorial.theme = await write('theme');
+    }
+    if (part === 'all' || part === 'intro') {
+      editorial.intro = await write('intro');
+    }
+    if (part === 'all' || part === 'transition') {
+      const indexes = sectionIndex !== null ? [sectionIndex] : newsletter.sections.map((section, index) => index);
+      editorial.transitions = {};
+      for (const index of indexes.filter(index => newsletter.sections[index].items.length > 0)) {
+        editorial.transitions[index] = await write('transition', { sectionIndex: index });
+      }
+    }
+    if (part === 'all' || part === 'subject') {
+      editorial.subjectLine = await write('subject');
     }
     
-    const data = await response.json();
-    return data.candidates[0].content.parts[0].text;
+    return editorial;
   }
   
-  static async generateWithGrok(config, prompt) {
-    const response = await fetch('https://api.x.ai/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${config.api_key}`
-      },
-      body: JSON.stringify({
-        model: config.model_name,
-        messages: [{ role: 'user', content: prompt }],
-        max_tokens: 200,
-        temperature: 0.7
-      })
-    });
+  // Classify an article (see lib/llm/classify.js), falling back to the keyword heuristics when no
+  // model is configured or none gives a usable answer. `source` is the model that answered, or
+  // 'heuristic'; `error` says why the heuristics were used.
+  static async classify({ title, url, content }, { sessionId = null, existingTags = [], signal } = {}) {
+    const heuristic = heuristicClassify({ title, url, content });
     
-    if (!response.ok) {
-      throw new Error(`Grok API error: ${response.status}`);
+    try {
+      const prompt = classificationPrompt({ title, url, content, existingTags });
+      const result = await this.complete(prompt, { purpose: 'classify', sessionId, signal });
+      const classification = parseClassification(result.text, { existingTags });
+      
+      return {
+        ...classification,
+        difficulty: classification.difficulty || heuristic.difficulty,
+        source: `${result.provider}:${result.model}`,
+        error: null
+      };
+    } catch (error) {
+      console.log(`Classifying with keyword heuristics: ${error.message}`);
+      return {
+        ...heuristic,
+        tags: mapToExistingTags(heuristic.tags, existingTags),
+        source: 'heuristic',
+        error: error.message
+      };
+    }
+  }
+  
+  // Ledger bookkeeping must never fail the call it describes
+  static async recordCall(config, { purpose, sessionId, promptId = null, promptVersion = null, status, error = null, usage = null, estimated = false, latencyMs, costUsd = 0 }) {
+    try {
+      await dbRun(`
+        INSERT INTO llm_calls (config_id, provider, model, purpose, session_id, prompt_id, prompt_version, status, error, prompt_tokens, completion_tokens, tokens_estimated, latency_ms, cost_usd)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        config.id, config.provider, config.model_name, purpose, sessionId, promptId, promptVersion, status, error,
+        usage ? usage.promptTokens : 0, usage ? usage.completionTokens : 0, estimated ? 1 : 0,
+        latencyMs, costUsd
+      ]);
+    } catch (dbError) {
+      console.error('Error recording LLM call:', dbError.message);
     }
+  }
+  
+  static async loadPriceOverrides() {
+    const rows = await dbAll('SELECT key, input_per_mtok, output_per_mtok FROM llm_prices');
+    return Object.fromEntries(rows.map(row => [row.key, { input: row.input_per_mtok, output: row.output_per_mtok }]));
+  }
+  
+  // Token prices: the defaults with the llm_prices overrides on top
+  static async loadPrices() {
+    return { ...DEFAULT_PRICES, ...(await this.loadPriceOverrides()) };
+  }
+  
+  // Month-to-date spend against LLM_MONTHLY_BUDGET (USD); no budget means no cap
+  static async getBudget() {
+    const { spent } = await dbGet(`
+      SELECT COALESCE(SUM(cost_usd), 0) AS spent FROM llm_calls
+      WHERE created_at >= strftime('%Y-%m-01 00:00:00', 'now')
+    `);
     
-    const data = await response.json();
-    return data.choices[0].message.content;
+    return {
+      limit: LLM_MONTHLY_BUDGET,
+      spent,
+      remaining: LLM_MONTHLY_BUDGET === null ? null : Math.max(0, LLM_MONTHLY_BUDGET - spent),
+      exceeded: LLM_MONTHLY_BUDGET !== null && spent >= LLM_MONTHLY_BUDGET
+    };
   }
 }
 
@@ -412,25 +614,128 @@ app.get('/health', (req, res) => {
   res.json({ status: 'OK', timestamp: new Date().toISOString() });
 });
 
-// Get all reading sessions
-app.get('/api/sessions', (req, res) => {
-  const sql = `
-    SELECT 
-      rs.*,
-      GROUP_CONCAT(t.name) as tags,
-      GROUP_CONCAT(t.color) as tag_colors
-    FROM reading_sessions rs
-    LEFT JOIN session_tags st ON rs.id = st.session_id
-    LEFT JOIN tags t ON st.tag_id = t.id
-    GROUP BY rs.id
-    ORDER BY rs.created_at DESC
-  `;
+// Live update stream (server-sent events)
+app.get('/api/events', (req, res) => liveEvents.subscribe(req, res));
+
+// Sortable columns for GET /api/sessions
+const SESSION_SORT_FIELDS = ['created_at', 'updated_at', 'title', 'learning_score', 'reading_time', 'word_count', 'category'];
+const DEFAULT_SESSION_PAGE_SIZE = 50;
+const MAX_SESSION_PAGE_SIZE = 200;
+
+// Convert a YYYY-MM-DD or ISO date into the 'YYYY-MM-DD HH:MM:SS' format SQLite stores.
+// Bare dates expand to the start (or end, when endOfDay is set) of that day.
+function toSqlDateTime(value, endOfDay = false) {
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return `${value} ${endOfDay ? '23:59:59' : '00:00:00'}`;
+  }
   
-  db.all(sql, [], (err, rows) => {
-    if (err) {
-      console.error('Error fetching sessions:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  return date.toISOString().replace('T', ' ').substring(0, 19);
+}
+
+// Build the WHERE clause for session list filters. Returns { where, params } or { error }.
+function buildSessionFilters(query) {
+  const conditions = [];
+  const params = [];
+  
+  const listParam = value => String(value).split(',').map(v => v.trim()).filter(Boolean);
+  
+  if (query.category) {
+    const categories = listParam(query.category);
+    conditions.push(`rs.category IN (${categories.map(() => '?').join(',')})`);
+    params.push(...categories);
+  }
+  
+  if (query.content_type) {
+    const contentTypes = listParam(query.content_type);
+    conditions.push(`rs.content_type IN (${contentTypes.map(() => '?').join(',')})`);
+    params.push(...contentTypes);
+  }
+  
+  if (query.tag) {
+    const tagNames = listParam(query.tag);
+    conditions.push(`rs.id IN (
+      SELECT st.session_id FROM session_tags st
+      JOIN tags t ON st.tag_id = t.id
+      WHERE t.name IN (${tagNames.map(() => '?').join(',')})
+    )`);
+    params.push(...tagNames);
+  }
+  
+  for (const [key, operator] of [['min_score', '>='], ['max_score', '<=']]) {
+    if (query[key] === undefined || query[key] === '') continue;
+    const score = Number(query[key]);
+    if (isNaN(score)) {
+      return { error: `${key} must be a number` };
+    }
+    conditions.push(`rs.learning_score ${operator} ?`);
+    params.push(score);
+  }
+  
+  for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+    if (!query[key]) continue;
+    const value = toSqlDateTime(query[key], key === 'to');
+    if (!value) {
+      return { error: `${key} must be a valid date` };
+    }
+    conditions.push(`rs.created_at ${operator} ?`);
+    params.push(value);
+  }
+  
+  if (query.domain) {
+    // Match the host exactly or any of its subdomains (e.g. domain=medium.com matches blog.medium.com)
+    const domain = String(query.domain).toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, '');
+    conditions.push(`(LOWER(rs.url) LIKE ? OR LOWER(rs.url) LIKE ? OR LOWER(rs.url) LIKE ? OR LOWER(rs.url) LIKE ?)`);
+    params.push(`%://${domain}`, `%://${domain}/%`, `%://%.${domain}`, `%://%.${domain}/%`);
+  }
+  
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+}
+
+// Get reading sessions (paginated, filterable and sortable)
+app.get('/api/sessions', async (req, res) => {
+  try {
+    const filters = buildSessionFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    
+    const sort = req.query.sort || 'created_at';
+    if (!SESSION_SORT_FIELDS.includes(sort)) {
+      return res.status(400).json({ error: `sort must be one of: ${SESSION_SORT_FIELDS.join(', ')}` });
     }
+    const order = String(req.query.order || 'desc').toLowerCase() === 'asc' ? 'ASC' : 'DESC';
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SESSION_PAGE_SIZE, 1), MAX_SESSION_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    
+    // Paginate the sessions first, then join tags onto just that page
+    const orderBy = `ORDER BY rs.${sort} ${order}, rs.id ${order}`;
+    const sql = `
+      SELECT 
+        rs.*,
+        GROUP_CONCAT(t.name) as tags,
+        GROUP_CONCAT(t.color) as tag_colors
+      FROM (
+        SELECT rs.* FROM reading_sessions rs
+        ${filters.where}
+        ${orderBy}
+        LIMIT ? OFFSET ?
+      ) rs
+      LEFT JOIN session_tags st ON rs.id = st.session_id
+      LEFT JOIN tags t ON st.tag_id = t.id
+      GROUP BY rs.id
+      ${orderBy}
+    `;
+    
+    const [rows, countRow] = await Promise.all([
+      dbAll(sql, [...filters.params, limit, offset]),
+      dbGet(`SELECT COUNT(*) as total FROM reading_sessions rs ${filters.where}`, filters.params)
+    ]);
     
     // Format the response
     const sessions = rows.map(row => ({
@@ -439,8 +744,138 @@ app.get('/api/sessions', (req, res) => {
       tag_colors: row.tag_colors ? row.tag_colors.split(',') : []
     }));
     
-    res.json(sessions);
-  });
+    const total = countRow.total;
+    const hasMore = offset + sessions.length < total;
+    
+    res.json({
+      sessions,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore,
+        nextOffset: hasMore ? offset + sessions.length : null
+      },
+      sort,
+      order: order.toLowerCase()
+    });
+  } catch (error) {
+    console.error('Error fetching sessions:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Turn free text into an FTS5 MATCH expression. Each word becomes a quoted term so
+// punctuation can't be parsed as query syntax; the last word also matches as a prefix.
+function buildSearchQuery(text) {
+  const terms = String(text).match(/[\p{L}\p{N}_]+/gu) || [];
+  return terms
+    .map((term, index) => `"${term}"${index === terms.length - 1 ? '*' : ''}`)
+    .join(' ');
+}
+
+// Markers used by snippet()/highlight(), swapped for <mark> after the text is HTML-escaped
+const HIGHLIGHT_START = '\u0002';
+const HIGHLIGHT_END = '\u0003';
+
+function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function renderHighlight(text) {
+  return escapeHtml(text)
+    .split(HIGHLIGHT_START).join('<mark>')
+    .split(HIGHLIGHT_END).join('</mark>');
+}
+
+// Full-text search across titles, excerpts, notes and LLM summaries
+app.get('/api/search', async (req, res) => {
+  try {
+    const matchQuery = buildSearchQuery(req.query.q || '');
+    if (!matchQuery) {
+      return res.status(400).json({ error: 'Query parameter q is required' });
+    }
+    
+    // The session list filters can narrow a search too
+    const filters = buildSessionFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ error: filters.error });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_SESSION_PAGE_SIZE, 1), MAX_SESSION_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const where = `WHERE reading_sessions_fts MATCH ?${filters.where ? ` AND ${filters.where.replace(/^WHERE /, '')}` : ''}`;
+    
+    // Title matches weigh the most, then summaries, excerpts and notes
+    const sql = `
+      SELECT 
+        rs.*,
+        m.rank,
+        m.title_highlight,
+        m.snippet,
+        GROUP_CONCAT(t.name) as tags,
+        GROUP_CONCAT(t.color) as tag_colors
+      FROM (
+        SELECT 
+          reading_sessions_fts.rowid as id,
+          bm25(reading_sessions_fts, 10.0, 2.0, 1.0, 3.0) as rank,
+          highlight(reading_sessions_fts, 0, ?, ?) as title_highlight,
+          snippet(reading_sessions_fts, -1, ?, ?, '…', 16) as snippet
+        FROM reading_sessions_fts
+        JOIN reading_sessions rs ON rs.id = reading_sessions_fts.rowid
+        ${where}
+        ORDER BY rank
+        LIMIT ? OFFSET ?
+      ) m
+      JOIN reading_sessions rs ON rs.id = m.id
+      LEFT JOIN session_tags st ON rs.id = st.session_id
+      LEFT JOIN tags t ON st.tag_id = t.id
+      GROUP BY rs.id
+      ORDER BY m.rank
+    `;
+    
+    const markers = [HIGHLIGHT_START, HIGHLIGHT_END, HIGHLIGHT_START, HIGHLIGHT_END];
+    const [rows, countRow] = await Promise.all([
+      dbAll(sql, [...markers, matchQuery, ...filters.params, limit, offset]),
+      dbGet(`
+        SELECT COUNT(*) as total
+        FROM reading_sessions_fts
+        JOIN reading_sessions rs ON rs.id = reading_sessions_fts.rowid
+        ${where}
+      `, [matchQuery, ...filters.params])
+    ]);
+    
+    const results = rows.map(row => ({
+      ...row,
+      tags: row.tags ? row.tags.split(',') : [],
+      tag_colors: row.tag_colors ? row.tag_colors.split(',') : [],
+      title_highlight: renderHighlight(row.title_highlight),
+      snippet: renderHighlight(row.snippet)
+    }));
+    
+    const total = countRow.total;
+    const hasMore = offset + results.length < total;
+    
+    res.json({
+      query: req.query.q,
+      sessions: results,
+      pagination: {
+        total,
+        limit,
+        offset,
+        hasMore,
+        nextOffset: hasMore ? offset + results.length : null
+      }
+    });
+  } catch (error) {
+    console.error('Error searching sessions:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
 // Create new reading session
@@ -456,66 +891,194 @@ app.post('/api/sessions', (req, res) => {
     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
   `;
   
-  db.run(sql, [title, url, content_type || 'web', reading_time || 0, word_count || 0, excerpt, notes, learning_score || 0, category || 'other'], function(err) {
-    if (err) {
-      console.error('Error creating session:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
-    
-    const sessionId = this.lastID;
-    
+  dbRun(sql, [title, url, content_type || 'web', reading_time || 0, word_count || 0, excerpt, notes, learning_score || 0, category || 'other']).then(({ lastID: sessionId }) => {
     // Add tags if provided
     if (tags && tags.length > 0) {
-      const tagPromises = tags.map(tagName => {
-        return new Promise((resolve, reject) => {
-          // First, ensure tag exists
-          db.run('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tagName], function(err) {
-            if (err) return reject(err);
-            
-            // Then link to session
-            db.run(
-              'INSERT INTO session_tags (session_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
-              [sessionId, tagName],
-              (err) => {
-                if (err) return reject(err);
-                resolve();
-              }
-            );
-          });
-        });
-      });
-      
-      Promise.all(tagPromises)
+      setSessionTags(sessionId, tags)
         .then(() => {
           res.json({ id: sessionId, message: 'Session created successfully' });
         })
         .catch(err => {
           console.error('Error adding tags:', err.message);
           res.json({ id: sessionId, message: 'Session created but tags failed' });
-        });
+        })
+        .then(() => sessionCreated(sessionId));
     } else {
       res.json({ id: sessionId, message: 'Session created successfully' });
+      sessionCreated(sessionId);
     }
+  }, err => {
+    console.error('Error creating session:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
   });
 });
 
-// Get reading statistics
-app.get('/api/stats', (req, res) => {
-  const sql = `
-    SELECT 
-      COUNT(*) as total_sessions,
-      SUM(reading_time) as total_reading_time,
-      SUM(word_count) as total_words,
-      AVG(reading_time) as avg_reading_time,
-      AVG(learning_score) as avg_learning_score,
-      COUNT(DISTINCT DATE(created_at)) as reading_days
-    FROM reading_sessions
-  `;
+// Columns of reading_sessions that clients are allowed to edit
+const EDITABLE_SESSION_FIELDS = ['title', 'url', 'content_type', 'reading_time', 'word_count', 'excerpt', 'notes', 'learning_score', 'category', 'difficulty'];
+
+// Link tags to a session, creating any tags that don't exist yet. Tags it already has are kept.
+async function addSessionTags(sessionId, tags) {
+  const tagNames = [...new Set((tags || []).map(tag => String(tag).trim()).filter(Boolean))];
   
-  db.get(sql, [], (err, row) => {
-    if (err) {
-      console.error('Error fetching stats:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
+  for (const tagName of tagNames) {
+    // First, ensure tag exists
+    await dbRun('INSERT OR IGNORE INTO tags (name) VALUES (?)', [tagName]);
+    
+    // Then link to session
+    await dbRun(
+      'INSERT OR IGNORE INTO session_tags (session_id, tag_id) SELECT ?, id FROM tags WHERE name = ?',
+      [sessionId, tagName]
+    );
+  }
+}
+
+// Replace the tags linked to a session, creating any tags that don't exist yet
+async function setSessionTags(sessionId, tags) {
+  await dbRun('DELETE FROM session_tags WHERE session_id = ?', [sessionId]);
+  await addSessionTags(sessionId, tags);
+}
+
+// Fetch a single session with its tags, formatted like GET /api/sessions rows
+async function getSessionById(id) {
+  const row = await dbGet(`
+    SELECT 
+      rs.*,
+      GROUP_CONCAT(t.name) as tags,
+      GROUP_CONCAT(t.color) as tag_colors
+    FROM reading_sessions rs
+    LEFT JOIN session_tags st ON rs.id = st.session_id
+    LEFT JOIN tags t ON st.tag_id = t.id
+    WHERE rs.id = ?
+    GROUP BY rs.id
+  `, [id]);
+  
+  if (!row) return null;
+  
+  return {
+    ...row,
+    tags: row.tags ? row.tags.split(',') : [],
+    tag_colors: row.tag_colors ? row.tag_colors.split(',') : []
+  };
+}
+
+// Apply an update to a session. PUT replaces every editable field, PATCH only the ones sent.
+async function updateSession(req, res, { partial }) {
+  try {
+    const { id } = req.params;
+    const { tags } = req.body;
+    
+    const existing = await dbGet('SELECT id FROM reading_sessions WHERE id = ?', [id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Reading session not found' });
+    }
+    
+    if ((!partial || req.body.title !== undefined) && !req.body.title) {
+      return res.status(400).json({ error: 'Title is required' });
+    }
+    
+    if (tags !== undefined && !Array.isArray(tags)) {
+      return res.status(400).json({ error: 'tags must be an array' });
+    }
+    
+    if (req.body.difficulty != null && !DIFFICULTIES.includes(req.body.difficulty)) {
+      return res.status(400).json({ error: `difficulty must be one of: ${DIFFICULTIES.join(', ')}` });
+    }
+    
+    const defaults = { content_type: 'web', reading_time: 0, word_count: 0, learning_score: 0, category: 'other' };
+    const fields = EDITABLE_SESSION_FIELDS.filter(field => !partial || req.body[field] !== undefined);
+    
+    await withTransaction(async () => {
+      if (fields.length > 0) {
+        const assignments = fields.map(field => `${field} = ?`).join(', ');
+        const values = fields.map(field => req.body[field] ?? defaults[field] ?? null);
+        await dbRun(
+          `UPDATE reading_sessions SET ${assignments}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+          [...values, id]
+        );
+      }
+      
+      if (tags !== undefined || !partial) {
+        await setSessionTags(id, tags || []);
+        await dbRun('UPDATE reading_sessions SET updated_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+      }
+    });
+    
+    const session = await getSessionById(id);
+    res.json({ success: true, session, message: 'Session updated successfully' });
+    liveEvents.publish('stats-changed');
+  } catch (error) {
+    console.error('Error updating session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// Get a single reading session
+app.get('/api/sessions/:id', async (req, res) => {
+  try {
+    const session = await getSessionById(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: 'Reading session not found' });
+    }
+    
+    res.json(session);
+  } catch (error) {
+    console.error('Error fetching session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a reading session
+app.put('/api/sessions/:id', (req, res) => updateSession(req, res, { partial: false }));
+
+// Partially update a reading session
+app.patch('/api/sessions/:id', (req, res) => updateSession(req, res, { partial: true }));
+
+// Delete a reading session
+app.delete('/api/sessions/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    // Foreign keys aren't enforced on this connection, so clear the references explicitly
+    const { dequeued, result } = await withTransaction(async () => {
+      await dbRun('DELETE FROM session_tags WHERE session_id = ?', [id]);
+      const dequeued = await dbRun('DELETE FROM newsletter_queue WHERE session_id = ?', [id]);
+      await dbRun('UPDATE newsletter_items SET session_id = NULL WHERE session_id = ?', [id]);
+      const result = await dbRun('DELETE FROM reading_sessions WHERE id = ?', [id]);
+      return { dequeued, result };
+    });
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Reading session not found' });
+    }
+    
+    res.json({ success: true, message: 'Session deleted successfully' });
+    if (dequeued.changes > 0) {
+      liveEvents.publish('queue-changed', { action: 'removed', sessionId: Number(id) });
+    }
+    liveEvents.publish('stats-changed');
+  } catch (error) {
+    console.error('Error deleting session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get reading statistics
+app.get('/api/stats', (req, res) => {
+  const sql = `
+    SELECT 
+      COUNT(*) as total_sessions,
+      SUM(reading_time) as total_reading_time,
+      SUM(word_count) as total_words,
+      AVG(reading_time) as avg_reading_time,
+      AVG(learning_score) as avg_learning_score,
+      COUNT(DISTINCT DATE(created_at)) as reading_days
+    FROM reading_sessions
+  `;
+  
+  db.get(sql, [], (err, row) => {
+    if (err) {
+      console.error('Error fetching stats:', err.message);
+      return res.status(500).json({ error: 'Internal server error' });
     }
     
     // Get category breakdown
@@ -567,11 +1130,13 @@ app.delete('/api/reset', (req, res) => {
   
   const resetSql = `
     DELETE FROM session_tags;
+    DELETE FROM newsletter_queue;
+    UPDATE newsletter_items SET session_id = NULL;
     DELETE FROM reading_sessions;
     UPDATE sqlite_sequence SET seq = 0 WHERE name = 'reading_sessions';
   `;
   
-  db.exec(resetSql, (err) => {
+  enqueueWrite(() => new Promise(resolve => db.exec(resetSql, resolve))).then((err) => {
     if (err) {
       console.error('Error resetting database:', err.message);
       return res.status(500).json({ error: 'Failed to reset database' });
@@ -579,15 +1144,17 @@ app.delete('/api/reset', (req, res) => {
     
     console.log('Database reset successfully');
     res.json({ message: 'Database reset successfully', timestamp: new Date().toISOString() });
+    liveEvents.publish('queue-changed', { action: 'cleared' });
+    liveEvents.publish('stats-changed');
   });
 });
 
 // Newsletter generation endpoint
 app.post('/api/newsletter/generate', async (req, res) => {
   try {
-    const { dateRange = 7, includeCategories = ['all'], excludeLowScore = true, minScore = 50, excludeLinkedIn = false } = req.body;
+    const { dateRange = 7, includeCategories = ['all'], excludeLowScore = true, minScore = 50, excludeLinkedIn = false, resurface = false } = req.body;
     
-    console.log('Generating newsletter with params:', { dateRange, includeCategories, excludeLowScore, minScore, excludeLinkedIn });
+    console.log('Generating newsletter with params:', { dateRange, includeCategories, excludeLowScore, minScore, excludeLinkedIn, resurface });
     
     // Get reading sessions from the specified date range
     let dateFrom, dateTo;
@@ -646,77 +1213,82 @@ app.post('/api/newsletter/generate', async (req, res) => {
     
     sql += ` GROUP BY rs.id ORDER BY rs.learning_score DESC, rs.created_at DESC`;
     
-    db.all(sql, params, (err, sessions) => {
-      if (err) {
-        console.error('Error fetching sessions for newsletter:', err.message);
-        return res.status(500).json({ error: 'Failed to fetch sessions' });
-      }
-      
-      // Remove duplicates based on URL and title
-      const uniqueSessions = [];
-      const seenUrls = new Set();
-      const seenTitles = new Set();
-      
-      sessions.forEach(session => {
-        const normalizedUrl = session.url?.toLowerCase().split('?')[0]; // Remove query params for comparison
-        const normalizedTitle = session.title?.toLowerCase().trim();
-        
-        if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
-          seenUrls.add(normalizedUrl);
-          seenTitles.add(normalizedTitle);
-          uniqueSessions.push(session);
-        }
-      });
-      
-      // Process sessions for newsletter
-      const processedSessions = uniqueSessions.map(session => ({
-        ...session,
-        tags: session.tags ? session.tags.split(',') : [],
-        tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
-        reading_time_formatted: `${session.reading_time} min`,
-        created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        })
-      }));
-      
-      // Group by category
-      const categorizedSessions = processedSessions.reduce((acc, session) => {
-        const category = session.category || 'other';
-        if (!acc[category]) {
-          acc[category] = [];
-        }
-        acc[category].push(session);
-        return acc;
-      }, {});
-      
-      // Generate newsletter content
-      const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, dateRange);
+    const sessions = await dbAll(sql, params);
+    
+    // Leave out articles that already went out in a published issue
+    const previouslyFeatured = await excludePreviouslyFeatured(sessions, { resurface });
+    
+    // Remove duplicates based on URL and title
+    const uniqueSessions = [];
+    const seenUrls = new Set();
+    const seenTitles = new Set();
+    
+    previouslyFeatured.sessions.forEach(session => {
+      const normalizedUrl = normalizeUrl(session.url);
+      const normalizedTitle = session.title?.toLowerCase().trim();
       
-      res.json({
-        success: true,
-        newsletter,
-        stats: {
-          totalSessions: processedSessions.length,
-          dateRange,
-          categories: Object.keys(categorizedSessions),
-          avgLearningScore: processedSessions.length > 0 
-            ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
-            : 0
-        },
-        timestamp: new Date().toISOString()
-      });
+      if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
+        seenUrls.add(normalizedUrl);
+        seenTitles.add(normalizedTitle);
+        uniqueSessions.push(session);
+      }
     });
     
+    // Process sessions for newsletter
+    const processedSessions = uniqueSessions.map(session => ({
+      ...session,
+      tags: session.tags ? session.tags.split(',') : [],
+      tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
+      reading_time_formatted: `${session.reading_time} min`,
+      created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      })
+    }));
+    
+    // Group by category
+    const categorizedSessions = processedSessions.reduce((acc, session) => {
+      const category = session.category || 'other';
+      if (!acc[category]) {
+        acc[category] = [];
+      }
+      acc[category].push(session);
+      return acc;
+    }, {});
+    
+    // Generate newsletter content
+    const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, dateRange, await loadNewsletterCopy());
+    
+    res.json({
+      success: true,
+      newsletter,
+      formats: await renderNewsletterFormats(newsletter),
+      stats: {
+        totalSessions: processedSessions.length,
+        skippedPreviouslyFeatured: previouslyFeatured.skipped.length,
+        dateRange,
+        categories: Object.keys(categorizedSessions),
+        avgLearningScore: processedSessions.length > 0 
+          ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
+          : 0
+      },
+      skipped: previouslyFeatured.skipped,
+      timestamp: new Date().toISOString()
+    });
+  
   } catch (error) {
     console.error('Newsletter generation error:', error);
     res.status(500).json({ error: 'Failed to generate newsletter' });
   }
 });
 
-// Helper function to generate newsletter content
-function generateNewsletterContent(sessions, categorizedSessions, dateRange) {
+// Section keys of queue items grouped under a custom section name (see groupNewsletterSessions)
+const CUSTOM_SECTION_PREFIX = 'section:';
+
+// Helper function to generate newsletter content. `copy` holds overrides of the
+// title/intro/footer/section title templates (see lib/templates.js DEFAULT_COPY).
+function generateNewsletterContent(sessions, categorizedSessions, dateRange, copy = {}) {
   const today = new Date();
   const dateStr = today.toLocaleDateString('en-US', { 
     weekday: 'long', 
@@ -725,45 +1297,39 @@ function generateNewsletterContent(sessions, categorizedSessions, dateRange) {
     day: 'numeric' 
   });
   
+  const copyContext = { date: dateStr, today: dateRange === 0, dateRange };
+  
   let newsletter = {
-    title: `Reading Digest - ${dateStr}`,
-    subtitle: dateRange === 0 
-      ? `My curated learning from today` 
-      : `My curated learning from the past ${dateRange} days`,
-    intro: generateIntro(sessions, dateRange),
+    title: renderCopy(copy, 'title', copyContext),
+    subtitle: renderCopy(copy, 'subtitle', copyContext),
+    theme: null,
+    subjectLine: null,
+    intro: generateIntro(sessions, dateRange, copy),
     sections: [],
-    footer: generateFooter(sessions)
+    footer: generateFooter(sessions, copy)
   };
   
   // Create sections by category
-  const categoryTitles = {
-    curated: '⭐ Curated Articles',
-    technology: '🔧 Technology & Development',
-    science: '🔬 Science & Research', 
-    business: '💼 Business & Strategy',
-    education: '📚 Learning & Education',
-    future: '🚀 Future & Innovation',
-    linkedin: '💼 LinkedIn Professional Insights',
-    linkedin_newsletter: '📰 Curated LinkedIn Posts',
-    other: '📝 Other Insights'
-  };
-  
   Object.entries(categorizedSessions).forEach(([category, categorySessions]) => {
     if (categorySessions.length === 0) return;
     
     newsletter.sections.push({
-      title: categoryTitles[category] || `📄 ${category.charAt(0).toUpperCase() + category.slice(1)}`,
+      title: category.startsWith(CUSTOM_SECTION_PREFIX)
+        ? category.slice(CUSTOM_SECTION_PREFIX.length)
+        : renderSectionTitle(copy, category),
+      transition: null,
       items: categorySessions.map(session => ({
+        sessionId: session.id,
         title: session.title,
         url: session.url,
-        excerpt: session.llm_summary || session.excerpt || generateExcerpt(session),
+        excerpt: session.commentary || session.llm_summary || session.excerpt || generateExcerpt(session),
         readingTime: session.reading_time,
         learningScore: session.learning_score,
         tags: session.tags,
         date: session.created_at_formatted,
         category: session.category,
-        llmGenerated: !!session.llm_summary,
-        llmModel: session.llm_model
+        llmGenerated: !session.commentary && !!session.llm_summary,
+        llmModel: session.commentary ? null : session.llm_model
       }))
     });
   });
@@ -771,22 +1337,20 @@ function generateNewsletterContent(sessions, categorizedSessions, dateRange) {
   return newsletter;
 }
 
-function generateIntro(sessions, dateRange) {
+function generateIntro(sessions, dateRange, copy = {}) {
   const totalSessions = sessions.length;
   const totalReadingTime = sessions.reduce((sum, s) => sum + s.reading_time, 0);
   const avgScore = sessions.length > 0 
     ? Math.round(sessions.reduce((sum, s) => sum + s.learning_score, 0) / sessions.length)
     : 0;
   
-  const timeFrame = dateRange === 0 
-    ? 'today' 
-    : `over the past ${dateRange} days`;
-    
-  const readingDescription = dateRange === 0
-    ? `Today I've been tracking my reading and discovered some fascinating insights`
-    : `Over the past ${dateRange} days, I've been tracking my reading habits and discovered some fascinating insights`;
-  
-  return `${readingDescription}. I've read ${totalSessions} high-quality articles and resources, spending ${totalReadingTime} minutes learning about technology, business strategy, and innovation. Here are the highlights with an average learning value of ${avgScore}/100.`;
+  return renderCopy(copy, 'intro', {
+    today: dateRange === 0,
+    dateRange,
+    totalArticles: totalSessions,
+    totalReadingTime,
+    avgScore
+  });
 }
 
 function generateExcerpt(session) {
@@ -796,71 +1360,173 @@ function generateExcerpt(session) {
   return `Insights on ${session.category} with a learning score of ${session.learning_score}/100. Read time: ${session.reading_time} minutes.`;
 }
 
-function generateFooter(sessions) {
+function generateFooter(sessions, copy = {}) {
   const categories = [...new Set(sessions.map(s => s.category))];
   return {
     totalArticles: sessions.length,
     categoriesCovered: categories.length,
     categories: categories,
     generatedAt: new Date().toISOString(),
-    message: "This digest was automatically generated from my reading tracker. Each article was intelligently filtered and scored for learning value."
+    message: renderCopy(copy, 'footer_message', { totalArticles: sessions.length, categories })
   };
 }
 
 // Newsletter queue management endpoints
 
-// Get newsletter queue items
-app.get('/api/newsletter/queue', (req, res) => {
-  const sql = `
-    SELECT 
-      rs.*,
-      GROUP_CONCAT(t.name) as tags,
-      GROUP_CONCAT(t.color) as tag_colors
-    FROM reading_sessions rs
-    LEFT JOIN session_tags st ON rs.id = st.session_id
-    LEFT JOIN tags t ON st.tag_id = t.id
-    WHERE rs.category = 'newsletter_queue'
-    GROUP BY rs.id
-    ORDER BY rs.created_at DESC
-  `;
-  
-  db.all(sql, [], (err, rows) => {
-    if (err) {
-      console.error('Error fetching newsletter queue:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
+// Queue entries either point at a reading session or stand alone (LinkedIn posts). This SELECT
+// flattens both into one row shape, with the session's fields taking precedence.
+const QUEUE_ITEM_SELECT = `
+  SELECT
+    q.id, q.session_id, q.position, q.pinned, q.commentary, q.section, q.editor_note, q.target_newsletter_id,
+    q.created_at, q.updated_at,
+    COALESCE(rs.title, q.title) as title,
+    COALESCE(rs.url, q.url) as url,
+    COALESCE(rs.excerpt, q.excerpt) as excerpt,
+    COALESCE(rs.content_type, q.content_type, 'web') as content_type,
+    COALESCE(rs.category, q.category, 'other') as category,
+    COALESCE(rs.learning_score, q.learning_score, 0) as learning_score,
+    COALESCE(rs.reading_time, 0) as reading_time,
+    COALESCE(rs.word_count, 0) as word_count,
+    rs.notes, rs.llm_summary, rs.llm_model, rs.llm_generated_at,
+    GROUP_CONCAT(t.name) as tags,
+    GROUP_CONCAT(t.color) as tag_colors
+  FROM newsletter_queue q
+  LEFT JOIN reading_sessions rs ON rs.id = q.session_id
+  LEFT JOIN session_tags st ON st.session_id = q.session_id
+  LEFT JOIN tags t ON st.tag_id = t.id
+`;
+
+// Queue rows in editorial order (the pinned lead story first); `where` filters on the newsletter_queue alias q
+function loadQueueItems(where = '', params = []) {
+  return dbAll(`${QUEUE_ITEM_SELECT} ${where} GROUP BY q.id ORDER BY q.pinned DESC, q.position, q.id`, params);
+}
+
+function formatQueueItem(row) {
+  return {
+    ...row,
+    pinned: !!row.pinned,
+    standalone: !row.session_id,
+    tags: row.tags ? row.tags.split(',') : [],
+    tag_colors: row.tag_colors ? row.tag_colors.split(',') : []
+  };
+}
+
+// The newsletter generators work on session rows; queue items keep the session id as `id`
+function queueItemToSession(row) {
+  return { ...row, id: row.session_id, queue_id: row.id, queued: true };
+}
+
+// Group sessions into newsletter sections, in order of first appearance. The pinned lead story gets
+// a section of its own, queue items with a custom section go there and the rest of the queue is
+// "curated"; tracked articles are grouped by category.
+function groupNewsletterSessions(sessions) {
+  return sessions.reduce((acc, session) => {
+    let key = session.category;
+    if (session.queued) {
+      if (session.pinned) key = 'lead';
+      else if (session.section) key = `${CUSTOM_SECTION_PREFIX}${session.section}`;
+      else key = 'curated';
     }
-    
-    // Format the response
-    const items = rows.map(row => ({
-      ...row,
-      tags: row.tags ? row.tags.split(',') : [],
-      tag_colors: row.tag_colors ? row.tag_colors.split(',') : []
-    }));
-    
-    res.json(items);
-  });
-});
+    if (!acc[key]) {
+      acc[key] = [];
+    }
+    acc[key].push(session);
+    return acc;
+  }, {});
+}
 
-// Add article to newsletter queue
-app.post('/api/newsletter/queue', (req, res) => {
-  const { title, url, content_type, reading_time, word_count, excerpt, notes, learning_score } = req.body;
+// Most recent reading session for the same article, compared by normalized URL
+async function findSessionByUrl(url) {
+  const normalized = normalizeUrl(url);
+  if (!normalized) return null;
   
-  if (!title || !url) {
-    return res.status(400).json({ error: 'Title and URL are required' });
+  const candidates = await dbAll(
+    'SELECT id, url FROM reading_sessions WHERE url LIKE ? ORDER BY created_at DESC',
+    [`%${normalized}%`]
+  );
+  return candidates.find(candidate => normalizeUrl(candidate.url) === normalized) || null;
+}
+
+// Get newsletter queue items
+app.get('/api/newsletter/queue', async (req, res) => {
+  try {
+    const rows = await loadQueueItems();
+    res.json(rows.map(formatQueueItem));
+  } catch (error) {
+    console.error('Error fetching newsletter queue:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
-  
-  const sql = `
-    INSERT INTO reading_sessions (title, url, content_type, reading_time, word_count, excerpt, notes, learning_score, category)
-    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'newsletter_queue')
-  `;
-  
-  db.run(sql, [title, url, content_type || 'web', reading_time || 0, word_count || 0, excerpt, notes, learning_score || 75], async function(err) {
-    if (err) {
-      console.error('Error adding to newsletter queue:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
+});
+
+// Add an article to the newsletter queue. Pass session_id to queue a tracked session; otherwise the
+// article is matched to an existing session by URL, or saved as a new one with its real category.
+// LinkedIn posts (or anything sent with standalone: true) are queued without a session.
+app.post('/api/newsletter/queue', async (req, res) => {
+  try {
+    const {
+      session_id: requestedSessionId, title, url, content_type, reading_time, word_count, excerpt, notes,
+      learning_score, category, editor_note, target_newsletter_id
+    } = req.body;
+    
+    let sessionId = null;
+    let standalone = false;
+    
+    if (requestedSessionId) {
+      const session = await dbGet('SELECT id FROM reading_sessions WHERE id = ?', [requestedSessionId]);
+      if (!session) {
+        return res.status(404).json({ error: 'Reading session not found' });
+      }
+      sessionId = session.id;
+    } else {
+      if (!title || !url) {
+        return res.status(400).json({ error: 'Title and URL are required' });
+      }
+      
+      standalone = req.body.standalone ?? /linkedin\.com/i.test(url);
+      if (!standalone) {
+        const existing = await findSessionByUrl(url);
+        if (existing) {
+          sessionId = existing.id;
+        } else {
+          sessionId = (await dbRun(`
+            INSERT INTO reading_sessions (title, url, content_type, reading_time, word_count, excerpt, notes, learning_score, category)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+          `, [title, url, content_type || 'web', reading_time || 0, word_count || 0, excerpt, notes, learning_score || 75, category || 'other'])).lastID;
+          sessionCreated(sessionId);
+        }
+      }
     }
     
-    const sessionId = this.lastID;
+    const alreadyQueued = sessionId && await dbGet('SELECT id FROM newsletter_queue WHERE session_id = ?', [sessionId]);
+    if (alreadyQueued) {
+      return res.json({
+        success: true,
+        id: alreadyQueued.id,
+        sessionId,
+        alreadyQueued: true,
+        message: 'Article is already in the newsletter queue'
+      });
+    }
+    
+    const result = await dbRun(`
+      INSERT INTO newsletter_queue (
+        session_id, title, url, excerpt, content_type, category, learning_score, position, editor_note, target_newsletter_id
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, (SELECT COALESCE(MAX(position), 0) + 1 FROM newsletter_queue), ?, ?)
+    `, [
+      sessionId,
+      standalone ? title : null,
+      standalone ? url : null,
+      standalone ? excerpt : null,
+      standalone ? content_type || 'linkedin_newsletter' : null,
+      standalone ? category || 'linkedin_newsletter' : null,
+      standalone ? learning_score || 75 : null,
+      editor_note || null,
+      target_newsletter_id || null
+    ]);
+    
+    const queueId = result.lastID;
+    liveEvents.publish('queue-changed', { action: 'added', id: queueId, sessionId });
     
     try {
       // Auto-generate newsletter with updated queue
@@ -868,398 +1534,2232 @@ app.post('/api/newsletter/queue', (req, res) => {
       
       res.json({ 
         success: true, 
-        id: sessionId, 
+        id: queueId, 
+        sessionId,
         message: 'Article added to newsletter queue',
         newsletter: newsletterData.newsletter,
         stats: newsletterData.stats,
-        formats: {
-          html: generateNewsletterHTML(newsletterData.newsletter),
-          markdown: generateNewsletterMarkdown(newsletterData.newsletter)
-        }
+        formats: newsletterData.formats,
+        summaryJob: newsletterData.summaryJob
       });
     } catch (error) {
       console.error('Error auto-generating newsletter:', error);
       // Still return success for adding to queue, even if newsletter generation fails
       res.json({ 
         success: true, 
-        id: sessionId, 
+        id: queueId, 
+        sessionId,
         message: 'Article added to newsletter queue (newsletter generation failed)',
         error: 'Newsletter auto-generation failed'
       });
     }
-  });
+  } catch (error) {
+    console.error('Error adding to newsletter queue:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Remove article from newsletter queue
-app.delete('/api/newsletter/queue/:id', (req, res) => {
-  const { id } = req.params;
-  
-  const sql = `DELETE FROM reading_sessions WHERE id = ? AND category = 'newsletter_queue'`;
-  
-  db.run(sql, [id], function(err) {
-    if (err) {
-      console.error('Error removing from newsletter queue:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
+// Remove an article from the newsletter queue (its reading session is kept)
+app.delete('/api/newsletter/queue/:id', async (req, res) => {
+  try {
+    const result = await dbRun('DELETE FROM newsletter_queue WHERE id = ?', [req.params.id]);
     
-    if (this.changes === 0) {
+    if (result.changes === 0) {
       return res.status(404).json({ error: 'Article not found in newsletter queue' });
     }
     
+    liveEvents.publish('queue-changed', { action: 'removed', id: Number(req.params.id) });
+    
     res.json({ 
       success: true, 
       message: 'Article removed from newsletter queue' 
     });
-  });
+  } catch (error) {
+    console.error('Error removing from newsletter queue:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Move queue items to newsletter (include newsletter_queue in newsletter generation)
-app.post('/api/newsletter/generate-from-queue', async (req, res) => {
+const MAX_QUEUE_SECTION_LENGTH = 100;
+
+// Update the curation fields of a queue item. Pinning an item makes it the lead story and unpins
+// any other; empty strings clear commentary, section and editor note.
+app.patch('/api/newsletter/queue/:id', async (req, res) => {
   try {
-    const { includeTracked = false, dateRange = 7, minScore = 50 } = req.body;
+    const item = await dbGet('SELECT * FROM newsletter_queue WHERE id = ?', [req.params.id]);
+    if (!item) {
+      return res.status(404).json({ error: 'Article not found in newsletter queue' });
+    }
     
-    let sql = `
-      SELECT 
-        rs.*,
-        GROUP_CONCAT(t.name) as tags,
-        GROUP_CONCAT(t.color) as tag_colors
-      FROM reading_sessions rs
-      LEFT JOIN session_tags st ON rs.id = st.session_id
-      LEFT JOIN tags t ON st.tag_id = t.id
-      WHERE rs.category = 'newsletter_queue'
-    `;
+    const { pinned, commentary, section, editor_note, target_newsletter_id } = req.body;
     
-    const params = [];
+    for (const [field, value] of Object.entries({ commentary, section, editor_note })) {
+      if (value !== undefined && value !== null && typeof value !== 'string') {
+        return res.status(400).json({ error: `${field} must be a string` });
+      }
+    }
+    if (typeof section === 'string' && section.trim().length > MAX_QUEUE_SECTION_LENGTH) {
+      return res.status(400).json({ error: `section must be at most ${MAX_QUEUE_SECTION_LENGTH} characters` });
+    }
+    if (pinned !== undefined && typeof pinned !== 'boolean') {
+      return res.status(400).json({ error: 'pinned must be true or false' });
+    }
+    if (target_newsletter_id) {
+      const target = await dbGet('SELECT id FROM newsletters WHERE id = ?', [target_newsletter_id]);
+      if (!target) {
+        return res.status(400).json({ error: 'target_newsletter_id does not match a newsletter' });
+      }
+    }
     
-    // Optionally include tracked articles from recent days
-    if (includeTracked) {
-      const endDate = new Date();
-      const startDate = new Date();
-      startDate.setDate(startDate.getDate() - dateRange);
-      
-      const dateFrom = startDate.toISOString().split('T')[0] + ' 00:00:00';
-      const dateTo = endDate.toISOString().split('T')[0] + ' 23:59:59';
-      
-      sql = `
-        SELECT 
-          rs.*,
-          GROUP_CONCAT(t.name) as tags,
-          GROUP_CONCAT(t.color) as tag_colors
-        FROM reading_sessions rs
-        LEFT JOIN session_tags st ON rs.id = st.session_id
-        LEFT JOIN tags t ON st.tag_id = t.id
-        WHERE (rs.category = 'newsletter_queue' 
-               OR (rs.category NOT IN ('linkedin', 'linkedin_newsletter') 
-                   AND rs.url NOT LIKE '%linkedin.com%'
-                   AND rs.created_at >= ? AND rs.created_at <= ? 
-                   AND rs.learning_score >= ?))
-      `;
-      params.push(dateFrom, dateTo, minScore);
-    }
-    
-    sql += ` GROUP BY rs.id ORDER BY rs.category = 'newsletter_queue' DESC, rs.learning_score DESC, rs.created_at DESC`;
-    
-    db.all(sql, params, (err, sessions) => {
-      if (err) {
-        console.error('Error fetching sessions for newsletter:', err.message);
-        return res.status(500).json({ error: 'Failed to fetch sessions' });
+    const textOrNull = (value, current) => (value === undefined ? current : (value && value.trim()) || null);
+    
+    await withTransaction(async () => {
+      if (pinned) {
+        await dbRun('UPDATE newsletter_queue SET pinned = 0, updated_at = CURRENT_TIMESTAMP WHERE pinned = 1 AND id != ?', [item.id]);
       }
       
-      // Remove duplicates based on URL and title
-      const uniqueSessions = [];
-      const seenUrls = new Set();
-      const seenTitles = new Set();
-      
-      sessions.forEach(session => {
-        const normalizedUrl = session.url?.toLowerCase().split('?')[0]; // Remove query params for comparison
-        const normalizedTitle = session.title?.toLowerCase().trim();
-        
-        if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
-          seenUrls.add(normalizedUrl);
-          seenTitles.add(normalizedTitle);
-          uniqueSessions.push(session);
-        }
-      });
-      
-      // Process sessions for newsletter
-      const processedSessions = uniqueSessions.map(session => ({
-        ...session,
-        tags: session.tags ? session.tags.split(',') : [],
-        tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
-        reading_time_formatted: `${session.reading_time} min`,
-        created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        })
-      }));
-      
-      // Group by category, with newsletter_queue items marked as "curated"
-      const categorizedSessions = processedSessions.reduce((acc, session) => {
-        const category = session.category === 'newsletter_queue' ? 'curated' : session.category;
-        if (!acc[category]) {
-          acc[category] = [];
-        }
-        acc[category].push(session);
-        return acc;
-      }, {});
-      
-      // Generate newsletter content
-      const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, dateRange);
-      
-      res.json({
-        success: true,
-        newsletter,
-        stats: {
-          totalSessions: processedSessions.length,
-          queueItems: processedSessions.filter(s => s.category === 'newsletter_queue').length,
-          dateRange,
-          categories: Object.keys(categorizedSessions),
-          avgLearningScore: processedSessions.length > 0 
-            ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
-            : 0
-        },
-        formats: {
-          html: generateNewsletterHTML(newsletter),
-          markdown: generateNewsletterMarkdown(newsletter)
-        },
-        timestamp: new Date().toISOString()
-      });
+      await dbRun(`
+        UPDATE newsletter_queue SET
+          pinned = ?, commentary = ?, section = ?, editor_note = ?, target_newsletter_id = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        pinned !== undefined ? (pinned ? 1 : 0) : item.pinned,
+        textOrNull(commentary, item.commentary),
+        textOrNull(section, item.section),
+        textOrNull(editor_note, item.editor_note),
+        target_newsletter_id !== undefined ? target_newsletter_id || null : item.target_newsletter_id,
+        item.id
+      ]);
     });
     
+    const [updated] = await loadQueueItems('WHERE q.id = ?', [item.id]);
+    res.json({ success: true, item: formatQueueItem(updated) });
+    liveEvents.publish('queue-changed', { action: 'updated', id: item.id });
   } catch (error) {
-    console.error('Newsletter generation error:', error);
-    res.status(500).json({ error: 'Failed to generate newsletter' });
+    console.error('Error updating newsletter queue item:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Helper function to generate newsletter from queue
-async function generateNewsletterFromQueue() {
-  return new Promise(async (resolve, reject) => {
-    const sql = `
-      SELECT 
-        rs.*,
-        GROUP_CONCAT(t.name) as tags,
-        GROUP_CONCAT(t.color) as tag_colors
-      FROM reading_sessions rs
-      LEFT JOIN session_tags st ON rs.id = st.session_id
-      LEFT JOIN tags t ON st.tag_id = t.id
-      WHERE rs.category = 'newsletter_queue'
-        AND rs.url NOT LIKE '%linkedin.com%'
-        AND rs.url NOT LIKE '%linkedin.com/feed%'
-        AND rs.url NOT LIKE '%linkedin.com/posts%'
-      GROUP BY rs.id
-      ORDER BY rs.created_at DESC
-    `;
+// Reorder the queue. `ids` lists queue item ids in their new order; items left out keep their
+// relative order after the listed ones.
+app.post('/api/newsletter/queue/reorder', async (req, res) => {
+  try {
+    const { ids } = req.body;
+    if (!Array.isArray(ids) || !ids.every(id => Number.isInteger(Number(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of queue item ids' });
+    }
     
-    db.all(sql, [], async (err, sessions) => {
-      if (err) {
-        return reject(err);
-      }
+    const current = await dbAll('SELECT id FROM newsletter_queue ORDER BY position, id');
+    const known = new Set(current.map(row => row.id));
+    const listed = [...new Set(ids.map(Number))];
+    
+    const unknown = listed.filter(id => !known.has(id));
+    if (unknown.length > 0) {
+      return res.status(400).json({ error: `Unknown queue item ids: ${unknown.join(', ')}` });
+    }
+    
+    const order = [...listed, ...current.map(row => row.id).filter(id => !listed.includes(id))];
+    
+    await withTransaction(async () => {
+      for (const [index, id] of order.entries()) {
+        await dbRun('UPDATE newsletter_queue SET position = ? WHERE id = ?', [index + 1, id]);
+      }
+    });
+    
+    const rows = await loadQueueItems();
+    res.json({ success: true, items: rows.map(formatQueueItem) });
+    liveEvents.publish('queue-changed', { action: 'reordered' });
+  } catch (error) {
+    console.error('Error reordering newsletter queue:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Build a newsletter from the queue, optionally topped up with recently tracked articles.
+// Shared by POST /api/newsletter/generate-from-queue and the newsletter schedules.
+async function composeNewsletterFromQueue({ includeTracked = false, dateRange = 7, minScore = 50, resurface = false, targetIssueId = null } = {}) {
+  // Items planned for a different issue stay in the queue for that one
+  const queueItems = await loadQueueItems('WHERE q.target_newsletter_id IS NULL OR q.target_newsletter_id = ?', [targetIssueId]);
+  let sessions = queueItems.map(queueItemToSession);
+  
+  // Optionally include tracked articles from recent days
+  if (includeTracked) {
+    const endDate = new Date();
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - dateRange);
+    
+    const dateFrom = startDate.toISOString().split('T')[0] + ' 00:00:00';
+    const dateTo = endDate.toISOString().split('T')[0] + ' 23:59:59';
+    
+    const tracked = await dbAll(`
+      SELECT 
+        rs.*,
+        GROUP_CONCAT(t.name) as tags,
+        GROUP_CONCAT(t.color) as tag_colors
+      FROM reading_sessions rs
+      LEFT JOIN session_tags st ON rs.id = st.session_id
+      LEFT JOIN tags t ON st.tag_id = t.id
+      WHERE rs.category NOT IN ('linkedin', 'linkedin_newsletter') 
+        AND rs.url NOT LIKE '%linkedin.com%'
+        AND rs.created_at >= ? AND rs.created_at <= ? 
+        AND rs.learning_score >= ?
+        AND rs.id NOT IN (SELECT session_id FROM newsletter_queue WHERE session_id IS NOT NULL)
+      GROUP BY rs.id
+      ORDER BY rs.learning_score DESC, rs.created_at DESC
+    `, [dateFrom, dateTo, minScore]);
+    
+    sessions = [...sessions, ...tracked];
+  }
+  
+  // Leave out articles that already went out in a published issue
+  const previouslyFeatured = await excludePreviouslyFeatured(sessions, { resurface });
+  
+  // Remove duplicates based on URL and title
+  const uniqueSessions = [];
+  const seenUrls = new Set();
+  const seenTitles = new Set();
+  
+  previouslyFeatured.sessions.forEach(session => {
+    const normalizedUrl = normalizeUrl(session.url);
+    const normalizedTitle = session.title?.toLowerCase().trim();
+    
+    if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
+      seenUrls.add(normalizedUrl);
+      seenTitles.add(normalizedTitle);
+      uniqueSessions.push(session);
+    }
+  });
+  
+  // Process sessions for newsletter
+  const processedSessions = uniqueSessions.map(session => ({
+    ...session,
+    tags: session.tags ? session.tags.split(',') : [],
+    tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
+    reading_time_formatted: `${session.reading_time} min`,
+    created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }));
+  
+  const categorizedSessions = groupNewsletterSessions(processedSessions);
+  
+  // Generate newsletter content
+  const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, dateRange, await loadNewsletterCopy());
+  
+  return {
+    newsletter,
+    stats: {
+      totalSessions: processedSessions.length,
+      queueItems: processedSessions.filter(s => s.queued).length,
+      skippedPreviouslyFeatured: previouslyFeatured.skipped.length,
+      dateRange,
+      categories: Object.keys(categorizedSessions),
+      avgLearningScore: processedSessions.length > 0 
+        ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
+        : 0
+    },
+    skipped: previouslyFeatured.skipped
+  };
+}
+
+// Move queue items to newsletter (include newsletter_queue in newsletter generation)
+app.post('/api/newsletter/generate-from-queue', async (req, res) => {
+  try {
+    const { includeTracked = false, dateRange = 7, minScore = 50, resurface = false, targetIssueId = null } = req.body;
+    
+    const { newsletter, stats, skipped } = await composeNewsletterFromQueue({ includeTracked, dateRange, minScore, resurface, targetIssueId });
+    
+    res.json({
+      success: true,
+      newsletter,
+      stats,
+      formats: await renderNewsletterFormats(newsletter),
+      skipped,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Newsletter generation error:', error);
+    res.status(500).json({ error: 'Failed to generate newsletter' });
+  }
+});
+
+// Write the theme, editorial intro, section transitions and subject line of a newsletter with the
+// LLM, or regenerate one of them (part: 'theme', 'intro', 'subject', or 'transition' with an
+// optional sectionIndex). Takes a newsletter object or a saved issue (newsletterId). Nothing is
+// saved: the updated newsletter comes back for the editor to keep or discard.
+app.post('/api/newsletter/editorial', async (req, res) => {
+  try {
+    const { part = 'all', sectionIndex = null } = req.body;
+    
+    if (part !== 'all' && !EDITORIAL_PARTS.includes(part)) {
+      return res.status(400).json({ error: `part must be 'all' or one of: ${EDITORIAL_PARTS.join(', ')}` });
+    }
+    
+    const newsletter = await resolvePreviewNewsletter(req.body);
+    if (!newsletter) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    if (!Array.isArray(newsletter.sections) || !newsletter.sections.every(section => section && Array.isArray(section.items))) {
+      return res.status(400).json({ error: 'Every newsletter section must have an items array' });
+    }
+    if (!newsletter.sections.some(section => section.items.length > 0)) {
+      return res.status(400).json({ error: 'The newsletter has no articles to write about' });
+    }
+    if (sectionIndex !== null && !(Number.isInteger(sectionIndex) && newsletter.sections[sectionIndex])) {
+      return res.status(400).json({ error: 'sectionIndex does not match a section' });
+    }
+    
+    const editorial = await LLMService.writeEditorial(newsletter, { part, sectionIndex });
+    const updated = {
+      ...newsletter,
+      ...(editorial.theme !== undefined && { theme: editorial.theme }),
+      ...(editorial.intro !== undefined && { intro: editorial.intro }),
+      ...(editorial.subjectLine !== undefined && { subjectLine: editorial.subjectLine }),
+      sections: newsletter.sections.map((section, index) => (
+        editorial.transitions && index in editorial.transitions ? { ...section, transition: editorial.transitions[index] } : section
+      ))
+    };
+    
+    res.json({ success: true, editorial, newsletter: updated, formats: await renderNewsletterFormats(updated) });
+  } catch (error) {
+    console.error('Error writing newsletter editorial:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper function to generate newsletter from queue
+async function generateNewsletterFromQueue({ resurface = false } = {}) {
+  const queueItems = await loadQueueItems(`
+    WHERE q.target_newsletter_id IS NULL
+      AND COALESCE(rs.url, q.url) NOT LIKE '%linkedin.com%'
+  `);
+  const sessions = queueItems.map(queueItemToSession);
+  
+  // Summaries are written by a background job; until it finishes these articles use their excerpt
+  const summaryJob = await enqueueSummaries(sessions
+    .filter(session => !session.llm_summary && session.url && session.id)
+    .map(session => session.id));
+  
+  // Leave out articles that already went out in a published issue
+  const previouslyFeatured = await excludePreviouslyFeatured(sessions, { resurface });
+  
+  // Remove duplicates based on URL and title
+  const uniqueSessions = [];
+  const seenUrls = new Set();
+  const seenTitles = new Set();
+  
+  previouslyFeatured.sessions.forEach(session => {
+    const normalizedUrl = normalizeUrl(session.url);
+    const normalizedTitle = session.title?.toLowerCase().trim();
+    
+    if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
+      seenUrls.add(normalizedUrl);
+      seenTitles.add(normalizedTitle);
+      uniqueSessions.push(session);
+    }
+  });
+  
+  // Process sessions for newsletter
+  const processedSessions = uniqueSessions.map(session => ({
+    ...session,
+    tags: session.tags ? session.tags.split(',') : [],
+    tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
+    reading_time_formatted: `${session.reading_time} min`,
+    created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric'
+    })
+  }));
+  
+  const categorizedSessions = groupNewsletterSessions(processedSessions);
+  
+  // Generate newsletter content
+  const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, 0, await loadNewsletterCopy());
+  
+  return {
+    newsletter,
+    stats: {
+      totalSessions: processedSessions.length,
+      queueItems: processedSessions.length,
+      skippedPreviouslyFeatured: previouslyFeatured.skipped.length,
+      dateRange: 0,
+      categories: Object.keys(categorizedSessions),
+      avgLearningScore: processedSessions.length > 0 
+        ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
+        : 0
+    },
+    formats: await renderNewsletterFormats(newsletter),
+    skipped: previouslyFeatured.skipped,
+    summaryJob: summaryJob ? formatJob(summaryJob) : null
+  };
+}
+
+// Newsletter issue endpoints
+
+const NEWSLETTER_STATUSES = ['draft', 'scheduled', 'published'];
+
+function parseJsonColumn(value, fallback) {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return fallback;
+  }
+}
+
+// SQLite CURRENT_TIMESTAMP values are UTC without a zone marker
+function sqlTimestampToIso(value) {
+  if (!value) return null;
+  const date = new Date(value.includes('T') ? value : `${value.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? value : date.toISOString();
+}
+
+function buildNewsletterFooter(sections, message, generatedAt) {
+  const categories = [...new Set(sections.flatMap(section => section.items.map(item => item.category)).filter(Boolean))];
+  return {
+    totalArticles: sections.reduce((count, section) => count + section.items.length, 0),
+    categoriesCovered: categories.length,
+    categories,
+    generatedAt,
+    message
+  };
+}
+
+// Load a saved issue and assemble it into the same shape generateNewsletterContent returns
+async function loadNewsletterIssue(id) {
+  const issue = await dbGet('SELECT * FROM newsletters WHERE id = ?', [id]);
+  if (!issue) return null;
+  
+  const items = await dbAll('SELECT * FROM newsletter_items WHERE newsletter_id = ? ORDER BY position', [id]);
+  const transitions = parseJsonColumn(issue.section_transitions, {});
+  
+  const sections = [];
+  items.forEach(item => {
+    let section = sections.find(s => s.title === item.section_title);
+    if (!section) {
+      section = { title: item.section_title, transition: transitions[item.section_title] || null, items: [] };
+      sections.push(section);
+    }
+    
+    section.items.push({
+      id: item.id,
+      sessionId: item.session_id,
+      title: item.title,
+      url: item.url,
+      excerpt: item.excerpt,
+      readingTime: item.reading_time,
+      learningScore: item.learning_score,
+      tags: parseJsonColumn(item.tags, []),
+      date: item.item_date,
+      category: item.category,
+      llmGenerated: !!item.llm_generated,
+      llmModel: item.llm_model
+    });
+  });
+  
+  return {
+    id: issue.id,
+    status: issue.status,
+    scheduled_for: issue.scheduled_for,
+    published_at: issue.published_at,
+    revision: issue.revision,
+    settings: parseJsonColumn(issue.settings, null),
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    newsletter: {
+      title: issue.title,
+      subtitle: issue.subtitle,
+      theme: issue.theme,
+      subjectLine: issue.subject_line,
+      intro: issue.intro,
+      sections,
+      footer: buildNewsletterFooter(sections, issue.footer_message, sqlTimestampToIso(issue.created_at))
+    }
+  };
+}
+
+// Replace an issue's items with the given sections; item positions follow array order
+async function replaceNewsletterItems(newsletterId, sections) {
+  await dbRun('DELETE FROM newsletter_items WHERE newsletter_id = ?', [newsletterId]);
+  
+  let position = 0;
+  for (const section of sections) {
+    for (const item of section.items || []) {
+      await dbRun(`
+        INSERT INTO newsletter_items (
+          newsletter_id, session_id, section_title, position, title, url, normalized_url, excerpt, tags,
+          reading_time, learning_score, category, item_date, llm_generated, llm_model
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `, [
+        newsletterId,
+        item.sessionId || null,
+        section.title || 'Untitled section',
+        position++,
+        item.title || 'Untitled',
+        item.url || null,
+        normalizeUrl(item.url),
+        item.excerpt || null,
+        JSON.stringify(item.tags || []),
+        item.readingTime || 0,
+        item.learningScore || 0,
+        item.category || null,
+        item.date || null,
+        item.llmGenerated ? 1 : 0,
+        item.llmModel || null
+      ]);
+    }
+  }
+}
+
+// Section transitions are stored on the issue, keyed by section title
+function sectionTransitionsJson(sections) {
+  const transitions = Object.fromEntries((sections || [])
+    .filter(section => section.transition)
+    .map(section => [section.title, section.transition]));
+  return Object.keys(transitions).length > 0 ? JSON.stringify(transitions) : null;
+}
+
+// Persist a generated newsletter object as a new issue. Returns the new issue id.
+async function saveNewsletterIssue(newsletter, { status = 'draft', scheduledFor = null, settings = null } = {}) {
+  return withTransaction(async () => {
+    const result = await dbRun(`
+      INSERT INTO newsletters (
+        title, subtitle, theme, subject_line, intro, section_transitions, footer_message, status, scheduled_for, published_at, settings
+      )
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ${status === 'published' ? 'CURRENT_TIMESTAMP' : 'NULL'}, ?)
+    `, [
+      newsletter.title,
+      newsletter.subtitle || null,
+      newsletter.theme || null,
+      newsletter.subjectLine || null,
+      newsletter.intro || null,
+      sectionTransitionsJson(newsletter.sections),
+      newsletter.footer?.message || null,
+      status,
+      scheduledFor,
+      settings ? JSON.stringify(settings) : null
+    ]);
+    
+    await replaceNewsletterItems(result.lastID, newsletter.sections || []);
+    return result.lastID;
+  });
+}
+
+// Drop sessions that already appeared in a published issue, matched by session id or normalized URL.
+// With resurface set nothing is dropped. Returns the remaining sessions and a report of the skipped ones.
+async function excludePreviouslyFeatured(sessions, { resurface = false } = {}) {
+  if (resurface || sessions.length === 0) {
+    return { sessions, skipped: [] };
+  }
+  
+  const featured = await dbAll(`
+    SELECT ni.session_id, ni.normalized_url, n.id as newsletter_id, n.title as newsletter_title, n.published_at
+    FROM newsletter_items ni
+    JOIN newsletters n ON n.id = ni.newsletter_id
+    WHERE n.status = 'published'
+    ORDER BY n.published_at DESC
+  `);
+  
+  // Keep the most recent issue for each session and URL
+  const bySession = new Map();
+  const byUrl = new Map();
+  featured.forEach(row => {
+    if (row.session_id && !bySession.has(row.session_id)) bySession.set(row.session_id, row);
+    if (row.normalized_url && !byUrl.has(row.normalized_url)) byUrl.set(row.normalized_url, row);
+  });
+  
+  const remaining = [];
+  const skipped = [];
+  sessions.forEach(session => {
+    const normalizedUrl = normalizeUrl(session.url);
+    const match = bySession.get(session.id) || (normalizedUrl && byUrl.get(normalizedUrl));
+    
+    if (!match) {
+      remaining.push(session);
+      return;
+    }
+    
+    skipped.push({
+      sessionId: session.id,
+      title: session.title,
+      url: session.url,
+      matchedBy: bySession.has(session.id) ? 'session' : 'url',
+      newsletterId: match.newsletter_id,
+      newsletterTitle: match.newsletter_title,
+      publishedAt: match.published_at
+    });
+  });
+  
+  return { sessions: remaining, skipped };
+}
+
+// Store the current state of an issue as a revision before it is changed
+async function snapshotNewsletterRevision(issue, note) {
+  const snapshot = {
+    title: issue.newsletter.title,
+    subtitle: issue.newsletter.subtitle,
+    theme: issue.newsletter.theme,
+    subject_line: issue.newsletter.subjectLine,
+    intro: issue.newsletter.intro,
+    footer_message: issue.newsletter.footer.message,
+    status: issue.status,
+    scheduled_for: issue.scheduled_for,
+    sections: issue.newsletter.sections
+  };
+  
+  await dbRun(
+    'INSERT INTO newsletter_revisions (newsletter_id, revision, snapshot, note) VALUES (?, ?, ?, ?)',
+    [issue.id, issue.revision, JSON.stringify(snapshot), note || null]
+  );
+}
+
+function validateNewsletterChanges(changes, { partial }) {
+  if ((!partial || changes.title !== undefined) && !changes.title) {
+    return 'Title is required';
+  }
+  if (!partial && !Array.isArray(changes.sections)) {
+    return 'sections array is required';
+  }
+  if (changes.sections !== undefined && !Array.isArray(changes.sections)) {
+    return 'sections must be an array';
+  }
+  if (changes.status !== undefined && !NEWSLETTER_STATUSES.includes(changes.status)) {
+    return `status must be one of: ${NEWSLETTER_STATUSES.join(', ')}`;
+  }
+  if (changes.scheduled_for != null && (typeof changes.scheduled_for !== 'string' || Number.isNaN(Date.parse(changes.scheduled_for)))) {
+    return 'scheduled_for must be a valid date';
+  }
+  return null;
+}
+
+// scheduled_for is stored as an ISO timestamp so the publisher can compare it with the time
+function normalizeScheduledFor(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+// Apply changes to an issue, recording the previous state as a revision. The issue is read again
+// inside the transaction so concurrent updates each snapshot the revision they replace.
+async function applyNewsletterChanges(loaded, changes, note) {
+  await withTransaction(async () => {
+    const issue = await loadNewsletterIssue(loaded.id);
+    await snapshotNewsletterRevision(issue, note);
+    
+    const status = changes.status ?? issue.status;
+    const scheduledFor = changes.scheduled_for !== undefined ? normalizeScheduledFor(changes.scheduled_for) : issue.scheduled_for;
+    const footerMessage = changes.footer_message ?? changes.footer?.message;
+    const subjectLine = changes.subject_line !== undefined ? changes.subject_line : changes.subjectLine;
+    
+    // published_at marks when the issue went out; moving it back to draft clears it
+    let publishedAt = 'published_at';
+    if (status === 'published' && issue.status !== 'published') publishedAt = 'CURRENT_TIMESTAMP';
+    if (status !== 'published') publishedAt = 'NULL';
+    
+    await dbRun(`
+      UPDATE newsletters SET
+        title = ?, subtitle = ?, theme = ?, subject_line = ?, intro = ?, section_transitions = ?, footer_message = ?, status = ?,
+        scheduled_for = ?, published_at = ${publishedAt}, revision = revision + 1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      changes.title ?? issue.newsletter.title,
+      changes.subtitle !== undefined ? changes.subtitle : issue.newsletter.subtitle,
+      changes.theme !== undefined ? changes.theme || null : issue.newsletter.theme,
+      subjectLine !== undefined ? subjectLine || null : issue.newsletter.subjectLine,
+      changes.intro !== undefined ? changes.intro : issue.newsletter.intro,
+      sectionTransitionsJson(changes.sections ?? issue.newsletter.sections),
+      footerMessage !== undefined ? footerMessage : issue.newsletter.footer.message,
+      status,
+      status === 'scheduled' ? scheduledFor : null,
+      issue.id
+    ]);
+    
+    if (changes.sections !== undefined) {
+      await replaceNewsletterItems(issue.id, changes.sections);
+    }
+  });
+  
+  return loadNewsletterIssue(loaded.id);
+}
+
+// PUT replaces the whole issue, PATCH only the fields sent
+async function updateNewsletter(req, res, { partial }) {
+  try {
+    const issue = await loadNewsletterIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    const validationError = validateNewsletterChanges(req.body, { partial });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    if (req.body.status === 'scheduled' && !(req.body.scheduled_for || issue.scheduled_for)) {
+      return res.status(400).json({ error: 'scheduled_for is required for scheduled newsletters' });
+    }
+    
+    const updated = await applyNewsletterChanges(issue, req.body, req.body.note);
+    res.json({ success: true, issue: updated });
+  } catch (error) {
+    console.error('Error updating newsletter:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+// List saved newsletter issues
+app.get('/api/newsletters', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !NEWSLETTER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${NEWSLETTER_STATUSES.join(', ')}` });
+    }
+    
+    const rows = await dbAll(`
+      SELECT n.id, n.title, n.subtitle, n.status, n.scheduled_for, n.published_at, n.revision,
+        n.created_at, n.updated_at, COUNT(ni.id) as item_count
+      FROM newsletters n
+      LEFT JOIN newsletter_items ni ON ni.newsletter_id = n.id
+      ${status ? 'WHERE n.status = ?' : ''}
+      GROUP BY n.id
+      ORDER BY n.updated_at DESC, n.id DESC
+    `, status ? [status] : []);
+    
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching newsletters:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Save a newsletter as a new issue
+app.post('/api/newsletters', async (req, res) => {
+  try {
+    const { newsletter, status = 'draft', scheduled_for = null, settings = null } = req.body;
+    
+    if (!newsletter) {
+      return res.status(400).json({ error: 'newsletter is required' });
+    }
+    
+    const validationError = validateNewsletterChanges({ ...newsletter, status, scheduled_for }, { partial: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    if (status === 'scheduled' && !scheduled_for) {
+      return res.status(400).json({ error: 'scheduled_for is required for scheduled newsletters' });
+    }
+    
+    const id = await saveNewsletterIssue(newsletter, { status, scheduledFor: normalizeScheduledFor(scheduled_for), settings });
+    const issue = await loadNewsletterIssue(id);
+    
+    res.json({ success: true, id, issue, message: 'Newsletter saved' });
+  } catch (error) {
+    console.error('Error saving newsletter:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a saved issue with its rendered formats
+app.get('/api/newsletters/:id', async (req, res) => {
+  try {
+    const issue = await loadNewsletterIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    res.json({
+      ...issue,
+      formats: await renderNewsletterFormats(issue.newsletter)
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace a saved issue
+app.put('/api/newsletters/:id', (req, res) => updateNewsletter(req, res, { partial: false }));
+
+// Partially update a saved issue (intro, status, items, ...)
+app.patch('/api/newsletters/:id', (req, res) => updateNewsletter(req, res, { partial: true }));
+
+// Delete a saved issue with its items and revisions
+app.delete('/api/newsletters/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const result = await withTransaction(async () => {
+      await dbRun('DELETE FROM newsletter_items WHERE newsletter_id = ?', [id]);
+      await dbRun('DELETE FROM newsletter_revisions WHERE newsletter_id = ?', [id]);
+      await dbRun('DELETE FROM newsletter_deliveries WHERE send_id IN (SELECT id FROM newsletter_sends WHERE newsletter_id = ?)', [id]);
+      await dbRun('DELETE FROM newsletter_sends WHERE newsletter_id = ?', [id]);
+      await dbRun('UPDATE newsletter_queue SET target_newsletter_id = NULL WHERE target_newsletter_id = ?', [id]);
+      return dbRun('DELETE FROM newsletters WHERE id = ?', [id]);
+    });
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    res.json({ success: true, message: 'Newsletter deleted' });
+  } catch (error) {
+    console.error('Error deleting newsletter:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the revision history of an issue
+app.get('/api/newsletters/:id/revisions', async (req, res) => {
+  try {
+    const issue = await dbGet('SELECT id, revision FROM newsletters WHERE id = ?', [req.params.id]);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    const rows = await dbAll(
+      'SELECT revision, snapshot, note, created_at FROM newsletter_revisions WHERE newsletter_id = ? ORDER BY revision DESC',
+      [req.params.id]
+    );
+    
+    res.json({
+      currentRevision: issue.revision,
+      revisions: rows.map(row => {
+        const snapshot = parseJsonColumn(row.snapshot, {});
+        return {
+          revision: row.revision,
+          note: row.note,
+          created_at: row.created_at,
+          title: snapshot.title,
+          status: snapshot.status,
+          itemCount: (snapshot.sections || []).reduce((count, section) => count + section.items.length, 0)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter revisions:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get the full content of one revision
+app.get('/api/newsletters/:id/revisions/:revision', async (req, res) => {
+  try {
+    const row = await dbGet(
+      'SELECT revision, snapshot, note, created_at FROM newsletter_revisions WHERE newsletter_id = ? AND revision = ?',
+      [req.params.id, req.params.revision]
+    );
+    if (!row) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json({ ...row, snapshot: parseJsonColumn(row.snapshot, {}) });
+  } catch (error) {
+    console.error('Error fetching newsletter revision:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore an issue to an earlier revision (the current state becomes a new revision first)
+app.post('/api/newsletters/:id/revisions/:revision/restore', async (req, res) => {
+  try {
+    const issue = await loadNewsletterIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    const row = await dbGet(
+      'SELECT snapshot FROM newsletter_revisions WHERE newsletter_id = ? AND revision = ?',
+      [req.params.id, req.params.revision]
+    );
+    if (!row) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const snapshot = parseJsonColumn(row.snapshot, {});
+    const updated = await applyNewsletterChanges(issue, snapshot, `Restored revision ${req.params.revision}`);
+    
+    res.json({ success: true, issue: updated });
+  } catch (error) {
+    console.error('Error restoring newsletter revision:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Issues that featured a reading session
+app.get('/api/sessions/:id/newsletters', async (req, res) => {
+  try {
+    const rows = await dbAll(`
+      SELECT DISTINCT n.id, n.title, n.status, n.published_at, n.created_at
+      FROM newsletter_items ni
+      JOIN newsletters n ON n.id = ni.newsletter_id
+      WHERE ni.session_id = ?
+      ORDER BY n.created_at DESC
+    `, [req.params.id]);
+    
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching session newsletters:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Newsletter schedule endpoints
+
+const DEFAULT_SCHEDULE_SETTINGS = { dateRange: 7, minScore: 50, includeTracked: true, resurface: false };
+
+function formatSchedule(row) {
+  return {
+    ...row,
+    enabled: !!row.enabled,
+    settings: { ...DEFAULT_SCHEDULE_SETTINGS, ...parseJsonColumn(row.settings, {}) }
+  };
+}
+
+// Merge request fields over an existing schedule (or the defaults) and validate the result
+function buildScheduleFields(body, existing = {}) {
+  const fields = {
+    name: body.name ?? existing.name,
+    frequency: body.frequency ?? existing.frequency,
+    day_of_week: body.day_of_week !== undefined ? body.day_of_week : existing.day_of_week,
+    time_of_day: body.time_of_day ?? existing.time_of_day,
+    enabled: body.enabled ?? existing.enabled ?? true,
+    settings: { ...DEFAULT_SCHEDULE_SETTINGS, ...existing.settings, ...body.settings }
+  };
+  
+  if (fields.frequency !== 'weekly') {
+    fields.day_of_week = null;
+  } else if (fields.day_of_week !== null && fields.day_of_week !== '') {
+    fields.day_of_week = Number(fields.day_of_week);
+  }
+  
+  if (!fields.name || !fields.name.trim()) {
+    return { error: 'Name is required' };
+  }
+  
+  const error = validateSchedule(fields);
+  if (error) return { error };
+  
+  const { dateRange, minScore } = fields.settings;
+  if (!Number.isInteger(dateRange) || dateRange < 0 || !Number.isInteger(minScore) || minScore < 0 || minScore > 100) {
+    return { error: 'settings.dateRange must be a whole number of days and settings.minScore between 0 and 100' };
+  }
+  
+  return { fields };
+}
+
+// Run one schedule: generate from the queue, save a draft issue and record the run. A `manual` run
+// (POST /api/newsletter/schedules/:id/run) leaves next_run_at as it is.
+async function runNewsletterSchedule(schedule, { manual = false } = {}) {
+  const settings = { ...DEFAULT_SCHEDULE_SETTINGS, ...parseJsonColumn(schedule.settings, {}) };
+  const run = await dbRun(
+    "INSERT INTO newsletter_schedule_runs (schedule_id, status, started_at) VALUES (?, 'running', ?)",
+    [schedule.id, new Date().toISOString()]
+  );
+  
+  let status = 'success';
+  let newsletterId = null;
+  let articleCount = 0;
+  let errorMessage = null;
+  
+  try {
+    const { newsletter, stats } = await composeNewsletterFromQueue(settings);
+    articleCount = stats.totalSessions;
+    
+    if (articleCount === 0) {
+      status = 'empty';
+    } else {
+      newsletterId = await saveNewsletterIssue(newsletter, {
+        status: 'draft',
+        settings: { ...settings, scheduleId: schedule.id }
+      });
+    }
+  } catch (error) {
+    status = 'failed';
+    errorMessage = error.message;
+    console.error(`Newsletter schedule "${schedule.name}" failed:`, error.message);
+  }
+  
+  await dbRun(
+    'UPDATE newsletter_schedule_runs SET status = ?, newsletter_id = ?, article_count = ?, error = ?, finished_at = ? WHERE id = ?',
+    [status, newsletterId, articleCount, errorMessage, new Date().toISOString(), run.lastID]
+  );
+  await dbRun(
+    'UPDATE newsletter_schedules SET last_run_at = ?, last_status = ?, next_run_at = COALESCE(?, next_run_at) WHERE id = ?',
+    [new Date().toISOString(), status, manual ? null : computeNextRun(schedule).toISOString(), schedule.id]
+  );
+  
+  return dbGet('SELECT * FROM newsletter_schedule_runs WHERE id = ?', [run.lastID]);
+}
+
+const newsletterScheduler = new Scheduler({
+  findDue: (now) => dbAll(
+    'SELECT * FROM newsletter_schedules WHERE enabled = 1 AND next_run_at <= ? ORDER BY next_run_at',
+    [now.toISOString()]
+  ),
+  execute: runNewsletterSchedule
+});
+
+// Publish a scheduled issue once its scheduled_for time has passed. Publishing only changes the
+// status; sending to subscribers stays a separate step.
+async function publishScheduledIssue({ id }) {
+  const issue = await loadNewsletterIssue(id);
+  if (!issue || issue.status !== 'scheduled') return;
+  
+  await applyNewsletterChanges(issue, { status: 'published' }, 'Published on schedule');
+  console.log(`Published scheduled newsletter ${id}`);
+}
+
+const issuePublisher = new Scheduler({
+  // Rows saved before scheduled_for was normalized may not be ISO, so the times are compared here
+  findDue: async (now) => {
+    const rows = await dbAll("SELECT id, scheduled_for FROM newsletters WHERE status = 'scheduled' AND scheduled_for IS NOT NULL");
+    return rows.filter(row => Date.parse(row.scheduled_for) <= now.getTime());
+  },
+  execute: publishScheduledIssue
+});
+
+// List newsletter schedules
+app.get('/api/newsletter/schedules', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT * FROM newsletter_schedules ORDER BY name');
+    res.json(rows.map(formatSchedule));
+  } catch (error) {
+    console.error('Error fetching newsletter schedules:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a newsletter schedule
+app.post('/api/newsletter/schedules', async (req, res) => {
+  try {
+    const { fields, error } = buildScheduleFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const result = await dbRun(`
+      INSERT INTO newsletter_schedules (name, frequency, day_of_week, time_of_day, settings, enabled, next_run_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `, [
+      fields.name.trim(),
+      fields.frequency,
+      fields.day_of_week,
+      fields.time_of_day,
+      JSON.stringify(fields.settings),
+      fields.enabled ? 1 : 0,
+      computeNextRun(fields).toISOString()
+    ]);
+    
+    const schedule = await dbGet('SELECT * FROM newsletter_schedules WHERE id = ?', [result.lastID]);
+    res.json({ success: true, schedule: formatSchedule(schedule), message: 'Schedule created' });
+  } catch (error) {
+    console.error('Error creating newsletter schedule:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a newsletter schedule
+app.get('/api/newsletter/schedules/:id', async (req, res) => {
+  try {
+    const schedule = await dbGet('SELECT * FROM newsletter_schedules WHERE id = ?', [req.params.id]);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json(formatSchedule(schedule));
+  } catch (error) {
+    console.error('Error fetching newsletter schedule:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update selected fields of a newsletter schedule
+app.patch('/api/newsletter/schedules/:id', async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM newsletter_schedules WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const { fields, error } = buildScheduleFields(req.body, formatSchedule(existing));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    await dbRun(`
+      UPDATE newsletter_schedules SET
+        name = ?, frequency = ?, day_of_week = ?, time_of_day = ?, settings = ?, enabled = ?,
+        next_run_at = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      fields.name.trim(),
+      fields.frequency,
+      fields.day_of_week,
+      fields.time_of_day,
+      JSON.stringify(fields.settings),
+      fields.enabled ? 1 : 0,
+      computeNextRun(fields).toISOString(),
+      existing.id
+    ]);
+    
+    const schedule = await dbGet('SELECT * FROM newsletter_schedules WHERE id = ?', [existing.id]);
+    res.json({ success: true, schedule: formatSchedule(schedule), message: 'Schedule updated' });
+  } catch (error) {
+    console.error('Error updating newsletter schedule:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a newsletter schedule and its run history (issues it generated are kept)
+app.delete('/api/newsletter/schedules/:id', async (req, res) => {
+  try {
+    const result = await withTransaction(async () => {
+      await dbRun('DELETE FROM newsletter_schedule_runs WHERE schedule_id = ?', [req.params.id]);
+      return dbRun('DELETE FROM newsletter_schedules WHERE id = ?', [req.params.id]);
+    });
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    res.json({ success: true, message: 'Schedule deleted' });
+  } catch (error) {
+    console.error('Error deleting newsletter schedule:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run history of a newsletter schedule, most recent first
+app.get('/api/newsletter/schedules/:id/runs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const rows = await dbAll(
+      'SELECT * FROM newsletter_schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+      [req.params.id, limit]
+    );
+    
+    res.json(rows);
+  } catch (error) {
+    console.error('Error fetching newsletter schedule runs:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Run a newsletter schedule now (does not change when it runs next)
+app.post('/api/newsletter/schedules/:id/run', async (req, res) => {
+  try {
+    const schedule = await dbGet('SELECT * FROM newsletter_schedules WHERE id = ?', [req.params.id]);
+    if (!schedule) {
+      return res.status(404).json({ error: 'Schedule not found' });
+    }
+    
+    const run = await runNewsletterSchedule(schedule, { manual: true });
+    res.json({ success: run.status !== 'failed', run });
+  } catch (error) {
+    console.error('Error running newsletter schedule:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Newsletter template endpoints
+
+// 'email' is the HTML body of an email and 'text' its plain-text alternative
+const NEWSLETTER_FORMATS = ['html', 'markdown', 'email', 'text'];
+const COPY_KEY_PATTERN = /^section\.[a-z0-9_]+$/;
+
+function formatTemplate(row) {
+  return {
+    ...row,
+    escape_html: !!row.escape_html,
+    is_default: !!row.is_default,
+    is_builtin: !!row.builtin_key
+  };
+}
+
+async function loadNewsletterCopy() {
+  const rows = await dbAll('SELECT key, template FROM newsletter_copy');
+  return Object.fromEntries(rows.map(row => [row.key, row.template]));
+}
+
+// Render a newsletter with a stored template. A template that fails to render (e.g. one saved
+// before templates were checked by rendering them) gives an error instead of throwing.
+function renderStoredTemplate(template, newsletter) {
+  try {
+    return { output: renderTemplate(template.body, newsletter, { escapeHtml: !!template.escape_html }), error: null };
+  } catch (error) {
+    console.error(`Error rendering newsletter template ${template.id}:`, error.message);
+    return { output: null, error: `Template failed to render: ${error.message}` };
+  }
+}
+
+// Render a newsletter with a template, given by id or as the default for a format
+async function renderNewsletter(newsletter, { templateId, format } = {}) {
+  const template = templateId
+    ? await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [templateId])
+    : await dbGet('SELECT * FROM newsletter_templates WHERE format = ? AND is_default = 1', [format]);
+  if (!template) return null;
+  
+  const { output, error } = renderStoredTemplate(template, newsletter);
+  return {
+    template: { id: template.id, name: template.name, format: template.format },
+    output,
+    ...(error ? { error } : {})
+  };
+}
+
+// Render a newsletter with the default template of every format, leaving out formats whose
+// template fails to render
+async function renderNewsletterFormats(newsletter) {
+  const templates = await dbAll('SELECT * FROM newsletter_templates WHERE is_default = 1');
+  const formats = {};
+  templates.forEach(template => {
+    const { output, error } = renderStoredTemplate(template, newsletter);
+    if (!error) formats[template.format] = output;
+  });
+  return formats;
+}
+
+function validateTemplateFields({ name, format, body }, { partial }) {
+  if ((!partial || name !== undefined) && !name) {
+    return 'Name is required';
+  }
+  if ((!partial || format !== undefined) && !NEWSLETTER_FORMATS.includes(format)) {
+    return `format must be one of: ${NEWSLETTER_FORMATS.join(', ')}`;
+  }
+  if (!partial || body !== undefined) {
+    const error = validateTemplate(body);
+    if (error) return `Invalid template: ${error}`;
+  }
+  return null;
+}
+
+// The newsletter to preview: a saved issue by id, or a newsletter object sent in the request
+async function resolvePreviewNewsletter({ newsletterId, newsletter }) {
+  if (newsletterId) {
+    const issue = await loadNewsletterIssue(newsletterId);
+    return issue ? issue.newsletter : null;
+  }
+  return newsletter || null;
+}
+
+// List templates (optionally for one format)
+app.get('/api/newsletter/templates', async (req, res) => {
+  try {
+    const { format } = req.query;
+    const rows = await dbAll(
+      `SELECT * FROM newsletter_templates ${format ? 'WHERE format = ?' : ''} ORDER BY format, builtin_key IS NULL, name`,
+      format ? [format] : []
+    );
+    
+    res.json({ formats: NEWSLETTER_FORMATS, templates: rows.map(formatTemplate) });
+  } catch (error) {
+    console.error('Error fetching newsletter templates:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a template
+app.post('/api/newsletter/templates', async (req, res) => {
+  try {
+    const { name, format, description, body, escape_html = false } = req.body;
+    
+    const validationError = validateTemplateFields(req.body, { partial: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const result = await dbRun(
+      'INSERT INTO newsletter_templates (name, format, description, body, escape_html) VALUES (?, ?, ?, ?, ?)',
+      [name, format, description || null, body, escape_html ? 1 : 0]
+    );
+    
+    const template = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [result.lastID]);
+    res.json({ success: true, template: formatTemplate(template), message: 'Template created' });
+  } catch (error) {
+    console.error('Error creating newsletter template:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview a template that hasn't been saved, or a saved one, against an issue
+app.post('/api/newsletter/templates/preview', async (req, res) => {
+  try {
+    const { templateId, body, escape_html = false } = req.body;
+    
+    const newsletter = await resolvePreviewNewsletter(req.body);
+    if (!newsletter) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    if (templateId) {
+      const rendered = await renderNewsletter(newsletter, { templateId });
+      if (!rendered) {
+        return res.status(404).json({ error: 'Template not found' });
+      }
+      if (rendered.error) {
+        return res.status(400).json({ error: rendered.error });
+      }
+      return res.json(rendered);
+    }
+    
+    const templateError = validateTemplate(body);
+    if (templateError) {
+      return res.status(400).json({ error: `Invalid template: ${templateError}` });
+    }
+    
+    res.json({ output: renderTemplate(body, newsletter, { escapeHtml: !!escape_html }) });
+  } catch (error) {
+    console.error('Error previewing newsletter template:', error.message);
+    res.status(400).json({ error: `Template failed to render: ${error.message}` });
+  }
+});
+
+// Get a template
+app.get('/api/newsletter/templates/:id', async (req, res) => {
+  try {
+    const template = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [req.params.id]);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    res.json(formatTemplate(template));
+  } catch (error) {
+    console.error('Error fetching newsletter template:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a template; built-in templates are read-only
+app.patch('/api/newsletter/templates/:id', async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (existing.builtin_key) {
+      return res.status(400).json({ error: 'Built-in templates cannot be changed; create a copy instead' });
+    }
+    
+    const validationError = validateTemplateFields(req.body, { partial: true });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const { name, format, description, body, escape_html } = req.body;
+    if (format !== undefined && format !== existing.format && existing.is_default) {
+      return res.status(400).json({ error: 'Choose another default template before changing the format of this one' });
+    }
+    
+    await dbRun(`
+      UPDATE newsletter_templates
+      SET name = ?, format = ?, description = ?, body = ?, escape_html = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      name ?? existing.name,
+      format ?? existing.format,
+      description !== undefined ? description : existing.description,
+      body ?? existing.body,
+      escape_html !== undefined ? (escape_html ? 1 : 0) : existing.escape_html,
+      existing.id
+    ]);
+    
+    const template = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [existing.id]);
+    res.json({ success: true, template: formatTemplate(template), message: 'Template updated' });
+  } catch (error) {
+    console.error('Error updating newsletter template:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a template; if it was the default, the built-in template of its format takes over
+app.delete('/api/newsletter/templates/:id', async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (existing.builtin_key) {
+      return res.status(400).json({ error: 'Built-in templates cannot be deleted' });
+    }
+    
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM newsletter_templates WHERE id = ?', [existing.id]);
+      if (existing.is_default) {
+        await dbRun(`
+          UPDATE newsletter_templates SET is_default = 1
+          WHERE id = (SELECT id FROM newsletter_templates WHERE format = ? ORDER BY builtin_key IS NULL, id LIMIT 1)
+        `, [existing.format]);
+      }
+    });
+    
+    res.json({ success: true, message: 'Template deleted' });
+  } catch (error) {
+    console.error('Error deleting newsletter template:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make a template the default for its format
+app.post('/api/newsletter/templates/:id/default', async (req, res) => {
+  try {
+    const template = await dbGet('SELECT * FROM newsletter_templates WHERE id = ?', [req.params.id]);
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    
+    await withTransaction(async () => {
+      await dbRun('UPDATE newsletter_templates SET is_default = 0 WHERE format = ?', [template.format]);
+      await dbRun('UPDATE newsletter_templates SET is_default = 1 WHERE id = ?', [template.id]);
+    });
+    
+    res.json({ success: true, message: `${template.name} is now the default ${template.format} template` });
+  } catch (error) {
+    console.error('Error setting default newsletter template:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Render a saved issue with any template (?template=<id>) or the default of a format (?format=).
+// ?raw=1 returns the output itself, e.g. to open the email format in a browser.
+app.get('/api/newsletters/:id/preview', async (req, res) => {
+  try {
+    const { template: templateId, format = 'html', raw } = req.query;
+    
+    const issue = await loadNewsletterIssue(req.params.id);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    const rendered = await renderNewsletter(issue.newsletter, { templateId, format });
+    if (!rendered) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (rendered.error) {
+      return res.status(400).json({ error: rendered.error });
+    }
+    
+    if (raw) {
+      const isHtml = rendered.template.format === 'email' || rendered.template.format === 'html';
+      return res.type(isHtml ? 'html' : 'text').send(rendered.output);
+    }
+    
+    res.json(rendered);
+  } catch (error) {
+    console.error('Error previewing newsletter:', error.message);
+    res.status(400).json({ error: `Template failed to render: ${error.message}` });
+  }
+});
+
+// Render a newsletter object (e.g. unsaved edits) in a format
+app.post('/api/newsletter/render', async (req, res) => {
+  try {
+    const { newsletter, format = 'markdown', templateId } = req.body;
+    if (!newsletter) {
+      return res.status(400).json({ error: 'newsletter is required' });
+    }
+    
+    const rendered = await renderNewsletter(newsletter, { templateId, format });
+    if (!rendered) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+    if (rendered.error) {
+      return res.status(400).json({ error: rendered.error });
+    }
+    
+    res.json(rendered);
+  } catch (error) {
+    console.error('Error rendering newsletter:', error.message);
+    res.status(400).json({ error: `Template failed to render: ${error.message}` });
+  }
+});
+
+// Copy used when generating newsletters: built-in defaults and the saved overrides
+app.get('/api/newsletter/copy', async (req, res) => {
+  try {
+    const overrides = await loadNewsletterCopy();
+    res.json({ defaults: DEFAULT_COPY, overrides, copy: { ...DEFAULT_COPY, ...overrides } });
+  } catch (error) {
+    console.error('Error fetching newsletter copy:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Override copy templates; an empty or null value restores the default for that key
+app.put('/api/newsletter/copy', async (req, res) => {
+  try {
+    const entries = Object.entries(req.body || {});
+    
+    for (const [key, template] of entries) {
+      if (!(key in DEFAULT_COPY) && !COPY_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: `Unknown copy key: ${key}` });
+      }
+      if (template) {
+        const templateError = validateCopy(template);
+        if (templateError) {
+          return res.status(400).json({ error: `Invalid template for ${key}: ${templateError}` });
+        }
+      }
+    }
+    
+    await withTransaction(async () => {
+      for (const [key, template] of entries) {
+        if (template) {
+          await dbRun(
+            'INSERT OR REPLACE INTO newsletter_copy (key, template, updated_at) VALUES (?, ?, CURRENT_TIMESTAMP)',
+            [key, template]
+          );
+        } else {
+          await dbRun('DELETE FROM newsletter_copy WHERE key = ?', [key]);
+        }
+      }
+    });
+    
+    const overrides = await loadNewsletterCopy();
+    res.json({ success: true, defaults: DEFAULT_COPY, overrides, copy: { ...DEFAULT_COPY, ...overrides } });
+  } catch (error) {
+    console.error('Error saving newsletter copy:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Subscriber and newsletter delivery endpoints
+
+const SUBSCRIBER_STATUSES = ['pending', 'active', 'unsubscribed'];
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Base URL of this API as seen from a subscriber's mail client, for confirmation and unsubscribe links
+const PUBLIC_URL = (process.env.PUBLIC_URL || `http://localhost:${PORT}`).replace(/\/+$/, '');
+
+const mailer = new Mailer();
+
+// Sends currently being delivered by this process
+const activeSends = new Set();
+
+function generateToken() {
+  return crypto.randomBytes(24).toString('hex');
+}
+
+// Tokens are credentials, so they never leave the server in API responses
+function formatSubscriber(row) {
+  const { confirm_token, unsubscribe_token, ...subscriber } = row;
+  return subscriber;
+}
+
+function unsubscribeUrlFor(subscriber) {
+  return `${PUBLIC_URL}/api/subscribers/unsubscribe/${subscriber.unsubscribe_token}`;
+}
+
+function renderSubscriptionPage(title, message, form = '') {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head><meta charset="utf-8"><meta name="viewport" content="width=device-width, initial-scale=1"><title>${escapeHtml(title)}</title></head>
+<body style="font-family:Helvetica,Arial,sans-serif;max-width:480px;margin:64px auto;padding:0 16px;color:#111827;">
+<h1 style="font-size:22px;">${escapeHtml(title)}</h1>
+<p style="color:#374151;line-height:1.5;">${escapeHtml(message)}</p>
+${form}
+</body>
+</html>`;
+}
+
+async function sendConfirmationEmail(subscriber) {
+  const confirmUrl = `${PUBLIC_URL}/api/subscribers/confirm/${subscriber.confirm_token}`;
+  const greeting = subscriber.name ? `Hi ${subscriber.name},` : 'Hi,';
+  
+  await mailer.send({
+    to: subscriber.email,
+    subject: 'Confirm your newsletter subscription',
+    text: `${greeting}\n\nPlease confirm your subscription to the reading digest by opening this link:\n\n${confirmUrl}\n\nIf you didn't sign up, you can ignore this email.\n`,
+    html: `<p>${escapeHtml(greeting)}</p>
+<p>Please confirm your subscription to the reading digest:</p>
+<p><a href="${escapeHtml(confirmUrl)}">Confirm subscription</a></p>
+<p style="color:#6b7280;font-size:13px;">If you didn't sign up, you can ignore this email.</p>`
+  });
+}
+
+// Make sure every send carries an unsubscribe link, even with a custom template that leaves it out
+function withUnsubscribeLink(output, unsubscribeUrl, { html }) {
+  if (output.includes(unsubscribeUrl)) return output;
+  if (!html) return `${output}\n\nUnsubscribe: ${unsubscribeUrl}\n`;
+  
+  const link = `<p style="font-size:12px;color:#6b7280;"><a href="${escapeHtml(unsubscribeUrl)}">Unsubscribe</a></p>`;
+  return output.includes('</body>') ? output.replace('</body>', `${link}\n</body>`) : `${output}\n${link}`;
+}
+
+function formatSend(row) {
+  return {
+    ...row,
+    started_at: sqlTimestampToIso(row.started_at),
+    finished_at: sqlTimestampToIso(row.finished_at)
+  };
+}
+
+// Deliver the pending recipients of a send, then record the totals. An issue that reaches at least
+// one subscriber is marked as published. Errors outside a single delivery are recorded on the send
+// and end it as failed rather than leaving it 'sending'; they are not rethrown.
+async function deliverNewsletterSend(sendId) {
+  if (activeSends.has(sendId)) return;
+  activeSends.add(sendId);
+  
+  try {
+    const send = await dbGet('SELECT * FROM newsletter_sends WHERE id = ?', [sendId]);
+    const issue = send && await loadNewsletterIssue(send.newsletter_id);
+    if (!issue) {
+      throw new Error('Newsletter not found');
+    }
+    
+    const emailTemplate = await dbGet("SELECT * FROM newsletter_templates WHERE format = 'email' AND is_default = 1");
+    const textTemplate = await dbGet("SELECT * FROM newsletter_templates WHERE format = 'text' AND is_default = 1");
+    
+    const deliveries = await dbAll(`
+      SELECT d.*, s.status AS subscriber_status, s.unsubscribe_token
+      FROM newsletter_deliveries d
+      LEFT JOIN subscribers s ON s.id = d.subscriber_id
+      WHERE d.send_id = ? AND d.status = 'pending'
+      ORDER BY d.id
+    `, [sendId]);
+    
+    for (const delivery of deliveries) {
+      if (delivery.subscriber_status !== 'active') {
+        await dbRun(
+          "UPDATE newsletter_deliveries SET status = 'skipped', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+          ['Subscriber is no longer active', delivery.id]
+        );
+        continue;
+      }
+      
+      const unsubscribeUrl = unsubscribeUrlFor(delivery);
+      const context = { ...issue.newsletter, unsubscribeUrl };
+      
+      try {
+        const html = emailTemplate && renderTemplate(emailTemplate.body, context, { escapeHtml: !!emailTemplate.escape_html });
+        const text = textTemplate && renderTemplate(textTemplate.body, context, { escapeHtml: !!textTemplate.escape_html });
+        
+        const result = await mailer.send({
+          to: delivery.email,
+          subject: issue.newsletter.subjectLine || issue.newsletter.title,
+          html: html ? withUnsubscribeLink(html, unsubscribeUrl, { html: true }) : undefined,
+          text: withUnsubscribeLink(text || '', unsubscribeUrl, { html: false }),
+          headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+          }
+        });
+        
+        await dbRun(`
+          UPDATE newsletter_deliveries SET status = 'sent', attempts = attempts + ?, message_id = ?, last_error = NULL,
+            sent_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [result.attempts, result.messageId, delivery.id]);
+      } catch (error) {
+        await dbRun(`
+          UPDATE newsletter_deliveries SET status = 'failed', attempts = attempts + ?, last_error = ?, updated_at = CURRENT_TIMESTAMP
+          WHERE id = ?
+        `, [error.attempts || 1, error.message, delivery.id]);
+      }
+    }
+    
+    const counts = await dbGet(`
+      SELECT SUM(status = 'sent') AS sent, SUM(status = 'failed') AS failed
+      FROM newsletter_deliveries WHERE send_id = ?
+    `, [sendId]);
+    const sent = counts.sent || 0;
+    const failed = counts.failed || 0;
+    const status = failed === 0 ? 'sent' : sent === 0 ? 'failed' : 'partial';
+    
+    await dbRun(`
+      UPDATE newsletter_sends SET status = ?, sent_count = ?, failed_count = ?, finished_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [status, sent, failed, sendId]);
+    
+    if (sent > 0 && issue.status !== 'published') {
+      await applyNewsletterChanges(issue, { status: 'published' }, 'Sent to subscribers');
+    }
+  } catch (error) {
+    // A send whose totals were already recorded keeps its status; only the error is added
+    console.error(`Newsletter send ${sendId} failed:`, error.message);
+    await dbRun(`
+      UPDATE newsletter_sends SET status = CASE status WHEN 'sending' THEN 'failed' ELSE status END, error = ?,
+        finished_at = COALESCE(finished_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `, [error.message, sendId]).catch(dbError => console.error('Error recording failed newsletter send:', dbError.message));
+  } finally {
+    activeSends.delete(sendId);
+  }
+}
+
+// Pick up sends that were interrupted by a restart
+async function resumeNewsletterSends() {
+  try {
+    const sends = await dbAll("SELECT id FROM newsletter_sends WHERE status = 'sending'");
+    for (const send of sends) {
+      await deliverNewsletterSend(send.id);
+    }
+  } catch (error) {
+    console.error('Error resuming newsletter sends:', error.message);
+  }
+}
+
+// List subscribers (optionally with one status)
+app.get('/api/subscribers', async (req, res) => {
+  try {
+    const { status } = req.query;
+    const rows = status
+      ? await dbAll('SELECT * FROM subscribers WHERE status = ? ORDER BY created_at DESC', [status])
+      : await dbAll('SELECT * FROM subscribers ORDER BY created_at DESC');
+    res.json({ subscribers: rows.map(formatSubscriber) });
+  } catch (error) {
+    console.error('Error fetching subscribers:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a subscriber. New subscribers get a confirmation email (double opt-in) unless
+// confirmed is set, e.g. when importing an existing list.
+app.post('/api/subscribers', async (req, res) => {
+  try {
+    const email = typeof req.body.email === 'string' ? req.body.email.trim() : '';
+    const name = req.body.name || null;
+    const confirmed = !!req.body.confirmed;
+    
+    if (!EMAIL_PATTERN.test(email)) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+    
+    const existing = await dbGet('SELECT * FROM subscribers WHERE email = ?', [email]);
+    if (existing && existing.status !== 'unsubscribed') {
+      return res.status(409).json({ error: 'Subscriber already exists' });
+    }
+    
+    const status = confirmed ? 'active' : 'pending';
+    const confirmToken = confirmed ? null : generateToken();
+    let id;
+    
+    if (existing) {
+      // Someone who unsubscribed signs up again
+      await dbRun(`
+        UPDATE subscribers SET name = COALESCE(?, name), status = ?, confirm_token = ?,
+          confirmed_at = ${confirmed ? 'CURRENT_TIMESTAMP' : 'NULL'}, unsubscribed_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [name, status, confirmToken, existing.id]);
+      id = existing.id;
+    } else {
+      const result = await dbRun(`
+        INSERT INTO subscribers (email, name, status, confirm_token, unsubscribe_token, confirmed_at)
+        VALUES (?, ?, ?, ?, ?, ${confirmed ? 'CURRENT_TIMESTAMP' : 'NULL'})
+      `, [email, name, status, confirmToken, generateToken()]);
+      id = result.lastID;
+    }
+    
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE id = ?', [id]);
+    
+    let confirmationError = null;
+    if (!confirmed) {
+      try {
+        await sendConfirmationEmail(subscriber);
+      } catch (error) {
+        console.error('Error sending confirmation email:', error.message);
+        confirmationError = error.message;
+      }
+    }
+    
+    res.status(201).json({
+      success: true,
+      subscriber: formatSubscriber(subscriber),
+      confirmationSent: !confirmed && !confirmationError,
+      ...(confirmationError && { confirmationError }),
+      message: confirmed ? 'Subscriber added' : 'Subscriber added, confirmation pending'
+    });
+  } catch (error) {
+    console.error('Error adding subscriber:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Confirmation link from the opt-in email. Like unsubscribing, GET only shows a button: mail
+// scanners and link prefetchers open the link without anyone having opted in.
+app.get('/api/subscribers/confirm/:token', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE confirm_token = ?', [req.params.token]);
+    if (!subscriber) {
+      return res.status(404).type('html').send(renderSubscriptionPage('Link expired', 'This confirmation link is invalid or has already been used.'));
+    }
+    
+    const form = '<form method="post"><button type="submit" style="padding:8px 16px;">Confirm subscription</button></form>';
+    res.type('html').send(renderSubscriptionPage('Confirm your subscription', `Send the newsletter to ${subscriber.email}?`, form));
+  } catch (error) {
+    console.error('Error loading confirmation page:', error.message);
+    res.status(500).type('html').send(renderSubscriptionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+app.post('/api/subscribers/confirm/:token', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE confirm_token = ?', [req.params.token]);
+    if (!subscriber) {
+      return res.status(404).type('html').send(renderSubscriptionPage('Link expired', 'This confirmation link is invalid or has already been used.'));
+    }
+    
+    await dbRun(`
+      UPDATE subscribers SET status = 'active', confirm_token = NULL, confirmed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [subscriber.id]);
+    
+    res.type('html').send(renderSubscriptionPage('Subscription confirmed', `${subscriber.email} will receive the next issue.`));
+  } catch (error) {
+    console.error('Error confirming subscriber:', error.message);
+    res.status(500).type('html').send(renderSubscriptionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Unsubscribe link from a newsletter. GET only asks for confirmation, so link scanners that
+// prefetch URLs don't unsubscribe anyone; the POST also serves one-click List-Unsubscribe.
+app.get('/api/subscribers/unsubscribe/:token', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE unsubscribe_token = ?', [req.params.token]);
+    if (!subscriber) {
+      return res.status(404).type('html').send(renderSubscriptionPage('Link invalid', 'This unsubscribe link is not valid.'));
+    }
+    if (subscriber.status === 'unsubscribed') {
+      return res.type('html').send(renderSubscriptionPage('Unsubscribed', `${subscriber.email} is already unsubscribed.`));
+    }
+    
+    const form = '<form method="post"><button type="submit" style="padding:8px 16px;">Unsubscribe</button></form>';
+    res.type('html').send(renderSubscriptionPage('Unsubscribe', `Stop sending the newsletter to ${subscriber.email}?`, form));
+  } catch (error) {
+    console.error('Error loading unsubscribe page:', error.message);
+    res.status(500).type('html').send(renderSubscriptionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+app.post('/api/subscribers/unsubscribe/:token', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE unsubscribe_token = ?', [req.params.token]);
+    if (!subscriber) {
+      return res.status(404).type('html').send(renderSubscriptionPage('Link invalid', 'This unsubscribe link is not valid.'));
+    }
+    
+    if (subscriber.status !== 'unsubscribed') {
+      await dbRun(`
+        UPDATE subscribers SET status = 'unsubscribed', confirm_token = NULL, unsubscribed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [subscriber.id]);
+    }
+    
+    res.type('html').send(renderSubscriptionPage('Unsubscribed', `${subscriber.email} won't receive any more issues.`));
+  } catch (error) {
+    console.error('Error unsubscribing:', error.message);
+    res.status(500).type('html').send(renderSubscriptionPage('Something went wrong', 'Please try again later.'));
+  }
+});
+
+// Get a subscriber
+app.get('/api/subscribers/:id', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE id = ?', [req.params.id]);
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    res.json(formatSubscriber(subscriber));
+  } catch (error) {
+    console.error('Error fetching subscriber:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update a subscriber's name or status
+app.patch('/api/subscribers/:id', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE id = ?', [req.params.id]);
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    
+    const { name, status } = req.body;
+    if (status !== undefined && !SUBSCRIBER_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${SUBSCRIBER_STATUSES.join(', ')}` });
+    }
+    
+    const nextStatus = status ?? subscriber.status;
+    let confirmedAt = 'confirmed_at';
+    let unsubscribedAt = 'unsubscribed_at';
+    if (nextStatus !== subscriber.status) {
+      confirmedAt = nextStatus === 'active' ? 'COALESCE(confirmed_at, CURRENT_TIMESTAMP)' : confirmedAt;
+      unsubscribedAt = nextStatus === 'unsubscribed' ? 'CURRENT_TIMESTAMP' : 'NULL';
+    }
+    
+    await dbRun(`
+      UPDATE subscribers SET name = ?, status = ?, confirmed_at = ${confirmedAt}, unsubscribed_at = ${unsubscribedAt},
+        confirm_token = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      name !== undefined ? name : subscriber.name,
+      nextStatus,
+      nextStatus === 'pending' ? subscriber.confirm_token || generateToken() : null,
+      subscriber.id
+    ]);
+    
+    const updated = await dbGet('SELECT * FROM subscribers WHERE id = ?', [subscriber.id]);
+    res.json({ success: true, subscriber: formatSubscriber(updated) });
+  } catch (error) {
+    console.error('Error updating subscriber:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a subscriber (their past deliveries are kept without the link)
+app.delete('/api/subscribers/:id', async (req, res) => {
+  try {
+    const result = await withTransaction(async () => {
+      await dbRun('UPDATE newsletter_deliveries SET subscriber_id = NULL WHERE subscriber_id = ?', [req.params.id]);
+      return dbRun('DELETE FROM subscribers WHERE id = ?', [req.params.id]);
+    });
+    
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    
+    res.json({ success: true, message: 'Subscriber deleted' });
+  } catch (error) {
+    console.error('Error deleting subscriber:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Send the confirmation email again to a pending subscriber
+app.post('/api/subscribers/:id/resend-confirmation', async (req, res) => {
+  try {
+    const subscriber = await dbGet('SELECT * FROM subscribers WHERE id = ?', [req.params.id]);
+    if (!subscriber) {
+      return res.status(404).json({ error: 'Subscriber not found' });
+    }
+    if (subscriber.status !== 'pending') {
+      return res.status(400).json({ error: 'Subscriber is not awaiting confirmation' });
+    }
+    
+    await sendConfirmationEmail(subscriber);
+    res.json({ success: true, message: 'Confirmation email sent' });
+  } catch (error) {
+    console.error('Error resending confirmation:', error.message);
+    res.status(502).json({ error: `Failed to send email: ${error.message}` });
+  }
+});
+
+// Send an issue to all active subscribers (or the subscriber_ids given). Delivery continues in the
+// background; poll the send for per-recipient status.
+app.post('/api/newsletters/:id/send', async (req, res) => {
+  try {
+    const issue = await dbGet('SELECT id FROM newsletters WHERE id = ?', [req.params.id]);
+    if (!issue) {
+      return res.status(404).json({ error: 'Newsletter not found' });
+    }
+    
+    const { subscriber_ids: subscriberIds } = req.body;
+    if (subscriberIds !== undefined && !Array.isArray(subscriberIds)) {
+      return res.status(400).json({ error: 'subscriber_ids must be an array' });
+    }
+    
+    let recipients = await dbAll("SELECT id, email FROM subscribers WHERE status = 'active' ORDER BY id");
+    if (subscriberIds) {
+      recipients = recipients.filter(subscriber => subscriberIds.map(Number).includes(subscriber.id));
+    }
+    if (recipients.length === 0) {
+      return res.status(400).json({ error: 'No active subscribers to send to' });
+    }
+    
+    // Checking for a send in progress in the same transaction as the insert keeps two concurrent
+    // requests from both starting one
+    const { sendId, inProgress } = await withTransaction(async () => {
+      const sending = await dbGet("SELECT id FROM newsletter_sends WHERE newsletter_id = ? AND status = 'sending'", [issue.id]);
+      if (sending) return { inProgress: sending.id };
       
-      // Auto-generate summaries for articles without them
-      const articlesNeedingSummaries = sessions.filter(session => 
-        !session.llm_summary && session.url
+      const result = await dbRun(
+        "INSERT INTO newsletter_sends (newsletter_id, status, recipient_count) VALUES (?, 'sending', ?)",
+        [issue.id, recipients.length]
+      );
+      for (const recipient of recipients) {
+        await dbRun(
+          'INSERT INTO newsletter_deliveries (send_id, subscriber_id, email) VALUES (?, ?, ?)',
+          [result.lastID, recipient.id, recipient.email]
+        );
+      }
+      return { sendId: result.lastID };
+    });
+    if (inProgress) {
+      return res.status(409).json({ error: 'This newsletter is already being sent', sendId: inProgress });
+    }
+    
+    deliverNewsletterSend(sendId).catch(error => console.error('Error sending newsletter:', error.message));
+    
+    const send = await dbGet('SELECT * FROM newsletter_sends WHERE id = ?', [sendId]);
+    res.status(202).json({
+      success: true,
+      send: formatSend(send),
+      message: `Sending to ${recipients.length} subscriber(s)`
+    });
+  } catch (error) {
+    console.error('Error starting newsletter send:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Sends of an issue, most recent first
+app.get('/api/newsletters/:id/sends', async (req, res) => {
+  try {
+    const rows = await dbAll(
+      'SELECT * FROM newsletter_sends WHERE newsletter_id = ? ORDER BY started_at DESC, id DESC',
+      [req.params.id]
+    );
+    res.json({ sends: rows.map(formatSend) });
+  } catch (error) {
+    console.error('Error fetching newsletter sends:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One send with the status of every recipient
+app.get('/api/newsletters/:id/sends/:sendId', async (req, res) => {
+  try {
+    const send = await dbGet(
+      'SELECT * FROM newsletter_sends WHERE id = ? AND newsletter_id = ?',
+      [req.params.sendId, req.params.id]
+    );
+    if (!send) {
+      return res.status(404).json({ error: 'Send not found' });
+    }
+    
+    const deliveries = await dbAll('SELECT * FROM newsletter_deliveries WHERE send_id = ? ORDER BY id', [send.id]);
+    res.json({
+      ...formatSend(send),
+      deliveries: deliveries.map(delivery => ({
+        ...delivery,
+        sent_at: sqlTimestampToIso(delivery.sent_at),
+        updated_at: sqlTimestampToIso(delivery.updated_at)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching newsletter send:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retry the failed recipients of a send, and the ones never reached when the whole send failed
+app.post('/api/newsletters/:id/sends/:sendId/retry', async (req, res) => {
+  try {
+    const send = await dbGet(
+      'SELECT * FROM newsletter_sends WHERE id = ? AND newsletter_id = ?',
+      [req.params.sendId, req.params.id]
+    );
+    if (!send) {
+      return res.status(404).json({ error: 'Send not found' });
+    }
+    // Claimed in one transaction so concurrent retries (or a new send of the issue) can't deliver twice
+    const { pending, conflict } = await withTransaction(async () => {
+      const sending = await dbGet(
+        "SELECT id FROM newsletter_sends WHERE newsletter_id = ? AND status = 'sending'",
+        [send.newsletter_id]
       );
-      
-      if (articlesNeedingSummaries.length > 0) {
-        console.log(`Auto-generating summaries for ${articlesNeedingSummaries.length} articles...`);
-        
-        for (const session of articlesNeedingSummaries) {
-          try {
-            // Extract content and generate summary
-            const content = await LLMService.extractArticleContent(session.url);
-            if (content) {
-              const result = await LLMService.generateSummary(session.title, session.url, content);
-              if (result) {
-                // Update the session with the new summary
-                const updateSql = `
-                  UPDATE reading_sessions 
-                  SET llm_summary = ?, llm_model = ?, llm_generated_at = CURRENT_TIMESTAMP
-                  WHERE id = ?
-                `;
-                
-                await new Promise((resolve, reject) => {
-                  db.run(updateSql, [result.summary, `${result.provider}:${result.model}`, session.id], (err) => {
-                    if (err) reject(err);
-                    else {
-                      session.llm_summary = result.summary;
-                      session.llm_model = `${result.provider}:${result.model}`;
-                      resolve();
-                    }
-                  });
-                });
-                
-                console.log(`Generated summary for: ${session.title}`);
-              }
-            }
-          } catch (error) {
-            console.error(`Failed to generate summary for ${session.title}:`, error.message);
-          }
-        }
+      if (sending) {
+        return { conflict: sending.id === send.id ? 'This send is still in progress' : 'This newsletter is already being sent' };
       }
       
-      // Remove duplicates based on URL and title
-      const uniqueSessions = [];
-      const seenUrls = new Set();
-      const seenTitles = new Set();
-      
-      sessions.forEach(session => {
-        const normalizedUrl = session.url?.toLowerCase().split('?')[0]; // Remove query params for comparison
-        const normalizedTitle = session.title?.toLowerCase().trim();
-        
-        if (!seenUrls.has(normalizedUrl) && !seenTitles.has(normalizedTitle)) {
-          seenUrls.add(normalizedUrl);
-          seenTitles.add(normalizedTitle);
-          uniqueSessions.push(session);
-        }
-      });
-      
-      // Process sessions for newsletter
-      const processedSessions = uniqueSessions.map(session => ({
-        ...session,
-        tags: session.tags ? session.tags.split(',') : [],
-        tag_colors: session.tag_colors ? session.tag_colors.split(',') : [],
-        reading_time_formatted: `${session.reading_time} min`,
-        created_at_formatted: new Date(session.created_at).toLocaleDateString('en-US', {
-          month: 'short',
-          day: 'numeric',
-          year: 'numeric'
-        })
-      }));
-      
-      // Group by category, with newsletter_queue items marked as "curated"
-      const categorizedSessions = processedSessions.reduce((acc, session) => {
-        const category = 'curated'; // All queue items are curated
-        if (!acc[category]) {
-          acc[category] = [];
-        }
-        acc[category].push(session);
-        return acc;
-      }, {});
-      
-      // Generate newsletter content
-      const newsletter = generateNewsletterContent(processedSessions, categorizedSessions, 0);
-      
-      resolve({
-        newsletter,
-        stats: {
-          totalSessions: processedSessions.length,
-          queueItems: processedSessions.length,
-          dateRange: 0,
-          categories: Object.keys(categorizedSessions),
-          avgLearningScore: processedSessions.length > 0 
-            ? Math.round(processedSessions.reduce((sum, s) => sum + s.learning_score, 0) / processedSessions.length)
-            : 0
-        },
-        formats: {
-          html: generateNewsletterHTML(newsletter),
-          markdown: generateNewsletterMarkdown(newsletter)
-        }
-      });
+      await dbRun(
+        "UPDATE newsletter_deliveries SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE send_id = ? AND status = 'failed'",
+        [send.id]
+      );
+      const { pending } = await dbGet(
+        "SELECT COUNT(*) AS pending FROM newsletter_deliveries WHERE send_id = ? AND status = 'pending'",
+        [send.id]
+      );
+      if (pending > 0) {
+        await dbRun("UPDATE newsletter_sends SET status = 'sending', error = NULL, finished_at = NULL WHERE id = ?", [send.id]);
+      }
+      return { pending };
     });
-  });
+    if (conflict) {
+      return res.status(409).json({ error: conflict });
+    }
+    if (pending === 0) {
+      return res.status(400).json({ error: 'No failed deliveries to retry' });
+    }
+    
+    deliverNewsletterSend(send.id).catch(error => console.error('Error sending newsletter:', error.message));
+    
+    res.status(202).json({ success: true, message: `Retrying ${pending} recipient(s)` });
+  } catch (error) {
+    console.error('Error retrying newsletter send:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Feed endpoints
+
+const FEED_ITEM_LIMIT = 20;
+
+function feedDate(value) {
+  return value ? new Date(sqlTimestampToIso(value)) : new Date(0);
 }
 
-// Generate HTML format for Substack
-function generateNewsletterHTML(newsletter) {
-  // Generate rich text format that works better with Substack's editor
-  let content = `${newsletter.title}\n\n`;
-  content += `${newsletter.subtitle}\n\n`;
-  content += `${newsletter.intro}\n\n`;
-  
-  newsletter.sections.forEach(section => {
-    content += `${section.title}\n\n`;
-    section.items.forEach(item => {
-      // Format optimized for Substack rich text editor
-      content += `${item.title}\n`;
-      content += `Link: ${item.url}\n\n`;
-      content += `${item.excerpt}\n\n`;
-      
-      if (item.tags.length > 0) {
-        content += `Tags: ${item.tags.join(', ')}\n`;
-      }
-      
-      content += `${item.date} • Score: ${item.learningScore}/100\n\n`;
-      content += `—————————————————————————————————————\n\n`;
-    });
-  });
+// Send a feed with validators for conditional GET; express answers 304 when req.fresh
+function sendFeed(req, res, feed, format) {
+  const { contentType, build } = FEED_FORMATS[format];
+  const body = build(feed);
   
-  content += `About This Digest\n\n`;
-  content += `${newsletter.footer.message}\n\n`;
-  content += `📊 Stats:\n`;
-  content += `• Total articles: ${newsletter.footer.totalArticles}\n`;
-  content += `• Categories: ${newsletter.footer.categories.join(', ')}\n`;
-  content += `• Generated: ${new Date(newsletter.footer.generatedAt).toLocaleString()}\n`;
+  res.set({
+    'Content-Type': contentType,
+    'ETag': `"${crypto.createHash('sha1').update(body).digest('hex')}"`,
+    'Last-Modified': feed.updated.toUTCString(),
+    'Cache-Control': 'public, max-age=300'
+  });
   
-  return content;
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+  res.send(body);
+}
+
+function latestUpdate(entries) {
+  return entries.reduce((latest, entry) => (entry.updated > latest ? entry.updated : latest), new Date(0));
 }
 
-// Generate clean HTML format for other platforms  
-function generateNewsletterHTMLFormatted(newsletter) {
-  let html = `<h1>${newsletter.title}</h1>\n\n`;
-  html += `<p><em>${newsletter.subtitle}</em></p>\n\n`;
-  html += `<p>${newsletter.intro}</p>\n\n`;
+// Published issues, rendered with the built-in Clean HTML template
+async function buildDigestFeed(feedUrl) {
+  const template = await dbGet("SELECT * FROM newsletter_templates WHERE builtin_key = 'clean-html'");
+  const rows = await dbAll(
+    "SELECT id FROM newsletters WHERE status = 'published' ORDER BY published_at DESC, id DESC LIMIT ?",
+    [FEED_ITEM_LIMIT]
+  );
   
-  newsletter.sections.forEach(section => {
-    html += `<h2>${section.title}</h2>\n\n`;
-    section.items.forEach(item => {
-      html += `<h3><a href="${item.url}">${item.title}</a></h3>\n\n`;
-      html += `<p>${item.excerpt}</p>\n\n`;
-      
-      if (item.tags.length > 0) {
-        html += `<p><em>Tags: ${item.tags.join(', ')}</em></p>\n\n`;
-      }
-      
-      html += `<p><small>${item.date} • Learning Score: ${item.learningScore}/100</small></p>\n\n`;
-      html += `<hr>\n\n`;
+  const entries = [];
+  for (const row of rows) {
+    const issue = await loadNewsletterIssue(row.id);
+    entries.push({
+      id: `urn:reading-tracker:newsletter:${issue.id}`,
+      title: issue.newsletter.title,
+      url: `${PUBLIC_URL}/api/newsletters/${issue.id}/preview?format=email&raw=1`,
+      summary: issue.newsletter.subtitle,
+      contentHtml: renderTemplate(template.body, issue.newsletter, { escapeHtml: true }),
+      published: feedDate(issue.published_at),
+      updated: feedDate(issue.updated_at),
+      tags: issue.newsletter.footer.categories
     });
-  });
+  }
   
-  html += `<h3>About This Digest</h3>\n\n`;
-  html += `<p>${newsletter.footer.message}</p>\n\n`;
-  html += `<p><strong>Stats:</strong></p>\n`;
-  html += `<ul>\n`;
-  html += `  <li>Total articles: ${newsletter.footer.totalArticles}</li>\n`;
-  html += `  <li>Categories: ${newsletter.footer.categories.join(', ')}</li>\n`;
-  html += `  <li>Generated: ${new Date(newsletter.footer.generatedAt).toLocaleString()}</li>\n`;
-  html += `</ul>\n`;
-  
-  return html;
-}
-
-// Generate Markdown format
-function generateNewsletterMarkdown(newsletter) {
-  let markdown = `# ${newsletter.title}\n\n`;
-  markdown += `*${newsletter.subtitle}*\n\n`;
-  markdown += `${newsletter.intro}\n\n`;
-  
-  newsletter.sections.forEach(section => {
-    markdown += `## ${section.title}\n\n`;
-    section.items.forEach(item => {
-      markdown += `### [${item.title}](${item.url})\n\n`;
-      markdown += `${item.excerpt}\n\n`;
-      
-      if (item.tags.length > 0) {
-        markdown += `**Tags:** ${item.tags.join(', ')}\n\n`;
-      }
-      
-      markdown += `*${item.date} • Score: ${item.learningScore}/100*\n\n`;
-      markdown += `---\n\n`;
-    });
-  });
+  return {
+    id: 'urn:reading-tracker:feed:digest',
+    title: 'Reading Digest',
+    description: 'Published issues of the reading digest',
+    homeUrl: PUBLIC_URL,
+    feedUrl,
+    updated: latestUpdate(entries),
+    entries
+  };
+}
+
+// Articles waiting in the newsletter queue, with their LLM summary (or excerpt) as content
+async function buildCuratedFeed(feedUrl) {
+  const rows = (await loadQueueItems()).slice(0, FEED_ITEM_LIMIT);
   
-  markdown += `## About This Digest\n\n`;
-  markdown += `${newsletter.footer.message}\n\n`;
-  markdown += `- **Total articles:** ${newsletter.footer.totalArticles}\n`;
-  markdown += `- **Categories:** ${newsletter.footer.categories.join(', ')}\n`;
-  markdown += `- **Generated:** ${new Date(newsletter.footer.generatedAt).toLocaleString()}\n`;
+  const entries = rows.map(row => {
+    const updated = [row.updated_at, row.llm_generated_at].filter(Boolean).map(feedDate);
+    const content = row.llm_summary || row.excerpt || '';
+    return {
+      id: `urn:reading-tracker:queue:${row.id}`,
+      title: row.title,
+      url: row.url,
+      summary: row.excerpt,
+      contentHtml: content.split(/\n{2,}/).map(paragraph => `<p>${escapeHtml(paragraph)}</p>`).join('\n'),
+      published: feedDate(row.created_at),
+      updated: updated.reduce((latest, date) => (date > latest ? date : latest), feedDate(row.created_at)),
+      tags: row.tags ? row.tags.split(',') : []
+    };
+  });
   
-  return markdown;
+  return {
+    id: 'urn:reading-tracker:feed:curated',
+    title: 'Reading Digest - Curated',
+    description: 'Articles queued for the next reading digest',
+    homeUrl: PUBLIC_URL,
+    feedUrl,
+    updated: latestUpdate(entries),
+    entries
+  };
 }
 
+// Each feed is served as Atom, RSS and JSON Feed
+const FEED_ROUTES = [
+  { path: '/feeds/digest.xml', format: 'atom', build: buildDigestFeed },
+  { path: '/feeds/digest.rss', format: 'rss', build: buildDigestFeed },
+  { path: '/feeds/digest.json', format: 'json', build: buildDigestFeed },
+  { path: '/feeds/curated', format: 'atom', build: buildCuratedFeed },
+  { path: '/feeds/curated.rss', format: 'rss', build: buildCuratedFeed },
+  { path: '/feeds/curated.json', format: 'json', build: buildCuratedFeed }
+];
+
+FEED_ROUTES.forEach(({ path: feedPath, format, build }) => {
+  app.get(feedPath, async (req, res) => {
+    try {
+      const feed = await build(`${PUBLIC_URL}${feedPath}`);
+      sendFeed(req, res, feed, format);
+    } catch (error) {
+      console.error('Error building feed:', error.message);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+});
+
 // LLM Configuration endpoints
 
+// Don't send API keys to the frontend. Extra headers are listed by name with masked values.
+function formatLlmConfig(row) {
+  const headers = row.api_headers ? LLMService.decryptConfig(row).api_headers : {};
+  return {
+    ...row,
+    api_key: row.api_key ? '***' : null,
+    api_headers: Object.fromEntries(Object.keys(headers).map(name => [name, '***'])),
+    generation_params: parseJsonColumn(row.generation_params, {})
+  };
+}
+
+function encryptApiHeaders(headers) {
+  return headers && Object.keys(headers).length > 0 ? encryptApiKey(JSON.stringify(headers)) : null;
+}
+
+// Validate the provider-specific parts of a configuration; returns an error message or null
+function validateLlmConfig({ provider, api_url, api_headers, generation_params }) {
+  if (!hasAdapter(provider)) {
+    return `Unsupported LLM provider: ${provider}`;
+  }
+  
+  const adapter = getAdapter(provider);
+  if (adapter.requiresApiUrl && !api_url) {
+    return `${adapter.label} requires an API URL`;
+  }
+  if (api_headers && Object.keys(api_headers).length > 0 && !adapter.acceptsHeaders) {
+    return `${adapter.label} does not support custom headers`;
+  }
+  return validateApiHeaders(api_headers) || validateGenerationParams(generation_params);
+}
+
+// List the supported providers and their defaults
+app.get('/api/llm/providers', (req, res) => {
+  res.json({
+    providers: listAdapters().map(adapter => ({
+      name: adapter.name,
+      label: adapter.label,
+      requiresApiKey: adapter.requiresApiKey,
+      requiresApiUrl: adapter.requiresApiUrl,
+      acceptsHeaders: adapter.acceptsHeaders,
+      defaultUrl: adapter.defaultUrl
+    })),
+    defaultParams: DEFAULT_GENERATION_PARAMS
+  });
+});
+
 // Get LLM configurations
 app.get('/api/llm/config', (req, res) => {
   const sql = 'SELECT * FROM llm_config ORDER BY priority ASC, provider, model_name';
@@ -1270,102 +3770,635 @@ app.get('/api/llm/config', (req, res) => {
       return res.status(500).json({ error: 'Internal server error' });
     }
     
-    // Don't send API keys to frontend
-    const configs = rows.map(config => ({
-      ...config,
-      api_key: config.api_key ? '***' : null
-    }));
-    
-    res.json(configs);
+    res.json(rows.map(formatLlmConfig));
   });
 });
 
 // Add/Update LLM configuration
 app.post('/api/llm/config', (req, res) => {
-  const { provider, model_name, api_key, api_url, is_active, priority } = req.body;
+  const { provider, model_name, api_key, api_url, api_headers, is_active, priority, generation_params } = req.body;
   
   if (!provider || !model_name) {
     return res.status(400).json({ error: 'Provider and model_name are required' });
   }
   
+  const configError = validateLlmConfig(req.body);
+  if (configError) {
+    return res.status(400).json({ error: configError });
+  }
+  
   // Encrypt API key before storing
   const encryptedApiKey = api_key ? encryptApiKey(api_key) : null;
   
   const sql = `
-    INSERT OR REPLACE INTO llm_config (provider, model_name, api_key, api_url, is_active, priority, updated_at)
-    VALUES (?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+    INSERT OR REPLACE INTO llm_config (provider, model_name, api_key, api_url, api_headers, is_active, priority, generation_params, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
   `;
   
-  db.run(sql, [provider, model_name, encryptedApiKey, api_url, is_active || false, priority || 1], function(err) {
-    if (err) {
-      console.error('Error saving LLM config:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
+  dbRun(sql, [provider, model_name, encryptedApiKey, api_url, encryptApiHeaders(api_headers), is_active || false, priority || 1, generation_params ? JSON.stringify(generation_params) : null]).then(({ lastID }) => {
+    res.json({ 
+      id: lastID, 
+      message: 'LLM configuration saved successfully' 
+    });
+  }, err => {
+    console.error('Error saving LLM config:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+});
+
+// Update an LLM configuration in place. The masked key ('***') the list endpoint returns leaves
+// the stored key unchanged, and so does a masked header value.
+app.patch('/api/llm/config/:id', async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM llm_config WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'LLM configuration not found' });
+    }
+    
+    const updates = {};
+    const { model_name, api_key, api_url, api_headers, is_active, priority, generation_params } = req.body;
+    
+    if (model_name !== undefined) {
+      if (typeof model_name !== 'string' || !model_name.trim()) {
+        return res.status(400).json({ error: 'model_name cannot be empty' });
+      }
+      updates.model_name = model_name.trim();
+    }
+    if (api_key !== undefined && api_key !== '***') {
+      updates.api_key = api_key ? encryptApiKey(api_key) : null;
+    }
+    if (api_url !== undefined) {
+      updates.api_url = api_url || null;
+    }
+    let headers;
+    if (api_headers !== undefined) {
+      const storedHeaders = LLMService.decryptConfig(existing).api_headers;
+      headers = Object.fromEntries(Object.entries(api_headers || {}).map(([name, value]) =>
+        [name, value === '***' && name in storedHeaders ? storedHeaders[name] : value]));
+      updates.api_headers = encryptApiHeaders(headers);
+    }
+    
+    const configError = validateLlmConfig({
+      provider: existing.provider,
+      api_url: api_url !== undefined ? api_url : existing.api_url,
+      api_headers: headers
+    });
+    if (configError) {
+      return res.status(400).json({ error: configError });
+    }
+    if (is_active !== undefined) {
+      updates.is_active = is_active ? 1 : 0;
+    }
+    if (priority !== undefined) {
+      if (!Number.isInteger(priority) || priority < 1) {
+        return res.status(400).json({ error: 'priority must be a positive integer' });
+      }
+      updates.priority = priority;
+    }
+    if (generation_params !== undefined) {
+      const paramsError = validateGenerationParams(generation_params);
+      if (paramsError) {
+        return res.status(400).json({ error: paramsError });
+      }
+      updates.generation_params = generation_params ? JSON.stringify(generation_params) : null;
+    }
+    
+    const fields = Object.keys(updates);
+    if (fields.length > 0) {
+      await dbRun(
+        `UPDATE llm_config SET ${fields.map(field => `${field} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+        [...fields.map(field => updates[field]), existing.id]
+      );
+    }
+    
+    const config = await dbGet('SELECT * FROM llm_config WHERE id = ?', [existing.id]);
+    res.json({ success: true, config: formatLlmConfig(config), message: 'LLM configuration updated successfully' });
+  } catch (error) {
+    console.error('Error updating LLM config:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete LLM configuration
+app.delete('/api/llm/config/:id', (req, res) => {
+  const { id } = req.params;
+  
+  const sql = 'DELETE FROM llm_config WHERE id = ?';
+  
+  dbRun(sql, [id]).then(({ changes }) => {
+    if (changes === 0) {
+      return res.status(404).json({ error: 'LLM configuration not found' });
+    }
+    
+    llmHealth.forget(Number(id));
+    res.json({ message: 'LLM configuration deleted successfully' });
+  }, err => {
+    console.error('Error deleting LLM config:', err.message);
+    res.status(500).json({ error: 'Internal server error' });
+  });
+});
+
+// List the models a configuration's provider offers
+app.get('/api/llm/config/:id/models', async (req, res) => {
+  try {
+    const config = await LLMService.getConfig(req.params.id);
+    if (!config) {
+      return res.status(404).json({ error: 'LLM configuration not found' });
+    }
+    
+    const models = await getAdapter(config.provider).listModels(config);
+    res.json({ available: true, models });
+  } catch (error) {
+    res.json({ available: false, error: error.message });
+  }
+});
+
+// List models for a configuration that hasn't been saved yet (the Settings form)
+app.post('/api/llm/models', async (req, res) => {
+  const { provider, api_key, api_url, api_headers } = req.body;
+  
+  if (!provider) {
+    return res.status(400).json({ error: 'provider is required' });
+  }
+  
+  const configError = validateLlmConfig({ provider, api_url, api_headers });
+  if (configError) {
+    return res.status(400).json({ error: configError });
+  }
+  
+  try {
+    const models = await getAdapter(provider).listModels({ provider, api_key, api_url, api_headers: api_headers || {} });
+    res.json({ available: true, models });
+  } catch (error) {
+    res.json({ available: false, error: error.message });
+  }
+});
+
+// Check that a configuration's provider is reachable with its credentials. A passing check
+// closes the configuration's circuit breaker.
+app.post('/api/llm/config/:id/check', async (req, res) => {
+  try {
+    const config = await LLMService.getConfig(req.params.id);
+    if (!config) {
+      return res.status(404).json({ error: 'LLM configuration not found' });
+    }
+    
+    const health = await getAdapter(config.provider).healthCheck(config);
+    if (health.ok) {
+      llmHealth.reset(config.id);
+    }
+    res.json({ ...health, health: llmHealth.snapshot(config.id) });
+  } catch (error) {
+    console.error('Error checking LLM config:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Health of every configuration: call counts, consecutive failures, latency percentiles, last
+// error and circuit breaker state
+app.get('/api/llm/health', async (req, res) => {
+  try {
+    const configs = await dbAll('SELECT id, provider, model_name, is_active, priority FROM llm_config ORDER BY priority ASC, provider, model_name');
+    
+    res.json({
+      breaker: {
+        threshold: llmHealth.config.threshold,
+        cooldownMs: llmHealth.config.cooldownMs
+      },
+      configs: configs.map(config => ({
+        id: config.id,
+        provider: config.provider,
+        model_name: config.model_name,
+        is_active: !!config.is_active,
+        priority: config.priority,
+        ...llmHealth.snapshot(config.id)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching LLM health:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LLM usage and cost endpoints
+
+const DEFAULT_USAGE_DAYS = 30;
+
+// Token, cost and latency totals from the llm_calls ledger, per day and model, per model and per
+// purpose, with the month-to-date budget. Defaults to the last 30 days.
+app.get('/api/llm/usage', async (req, res) => {
+  try {
+    const conditions = [];
+    const params = [];
+    
+    for (const [key, operator] of [['from', '>='], ['to', '<=']]) {
+      if (!req.query[key]) continue;
+      const value = toSqlDateTime(req.query[key], key === 'to');
+      if (!value) {
+        return res.status(400).json({ error: `${key} must be a valid date` });
+      }
+      conditions.push(`created_at ${operator} ?`);
+      params.push(value);
+    }
+    if (!req.query.from) {
+      conditions.push(`created_at >= datetime('now', ?)`);
+      params.push(`-${DEFAULT_USAGE_DAYS} days`);
+    }
+    
+    const where = `WHERE ${conditions.join(' AND ')}`;
+    const totals = `
+      SUM(CASE WHEN status != 'cached' THEN 1 ELSE 0 END) AS calls,
+      SUM(CASE WHEN status = 'cached' THEN 1 ELSE 0 END) AS cache_hits,
+      SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) AS failures,
+      SUM(prompt_tokens) AS prompt_tokens,
+      SUM(completion_tokens) AS completion_tokens,
+      SUM(tokens_estimated) AS estimated_calls,
+      ROUND(SUM(cost_usd), 6) AS cost_usd,
+      ROUND(AVG(CASE WHEN status = 'success' THEN latency_ms END)) AS avg_latency_ms
+    `;
+    
+    const [daily, byModel, byPurpose, overall, budget, cache] = await Promise.all([
+      dbAll(`
+        SELECT date(created_at) AS day, provider, model, ${totals}
+        FROM llm_calls ${where}
+        GROUP BY day, provider, model
+        ORDER BY day DESC, cost_usd DESC, calls DESC
+      `, params),
+      dbAll(`
+        SELECT provider, model, ${totals}
+        FROM llm_calls ${where}
+        GROUP BY provider, model
+        ORDER BY cost_usd DESC, calls DESC
+      `, params),
+      dbAll(`
+        SELECT purpose, ${totals}
+        FROM llm_calls ${where}
+        GROUP BY purpose
+        ORDER BY calls DESC
+      `, params),
+      dbGet(`SELECT ${totals} FROM llm_calls ${where}`, params),
+      LLMService.getBudget(),
+      dbGet(`
+        SELECT COUNT(*) AS entries, COALESCE(SUM(hits), 0) AS hits, ROUND(COALESCE(SUM(hits * cost_usd), 0), 6) AS saved_usd
+        FROM llm_summary_cache
+      `)
+    ]);
+    
+    // Every summary request is either a cache hit or a generated summary (a miss or forced refresh)
+    const summaries = byPurpose.find(row => row.purpose === 'summary');
+    const hits = summaries ? summaries.cache_hits : 0;
+    const lookups = hits + (summaries ? summaries.calls - summaries.failures : 0);
+    
+    res.json({
+      daily,
+      byModel,
+      byPurpose,
+      totals: overall,
+      budget,
+      cache: {
+        hits,
+        misses: lookups - hits,
+        hitRate: lookups > 0 ? hits / lookups : null,
+        entries: cache.entries,
+        lifetimeHits: cache.hits,
+        savedUsd: cache.saved_usd
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching LLM usage:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Token prices used for cost accounting (USD per million tokens)
+app.get('/api/llm/prices', async (req, res) => {
+  try {
+    const overrides = await LLMService.loadPriceOverrides();
+    res.json({ defaults: DEFAULT_PRICES, overrides, prices: { ...DEFAULT_PRICES, ...overrides } });
+  } catch (error) {
+    console.error('Error fetching LLM prices:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Override or add prices, e.g. { "openai:gpt-4o": { "input": 2.5, "output": 10 } }; null
+// restores the default for that key
+app.put('/api/llm/prices', async (req, res) => {
+  try {
+    const entries = Object.entries(req.body || {});
+    
+    for (const [key, price] of entries) {
+      if (!PRICE_KEY_PATTERN.test(key)) {
+        return res.status(400).json({ error: `Price keys look like "<provider>:<model prefix>", got: ${key}` });
+      }
+      if (price !== null) {
+        const priceError = validatePrice(price);
+        if (priceError) {
+          return res.status(400).json({ error: `Invalid price for ${key}: ${priceError}` });
+        }
+      }
+    }
+    
+    await withTransaction(async () => {
+      for (const [key, price] of entries) {
+        if (price) {
+          await dbRun(
+            'INSERT OR REPLACE INTO llm_prices (key, input_per_mtok, output_per_mtok, updated_at) VALUES (?, ?, ?, CURRENT_TIMESTAMP)',
+            [key, price.input, price.output]
+          );
+        } else {
+          await dbRun('DELETE FROM llm_prices WHERE key = ?', [key]);
+        }
+      }
+    });
+    
+    const overrides = await LLMService.loadPriceOverrides();
+    res.json({ success: true, defaults: DEFAULT_PRICES, overrides, prices: { ...DEFAULT_PRICES, ...overrides } });
+  } catch (error) {
+    console.error('Error saving LLM prices:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LLM prompt endpoints
+
+function formatPrompt(row) {
+  return {
+    ...row,
+    is_default: !!row.is_default,
+    is_builtin: !!row.builtin_key
+  };
+}
+
+// `existing` is the stored prompt on updates; its body is checked again when only the purpose changes
+function validatePromptFields({ name, purpose, body, max_content_length }, { partial, existing = null }) {
+  if ((!partial || name !== undefined) && !name) {
+    return 'Name is required';
+  }
+  if (purpose !== undefined && !PROMPT_PURPOSES.includes(purpose)) {
+    return `purpose must be one of: ${PROMPT_PURPOSES.join(', ')}`;
+  }
+  if (max_content_length !== undefined && (!Number.isInteger(max_content_length) || max_content_length < 100)) {
+    return 'max_content_length must be an integer of at least 100';
+  }
+  if (!partial || body !== undefined || (existing && purpose !== undefined)) {
+    const error = validatePrompt(body ?? existing.body, purpose ?? (existing ? existing.purpose : 'summary'));
+    if (error) return `Invalid prompt: ${error}`;
+  }
+  return null;
+}
+
+// List prompts (optionally for one purpose)
+app.get('/api/llm/prompts', async (req, res) => {
+  try {
+    const { purpose } = req.query;
+    const rows = await dbAll(
+      `SELECT * FROM llm_prompts ${purpose ? 'WHERE purpose = ?' : ''} ORDER BY purpose, builtin_key IS NULL, name`,
+      purpose ? [purpose] : []
+    );
+    
+    res.json({ variables: PROMPT_VARIABLES, purposes: PROMPT_PURPOSES, prompts: rows.map(formatPrompt) });
+  } catch (error) {
+    console.error('Error fetching LLM prompts:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a prompt
+app.post('/api/llm/prompts', async (req, res) => {
+  try {
+    const { name, purpose = 'summary', description, audience, max_content_length, body } = req.body;
+    
+    const validationError = validatePromptFields(req.body, { partial: false });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const id = await withTransaction(async () => {
+      const result = await dbRun(
+        `INSERT INTO llm_prompts (name, purpose, description, audience, max_content_length, body)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [name, purpose, description || null, audience || null, max_content_length ?? DEFAULT_MAX_CONTENT_LENGTH, body]
+      );
+      await dbRun('INSERT INTO llm_prompt_versions (prompt_id, version, body) VALUES (?, 1, ?)', [result.lastID, body]);
+      return result.lastID;
+    });
+    
+    const prompt = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [id]);
+    res.json({ success: true, prompt: formatPrompt(prompt), message: 'Prompt created' });
+  } catch (error) {
+    console.error('Error creating LLM prompt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Test-run a saved prompt (promptId) or one that hasn't been saved (body, purpose,
+// max_content_length). Summary prompts run against a session's article (sessionId) or sample
+// title, url, content and tags; editorial prompts against a saved issue (newsletterId) or a
+// newsletter object, transitions for the section at sectionIndex (default: the first with items).
+// Nothing is stored or cached; the call shows up in the usage ledger as 'prompt-test'.
+app.post('/api/llm/prompts/test', async (req, res) => {
+  try {
+    const { promptId, body, purpose = 'summary', max_content_length, sessionId, audience } = req.body;
+    
+    let prompt;
+    if (promptId) {
+      prompt = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [promptId]);
+      if (!prompt) {
+        return res.status(404).json({ error: 'Prompt not found' });
+      }
+    } else {
+      const validationError = validatePromptFields({ body, purpose, max_content_length }, { partial: true });
+      if (validationError || body === undefined) {
+        return res.status(400).json({ error: validationError || 'promptId or body is required' });
+      }
+      prompt = { body, purpose, max_content_length };
+    }
+    
+    let text;
+    if (prompt.purpose !== 'summary') {
+      const newsletter = await resolvePreviewNewsletter(req.body);
+      if (!newsletter) {
+        return res.status(404).json({ error: 'Newsletter not found' });
+      }
+      const sections = newsletter.sections || [];
+      const sectionIndex = req.body.sectionIndex ?? sections.findIndex(section => section.items && section.items.length > 0);
+      if (prompt.purpose === 'editorial-transition' && !sections[sectionIndex]) {
+        return res.status(400).json({ error: 'sectionIndex does not match a section' });
+      }
+      
+      text = renderEditorialPrompt(prompt, newsletter, { sectionIndex });
+    } else {
+      let article = { title: req.body.title, url: req.body.url, content: req.body.content, tags: req.body.tags || [] };
+      if (sessionId) {
+        const session = await getSessionById(sessionId);
+        if (!session) {
+          return res.status(404).json({ error: 'Reading session not found' });
+        }
+        if (!session.url) {
+          return res.status(400).json({ error: 'No URL available for summarization' });
+        }
+        
+        const content = await LLMService.extractArticleContent(session.url);
+        if (!content) {
+          return res.status(400).json({ error: 'Could not extract article content' });
+        }
+        article = { title: session.title, url: session.url, content, tags: session.tags };
+      }
+      if (!article.content) {
+        return res.status(400).json({ error: 'sessionId or content is required' });
+      }
+      
+      text = renderPrompt(prompt, { ...article, audience });
     }
     
-    res.json({ 
-      id: this.lastID, 
-      message: 'LLM configuration saved successfully' 
+    const result = await LLMService.complete(text, {
+      purpose: 'prompt-test',
+      sessionId: (prompt.purpose === 'summary' && sessionId) || null,
+      promptId: prompt.id || null,
+      promptVersion: prompt.version || null
     });
-  });
+    
+    res.json({
+      prompt: text,
+      output: result.text,
+      model: result.model,
+      provider: result.provider,
+      usage: result.usage,
+      costUsd: result.costUsd
+    });
+  } catch (error) {
+    console.error('Error testing LLM prompt:', error.message);
+    res.status(500).json({ error: error.message });
+  }
 });
 
-// Delete LLM configuration
-app.delete('/api/llm/config/:id', (req, res) => {
-  const { id } = req.params;
-  
-  const sql = 'DELETE FROM llm_config WHERE id = ?';
-  
-  db.run(sql, [id], function(err) {
-    if (err) {
-      console.error('Error deleting LLM config:', err.message);
-      return res.status(500).json({ error: 'Internal server error' });
-    }
-    
-    if (this.changes === 0) {
-      return res.status(404).json({ error: 'LLM configuration not found' });
+// Get a prompt with its version history, newest first
+app.get('/api/llm/prompts/:id', async (req, res) => {
+  try {
+    const prompt = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [req.params.id]);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
     }
     
-    res.json({ message: 'LLM configuration deleted successfully' });
-  });
+    const versions = await dbAll(
+      'SELECT version, body, created_at FROM llm_prompt_versions WHERE prompt_id = ? ORDER BY version DESC',
+      [prompt.id]
+    );
+    res.json({ ...formatPrompt(prompt), versions });
+  } catch (error) {
+    console.error('Error fetching LLM prompt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
 });
 
-// Check Ollama availability and get models
-app.get('/api/llm/ollama/models', async (req, res) => {
+// Update a prompt. A changed body becomes a new version; earlier versions are kept, so built-in
+// prompts can be edited too.
+app.patch('/api/llm/prompts/:id', async (req, res) => {
   try {
-    // Try multiple Ollama endpoints - Docker tries host.docker.internal first
-    const ollamaUrls = [
-      'http://host.docker.internal:11434/api/tags',
-      'http://localhost:11434/api/tags',
-      'http://127.0.0.1:11434/api/tags'
-    ];
+    const existing = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
     
-    let response;
-    let lastError;
+    const validationError = validatePromptFields(req.body, { partial: true, existing });
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
     
-    for (const url of ollamaUrls) {
-      try {
-        response = await fetch(url, { timeout: 2000 });
-        if (response.ok) break;
-      } catch (error) {
-        lastError = error;
-        continue;
-      }
+    const { name, purpose, description, audience, max_content_length, body } = req.body;
+    if (purpose !== undefined && purpose !== existing.purpose && existing.is_default) {
+      return res.status(400).json({ error: 'Choose another default prompt before changing the purpose of this one' });
     }
     
-    if (!response || !response.ok) {
-      throw lastError || new Error('Ollama not available on any endpoint');
+    const newVersion = body !== undefined && body !== existing.body;
+    const version = newVersion ? existing.version + 1 : existing.version;
+    
+    await withTransaction(async () => {
+      await dbRun(`
+        UPDATE llm_prompts
+        SET name = ?, purpose = ?, description = ?, audience = ?, max_content_length = ?, body = ?, version = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `, [
+        name ?? existing.name,
+        purpose ?? existing.purpose,
+        description !== undefined ? description : existing.description,
+        audience !== undefined ? audience || null : existing.audience,
+        max_content_length ?? existing.max_content_length,
+        body ?? existing.body,
+        version,
+        existing.id
+      ]);
+      if (newVersion) {
+        await dbRun('INSERT INTO llm_prompt_versions (prompt_id, version, body) VALUES (?, ?, ?)', [existing.id, version, body]);
+      }
+    });
+    
+    const prompt = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [existing.id]);
+    res.json({
+      success: true,
+      prompt: formatPrompt(prompt),
+      message: newVersion ? `Prompt saved as version ${version}` : 'Prompt updated'
+    });
+  } catch (error) {
+    console.error('Error updating LLM prompt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a prompt and its history; if it was the default, the built-in prompt of its purpose takes over
+app.delete('/api/llm/prompts/:id', async (req, res) => {
+  try {
+    const existing = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [req.params.id]);
+    if (!existing) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    if (existing.builtin_key) {
+      return res.status(400).json({ error: 'Built-in prompts cannot be deleted' });
     }
     
-    if (!response.ok) {
-      throw new Error('Ollama not available');
+    await withTransaction(async () => {
+      await dbRun('DELETE FROM llm_prompt_versions WHERE prompt_id = ?', [existing.id]);
+      await dbRun('DELETE FROM llm_prompts WHERE id = ?', [existing.id]);
+      if (existing.is_default) {
+        await dbRun(`
+          UPDATE llm_prompts SET is_default = 1
+          WHERE id = (SELECT id FROM llm_prompts WHERE purpose = ? ORDER BY builtin_key IS NULL, id LIMIT 1)
+        `, [existing.purpose]);
+      }
+    });
+    
+    res.json({ success: true, message: 'Prompt deleted' });
+  } catch (error) {
+    console.error('Error deleting LLM prompt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Make a prompt the default for its purpose
+app.post('/api/llm/prompts/:id/default', async (req, res) => {
+  try {
+    const prompt = await dbGet('SELECT * FROM llm_prompts WHERE id = ?', [req.params.id]);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
     }
     
-    const data = await response.json();
-    const models = data.models.map(model => ({
-      name: model.name,
-      size: model.size,
-      modified_at: model.modified_at
-    }));
+    await withTransaction(async () => {
+      await dbRun('UPDATE llm_prompts SET is_default = 0 WHERE purpose = ?', [prompt.purpose]);
+      await dbRun('UPDATE llm_prompts SET is_default = 1 WHERE id = ?', [prompt.id]);
+    });
+    
+    res.json({ success: true, message: `${prompt.name} is now the default ${prompt.purpose} prompt` });
+  } catch (error) {
+    console.error('Error setting default LLM prompt:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check Ollama availability and get models
+app.get('/api/llm/ollama/models', async (req, res) => {
+  try {
+    const models = await getAdapter('ollama').listModels({});
     
     res.json({ 
       available: true, 
@@ -1379,19 +4412,14 @@ app.get('/api/llm/ollama/models', async (req, res) => {
   }
 });
 
-// Generate LLM summary for article
+// Generate LLM summary for article. Optional body: promptId (default: the default summary prompt),
+// audience, and refresh: true (or ?refresh=true) to bypass the summary cache.
 app.post('/api/llm/summarize/:sessionId', async (req, res) => {
   try {
-    const { sessionId } = req.params;
-    
-    // Get the reading session
-    const session = await new Promise((resolve, reject) => {
-      db.get('SELECT * FROM reading_sessions WHERE id = ?', [sessionId], (err, row) => {
-        if (err) reject(err);
-        else resolve(row);
-      });
-    });
+    const { promptId, audience } = req.body || {};
+    const refresh = req.query.refresh === 'true' || (req.body && req.body.refresh === true);
     
+    const session = await getSessionById(req.params.sessionId);
     if (!session) {
       return res.status(404).json({ error: 'Reading session not found' });
     }
@@ -1400,118 +4428,483 @@ app.post('/api/llm/summarize/:sessionId', async (req, res) => {
       return res.status(400).json({ error: 'No URL available for summarization' });
     }
     
-    // Extract article content
+    const prompt = await LLMService.getPrompt(promptId);
+    if (!prompt) {
+      return res.status(404).json({ error: 'Prompt not found' });
+    }
+    
     const content = await LLMService.extractArticleContent(session.url);
     if (!content) {
       return res.status(400).json({ error: 'Could not extract article content' });
     }
     
-    // Generate summary
-    const result = await LLMService.generateSummary(session.title, session.url, content);
-    if (!result) {
-      return res.status(500).json({ error: 'Failed to generate summary' });
-    }
-    
-    // Update the reading session with LLM summary
-    const updateSql = `
-      UPDATE reading_sessions 
-      SET llm_summary = ?, llm_model = ?, llm_generated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `;
-    
-    await new Promise((resolve, reject) => {
-      db.run(updateSql, [result.summary, `${result.provider}:${result.model}`, sessionId], (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
+    const result = await summarizeSession(session, { content, prompt, audience, refresh });
     
     res.json({
       success: true,
       summary: result.summary,
       model: result.model,
-      provider: result.provider
+      provider: result.provider,
+      promptId: result.promptId,
+      promptVersion: result.promptVersion,
+      cached: result.cached
     });
-    
+  
   } catch (error) {
     console.error('Error generating summary:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Bulk summarize articles
+// Extract the article behind a session and store an LLM summary for it, along with the prompt
+// version that wrote it. Pass `content` when the article has already been extracted. `onToken` and
+// `onAttempt` stream the summary as it is written (see LLMService.complete).
+async function summarizeSession(session, { content: extracted, prompt, audience, refresh, signal, onToken, onAttempt } = {}) {
+  const content = extracted || await LLMService.extractArticleContent(session.url);
+  if (!content) {
+    throw new Error('Could not extract content');
+  }
+  
+  const result = await LLMService.generateSummary(session.title, session.url, content, {
+    tags: session.tags,
+    prompt,
+    audience,
+    sessionId: session.id,
+    refresh,
+    onToken,
+    onAttempt,
+    signal
+  });
+  if (signal && signal.aborted) {
+    throw new Error('Cancelled');
+  }
+  
+  await dbRun(`
+    UPDATE reading_sessions 
+    SET llm_summary = ?, llm_model = ?, llm_generated_at = CURRENT_TIMESTAMP, llm_prompt_id = ?, llm_prompt_version = ?
+    WHERE id = ?
+  `, [result.summary, `${result.provider}:${result.model}`, result.promptId, result.promptVersion, session.id]);
+  
+  liveEvents.publish('summary-generated', {
+    sessionId: session.id,
+    summary: result.summary,
+    model: `${result.provider}:${result.model}`
+  });
+  return result;
+}
+
+// Summarize sessions one after the other, streaming each summary to the job's listeners. Sessions
+// that already have a summary are skipped (unless it came from another prompt than the requested
+// `promptId`), so a retry after a partial failure only redoes the failed ones.
+async function runSummarizeBatchJob({ sessionIds = [], promptId = null, audience = null }, { signal, progress, stream }) {
+  const prompt = await LLMService.getPrompt(promptId);
+  if (!prompt) {
+    throw new Error('Prompt not found');
+  }
+  
+  const results = [];
+  
+  for (const [index, sessionId] of sessionIds.entries()) {
+    if (signal.aborted) break;
+    
+    const session = await getSessionById(sessionId);
+    await progress(index, sessionIds.length, session ? session.title : null);
+    
+    const summarized = session && session.llm_summary && (!promptId || session.llm_prompt_id === prompt.id);
+    if (!session || !session.url || summarized) {
+      results.push({ sessionId, status: 'skipped', reason: 'No URL or already summarized' });
+      continue;
+    }
+    
+    try {
+      const summary = await summarizeSession(session, {
+        prompt,
+        audience,
+        signal,
+        onAttempt: (config) => stream({ sessionId, reset: true, model: `${config.provider}:${config.model_name}` }),
+        onToken: (text) => stream({ sessionId, text })
+      });
+      results.push({ sessionId, status: 'success', summary: summary.summary, model: summary.model });
+    } catch (error) {
+      if (signal.aborted) break;
+      results.push({ sessionId, status: 'failed', error: error.message });
+    }
+  }
+  
+  await progress(results.length, sessionIds.length);
+  
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${sessionIds.length} summaries failed: ${failed[0].error}`);
+  }
+  
+  return { results };
+}
+
+// Categories the newsletter filters on; the classifier never changes them
+const PROTECTED_CATEGORIES = ['linkedin', 'linkedin_newsletter'];
+
+// Classify a session and store its difficulty and tags. The session keeps the tags it already had;
+// the classifier's are added to them. The category is only filled in when the session has none
+// (or 'other'); `force` replaces a category set before, except the protected LinkedIn ones.
+// Returns null when the session was deleted while it was being classified.
+async function classifySession(session, { force = false, signal } = {}) {
+  let content = session.excerpt || '';
+  if (session.url) {
+    content = (await LLMService.extractArticleContent(session.url)) || content;
+  }
+  
+  const existingTags = (await dbAll('SELECT name FROM tags ORDER BY name')).map(row => row.name);
+  const classification = await LLMService.classify(
+    { title: session.title, url: session.url, content },
+    { sessionId: session.id, existingTags, signal }
+  );
+  if (signal && signal.aborted) {
+    throw new Error('Cancelled');
+  }
+  
+  // Fetching and classifying can take a while, so decide against the row as it is now rather than
+  // `session`: edits made in the meantime are kept and tags removed since don't come back
+  const applied = await withTransaction(async () => {
+    const current = await dbGet('SELECT category, difficulty FROM reading_sessions WHERE id = ?', [session.id]);
+    if (!current) return null;
+    
+    const uncategorized = !current.category || current.category === 'other';
+    const categoryApplied = classification.category !== 'other'
+      && !PROTECTED_CATEGORIES.includes(current.category)
+      && (uncategorized || force);
+    const difficultyApplied = classification.difficulty !== null && (!current.difficulty || force);
+    
+    await dbRun(`
+      UPDATE reading_sessions
+      SET category = ?, difficulty = ?, classified_at = CURRENT_TIMESTAMP, classified_by = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `, [
+      categoryApplied ? classification.category : current.category,
+      difficultyApplied ? classification.difficulty : current.difficulty,
+      classification.source,
+      session.id
+    ]);
+    await addSessionTags(session.id, classification.tags);
+    return { categoryApplied, difficultyApplied };
+  });
+  if (!applied) return null;
+  
+  liveEvents.publish('stats-changed');
+  return { ...classification, ...applied };
+}
+
+// Classify sessions one after the other. Sessions classified before are skipped unless
+// `reclassify` is set, so a retry only redoes the ones that failed; `force` is passed on to
+// classifySession.
+async function runClassifyJob({ sessionIds = [], reclassify = false, force = false }, { signal, progress }) {
+  const results = [];
+  
+  for (const [index, sessionId] of sessionIds.entries()) {
+    if (signal.aborted) break;
+    
+    const session = await getSessionById(sessionId);
+    await progress(index, sessionIds.length, session ? session.title : null);
+    
+    if (!session || (session.classified_at && !reclassify)) {
+      results.push({ sessionId, status: 'skipped', reason: session ? 'Already classified' : 'Session not found' });
+      continue;
+    }
+    
+    try {
+      const classification = await classifySession(session, { force, signal });
+      results.push(classification
+        ? { sessionId, status: 'success', ...classification }
+        : { sessionId, status: 'skipped', reason: 'Session not found' });
+    } catch (error) {
+      if (signal.aborted) break;
+      results.push({ sessionId, status: 'failed', error: error.message });
+    }
+  }
+  
+  await progress(results.length, sessionIds.length);
+  
+  const failed = results.filter(result => result.status === 'failed');
+  if (failed.length > 0) {
+    throw new Error(`${failed.length} of ${sessionIds.length} classifications failed: ${failed[0].error}`);
+  }
+  
+  return {
+    results,
+    classified: results.filter(result => result.status === 'success').length,
+    heuristic: results.filter(result => result.source === 'heuristic').length
+  };
+}
+
+const jobQueue = new JobQueue({
+  db: { get: dbGet, all: dbAll, run: dbRun },
+  handlers: {
+    'summarize-batch': runSummarizeBatchJob,
+    classify: runClassifyJob
+  }
+});
+jobQueue.setMaxListeners(0); // one listener per open progress stream
+
+// Queue a summarize-batch job for the sessions that aren't already waiting in one
+async function enqueueSummaries(sessionIds) {
+  const active = await dbAll(`
+    SELECT payload FROM background_jobs WHERE type = 'summarize-batch' AND status IN ('queued', 'running')
+  `);
+  const pending = new Set(active.flatMap(job => parseJsonColumn(job.payload, {}).sessionIds || []));
+  const ids = [...new Set(sessionIds)].filter(id => !pending.has(id));
+  
+  return ids.length > 0 ? jobQueue.enqueue('summarize-batch', { sessionIds: ids }) : null;
+}
+
+// Queue a classify job for the sessions that aren't already waiting in one
+async function enqueueClassification(sessionIds, { reclassify = false, force = false } = {}) {
+  const active = await dbAll(`
+    SELECT payload FROM background_jobs WHERE type = 'classify' AND status IN ('queued', 'running')
+  `);
+  const pending = new Set(active.flatMap(job => parseJsonColumn(job.payload, {}).sessionIds || []));
+  const ids = [...new Set(sessionIds)].filter(id => !pending.has(id));
+  
+  return ids.length > 0
+    ? jobQueue.enqueue('classify', { sessionIds: ids, ...(reclassify && { reclassify }), ...(force && { force }) })
+    : null;
+}
+
+function formatJob(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    status: row.status,
+    payload: parseJsonColumn(row.payload, {}),
+    progress: {
+      current: row.progress_current,
+      total: row.progress_total,
+      message: row.progress_message
+    },
+    result: parseJsonColumn(row.result, null),
+    error: row.error,
+    attempts: row.attempts,
+    max_attempts: row.max_attempts,
+    cancel_requested: !!row.cancel_requested,
+    run_after: row.run_after,
+    started_at: row.started_at,
+    finished_at: row.finished_at,
+    created_at: sqlTimestampToIso(row.created_at),
+    updated_at: sqlTimestampToIso(row.updated_at)
+  };
+}
+
+// Bulk summarize articles in the background, optionally with a promptId and audience; follow the
+// job via /api/jobs/:id
 app.post('/api/llm/summarize-batch', async (req, res) => {
   try {
-    const { sessionIds } = req.body;
+    const { sessionIds, promptId = null, audience = null } = req.body;
     
-    if (!sessionIds || !Array.isArray(sessionIds)) {
+    if (!sessionIds || !Array.isArray(sessionIds) || !sessionIds.every(id => Number.isInteger(Number(id)))) {
       return res.status(400).json({ error: 'sessionIds array is required' });
     }
-    
-    const results = [];
-    
-    for (const sessionId of sessionIds) {
-      try {
-        // Get the reading session
-        const session = await new Promise((resolve, reject) => {
-          db.get('SELECT * FROM reading_sessions WHERE id = ?', [sessionId], (err, row) => {
-            if (err) reject(err);
-            else resolve(row);
-          });
-        });
-        
-        if (!session || !session.url || session.llm_summary) {
-          results.push({ sessionId, status: 'skipped', reason: 'No URL or already summarized' });
-          continue;
-        }
-        
-        // Extract and summarize
-        const content = await LLMService.extractArticleContent(session.url);
-        if (!content) {
-          results.push({ sessionId, status: 'failed', reason: 'Could not extract content' });
-          continue;
-        }
-        
-        const summary = await LLMService.generateSummary(session.title, session.url, content);
-        if (!summary) {
-          results.push({ sessionId, status: 'failed', reason: 'Could not generate summary' });
-          continue;
-        }
-        
-        // Update database
-        const updateSql = `
-          UPDATE reading_sessions 
-          SET llm_summary = ?, llm_model = ?, llm_generated_at = CURRENT_TIMESTAMP
-          WHERE id = ?
-        `;
-        
-        await new Promise((resolve, reject) => {
-          db.run(updateSql, [summary.summary, `${summary.provider}:${summary.model}`, sessionId], (err) => {
-            if (err) reject(err);
-            else resolve();
-          });
-        });
-        
-        results.push({ 
-          sessionId, 
-          status: 'success', 
-          summary: summary.summary,
-          model: summary.model 
-        });
-        
-      } catch (error) {
-        results.push({ sessionId, status: 'error', error: error.message });
-      }
+    if (promptId !== null && !(await LLMService.getPrompt(promptId))) {
+      return res.status(404).json({ error: 'Prompt not found' });
     }
     
-    res.json({ success: true, results });
+    const job = await jobQueue.enqueue('summarize-batch', {
+      sessionIds: sessionIds.map(Number),
+      ...(promptId !== null && { promptId: Number(promptId) }),
+      ...(audience && { audience })
+    });
     
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: formatJob(job),
+      message: `Summarizing ${sessionIds.length} article(s) in the background`
+    });
   } catch (error) {
     console.error('Error in batch summarization:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
+// Classify an article now with the LLM, or with the keyword heuristics when no model answers.
+// Tags are added; the category and difficulty are only filled in when missing unless
+// { "force": true } is sent.
+app.post('/api/llm/classify/:sessionId', async (req, res) => {
+  try {
+    const session = await getSessionById(req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: 'Reading session not found' });
+    }
+    
+    const classification = await classifySession(session, { force: req.body.force === true });
+    if (!classification) {
+      return res.status(404).json({ error: 'Reading session not found' });
+    }
+    
+    res.json({
+      success: true,
+      classification,
+      session: await getSessionById(session.id),
+      message: classification.source === 'heuristic'
+        ? `Classified with keyword heuristics (${classification.error})`
+        : `Classified with ${classification.source}`
+    });
+  } catch (error) {
+    console.error('Error classifying session:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reclassify every session in the background, or only those never classified with
+// { "missingOnly": true }. Categories already set are kept unless { "force": true } is sent.
+// Follow the job via /api/jobs/:id
+app.post('/api/llm/reclassify-all', async (req, res) => {
+  try {
+    const missingOnly = req.body.missingOnly === true;
+    const force = req.body.force === true;
+    const rows = await dbAll(`
+      SELECT id FROM reading_sessions ${missingOnly ? 'WHERE classified_at IS NULL' : ''} ORDER BY id
+    `);
+    
+    const job = await enqueueClassification(rows.map(row => row.id), { reclassify: !missingOnly, force });
+    if (!job) {
+      return res.json({ success: true, jobId: null, job: null, message: 'No sessions to classify' });
+    }
+    
+    const formatted = formatJob(job);
+    res.status(202).json({
+      success: true,
+      jobId: job.id,
+      job: formatted,
+      message: `Classifying ${formatted.payload.sessionIds.length} session(s) in the background`
+    });
+  } catch (error) {
+    console.error('Error queueing reclassification:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Background job endpoints
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed', 'cancelled'];
+
+// List recent jobs
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    
+    if (status && !JOB_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${JOB_STATUSES.join(', ')}` });
+    }
+    
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    if (type) {
+      conditions.push('type = ?');
+      params.push(type);
+    }
+    
+    const rows = await dbAll(`
+      SELECT * FROM background_jobs
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+      LIMIT ?
+    `, [...params, limit]);
+    
+    res.json({ jobs: rows.map(formatJob) });
+  } catch (error) {
+    console.error('Error fetching jobs:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a job with its progress
+app.get('/api/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    res.json(formatJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Stream a job's progress as server-sent events. Every change is sent as a `job` event and
+// partial output (summary text as it is generated) as `stream` events; the stream closes once the
+// job has finished.
+app.get('/api/jobs/:id/events', async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive'
+    });
+    
+    const send = (row) => {
+      res.write(`event: job\ndata: ${JSON.stringify(formatJob(row))}\n\n`);
+      if (TERMINAL_STATUSES.includes(row.status)) res.end();
+    };
+    
+    const onUpdate = (row) => {
+      if (row.id === job.id) send(row);
+    };
+    const onStream = (jobId, data) => {
+      if (jobId === job.id) res.write(`event: stream\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      jobQueue.off('update', onUpdate);
+      jobQueue.off('stream', onStream);
+    });
+    
+    jobQueue.on('update', onUpdate);
+    jobQueue.on('stream', onStream);
+    send(job);
+  } catch (error) {
+    console.error('Error streaming job events:', error.message);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Internal server error' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// Cancel a job. Queued jobs stop immediately; running jobs stop after their current step.
+app.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancel(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (['completed', 'failed'].includes(job.status)) {
+      return res.status(409).json({ error: `Job already ${job.status}`, job: formatJob(job) });
+    }
+    
+    res.json({
+      success: true,
+      job: formatJob(job),
+      message: job.status === 'cancelled' ? 'Job cancelled' : 'Cancellation requested'
+    });
+  } catch (error) {
+    console.error('Error cancelling job:', error.message);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error(err.stack);
@@ -1519,7 +4912,13 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`Database: ${DB_PATH}`);
-});
\ No newline at end of file
+function startServer() {
+  app.listen(PORT, '0.0.0.0', () => {
+    console.log(`Server running on port ${PORT}`);
+    console.log(`Database: ${DB_PATH}`);
+    newsletterScheduler.start();
+    issuePublisher.start();
+    resumeNewsletterSends();
+    jobQueue.start().catch(error => console.error('Error starting job queue:', error.message));
+  });
+}
@@ -0,0 +1,20 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeContent, cacheKey } = require('../../lib/llm');
+
+const base = { content: 'Some article text', promptVersion: 1, provider: 'ollama', model: 'llama3' };
+
+test('content is normalized before hashing', () => {
+  assert.strictEqual(normalizeContent('  Some\n\n article\ttext '), 'some article text');
+  assert.strictEqual(cacheKey(base), cacheKey({ ...base, content: 'SOME  article\ntext  ' }));
+});
+
+test('prompt version and model are part of the key', () => {
+  const key = cacheKey(base);
+  
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.notStrictEqual(key, cacheKey({ ...base, content: 'Other article text' }));
+  assert.notStrictEqual(key, cacheKey({ ...base, promptVersion: 2 }));
+  assert.notStrictEqual(key, cacheKey({ ...base, model: 'mistral' }));
+  assert.notStrictEqual(key, cacheKey({ ...base, provider: 'openai-compatible' }));
+});
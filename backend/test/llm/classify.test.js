@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { heuristicClassify, classificationPrompt, mapToExistingTags, parseClassification } = require('../../lib/llm');
+
+test('heuristics pick the topic with the most keyword matches', () => {
+  const result = heuristicClassify({
+    title: 'Scaling a startup',
+    url: 'https://example.com/post',
+    content: 'Leadership and marketing lessons on growth, sales and strategy.'
+  });
+  
+  assert.strictEqual(result.category, 'business');
+});
+
+test('heuristics fall back to title words, then to other', () => {
+  assert.strictEqual(heuristicClassify({ title: 'What the CEO said' }).category, 'business');
+  assert.strictEqual(heuristicClassify({ title: 'Sending email' }).category, 'other', '"ai" only matches as a word');
+});
+
+test('heuristics tag by URL and title like the extension did', () => {
+  assert.deepStrictEqual(heuristicClassify({ title: 'A guide to arrays', url: 'https://dev.to/x' }).tags, ['Technology', 'Tutorial']);
+  assert.deepStrictEqual(heuristicClassify({ title: 'Hello', url: 'https://example.com' }).tags, [], 'no catch-all tag');
+});
+
+test('heuristic difficulty comes from markers and technical density', () => {
+  assert.strictEqual(heuristicClassify({ title: 'Postgres internals' }).difficulty, 'advanced');
+  assert.strictEqual(heuristicClassify({ title: 'Getting started with Go' }).difficulty, 'beginner');
+  assert.strictEqual(heuristicClassify({ title: 'Notes', content: 'Using the REST API with JSON. '.repeat(200) }).difficulty, 'intermediate');
+  assert.strictEqual(heuristicClassify({ title: 'Notes' }).difficulty, null, 'no content, no guess');
+});
+
+test('tags are mapped onto existing tags', () => {
+  const existing = ['Machine-Learning', 'Rust', 'Tutorial'];
+  
+  assert.deepStrictEqual(
+    mapToExistingTags(['machine learning', 'rust', 'tutorials', 'Compilers', 'RUST', ' '], existing),
+    ['Machine-Learning', 'Rust', 'Tutorial', 'Compilers']
+  );
+});
+
+test('the prompt lists existing tags and the allowed values', () => {
+  const prompt = classificationPrompt({ title: 'T', url: 'u', content: 'x'.repeat(5000), existingTags: ['Rust', 'Go'] });
+  
+  assert.match(prompt, /Prefer these existing tags where they fit: Rust, Go/);
+  assert.match(prompt, /"technology", "science"/);
+  assert.match(prompt, /x{3000}\.\.\.\n/);
+});
+
+test('answers are parsed from JSON wrapped in prose', () => {
+  const text = 'Sure! ```json\n{"category": "Science", "tags": ["quantum computing", "physics"], "difficulty": "Advanced"}\n```';
+  
+  assert.deepStrictEqual(parseClassification(text, { existingTags: ['Physics'] }), {
+    category: 'science',
+    tags: ['quantum computing', 'Physics'],
+    difficulty: 'advanced'
+  });
+  assert.deepStrictEqual(parseClassification('{"category": "cooking", "tags": "a, b", "difficulty": "easy"}'), {
+    category: 'other',
+    tags: ['a', 'b'],
+    difficulty: null
+  });
+  assert.throws(() => parseClassification('technology'), /not JSON/);
+  assert.throws(() => parseClassification('{category: technology}'), /not valid JSON/);
+});
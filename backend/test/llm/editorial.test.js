@@ -0,0 +1,78 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_PROMPTS, editorialContext, renderEditorialPrompt, cleanEditorialText } = require('../../lib/llm');
+
+const newsletter = {
+  title: 'Reading Digest',
+  theme: null,
+  sections: [
+    { title: 'Technology', items: [{ title: 'Rust at scale', excerpt: 'How a team moved services to Rust.' }] },
+    { title: 'Business', items: [{ title: 'Pricing power', excerpt: 'x'.repeat(500) }] },
+    { title: 'Empty', items: [] }
+  ]
+};
+
+// The seeded library prompt of each part
+const builtin = (part) => BUILTIN_PROMPTS.find(prompt => prompt.purpose === `editorial-${part}`);
+
+test('prompts describe the sections and items of the issue', () => {
+  const prompt = renderEditorialPrompt(builtin('intro'), newsletter);
+  
+  assert.match(prompt, /Technology\n- Rust at scale: How a team moved services to Rust\./);
+  assert.match(prompt, /- Pricing power: x{300}\.\.\.\n/, 'long excerpts are shortened');
+  assert.doesNotMatch(prompt, /Empty/, 'sections without items are left out');
+  assert.doesNotMatch(prompt, /theme of this issue/);
+});
+
+test('the theme is handed to the other parts', () => {
+  assert.match(renderEditorialPrompt(builtin('subject'), { ...newsletter, theme: 'Tools that last' }), /The theme of this issue: Tools that last/);
+  assert.match(renderEditorialPrompt(builtin('intro'), newsletter, { theme: 'Override' }), /The theme of this issue: Override/);
+});
+
+test('transitions are written for one section', () => {
+  assert.strictEqual(renderEditorialPrompt(builtin('transition'), { ...newsletter, theme: 'Tools that last' }, { sectionIndex: 1 }), `You are editing a personal reading newsletter. Its sections, with the current one marked:
+
+- Technology
+> Business
+- Empty
+
+The theme of this issue: Tools that last
+
+The current section "Business" contains:
+- Pricing power: ${'x'.repeat(300)}...
+
+Write one sentence that leads the reader into this section. Reply with the sentence only.
+
+Transition:`);
+});
+
+test('the built-in prompts keep a blank line between the reading and the instructions without a theme', () => {
+  assert.strictEqual(renderEditorialPrompt(builtin('theme'), newsletter), `These are the articles in this issue of a personal reading newsletter, grouped by section:
+
+Technology
+- Rust at scale: How a team moved services to Rust.
+
+Business
+- Pricing power: ${'x'.repeat(300)}...
+
+In at most eight words, name the theme that ties this reading together. Reply with the theme only.
+
+Theme:`);
+  assert.match(renderEditorialPrompt(builtin('subject'), newsletter), /x{300}\.\.\.\n\nSuggest an email subject line/);
+});
+
+test('the context lists sections with items, and the current section for transitions', () => {
+  const context = editorialContext(newsletter, { sectionIndex: 0 });
+  
+  assert.deepStrictEqual(context.sections.map(section => section.title), ['Technology', 'Business']);
+  assert.strictEqual(context.section, 'Technology');
+  assert.strictEqual(context.sectionArticles, '- Rust at scale: How a team moved services to Rust.');
+  assert.strictEqual(editorialContext(newsletter).section, undefined);
+});
+
+test('labels, quotes and extra lines are stripped from answers', () => {
+  assert.strictEqual(cleanEditorialText('subject', 'Subject line: "Why Rust, why now"\n\nHope that helps!'), 'Why Rust, why now');
+  assert.strictEqual(cleanEditorialText('theme', '\n**Tools that last**'), 'Tools that last');
+  assert.strictEqual(cleanEditorialText('intro', 'Intro: First line.\nSecond line.'), 'First line.\nSecond line.');
+  assert.strictEqual(cleanEditorialText('transition', ''), '');
+});
@@ -0,0 +1,77 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapter, generationParams } = require('../../lib/llm');
+const { startStubServer, sendJson, sendEvents, collect } = require('./stub-server');
+
+const gemini = getAdapter('gemini');
+let stub;
+let config;
+
+const candidate = (text, candidatesTokenCount) => ({
+  candidates: [{ content: { parts: [{ text }] } }],
+  usageMetadata: { promptTokenCount: 25, candidatesTokenCount }
+});
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /v1beta/models/gemini-1.5-flash:generateContent': (req, res) => sendJson(res, candidate('A summary.', 4)),
+    'POST /v1beta/models/gemini-1.5-flash:streamGenerateContent': (req, res) => sendEvents(res, [
+      candidate('A ', 1),
+      candidate('summary.', 3)
+    ]),
+    'GET /v1beta/models': (req, res) => {
+      if (req.url.includes('key=bad')) {
+        sendJson(res, { error: { message: 'API key not valid' } }, 400);
+        return;
+      }
+      sendJson(res, {
+        models: [{ name: 'models/gemini-1.5-flash', displayName: 'Gemini 1.5 Flash' }]
+      });
+    }
+  });
+  config = {
+    provider: 'gemini',
+    model_name: 'gemini-1.5-flash',
+    api_key: 'g-test',
+    api_url: `${stub.url}/v1beta`,
+    generation_params: JSON.stringify({ temperature: 1, max_tokens: 256, top_p: 0.5 })
+  };
+});
+
+after(() => stub.close());
+
+test('generate maps generation params to generationConfig', async () => {
+  const { text, usage } = await gemini.generate(config, 'Summarize', { params: generationParams(config) });
+  
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 25, completionTokens: 4 });
+  const request = stub.requests.at(-1);
+  assert.strictEqual(request.query.get('key'), 'g-test');
+  assert.deepStrictEqual(request.body, {
+    contents: [{ parts: [{ text: 'Summarize' }] }],
+    generationConfig: { temperature: 1, maxOutputTokens: 256, topP: 0.5 }
+  });
+});
+
+test('stream reads server-sent candidates and keeps the last usage', async () => {
+  const { text, usage, tokens } = await collect(onToken =>
+    gemini.stream(config, 'Summarize', { params: generationParams(config), onToken }));
+  
+  assert.deepStrictEqual(tokens, ['A ', 'summary.']);
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 25, completionTokens: 3 });
+  assert.strictEqual(stub.requests.at(-1).query.get('alt'), 'sse');
+});
+
+test('listModels strips the models/ prefix', async () => {
+  const models = await gemini.listModels(config);
+  
+  assert.deepStrictEqual(models, [{ name: 'gemini-1.5-flash', display_name: 'Gemini 1.5 Flash' }]);
+});
+
+test('healthCheck reports a rejected key', async () => {
+  const health = await gemini.healthCheck({ ...config, api_key: 'bad' });
+  
+  assert.strictEqual(health.ok, false);
+  assert.match(health.error, /Gemini API error: 400/);
+});
@@ -0,0 +1,72 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapter, generationParams } = require('../../lib/llm');
+const { startStubServer, sendJson, sendEvents, collect } = require('./stub-server');
+
+const grok = getAdapter('grok');
+let stub;
+let config;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /v1/chat/completions': (req, res, body) => {
+      if (body.model === 'missing-model') {
+        sendJson(res, { error: 'model not found' }, 404);
+        return;
+      }
+      if (!body.stream) {
+        sendJson(res, { choices: [{ message: { role: 'assistant', content: 'Grok summary.' } }] });
+        return;
+      }
+      sendEvents(res, [
+        { choices: [{ delta: { content: 'Grok ' } }] },
+        { choices: [{ delta: { content: 'summary.' } }] },
+        '[DONE]'
+      ]);
+    },
+    'GET /v1/models': (req, res) => sendJson(res, { data: [{ id: 'grok-beta', owned_by: 'xai' }] })
+  });
+  config = {
+    provider: 'grok',
+    model_name: 'grok-beta',
+    api_key: 'xai-test',
+    api_url: `${stub.url}/v1/`,
+    generation_params: JSON.stringify({ max_tokens: 300 })
+  };
+});
+
+after(() => stub.close());
+
+test('generate uses the chat completions API', async () => {
+  const { text, usage } = await grok.generate(config, 'Summarize', { params: generationParams(config) });
+  
+  assert.strictEqual(text, 'Grok summary.');
+  assert.strictEqual(usage, null, 'no usage reported');
+  const request = stub.requests.at(-1);
+  assert.strictEqual(request.path, '/v1/chat/completions');
+  assert.strictEqual(request.headers.authorization, 'Bearer xai-test');
+  assert.strictEqual(request.body.max_tokens, 300);
+  assert.strictEqual(request.body.temperature, 0.7);
+});
+
+test('stream yields content deltas', async () => {
+  const { text, tokens } = await collect(onToken =>
+    grok.stream(config, 'Summarize', { params: generationParams(config), onToken }));
+  
+  assert.deepStrictEqual(tokens, ['Grok ', 'summary.']);
+  assert.strictEqual(text, 'Grok summary.');
+});
+
+test('listModels and healthCheck use the models endpoint', async () => {
+  assert.deepStrictEqual(await grok.listModels(config), [{ name: 'grok-beta', owned_by: 'xai' }]);
+  
+  const health = await grok.healthCheck(config);
+  assert.strictEqual(health.ok, true);
+  assert.strictEqual(health.models, 1);
+});
+
+test('error responses are labelled with the provider', async () => {
+  const badConfig = { ...config, model_name: 'missing-model' };
+  
+  await assert.rejects(grok.generate(badConfig, 'Summarize', { params: generationParams(badConfig) }), /Grok API error: 404/);
+});
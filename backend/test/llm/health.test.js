@@ -0,0 +1,69 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { HealthTracker } = require('../../lib/llm');
+
+const failure = new Error('Ollama API error: 500');
+
+test('records latency percentiles and resets consecutive failures on success', () => {
+  const health = new HealthTracker({ threshold: 3, cooldownMs: 1000 });
+  [100, 300, 200, 400].forEach(latency => health.recordSuccess(1, latency));
+  health.recordFailure(1, failure);
+  
+  let snapshot = health.snapshot(1);
+  assert.strictEqual(snapshot.status, 'degraded');
+  assert.strictEqual(snapshot.consecutiveFailures, 1);
+  assert.strictEqual(snapshot.lastError, 'Ollama API error: 500');
+  assert.deepStrictEqual(snapshot.latency, { samples: 4, p50: 200, p90: 400, p99: 400 });
+  
+  health.recordSuccess(1, 250, { fallback: true });
+  snapshot = health.snapshot(1);
+  assert.strictEqual(snapshot.status, 'healthy');
+  assert.strictEqual(snapshot.consecutiveFailures, 0);
+  assert.strictEqual(snapshot.fallbacks, 1);
+  assert.strictEqual(snapshot.calls, 6);
+});
+
+test('opens the breaker after the threshold and lets one trial through after the cool-down', () => {
+  const health = new HealthTracker({ threshold: 2, cooldownMs: 1000 });
+  const now = 10000;
+  
+  health.recordFailure(1, failure, now);
+  assert.strictEqual(health.allowRequest(1, now), true);
+  health.recordFailure(1, failure, now);
+  
+  assert.strictEqual(health.status(1, now), 'open');
+  assert.strictEqual(health.allowRequest(1, now + 500), false);
+  
+  assert.strictEqual(health.status(1, now + 1000), 'half-open');
+  assert.strictEqual(health.allowRequest(1, now + 1000), true);
+  assert.strictEqual(health.allowRequest(1, now + 1000), false, 'only one trial request at a time');
+  
+  // A failed trial opens the breaker again straight away
+  health.recordFailure(1, failure, now + 1200);
+  assert.strictEqual(health.allowRequest(1, now + 1500), false);
+  assert.strictEqual(health.allowRequest(1, now + 2200), true);
+  
+  health.recordSuccess(1, 120);
+  assert.strictEqual(health.status(1), 'healthy');
+  assert.strictEqual(health.allowRequest(1), true);
+});
+
+test('release and reset close out a trial without counting it', () => {
+  const health = new HealthTracker({ threshold: 1, cooldownMs: 1000 });
+  health.recordFailure(1, failure, 0);
+  
+  assert.strictEqual(health.allowRequest(1, 1000), true);
+  health.release(1);
+  assert.strictEqual(health.allowRequest(1, 1000), true);
+  
+  health.reset(1);
+  assert.strictEqual(health.status(1, 1000), 'healthy');
+  assert.strictEqual(health.snapshot(1, 1000).failures, 1);
+});
+
+test('unknown configurations have no status yet', () => {
+  const health = new HealthTracker();
+  
+  assert.strictEqual(health.status(7), 'unknown');
+  assert.strictEqual(health.snapshot(7).latency.p50, null);
+});
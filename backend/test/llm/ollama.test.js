@@ -0,0 +1,73 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapter, generationParams } = require('../../lib/llm');
+const { startStubServer, sendJson, collect } = require('./stub-server');
+
+const ollama = getAdapter('ollama');
+let stub;
+let config;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /api/generate': (req, res, body) => {
+      if (!body.stream) {
+        sendJson(res, { response: 'A summary.', done: true, prompt_eval_count: 42, eval_count: 7 });
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+      res.write(JSON.stringify({ response: 'A ', done: false }) + '\n');
+      res.write(JSON.stringify({ response: 'summary.', done: false }) + '\n');
+      res.end(JSON.stringify({ response: '', done: true, prompt_eval_count: 42, eval_count: 3 }) + '\n');
+    },
+    'GET /api/tags': (req, res) => sendJson(res, {
+      models: [{ name: 'llama3:8b', size: 4661224676, modified_at: '2024-05-01T10:00:00Z' }]
+    })
+  });
+  config = {
+    provider: 'ollama',
+    model_name: 'llama3:8b',
+    api_url: stub.url,
+    generation_params: JSON.stringify({ temperature: 0.2, max_tokens: 120, stop: ['\n\n'] })
+  };
+});
+
+after(() => stub.close());
+
+test('generate maps generation params to Ollama options', async () => {
+  const { text, usage } = await ollama.generate(config, 'Summarize', { params: generationParams(config) });
+  
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 42, completionTokens: 7 });
+  const request = stub.requests.at(-1);
+  assert.strictEqual(request.path, '/api/generate');
+  assert.deepStrictEqual(request.body, {
+    model: 'llama3:8b',
+    prompt: 'Summarize',
+    stream: false,
+    options: { temperature: 0.2, num_predict: 120, stop: ['\n\n'] }
+  });
+});
+
+test('stream yields NDJSON fragments and the final token counts', async () => {
+  const { text, usage, tokens } = await collect(onToken =>
+    ollama.stream(config, 'Summarize', { params: generationParams(config), onToken }));
+  
+  assert.deepStrictEqual(tokens, ['A ', 'summary.']);
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 42, completionTokens: 3 });
+  assert.strictEqual(stub.requests.at(-1).body.stream, true);
+});
+
+test('listModels reads the tags endpoint', async () => {
+  const models = await ollama.listModels(config);
+  
+  assert.deepStrictEqual(models, [{ name: 'llama3:8b', size: 4661224676, modified_at: '2024-05-01T10:00:00Z' }]);
+});
+
+test('healthCheck reports the model count', async () => {
+  const health = await ollama.healthCheck(config);
+  
+  assert.strictEqual(health.ok, true);
+  assert.strictEqual(health.models, 1);
+  assert.ok(health.latencyMs >= 0);
+});
@@ -0,0 +1,81 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapter, generationParams } = require('../../lib/llm');
+const { startStubServer, sendJson, sendEvents, collect } = require('./stub-server');
+
+const compatible = getAdapter('openai-compatible');
+let stub;
+let config;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /v1/chat/completions': (req, res, body) => {
+      if (!body.stream) {
+        sendJson(res, { choices: [{ message: { role: 'assistant', content: 'Local summary.' } }] });
+        return;
+      }
+      sendEvents(res, [
+        { choices: [{ delta: { content: 'Local ' } }] },
+        { choices: [{ delta: { content: 'summary.' } }] },
+        '[DONE]'
+      ]);
+    },
+    'GET /v1/models': (req, res) => sendJson(res, {
+      object: 'list',
+      data: [{ id: 'Qwen2.5-7B-Instruct', object: 'model', owned_by: 'vllm' }]
+    })
+  });
+  config = {
+    provider: 'openai-compatible',
+    model_name: 'Qwen2.5-7B-Instruct',
+    api_key: null,
+    api_url: stub.url,
+    api_headers: { 'X-Gateway-Token': 'lan-secret' },
+    generation_params: null
+  };
+});
+
+after(() => stub.close());
+
+test('generate appends /v1 to a bare server URL and sends the custom headers', async () => {
+  const { text, usage } = await compatible.generate(config, 'Summarize', { params: generationParams(config) });
+  
+  assert.strictEqual(text, 'Local summary.');
+  assert.strictEqual(usage, null);
+  const request = stub.requests.at(-1);
+  assert.strictEqual(request.path, '/v1/chat/completions');
+  assert.strictEqual(request.headers['x-gateway-token'], 'lan-secret');
+  assert.strictEqual(request.headers.authorization, undefined);
+  assert.strictEqual(request.body.model, 'Qwen2.5-7B-Instruct');
+});
+
+test('an API key is sent as a bearer token when configured', async () => {
+  await compatible.generate({ ...config, api_url: `${stub.url}/v1`, api_key: 'local-key' }, 'Summarize', { params: generationParams(config) });
+  
+  const request = stub.requests.at(-1);
+  assert.strictEqual(request.path, '/v1/chat/completions');
+  assert.strictEqual(request.headers.authorization, 'Bearer local-key');
+});
+
+test('stream yields content deltas', async () => {
+  const { text, tokens } = await collect(onToken =>
+    compatible.stream(config, 'Summarize', { params: generationParams(config), onToken }));
+  
+  assert.deepStrictEqual(tokens, ['Local ', 'summary.']);
+  assert.strictEqual(text, 'Local summary.');
+  assert.strictEqual(stub.requests.at(-1).body.stream_options, undefined, 'stream_options is OpenAI-only');
+});
+
+test('listModels reads /v1/models', async () => {
+  const models = await compatible.listModels(config);
+  
+  assert.deepStrictEqual(models, [{ name: 'Qwen2.5-7B-Instruct', owned_by: 'vllm' }]);
+  assert.strictEqual(stub.requests.at(-1).headers['x-gateway-token'], 'lan-secret');
+});
+
+test('an API URL is required', async () => {
+  await assert.rejects(compatible.generate({ ...config, api_url: null }, 'Summarize', { params: generationParams(config) }), /OpenAI-compatible requires an API URL/);
+  
+  const health = await compatible.healthCheck({ ...config, api_url: '' });
+  assert.strictEqual(health.ok, false);
+});
@@ -0,0 +1,90 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const { getAdapter, generationParams } = require('../../lib/llm');
+const { startStubServer, sendJson, sendEvents, collect } = require('./stub-server');
+
+const openai = getAdapter('openai');
+let stub;
+let config;
+
+before(async () => {
+  stub = await startStubServer({
+    'POST /v1/chat/completions': (req, res, body) => {
+      if (req.headers.authorization !== 'Bearer sk-test') {
+        sendJson(res, { error: { message: 'invalid key' } }, 401);
+        return;
+      }
+      if (!body.stream) {
+        sendJson(res, {
+          choices: [{ message: { role: 'assistant', content: 'A summary.' } }],
+          usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 }
+        });
+        return;
+      }
+      sendEvents(res, [
+        { choices: [{ delta: { role: 'assistant' } }] },
+        { choices: [{ delta: { content: 'A ' } }] },
+        { choices: [{ delta: { content: 'summary.' } }] },
+        { choices: [], usage: { prompt_tokens: 30, completion_tokens: 2, total_tokens: 32 } },
+        '[DONE]'
+      ]);
+    },
+    'GET /v1/models': (req, res) => sendJson(res, {
+      data: [{ id: 'gpt-4o-mini', owned_by: 'openai' }, { id: 'gpt-4o', owned_by: 'openai' }]
+    })
+  });
+  config = {
+    provider: 'openai',
+    model_name: 'gpt-4o-mini',
+    api_key: 'sk-test',
+    api_url: `${stub.url}/v1`,
+    generation_params: JSON.stringify({ temperature: 0.3, top_p: 0.9 })
+  };
+});
+
+after(() => stub.close());
+
+test('generate sends a chat completion with the configured params', async () => {
+  const { text, usage } = await openai.generate(config, 'Summarize', { params: generationParams(config) });
+  
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 30, completionTokens: 5 });
+  assert.deepStrictEqual(stub.requests.at(-1).body, {
+    model: 'gpt-4o-mini',
+    messages: [{ role: 'user', content: 'Summarize' }],
+    max_tokens: 200,
+    temperature: 0.3,
+    top_p: 0.9
+  });
+});
+
+test('stream yields content deltas until [DONE] and asks for usage', async () => {
+  const { text, usage, tokens } = await collect(onToken =>
+    openai.stream(config, 'Summarize', { params: generationParams(config), onToken }));
+  
+  assert.deepStrictEqual(tokens, ['A ', 'summary.']);
+  assert.strictEqual(text, 'A summary.');
+  assert.deepStrictEqual(usage, { promptTokens: 30, completionTokens: 2 });
+  assert.strictEqual(stub.requests.at(-1).body.stream, true);
+  assert.deepStrictEqual(stub.requests.at(-1).body.stream_options, { include_usage: true });
+});
+
+test('listModels returns model ids', async () => {
+  const models = await openai.listModels(config);
+  
+  assert.deepStrictEqual(models.map(model => model.name), ['gpt-4o-mini', 'gpt-4o']);
+  assert.strictEqual(stub.requests.at(-1).headers.authorization, 'Bearer sk-test');
+});
+
+test('error responses surface the status', async () => {
+  const badConfig = { ...config, api_key: 'sk-wrong' };
+  
+  await assert.rejects(openai.generate(badConfig, 'Summarize', { params: generationParams(badConfig) }), /OpenAI API error: 401/);
+});
+
+test('healthCheck fails when the provider is unreachable', async () => {
+  const health = await openai.healthCheck({ ...config, api_url: `${stub.url}/missing` });
+  
+  assert.strictEqual(health.ok, false);
+  assert.match(health.error, /OpenAI API error: 404/);
+});
@@ -0,0 +1,30 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { DEFAULT_PRICES, findPrice, callCost, estimateTokens, validatePrice } = require('../../lib/llm');
+
+test('the longest matching model prefix wins', () => {
+  assert.deepStrictEqual(findPrice(DEFAULT_PRICES, 'openai', 'gpt-4o-mini-2024-07-18'), DEFAULT_PRICES['openai:gpt-4o-mini']);
+  assert.deepStrictEqual(findPrice(DEFAULT_PRICES, 'openai', 'gpt-4o-2024-08-06'), DEFAULT_PRICES['openai:gpt-4o']);
+  assert.strictEqual(findPrice(DEFAULT_PRICES, 'ollama', 'llama3:8b'), null);
+  assert.strictEqual(findPrice(DEFAULT_PRICES, 'openai-compatible', 'gpt-4o'), null, 'prices are per provider');
+});
+
+test('cost is priced per million tokens', () => {
+  const price = { input: 2.5, output: 10 };
+  
+  assert.strictEqual(callCost(price, { promptTokens: 1000000, completionTokens: 0 }), 2.5);
+  assert.strictEqual(callCost(price, { promptTokens: 2000, completionTokens: 500 }), 0.01);
+  assert.strictEqual(callCost(null, { promptTokens: 2000, completionTokens: 500 }), 0);
+});
+
+test('token estimates assume four characters per token', () => {
+  assert.strictEqual(estimateTokens(''), 0);
+  assert.strictEqual(estimateTokens('abcde'), 2);
+});
+
+test('prices need non-negative input and output', () => {
+  assert.strictEqual(validatePrice({ input: 0, output: 1.5 }), null);
+  assert.match(validatePrice({ input: -1, output: 1 }), /input must be/);
+  assert.match(validatePrice({ input: 1 }), /output must be/);
+  assert.match(validatePrice('free'), /must be an object/);
+});
@@ -0,0 +1,47 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { BUILTIN_PROMPTS, renderPrompt, validatePrompt, truncateContent } = require('../../lib/llm');
+
+const article = { title: 'Rust at scale', url: 'https://example.com/rust', content: 'Body text', tags: ['rust', 'systems'] };
+
+test('prompts receive title, url, content, tags and audience', () => {
+  const prompt = { body: '{{title}} | {{url}} | {{join tags ", "}} | {{audience}} | {{content}}' };
+  
+  assert.strictEqual(
+    renderPrompt(prompt, { ...article, audience: 'engineers' }),
+    'Rust at scale | https://example.com/rust | rust, systems | engineers | Body text'
+  );
+});
+
+test('an explicit audience overrides the prompt default', () => {
+  const prompt = { body: 'For {{audience}}: {{content}}', audience: 'executives' };
+  
+  assert.strictEqual(renderPrompt(prompt, article), 'For executives: Body text');
+  assert.strictEqual(renderPrompt(prompt, { ...article, audience: 'students' }), 'For students: Body text');
+});
+
+test('content is cut to the prompt max_content_length', () => {
+  const prompt = { body: '{{content}}', max_content_length: 5 };
+  
+  assert.strictEqual(renderPrompt(prompt, { content: 'abcdefgh' }), 'abcde...');
+  assert.strictEqual(truncateContent('abc', 5), 'abc');
+  assert.strictEqual(truncateContent('x'.repeat(9000)).length, 8003, 'defaults to 8000 characters');
+});
+
+test('the default summary prompt keeps the original wording', () => {
+  const rendered = renderPrompt(BUILTIN_PROMPTS[0], { ...article, tags: [] });
+  
+  assert.match(rendered, /^Please provide a concise, engaging summary of this article in 2-3 sentences\./);
+  assert.match(rendered, /valuable for a professional newsletter\./);
+  assert.match(rendered, /URL: https:\/\/example.com\/rust\nContent: Body text\n\nSummary:$/);
+  assert.match(renderPrompt(BUILTIN_PROMPTS[0], article), /\nTags: rust, systems\nContent:/);
+});
+
+test('prompts must parse and include the variable their purpose requires', () => {
+  assert.strictEqual(validatePrompt('Summarize: {{ content }}'), null);
+  assert.match(validatePrompt('Summarize {{title}}'), /must include \{\{content\}\}/);
+  assert.ok(validatePrompt('{{#if title}}{{content}}'));
+  BUILTIN_PROMPTS.forEach(prompt => assert.strictEqual(validatePrompt(prompt.body, prompt.purpose), null, prompt.key));
+  assert.match(validatePrompt('Name a theme for {{title}}', 'editorial-theme'), /must include \{\{articles\}\}/);
+  assert.match(validatePrompt('{{articles}}', 'editorial-transition'), /must include \{\{sectionArticles\}\}/);
+});
@@ -0,0 +1,61 @@
+const http = require('http');
+
+// A local HTTP server standing in for an LLM provider. `routes` maps "METHOD /path" to a handler
+// (req, res, body) where `body` is the parsed JSON request body. Every request is recorded so
+// tests can assert on what the adapter sent.
+async function startStubServer(routes) {
+  const requests = [];
+  
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const body = raw ? JSON.parse(raw) : null;
+      requests.push({ method: req.method, path: url.pathname, query: url.searchParams, headers: req.headers, body });
+      
+      const handler = routes[`${req.method} ${url.pathname}`];
+      if (!handler) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not found' }));
+        return;
+      }
+      handler(req, res, body);
+    });
+  });
+  
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+function sendJson(res, data, status = 200) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+// Write server-sent events, one `data:` line per payload
+function sendEvents(res, payloads) {
+  res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+  for (const payload of payloads) {
+    res.write(`data: ${typeof payload === 'string' ? payload : JSON.stringify(payload)}\n\n`);
+  }
+  res.end();
+}
+
+async function collect(stream) {
+  const tokens = [];
+  const { text, usage } = await stream(token => tokens.push(token));
+  return { text, usage, tokens };
+}
+
+module.exports = {
+  startStubServer,
+  sendJson,
+  sendEvents,
+  collect
+};
@@ -0,0 +1,127 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sqlite3 = require('sqlite3');
+
+const BACKEND = path.join(__dirname, '..');
+
+// lib/secrets.js reads its keyring once when loaded, so every key configuration runs in its own process.
+// `call` is evaluated there with the module bound to `secrets`, and its result comes back as JSON.
+function withKeys(keys, call) {
+  const script = `const secrets = require('./lib/secrets'); process.stdout.write(JSON.stringify(${call}));`;
+  const output = execFileSync(process.execPath, ['-e', script], { cwd: BACKEND, env: keyEnv(keys), stdio: ['ignore', 'pipe', 'ignore'] });
+  return JSON.parse(output.toString() || 'null');
+}
+
+function keyEnv({ key, version, previous } = {}) {
+  const env = { ...process.env };
+  ['ENCRYPTION_KEY', 'ENCRYPTION_KEY_VERSION', 'ENCRYPTION_PREVIOUS_KEYS', 'NODE_ENV'].forEach(name => delete env[name]);
+  if (key) env.ENCRYPTION_KEY = key;
+  if (version) env.ENCRYPTION_KEY_VERSION = String(version);
+  if (previous) env.ENCRYPTION_PREVIOUS_KEYS = previous;
+  return env;
+}
+
+const OLD = { key: 'old-secret', version: 1 };
+const NEW = { key: 'new-secret', version: 2, previous: '1:old-secret' };
+
+// Written by `openssl enc -aes-192-cbc -md md5 -nosalt`, the derivation crypto.createCipher('aes192', ...) used
+const LEGACY_API_KEY = 'sk-legacy-test-key-123';
+const LEGACY_UNDER_OLD_SECRET = 'e839b4a988aedcf67d1cbc26a6ea54f6f82b01b7b948148ef1cb319e047c3aeb';
+const LEGACY_UNDER_DEFAULT_KEY = 'a90df83ad15beba68df2a575c23da3093a55a1eb5be6dd8748b438c1acc8989b';
+
+test('values round-trip under the current key version', () => {
+  const encrypted = withKeys(OLD, 'secrets.encryptApiKey("sk-test-123")');
+  
+  assert.match(encrypted, /^v1:/);
+  assert.strictEqual(withKeys(OLD, `secrets.decryptApiKey(${JSON.stringify(encrypted)})`), 'sk-test-123');
+  assert.strictEqual(withKeys(OLD, `secrets.needsReencryption(${JSON.stringify(encrypted)})`), false);
+});
+
+test('legacy aes192 values decrypt with a previous key or the old built-in default', () => {
+  assert.strictEqual(withKeys(OLD, `secrets.decryptApiKey("${LEGACY_UNDER_OLD_SECRET}")`), LEGACY_API_KEY);
+  assert.strictEqual(withKeys(NEW, `secrets.decryptApiKey("${LEGACY_UNDER_OLD_SECRET}")`), LEGACY_API_KEY);
+  assert.strictEqual(withKeys(NEW, `secrets.decryptApiKey("${LEGACY_UNDER_DEFAULT_KEY}")`), LEGACY_API_KEY);
+  assert.strictEqual(withKeys(NEW, `secrets.needsReencryption("${LEGACY_UNDER_OLD_SECRET}")`), true);
+  
+  assert.strictEqual(withKeys({ key: 'other-secret' }, `secrets.decryptApiKey("${LEGACY_UNDER_OLD_SECRET}")`), null);
+});
+
+test('a wrong key or a tampered auth tag fails to decrypt', () => {
+  const encrypted = withKeys(OLD, 'secrets.encryptApiKey("sk-test-123")');
+  const [version, iv, tag, ciphertext] = encrypted.split(':');
+  const tagBytes = Buffer.from(tag, 'base64');
+  tagBytes[0] ^= 1;
+  const tampered = [version, iv, tagBytes.toString('base64'), ciphertext].join(':');
+  
+  assert.strictEqual(withKeys({ key: 'other-secret', version: 1 }, `secrets.decryptApiKey(${JSON.stringify(encrypted)})`), null);
+  assert.strictEqual(withKeys(OLD, `secrets.decryptApiKey(${JSON.stringify(tampered)})`), null);
+  assert.strictEqual(withKeys({ key: 'new-secret', version: 2 }, `secrets.decryptApiKey(${JSON.stringify(encrypted)})`), null, 'version 1 key is not configured');
+});
+
+async function withDatabase(callback) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rotate-keys-'));
+  const dbPath = path.join(directory, 'test.db');
+  
+  try {
+    execFileSync(process.execPath, ['scripts/migrate.js', 'up'], { cwd: BACKEND, env: { ...process.env, DB_PATH: dbPath }, stdio: 'ignore' });
+    await callback(dbPath);
+  } finally {
+    fs.rmSync(directory, { recursive: true, force: true });
+  }
+}
+
+async function query(dbPath, sql, params = []) {
+  const db = new sqlite3.Database(dbPath);
+  try {
+    return await new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+  } finally {
+    await new Promise(resolve => db.close(resolve));
+  }
+}
+
+function rotateKeys(dbPath, keys) {
+  return spawnSync(process.execPath, ['scripts/rotate-keys.js'], { cwd: BACKEND, env: { ...keyEnv(keys), DB_PATH: dbPath }, encoding: 'utf8' });
+}
+
+test('rotate-keys re-encrypts stored secrets so they decrypt with the new key alone', async () => {
+  await withDatabase(async (dbPath) => {
+    const apiKey = withKeys(OLD, 'secrets.encryptApiKey("sk-test-123")');
+    await query(dbPath, 'INSERT INTO llm_config (provider, model_name, api_key) VALUES (?, ?, ?), (?, ?, ?)', [
+      'openai', 'gpt-4o-mini', apiKey,
+      'grok', 'grok-2', LEGACY_UNDER_OLD_SECRET
+    ]);
+    
+    const result = rotateKeys(dbPath, NEW);
+    assert.strictEqual(result.status, 0, result.stderr);
+    assert.match(result.stdout, /Re-encrypted 2 stored secret\(s\)/);
+    
+    const rows = await query(dbPath, 'SELECT api_key FROM llm_config ORDER BY id');
+    const newKeyOnly = { key: 'new-secret', version: 2 };
+    rows.forEach(row => assert.match(row.api_key, /^v2:/));
+    assert.strictEqual(withKeys(newKeyOnly, `secrets.decryptApiKey(${JSON.stringify(rows[0].api_key)})`), 'sk-test-123');
+    assert.strictEqual(withKeys(newKeyOnly, `secrets.decryptApiKey(${JSON.stringify(rows[1].api_key)})`), LEGACY_API_KEY);
+    
+    const again = rotateKeys(dbPath, NEW);
+    assert.match(again.stdout, /Re-encrypted 0 stored secret\(s\)/, 'values on the current version are left alone');
+  });
+});
+
+test('rotate-keys writes nothing when a stored secret cannot be decrypted', async () => {
+  await withDatabase(async (dbPath) => {
+    const apiKey = withKeys(OLD, 'secrets.encryptApiKey("sk-test-123")');
+    await query(dbPath, 'INSERT INTO llm_config (provider, model_name, api_key) VALUES (?, ?, ?)', ['openai', 'gpt-4o-mini', apiKey]);
+    
+    const result = rotateKeys(dbPath, { key: 'new-secret', version: 2 });
+    assert.strictEqual(result.status, 1);
+    assert.match(result.stderr, /1 secret\(s\) could not be decrypted/);
+    
+    const [row] = await query(dbPath, 'SELECT api_key FROM llm_config');
+    assert.strictEqual(row.api_key, apiKey);
+  });
+});
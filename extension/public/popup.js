@@ -77,6 +77,8 @@ async function checkApiConnection() {
 }
 
 function setupEventListeners() {
+  setupSearch();
+  
   // Manual entry button - open the add reading form
   document.getElementById('manualEntry').addEventListener('click', () => {
     chrome.tabs.create({ 
@@ -116,6 +118,66 @@ function setupEventListeners() {
   });
 }
 
+// Search box - queries the full-text search API as you type
+function setupSearch() {
+  const input = document.getElementById('searchInput');
+  let debounceTimer = null;
+  
+  input.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => runSearch(input.value.trim()), 300);
+  });
+}
+
+async function runSearch(query) {
+  const results = document.getElementById('searchResults');
+  
+  if (!query) {
+    results.innerHTML = '';
+    return;
+  }
+  
+  try {
+    const response = await fetch(`http://localhost:3001/api/search?q=${encodeURIComponent(query)}&limit=5`);
+    if (!response.ok) {
+      throw new Error(`HTTP error! status: ${response.status}`);
+    }
+    
+    const data = await response.json();
+    results.innerHTML = '';
+    
+    if (data.sessions.length === 0) {
+      results.innerHTML = '<div class="search-empty">No matching articles</div>';
+      return;
+    }
+    
+    data.sessions.forEach(session => {
+      const item = document.createElement(session.url ? 'a' : 'div');
+      item.className = 'search-result';
+      if (session.url) {
+        item.href = session.url;
+        item.target = '_blank';
+      }
+      
+      // title_highlight and snippet are HTML-escaped by the API, with <mark> around matches
+      const title = document.createElement('div');
+      title.className = 'search-result-title';
+      title.innerHTML = session.title_highlight;
+      item.appendChild(title);
+      
+      const snippet = document.createElement('div');
+      snippet.className = 'search-result-snippet';
+      snippet.innerHTML = session.snippet;
+      item.appendChild(snippet);
+      
+      results.appendChild(item);
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    results.innerHTML = '<div class="search-empty">Search unavailable</div>';
+  }
+}
+
 function isTrackablePage(url) {
   const trackablePatterns = [
     'medium.com',
@@ -1658,6 +1658,7 @@ class ReadingTracker {
           word_count: articleContent.wordCount,
           excerpt: articleContent.excerpt,
           learning_score: this.analysisResult.learningScore,
+          category: this.analysisResult.category,
           notes: `Added via newsletter button - ${this.analysisResult.category} content`
         }),
       });
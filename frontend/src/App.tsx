@@ -3,16 +3,18 @@ import Dashboard from './components/Dashboard.tsx';
 import AddReadingForm from './components/AddReadingForm.tsx';
 import SessionsList from './components/SessionsList.tsx';
 import Settings from './components/Settings.tsx';
-import { BookOpen, Plus, Settings as SettingsIcon, BarChart3, Menu, X } from 'lucide-react';
+import Newsletter from './components/Newsletter.tsx';
+import { BookOpen, Plus, Settings as SettingsIcon, BarChart3, Mail, Menu, X } from 'lucide-react';
 
 function App() {
-  const [currentView, setCurrentView] = useState<'dashboard' | 'sessions' | 'add' | 'settings'>('dashboard');
+  const [currentView, setCurrentView] = useState<'dashboard' | 'sessions' | 'add' | 'newsletter' | 'settings'>('dashboard');
   const [sidebarOpen, setSidebarOpen] = useState(false);
 
   const navigation = [
     { name: 'Dashboard', icon: BarChart3, key: 'dashboard' as const },
     { name: 'Sessions', icon: BookOpen, key: 'sessions' as const },
     { name: 'Add Reading', icon: Plus, key: 'add' as const },
+    { name: 'Newsletter', icon: Mail, key: 'newsletter' as const },
     { name: 'Settings', icon: SettingsIcon, key: 'settings' as const },
   ];
 
@@ -33,6 +35,8 @@ function App() {
             }}
           />
         );
+      case 'newsletter':
+        return <Newsletter />;
       case 'settings':
         return <Settings />;
       default:
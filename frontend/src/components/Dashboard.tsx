@@ -1,7 +1,7 @@
-import React, { useState, useEffect } from 'react';
-import { BookOpen, Clock, FileText, TrendingUp, Mail, Copy, Brain, RefreshCw, AlertTriangle, Settings } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { BookOpen, Clock, FileText, TrendingUp, Mail, Copy, Brain, RefreshCw, AlertTriangle, Settings, X } from 'lucide-react';
 import { ReadingStats } from '../types/index.ts';
-import { getStats } from '../services/api.ts';
+import { getStats, subscribeToEvents } from '../services/api.ts';
 
 interface NewsletterItem {
   title: string;
@@ -13,9 +13,24 @@ interface NewsletterItem {
   date: string;
   category: string;
   id?: string;
+  sessionId?: number | null;
   llmGenerated?: boolean;
 }
 
+interface BackgroundJob {
+  id: number;
+  type: string;
+  status: 'queued' | 'running' | 'completed' | 'failed' | 'cancelled';
+  payload: { sessionIds?: number[] };
+  progress: { current: number; total: number; message: string | null };
+  error: string | null;
+  attempts: number;
+  max_attempts: number;
+  cancel_requested: boolean;
+}
+
+const FINISHED_JOB_STATUSES = ['completed', 'failed', 'cancelled'];
+
 interface NewsletterSection {
   title: string;
   items: NewsletterItem[];
@@ -44,24 +59,23 @@ const Dashboard: React.FC = () => {
   const [newsletter, setNewsletter] = useState<Newsletter | null>(null);
   const [showFullNewsletter, setShowFullNewsletter] = useState(false);
   const [llmError, setLlmError] = useState<string | null>(null);
+  const [summaryJob, setSummaryJob] = useState<BackgroundJob | null>(null);
+  // Summary text streamed by the running job, by session id
+  const [streamingSummaries, setStreamingSummaries] = useState<Record<number, string>>({});
+  const jobEvents = useRef<EventSource | null>(null);
 
-  useEffect(() => {
-    const fetchStats = async () => {
-      try {
-        const data = await getStats();
-        setStats(data);
-      } catch (error) {
-        console.error('Error fetching stats:', error);
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchStats();
-    loadNewsletterQueue();
+  const fetchStats = useCallback(async () => {
+    try {
+      const data = await getStats();
+      setStats(data);
+    } catch (error) {
+      console.error('Error fetching stats:', error);
+    } finally {
+      setLoading(false);
+    }
   }, []);
 
-  const loadNewsletterQueue = async () => {
+  const loadNewsletterQueue = useCallback(async () => {
     setNewsletterLoading(true);
     try {
       const response = await fetch('http://localhost:3001/api/newsletter/queue');
@@ -81,6 +95,7 @@ const Dashboard: React.FC = () => {
           }),
           category: item.category,
           id: item.id.toString(),
+          sessionId: item.session_id,
           llmGenerated: !!item.llm_summary
         })));
       }
@@ -89,7 +104,77 @@ const Dashboard: React.FC = () => {
     } finally {
       setNewsletterLoading(false);
     }
-  };
+  }, []);
+
+  // Follow a background summarization job over server-sent events until it finishes
+  const followJob = useCallback((jobId: number) => {
+    jobEvents.current?.close();
+    const events = new EventSource(`http://localhost:3001/api/jobs/${jobId}/events`);
+    jobEvents.current = events;
+    
+    events.addEventListener('job', (event) => {
+      const job: BackgroundJob = JSON.parse((event as MessageEvent).data);
+      setSummaryJob(job);
+      
+      if (FINISHED_JOB_STATUSES.includes(job.status)) {
+        events.close();
+        jobEvents.current = null;
+        if (job.status === 'failed') {
+          setLlmError(job.error || 'Failed to generate summaries');
+        }
+        loadNewsletterQueue().then(() => setStreamingSummaries({}));
+      }
+    });
+    
+    // Summary text as the model writes it; `reset` starts over when the next model is tried
+    events.addEventListener('stream', (event) => {
+      const { sessionId, text, reset } = JSON.parse((event as MessageEvent).data);
+      setStreamingSummaries(prev => ({
+        ...prev,
+        [sessionId]: reset ? '' : (prev[sessionId] || '') + (text || '')
+      }));
+    });
+    
+    events.onerror = () => {
+      events.close();
+      jobEvents.current = null;
+    };
+  }, [loadNewsletterQueue]);
+
+  // Pick up a summarization job that is still running, e.g. one started by adding to the queue
+  const resumeSummaryJob = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/jobs?type=summarize-batch&limit=5');
+      if (response.ok) {
+        const data = await response.json();
+        const active = data.jobs.find((job: BackgroundJob) => !FINISHED_JOB_STATUSES.includes(job.status));
+        if (active) {
+          setSummaryJob(active);
+          followJob(active.id);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading summarization jobs:', error);
+    }
+  }, [followJob]);
+
+  useEffect(() => {
+    fetchStats();
+    loadNewsletterQueue();
+    resumeSummaryJob();
+    
+    // Live updates: new sessions from the extension, queue edits and finished summaries
+    const unsubscribe = subscribeToEvents({
+      'stats-changed': () => fetchStats(),
+      'queue-changed': () => loadNewsletterQueue(),
+      'summary-generated': () => loadNewsletterQueue()
+    });
+    
+    return () => {
+      unsubscribe();
+      jobEvents.current?.close();
+    };
+  }, [fetchStats, loadNewsletterQueue, resumeSummaryJob]);
 
   const generateNewsletter = async () => {
     setNewsletterLoading(true);
@@ -125,18 +210,21 @@ const Dashboard: React.FC = () => {
     }
   };
 
-  const generateSummary = async (itemId: string) => {
+  const generateSummaries = async (sessionIds: number[]) => {
     setLlmError(null);
     try {
-      const response = await fetch(`http://localhost:3001/api/llm/summarize/${itemId}`, {
-        method: 'POST'
+      const response = await fetch('http://localhost:3001/api/llm/summarize-batch', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sessionIds })
       });
       
+      const data = await response.json();
       if (response.ok) {
-        await loadNewsletterQueue(); // Refresh to show new summary
+        setSummaryJob(data.job);
+        followJob(data.jobId);
       } else {
-        const errorData = await response.json();
-        setLlmError(errorData.error || 'Failed to generate summary');
+        setLlmError(data.error || 'Failed to generate summary');
       }
     } catch (error) {
       console.error('Error generating summary:', error);
@@ -144,6 +232,15 @@ const Dashboard: React.FC = () => {
     }
   };
 
+  const cancelSummaryJob = async () => {
+    if (!summaryJob) return;
+    try {
+      await fetch(`http://localhost:3001/api/jobs/${summaryJob.id}/cancel`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+    }
+  };
+
   if (loading) {
     return <div className="flex items-center justify-center h-64">Loading...</div>;
   }
@@ -152,6 +249,12 @@ const Dashboard: React.FC = () => {
     return <div className="flex items-center justify-center h-64">Error loading stats</div>;
   }
 
+  const summaryJobActive = !!summaryJob && !FINISHED_JOB_STATUSES.includes(summaryJob.status);
+  const summarizingIds = summaryJobActive ? summaryJob!.payload.sessionIds || [] : [];
+  const unsummarizedIds = newsletterItems
+    .filter(item => !item.llmGenerated && item.sessionId)
+    .map(item => item.sessionId!);
+
   const formatTime = (minutes: number): string => {
     const hours = Math.floor(minutes / 60);
     const mins = minutes % 60;
@@ -261,6 +364,16 @@ const Dashboard: React.FC = () => {
             </span>
           </div>
           <div className="flex items-center space-x-2">
+            {unsummarizedIds.length > 0 && (
+              <button
+                onClick={() => generateSummaries(unsummarizedIds)}
+                disabled={summaryJobActive}
+                className="btn-secondary text-sm flex items-center space-x-1"
+              >
+                <Brain className="h-3 w-3" />
+                <span>Summarize All</span>
+              </button>
+            )}
             <button
               onClick={loadNewsletterQueue}
               disabled={newsletterLoading}
@@ -280,6 +393,37 @@ const Dashboard: React.FC = () => {
           </div>
         </div>
 
+        {/* Summarization Progress */}
+        {summaryJobActive && summaryJob && (
+          <div className="mb-4 p-4 bg-purple-50 border border-purple-200 rounded-lg">
+            <div className="flex items-center justify-between mb-2">
+              <div className="flex items-center space-x-2 text-sm text-purple-800">
+                <Brain className="h-4 w-4 animate-pulse" />
+                <span>
+                  {summaryJob.status === 'queued'
+                    ? summaryJob.attempts > 0 ? `Retrying (attempt ${summaryJob.attempts + 1} of ${summaryJob.max_attempts})...` : 'Waiting to summarize...'
+                    : `Summarizing ${Math.min(summaryJob.progress.current + 1, summaryJob.progress.total)} of ${summaryJob.progress.total}`}
+                  {summaryJob.status === 'running' && summaryJob.progress.message && `: ${summaryJob.progress.message}`}
+                </span>
+              </div>
+              <button
+                onClick={cancelSummaryJob}
+                disabled={summaryJob.cancel_requested}
+                className="text-purple-400 hover:text-purple-700"
+                title="Cancel"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+            <div className="w-full bg-purple-100 rounded-full h-2">
+              <div
+                className="bg-purple-600 h-2 rounded-full transition-all"
+                style={{ width: `${summaryJob.progress.total > 0 ? (summaryJob.progress.current / summaryJob.progress.total) * 100 : 0}%` }}
+              />
+            </div>
+          </div>
+        )}
+
         {/* LLM Error Display */}
         {llmError && (
           <div className="mb-4 p-4 bg-red-50 border border-red-200 rounded-lg">
@@ -321,7 +465,14 @@ const Dashboard: React.FC = () => {
                 <div className="flex items-start justify-between">
                   <div className="flex-1">
                     <h4 className="font-medium text-gray-900 mb-1">{item.title}</h4>
-                    <p className="text-sm text-gray-600 mb-2 line-clamp-2">{item.excerpt}</p>
+                    {item.sessionId && streamingSummaries[item.sessionId] !== undefined ? (
+                      <p className="text-sm text-purple-700 mb-2">
+                        {streamingSummaries[item.sessionId]}
+                        <span className="inline-block w-1.5 h-4 ml-0.5 align-text-bottom bg-purple-400 animate-pulse" />
+                      </p>
+                    ) : (
+                      <p className="text-sm text-gray-600 mb-2 line-clamp-2">{item.excerpt}</p>
+                    )}
                     <div className="flex items-center space-x-4 text-xs text-gray-500">
                       <span>{item.date}</span>
                       <span>Score: {item.learningScore}/100</span>
@@ -333,14 +484,21 @@ const Dashboard: React.FC = () => {
                       )}
                     </div>
                   </div>
-                  {!item.llmGenerated && item.id && (
-                    <button
-                      onClick={() => generateSummary(item.id!)}
-                      className="ml-3 p-1 text-purple-600 hover:bg-purple-50 rounded"
-                      title="Generate AI Summary"
-                    >
-                      <Brain className="h-4 w-4" />
-                    </button>
+                  {!item.llmGenerated && item.sessionId && (
+                    summarizingIds.includes(item.sessionId) ? (
+                      <span className="ml-3 p-1 text-purple-400" title="Summarizing...">
+                        <RefreshCw className="h-4 w-4 animate-spin" />
+                      </span>
+                    ) : (
+                      <button
+                        onClick={() => generateSummaries([item.sessionId!])}
+                        disabled={summaryJobActive}
+                        className="ml-3 p-1 text-purple-600 hover:bg-purple-50 rounded"
+                        title="Generate AI Summary"
+                      >
+                        <Brain className="h-4 w-4" />
+                      </button>
+                    )
                   )}
                 </div>
               </div>
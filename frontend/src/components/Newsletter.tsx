@@ -1,5 +1,9 @@
-import React, { useState, useEffect } from 'react';
-import { Mail, Download, Settings, Calendar, Target, Filter, Copy, Trash2, List, RefreshCw, FileText, Code } from 'lucide-react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Mail, Download, Settings, Calendar, Target, Filter, Copy, Trash2, List, RefreshCw, FileText, Code, Save, Archive, ChevronUp, ChevronDown, Edit2, History, RotateCcw, Users, GripVertical, Pin, PinOff, MessageSquare, Sparkles } from 'lucide-react';
+import NewsletterTemplates from './NewsletterTemplates.tsx';
+import NewsletterSubscribers from './NewsletterSubscribers.tsx';
+import NewsletterDelivery from './NewsletterDelivery.tsx';
+import { subscribeToEvents } from '../services/api.ts';
 
 interface NewsletterItem {
   title: string;
@@ -11,16 +15,30 @@ interface NewsletterItem {
   date: string;
   category: string;
   id?: string;
+  sessionId?: number | null;
+  llmGenerated?: boolean;
+  llmModel?: string | null;
+}
+
+interface QueueItem extends NewsletterItem {
+  id: string;
+  pinned: boolean;
+  commentary: string | null;
+  section: string | null;
+  editorNote: string | null;
 }
 
 interface NewsletterSection {
   title: string;
+  transition?: string | null;
   items: NewsletterItem[];
 }
 
 interface Newsletter {
   title: string;
   subtitle: string;
+  theme?: string | null;
+  subjectLine?: string | null;
   intro: string;
   sections: NewsletterSection[];
   footer: {
@@ -32,6 +50,48 @@ interface Newsletter {
   };
 }
 
+type IssueStatus = 'draft' | 'scheduled' | 'published';
+
+interface NewsletterIssueSummary {
+  id: number;
+  title: string;
+  subtitle: string;
+  status: IssueStatus;
+  scheduled_for: string | null;
+  published_at: string | null;
+  revision: number;
+  created_at: string;
+  updated_at: string;
+  item_count: number;
+}
+
+interface CurrentIssue {
+  id: number;
+  status: IssueStatus;
+  scheduled_for: string | null;
+  published_at: string | null;
+  revision: number;
+}
+
+interface IssueRevision {
+  revision: number;
+  note: string | null;
+  created_at: string;
+  title: string;
+  status: IssueStatus;
+  itemCount: number;
+}
+
+interface SkippedArticle {
+  sessionId: number;
+  title: string;
+  url: string;
+  matchedBy: 'session' | 'url';
+  newsletterId: number;
+  newsletterTitle: string;
+  publishedAt: string;
+}
+
 interface NewsletterStats {
   totalSessions: number;
   dateRange: number;
@@ -39,6 +99,12 @@ interface NewsletterStats {
   avgLearningScore: number;
 }
 
+// A stored timestamp as the local 'YYYY-MM-DDTHH:mm' value of a datetime-local input
+const toDateTimeInput = (timestamp: string) => {
+  const date = new Date(timestamp);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
 const Newsletter: React.FC = () => {
   const [newsletter, setNewsletter] = useState<Newsletter | null>(null);
   const [stats, setStats] = useState<NewsletterStats | null>(null);
@@ -46,12 +112,26 @@ const Newsletter: React.FC = () => {
   const [error, setError] = useState<string | null>(null);
   
   // Newsletter queue state
-  const [queueItems, setQueueItems] = useState<NewsletterItem[]>([]);
+  const [queueItems, setQueueItems] = useState<QueueItem[]>([]);
   const [queueLoading, setQueueLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState<'generator' | 'queue'>('generator');
+  const [draggedId, setDraggedId] = useState<string | null>(null);
+  const [dragOverId, setDragOverId] = useState<string | null>(null);
+  const [editingQueueId, setEditingQueueId] = useState<string | null>(null);
+  const [queueDraft, setQueueDraft] = useState({ commentary: '', section: '', editorNote: '' });
+  const [activeTab, setActiveTab] = useState<'generator' | 'queue' | 'issues' | 'templates' | 'subscribers'>('generator');
+  
+  // Saved issues state
+  const [issues, setIssues] = useState<NewsletterIssueSummary[]>([]);
+  const [currentIssue, setCurrentIssue] = useState<CurrentIssue | null>(null);
+  const [revisions, setRevisions] = useState<IssueRevision[]>([]);
+  const [issueStatus, setIssueStatus] = useState<IssueStatus>('draft');
+  const [scheduledFor, setScheduledFor] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [editingItem, setEditingItem] = useState<{ sectionIndex: number; itemIndex: number } | null>(null);
+  const [writingPart, setWritingPart] = useState<string | null>(null); // editorial part being written, e.g. 'intro' or 'transition-2'
   
   // Newsletter formats state
-  const [newsletterFormats, setNewsletterFormats] = useState<{html: string, markdown: string} | null>(null);
+  const [newsletterFormats, setNewsletterFormats] = useState<{html: string, markdown: string, email?: string, text?: string} | null>(null);
   
   // Configuration state
   const [dateRange, setDateRange] = useState(7);
@@ -59,68 +139,206 @@ const Newsletter: React.FC = () => {
   const [excludeLowScore, setExcludeLowScore] = useState(false);
   const [minScore, setMinScore] = useState(30);
   const [excludeLinkedIn, setExcludeLinkedIn] = useState(true); // Default to excluding LinkedIn
+  const [resurface, setResurface] = useState(false); // Articles from published issues are skipped unless set
+  const [skipped, setSkipped] = useState<SkippedArticle[]>([]);
+  
+  // The settings as of the last render, so generating from the queue doesn't need them as
+  // dependencies (the queue is loaded on mount, not again whenever a setting changes)
+  const generatorSettings = useRef({ includeCategories, dateRange, excludeLowScore, minScore, resurface });
+  generatorSettings.current = { includeCategories, dateRange, excludeLowScore, minScore, resurface };
 
-  // Load newsletter queue on component mount
-  useEffect(() => {
-    loadNewsletterQueue();
+  const loadIssues = useCallback(async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletters');
+      if (response.ok) {
+        setIssues(await response.json());
+      }
+    } catch (error) {
+      console.error('Error loading newsletters:', error);
+    }
   }, []);
 
-  const loadNewsletterQueue = async () => {
-    setQueueLoading(true);
+  const loadRevisions = async (id: number) => {
     try {
-      const response = await fetch('http://localhost:3001/api/newsletter/queue');
+      const response = await fetch(`http://localhost:3001/api/newsletters/${id}/revisions`);
       if (response.ok) {
-        const items = await response.json();
-        setQueueItems(items.map((item: any) => ({
-          title: item.title,
-          url: item.url,
-          excerpt: item.excerpt,
-          readingTime: item.reading_time,
-          learningScore: item.learning_score,
-          tags: item.tags || [],
-          date: new Date(item.created_at).toLocaleDateString('en-US', {
-            month: 'short',
-            day: 'numeric',
-            year: 'numeric'
-          }),
-          category: item.category,
-          id: item.id.toString()
-        })));
-        
-        // Auto-generate newsletter if queue has items
-        if (items.length > 0) {
-          const newsletterData = await generateFromQueue();
-          if (newsletterData && newsletterData.formats) {
-            setNewsletterFormats(newsletterData.formats);
-          }
-        }
+        const data = await response.json();
+        setRevisions(data.revisions);
       }
     } catch (error) {
-      console.error('Error loading newsletter queue:', error);
-      setError('Failed to load newsletter queue');
+      console.error('Error loading revisions:', error);
+    }
+  };
+
+  // Show a saved issue in the editor
+  const applyIssue = (issue: any) => {
+    setNewsletter(issue.newsletter);
+    setCurrentIssue({
+      id: issue.id,
+      status: issue.status,
+      scheduled_for: issue.scheduled_for,
+      published_at: issue.published_at,
+      revision: issue.revision
+    });
+    setIssueStatus(issue.status);
+    setScheduledFor(issue.scheduled_for ? toDateTimeInput(issue.scheduled_for) : '');
+    setStats(null);
+    setSkipped([]);
+    setEditingItem(null);
+    loadRevisions(issue.id);
+  };
+
+  const openIssue = async (id: number) => {
+    setError(null);
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletters/${id}`);
+      if (!response.ok) {
+        throw new Error('Failed to load newsletter');
+      }
+      
+      const issue = await response.json();
+      applyIssue(issue);
+      setNewsletterFormats(issue.formats);
+      setActiveTab('generator');
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to load newsletter');
+    }
+  };
+
+  // Drop the link to a saved issue when a fresh newsletter is generated
+  const startNewIssue = useCallback(() => {
+    setCurrentIssue(null);
+    setRevisions([]);
+    setIssueStatus('draft');
+    setScheduledFor('');
+    setEditingItem(null);
+  }, []);
+
+  const saveIssue = async () => {
+    if (!newsletter) return;
+    
+    if (issueStatus === 'scheduled' && !scheduledFor) {
+      setError('Pick a date to schedule this issue');
+      return;
+    }
+    
+    setSaving(true);
+    setError(null);
+    
+    try {
+      // The datetime-local value is local time; the server stores UTC
+      const schedule = issueStatus === 'scheduled' ? new Date(scheduledFor).toISOString() : null;
+      const response = currentIssue
+        ? await fetch(`http://localhost:3001/api/newsletters/${currentIssue.id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              title: newsletter.title,
+              subtitle: newsletter.subtitle,
+              theme: newsletter.theme || null,
+              subject_line: newsletter.subjectLine || null,
+              intro: newsletter.intro,
+              footer_message: newsletter.footer.message,
+              sections: newsletter.sections,
+              status: issueStatus,
+              scheduled_for: schedule
+            })
+          })
+        : await fetch('http://localhost:3001/api/newsletters', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+              newsletter,
+              status: issueStatus,
+              scheduled_for: schedule,
+              settings: { dateRange, includeCategories, excludeLowScore, minScore, excludeLinkedIn, resurface }
+            })
+          });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save newsletter');
+      }
+      
+      // Reload so the copy/export formats match what was saved
+      await openIssue(data.issue.id);
+      loadIssues();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save newsletter');
     } finally {
-      setQueueLoading(false);
+      setSaving(false);
     }
   };
 
-  const removeFromQueue = async (id: string) => {
+  const deleteIssue = async (id: number) => {
+    if (!window.confirm('Delete this newsletter issue and its revision history?')) return;
+    
     try {
-      const response = await fetch(`http://localhost:3001/api/newsletter/queue/${id}`, {
-        method: 'DELETE'
-      });
+      const response = await fetch(`http://localhost:3001/api/newsletters/${id}`, { method: 'DELETE' });
+      if (!response.ok) {
+        throw new Error('Failed to delete newsletter');
+      }
       
-      if (response.ok) {
-        setQueueItems(prev => prev.filter(item => item.id !== id));
-      } else {
-        throw new Error('Failed to remove item from queue');
+      if (currentIssue?.id === id) {
+        startNewIssue();
       }
-    } catch (error) {
-      console.error('Error removing from queue:', error);
-      setError('Failed to remove item from queue');
+      setIssues(prev => prev.filter(issue => issue.id !== id));
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to delete newsletter');
     }
   };
 
-  const generateFromQueue = async () => {
+  const restoreRevision = async (revision: number) => {
+    if (!currentIssue) return;
+    if (!window.confirm(`Restore revision ${revision}? Unsaved edits will be lost.`)) return;
+    
+    try {
+      const response = await fetch(
+        `http://localhost:3001/api/newsletters/${currentIssue.id}/revisions/${revision}/restore`,
+        { method: 'POST' }
+      );
+      if (!response.ok) {
+        throw new Error('Failed to restore revision');
+      }
+      
+      await openIssue(currentIssue.id);
+      loadIssues();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to restore revision');
+    }
+  };
+
+  // Load the queue items; resolves to the raw items, or null if the request failed
+  const fetchQueueItems = useCallback(async () => {
+    const response = await fetch('http://localhost:3001/api/newsletter/queue');
+    if (!response.ok) return null;
+    
+    const items = await response.json();
+    setQueueItems(items.map((item: any) => ({
+      title: item.title,
+      url: item.url,
+      excerpt: item.excerpt,
+      readingTime: item.reading_time,
+      learningScore: item.learning_score,
+      tags: item.tags || [],
+      date: new Date(item.created_at).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+      }),
+      category: item.category,
+      id: item.id.toString(),
+      sessionId: item.session_id,
+      pinned: item.pinned,
+      commentary: item.commentary,
+      section: item.section,
+      editorNote: item.editor_note
+    })));
+    return items;
+  }, []);
+
+  const generateFromQueue = useCallback(async () => {
+    const { includeCategories, dateRange, excludeLowScore, minScore, resurface } = generatorSettings.current;
     setLoading(true);
     setError(null);
     
@@ -133,7 +351,8 @@ const Newsletter: React.FC = () => {
         body: JSON.stringify({
           includeTracked: includeCategories.includes('all'),
           dateRange,
-          minScore: excludeLowScore ? minScore : 0
+          minScore: excludeLowScore ? minScore : 0,
+          resurface
         }),
       });
       
@@ -143,7 +362,10 @@ const Newsletter: React.FC = () => {
       
       const data = await response.json();
       setNewsletter(data.newsletter);
+      setNewsletterFormats(data.formats);
       setStats(data.stats);
+      setSkipped(data.skipped || []);
+      startNewIssue();
       
       // Return the data so it can be used by caller
       return data;
@@ -153,6 +375,129 @@ const Newsletter: React.FC = () => {
     } finally {
       setLoading(false);
     }
+  }, [startNewIssue]);
+
+  const loadNewsletterQueue = useCallback(async () => {
+    setQueueLoading(true);
+    try {
+      const items = await fetchQueueItems();
+      
+      // Auto-generate newsletter if queue has items
+      if (items && items.length > 0) {
+        const newsletterData = await generateFromQueue();
+        if (newsletterData && newsletterData.formats) {
+          setNewsletterFormats(newsletterData.formats);
+        }
+      }
+    } catch (error) {
+      console.error('Error loading newsletter queue:', error);
+      setError('Failed to load newsletter queue');
+    } finally {
+      setQueueLoading(false);
+    }
+  }, [fetchQueueItems, generateFromQueue]);
+
+  const refreshQueueItems = useCallback(() => {
+    fetchQueueItems().catch(error => console.error('Error refreshing newsletter queue:', error));
+  }, [fetchQueueItems]);
+
+  // Load newsletter queue and saved issues on component mount
+  useEffect(() => {
+    loadNewsletterQueue();
+    loadIssues();
+    
+    // Keep the queue list current without regenerating the newsletter being edited
+    return subscribeToEvents({
+      'queue-changed': refreshQueueItems,
+      'summary-generated': refreshQueueItems
+    });
+  }, [loadNewsletterQueue, loadIssues, refreshQueueItems]);
+
+  const removeFromQueue = async (id: string) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/queue/${id}`, {
+        method: 'DELETE'
+      });
+      
+      if (response.ok) {
+        setQueueItems(prev => prev.filter(item => item.id !== id));
+      } else {
+        throw new Error('Failed to remove item from queue');
+      }
+    } catch (error) {
+      console.error('Error removing from queue:', error);
+      setError('Failed to remove item from queue');
+    }
+  };
+
+  const updateQueueItem = async (id: string, changes: Record<string, unknown>) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/queue/${id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update queue item');
+      }
+      
+      await loadNewsletterQueue();
+      return true;
+    } catch (error) {
+      console.error('Error updating queue item:', error);
+      setError(error instanceof Error ? error.message : 'Failed to update queue item');
+      return false;
+    }
+  };
+
+  const startEditingQueueItem = (item: QueueItem) => {
+    setEditingQueueId(item.id);
+    setQueueDraft({
+      commentary: item.commentary || '',
+      section: item.section || '',
+      editorNote: item.editorNote || ''
+    });
+  };
+
+  const saveQueueItem = async (id: string) => {
+    const saved = await updateQueueItem(id, {
+      commentary: queueDraft.commentary,
+      section: queueDraft.section,
+      editor_note: queueDraft.editorNote
+    });
+    if (saved) setEditingQueueId(null);
+  };
+
+  // Move the dragged item in front of the one it was dropped on; the list updates right away and
+  // is reloaded from the server if saving the new order fails
+  const dropQueueItem = async (targetId: string) => {
+    const sourceId = draggedId;
+    setDraggedId(null);
+    setDragOverId(null);
+    if (!sourceId || sourceId === targetId) return;
+    
+    const reordered = queueItems.filter(item => item.id !== sourceId);
+    const targetIndex = reordered.findIndex(item => item.id === targetId);
+    reordered.splice(targetIndex, 0, queueItems.find(item => item.id === sourceId)!);
+    setQueueItems(reordered);
+    
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/queue/reorder', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ids: reordered.map(item => Number(item.id)) })
+      });
+      
+      if (!response.ok) {
+        throw new Error('Failed to reorder queue');
+      }
+    } catch (error) {
+      console.error('Error reordering queue:', error);
+      setError('Failed to reorder queue');
+      loadNewsletterQueue();
+    }
   };
 
   const generateNewsletter = async () => {
@@ -170,7 +515,8 @@ const Newsletter: React.FC = () => {
           includeCategories,
           excludeLowScore,
           minScore,
-          excludeLinkedIn
+          excludeLinkedIn,
+          resurface
         }),
       });
       
@@ -180,7 +526,10 @@ const Newsletter: React.FC = () => {
       
       const data = await response.json();
       setNewsletter(data.newsletter);
+      setNewsletterFormats(data.formats);
       setStats(data.stats);
+      setSkipped(data.skipped || []);
+      startNewIssue();
     } catch (err) {
       setError(err instanceof Error ? err.message : 'Failed to generate newsletter');
     } finally {
@@ -194,10 +543,16 @@ const Newsletter: React.FC = () => {
     // Create clean text format for Substack
     let content = `${newsletter.title}\n\n`;
     content += `${newsletter.subtitle}\n\n`;
+    if (newsletter.theme) {
+      content += `Theme: ${newsletter.theme}\n\n`;
+    }
     content += `${newsletter.intro}\n\n`;
     
     newsletter.sections.forEach(section => {
       content += `${section.title}\n\n`;
+      if (section.transition) {
+        content += `${section.transition}\n\n`;
+      }
       section.items.forEach(item => {
         content += `${item.title}\n`;
         content += `${item.url}\n\n`;
@@ -269,6 +624,25 @@ const Newsletter: React.FC = () => {
     }
   };
 
+  const copyEmailToClipboard = async () => {
+    if (!newsletterFormats?.email) return;
+    
+    try {
+      await navigator.clipboard.writeText(newsletterFormats.email);
+      // Show success message
+      const button = document.querySelector('#copy-email-button');
+      if (button) {
+        const originalText = button.textContent;
+        button.textContent = 'Copied!';
+        setTimeout(() => {
+          button.textContent = originalText;
+        }, 2000);
+      }
+    } catch (err) {
+      console.error('Failed to copy email HTML: ', err);
+    }
+  };
+
   const deleteNewsletterItem = (sectionIndex: number, itemIndex: number) => {
     if (!newsletter) return;
     
@@ -300,41 +674,127 @@ const Newsletter: React.FC = () => {
     }
   };
 
-  const exportAsMarkdown = () => {
+  const moveNewsletterItem = (sectionIndex: number, itemIndex: number, direction: -1 | 1) => {
     if (!newsletter) return;
     
-    let markdown = `# ${newsletter.title}\n\n`;
-    markdown += `*${newsletter.subtitle}*\n\n`;
-    markdown += `${newsletter.intro}\n\n`;
+    const items = [...newsletter.sections[sectionIndex].items];
+    const target = itemIndex + direction;
+    if (target < 0 || target >= items.length) return;
     
-    newsletter.sections.forEach(section => {
-      markdown += `## ${section.title}\n\n`;
-      section.items.forEach(item => {
-        markdown += `### [${item.title}](${item.url})\n\n`;
-        markdown += `${item.excerpt}\n\n`;
-        if (item.tags.length > 0) {
-          markdown += `**Tags:** ${item.tags.join(', ')}\n\n`;
-        }
-        markdown += `---\n\n`;
+    [items[itemIndex], items[target]] = [items[target], items[itemIndex]];
+    
+    const sections = [...newsletter.sections];
+    sections[sectionIndex] = { ...sections[sectionIndex], items };
+    setNewsletter({ ...newsletter, sections });
+  };
+
+  const updateNewsletterItem = (sectionIndex: number, itemIndex: number, changes: Partial<NewsletterItem>) => {
+    if (!newsletter) return;
+    
+    const sections = [...newsletter.sections];
+    sections[sectionIndex] = {
+      ...sections[sectionIndex],
+      items: sections[sectionIndex].items.map((item, index) => (index === itemIndex ? { ...item, ...changes } : item))
+    };
+    setNewsletter({ ...newsletter, sections });
+  };
+
+  const updateSectionTransition = (sectionIndex: number, transition: string) => {
+    if (!newsletter) return;
+    
+    const sections = [...newsletter.sections];
+    sections[sectionIndex] = { ...sections[sectionIndex], transition };
+    setNewsletter({ ...newsletter, sections });
+  };
+
+  // Have the LLM write the theme, intro, section transitions and subject line ('all'), or
+  // regenerate one of them. Nothing is saved until the issue is.
+  const writeEditorial = async (part: 'all' | 'theme' | 'intro' | 'transition' | 'subject', sectionIndex?: number) => {
+    if (!newsletter) return;
+    
+    setWritingPart(part === 'transition' ? `transition-${sectionIndex}` : part);
+    setError(null);
+    
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/editorial', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newsletter, part, sectionIndex })
       });
-    });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to write the editorial');
+      }
+      
+      setNewsletter(data.newsletter);
+      setNewsletterFormats(data.formats);
+    } catch (err) {
+      console.error('Error writing editorial:', err);
+      setError(err instanceof Error ? err.message : 'Failed to write the editorial');
+    } finally {
+      setWritingPart(null);
+    }
+  };
+
+  // Render the newsletter as currently edited with the default markdown template
+  const exportAsMarkdown = async () => {
+    if (!newsletter) return;
     
-    markdown += `## About This Digest\n\n`;
-    markdown += `${newsletter.footer.message}\n\n`;
-    markdown += `- **Total articles:** ${newsletter.footer.totalArticles}\n`;
-    markdown += `- **Categories covered:** ${newsletter.footer.categories.join(', ')}\n`;
-    markdown += `- **Generated:** ${new Date(newsletter.footer.generatedAt).toLocaleString()}\n`;
-    
-    // Download as file
-    const blob = new Blob([markdown], { type: 'text/markdown' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = `reading-digest-${new Date().toISOString().split('T')[0]}.md`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/render', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newsletter, format: 'markdown' })
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to render markdown');
+      }
+      
+      // Download as file
+      const blob = new Blob([data.output], { type: 'text/markdown' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `reading-digest-${new Date().toISOString().split('T')[0]}.md`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to render markdown');
+    }
+  };
+
+  const exportAsEmail = async () => {
+    if (!newsletter) return;
+    
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/render', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newsletter, format: 'email' })
+      });
+      
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to render email');
+      }
+      
+      const blob = new Blob([data.output], { type: 'text/html' });
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `reading-digest-${new Date().toISOString().split('T')[0]}.html`;
+      document.body.appendChild(a);
+      a.click();
+      document.body.removeChild(a);
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to render email');
+    }
   };
 
   return (
@@ -357,12 +817,12 @@ const Newsletter: React.FC = () => {
             <span>Refresh Queue</span>
           </button>
           <button
-            onClick={activeTab === 'generator' ? generateNewsletter : generateFromQueue}
+            onClick={activeTab === 'queue' ? generateFromQueue : generateNewsletter}
             disabled={loading}
             className="btn-primary flex items-center space-x-2"
           >
             <Mail className="h-4 w-4" />
-            <span>{loading ? 'Generating...' : activeTab === 'generator' ? 'Generate Newsletter' : 'Generate from Queue'}</span>
+            <span>{loading ? 'Generating...' : activeTab === 'queue' ? 'Generate from Queue' : 'Generate Newsletter'}</span>
           </button>
         </div>
       </div>
@@ -392,6 +852,42 @@ const Newsletter: React.FC = () => {
             <List className="h-4 w-4 inline mr-2" />
             Newsletter Queue ({queueItems.length})
           </button>
+          <button
+            onClick={() => {
+              setActiveTab('issues');
+              loadIssues();
+            }}
+            className={`py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'issues'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Archive className="h-4 w-4 inline mr-2" />
+            Saved Issues ({issues.length})
+          </button>
+          <button
+            onClick={() => setActiveTab('templates')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'templates'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Code className="h-4 w-4 inline mr-2" />
+            Templates
+          </button>
+          <button
+            onClick={() => setActiveTab('subscribers')}
+            className={`py-2 px-1 border-b-2 font-medium text-sm transition-colors ${
+              activeTab === 'subscribers'
+                ? 'border-blue-500 text-blue-600'
+                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+            }`}
+          >
+            <Users className="h-4 w-4 inline mr-2" />
+            Subscribers
+          </button>
         </nav>
       </div>
 
@@ -501,6 +997,20 @@ const Newsletter: React.FC = () => {
             </label>
           </div>
         )}
+        
+        <div className="mt-4">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={resurface}
+              onChange={(e) => setResurface(e.target.checked)}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-700">
+              Resurface articles already featured in published issues
+            </span>
+          </label>
+        </div>
       </div>
 
       {/* Error Message */}
@@ -532,13 +1042,38 @@ const Newsletter: React.FC = () => {
         </div>
       )}
 
+      {/* Previously Featured Report */}
+      {skipped.length > 0 && (
+        <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4">
+          <p className="text-sm font-medium text-yellow-900 mb-2">
+            Skipped {skipped.length} article{skipped.length !== 1 ? 's' : ''} already featured in a published issue
+          </p>
+          <ul className="space-y-1 text-sm text-yellow-800">
+            {skipped.map(article => (
+              <li key={article.sessionId}>
+                {article.title} <span className="text-yellow-600">- in "{article.newsletterTitle}"</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
       {/* Newsletter Preview */}
       {newsletter && (
         <div className="space-y-6">
           {/* Newsletter Header */}
           <div className="card">
             <div className="flex items-center justify-between mb-6">
-              <h2 className="text-xl font-semibold">Newsletter Preview</h2>
+              <div>
+                <h2 className="text-xl font-semibold">Newsletter Preview</h2>
+                <p className="text-sm text-gray-500">
+                  {currentIssue
+                    ? `Saved issue #${currentIssue.id} · revision ${currentIssue.revision}${
+                        currentIssue.published_at ? ` · published ${new Date(currentIssue.published_at + 'Z').toLocaleString()}` : ''
+                      }`
+                    : 'Not saved yet'}
+                </p>
+              </div>
               <div className="flex items-center space-x-2">
                 <button
                   id="copy-button"
@@ -568,6 +1103,16 @@ const Newsletter: React.FC = () => {
                     <span>Copy Markdown</span>
                   </button>
                 )}
+                {newsletterFormats?.email && (
+                  <button
+                    id="copy-email-button"
+                    onClick={copyEmailToClipboard}
+                    className="btn-secondary flex items-center space-x-2"
+                  >
+                    <Mail className="h-4 w-4" />
+                    <span>Copy Email HTML</span>
+                  </button>
+                )}
                 <button
                   onClick={exportAsMarkdown}
                   className="btn-secondary flex items-center space-x-2"
@@ -575,26 +1120,143 @@ const Newsletter: React.FC = () => {
                   <Download className="h-4 w-4" />
                   <span>Download MD</span>
                 </button>
+                <button
+                  onClick={exportAsEmail}
+                  className="btn-secondary flex items-center space-x-2"
+                >
+                  <Download className="h-4 w-4" />
+                  <span>Download Email</span>
+                </button>
               </div>
             </div>
 
-            <div className="border rounded-lg p-6 bg-gray-50">
-              <h1 className="text-3xl font-bold text-gray-900 mb-2">
-                {newsletter.title}
-              </h1>
-              <p className="text-lg text-gray-600 mb-4 italic">
-                {newsletter.subtitle}
-              </p>
-              <p className="text-gray-700 leading-relaxed">
-                {newsletter.intro}
-              </p>
+            <div className="flex flex-wrap items-center gap-2 mb-4">
+              <select
+                value={issueStatus}
+                onChange={(e) => setIssueStatus(e.target.value as IssueStatus)}
+                className="input-field w-auto"
+              >
+                <option value="draft">Draft</option>
+                <option value="scheduled">Scheduled</option>
+                <option value="published">Published</option>
+              </select>
+              {issueStatus === 'scheduled' && (
+                <input
+                  type="datetime-local"
+                  value={scheduledFor}
+                  onChange={(e) => setScheduledFor(e.target.value)}
+                  className="input-field w-auto"
+                />
+              )}
+              <button
+                onClick={saveIssue}
+                disabled={saving}
+                className="btn-primary flex items-center space-x-2"
+              >
+                <Save className="h-4 w-4" />
+                <span>{saving ? 'Saving...' : currentIssue ? 'Save Changes' : 'Save Issue'}</span>
+              </button>
+              <button
+                onClick={() => writeEditorial('all')}
+                disabled={writingPart !== null}
+                className="btn-secondary flex items-center space-x-2"
+                title="Write the theme, intro, section transitions and subject line from the selected summaries"
+              >
+                <Sparkles className={`h-4 w-4 ${writingPart === 'all' ? 'animate-pulse' : ''}`} />
+                <span>{writingPart === 'all' ? 'Writing...' : 'Write with AI'}</span>
+              </button>
+            </div>
+
+            <div className="flex items-center gap-2 mb-4">
+              <label className="text-sm text-gray-600 whitespace-nowrap">Subject line</label>
+              <input
+                type="text"
+                value={newsletter.subjectLine || ''}
+                onChange={(e) => setNewsletter({ ...newsletter, subjectLine: e.target.value })}
+                placeholder={newsletter.title}
+                className="input-field"
+              />
+              <button
+                onClick={() => writeEditorial('subject')}
+                disabled={writingPart !== null}
+                className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                title="Regenerate subject line"
+              >
+                <RefreshCw className={`h-4 w-4 ${writingPart === 'subject' ? 'animate-spin' : ''}`} />
+              </button>
+            </div>
+
+            <div className="border rounded-lg p-6 bg-gray-50 space-y-2">
+              <input
+                type="text"
+                value={newsletter.title}
+                onChange={(e) => setNewsletter({ ...newsletter, title: e.target.value })}
+                className="w-full text-3xl font-bold text-gray-900 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+              />
+              <input
+                type="text"
+                value={newsletter.subtitle || ''}
+                onChange={(e) => setNewsletter({ ...newsletter, subtitle: e.target.value })}
+                className="w-full text-lg text-gray-600 italic bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+              />
+              <div className="flex items-center gap-2">
+                <span className="text-sm font-medium text-gray-500">Theme:</span>
+                <input
+                  type="text"
+                  value={newsletter.theme || ''}
+                  onChange={(e) => setNewsletter({ ...newsletter, theme: e.target.value })}
+                  placeholder="No theme"
+                  className="flex-1 text-gray-700 bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+                />
+                <button
+                  onClick={() => writeEditorial('theme')}
+                  disabled={writingPart !== null}
+                  className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                  title="Regenerate theme"
+                >
+                  <RefreshCw className={`h-4 w-4 ${writingPart === 'theme' ? 'animate-spin' : ''}`} />
+                </button>
+              </div>
+              <div className="flex items-start gap-2">
+                <textarea
+                  value={newsletter.intro || ''}
+                  onChange={(e) => setNewsletter({ ...newsletter, intro: e.target.value })}
+                  rows={4}
+                  className="w-full text-gray-700 leading-relaxed bg-transparent border border-transparent rounded hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+                />
+                <button
+                  onClick={() => writeEditorial('intro')}
+                  disabled={writingPart !== null}
+                  className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                  title="Regenerate intro"
+                >
+                  <RefreshCw className={`h-4 w-4 ${writingPart === 'intro' ? 'animate-spin' : ''}`} />
+                </button>
+              </div>
             </div>
           </div>
 
           {/* Newsletter Sections */}
           {newsletter.sections.map((section, sectionIndex) => (
             <div key={sectionIndex} className="card">
-              <h2 className="text-xl font-semibold mb-4">{section.title}</h2>
+              <h2 className="text-xl font-semibold mb-2">{section.title}</h2>
+              <div className="flex items-center gap-2 mb-4">
+                <input
+                  type="text"
+                  value={section.transition || ''}
+                  onChange={(e) => updateSectionTransition(sectionIndex, e.target.value)}
+                  placeholder="No transition"
+                  className="flex-1 text-sm text-gray-600 italic bg-transparent border-b border-transparent hover:border-gray-300 focus:border-blue-500 focus:outline-none"
+                />
+                <button
+                  onClick={() => writeEditorial('transition', sectionIndex)}
+                  disabled={writingPart !== null || section.items.length === 0}
+                  className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                  title="Regenerate transition"
+                >
+                  <RefreshCw className={`h-4 w-4 ${writingPart === `transition-${sectionIndex}` ? 'animate-spin' : ''}`} />
+                </button>
+              </div>
               <div className="space-y-4">
                 {section.items.map((item, itemIndex) => (
                   <div
@@ -613,9 +1275,20 @@ const Newsletter: React.FC = () => {
                             {item.title}
                           </a>
                         </h3>
-                        <p className="text-gray-600 mb-3 text-sm leading-relaxed">
-                          {item.excerpt}
-                        </p>
+                        {editingItem?.sectionIndex === sectionIndex && editingItem?.itemIndex === itemIndex ? (
+                          <textarea
+                            value={item.excerpt}
+                            onChange={(e) => updateNewsletterItem(sectionIndex, itemIndex, { excerpt: e.target.value })}
+                            onBlur={() => setEditingItem(null)}
+                            rows={4}
+                            autoFocus
+                            className="input-field mb-3 text-sm"
+                          />
+                        ) : (
+                          <p className="text-gray-600 mb-3 text-sm leading-relaxed">
+                            {item.excerpt}
+                          </p>
+                        )}
                         <div className="flex items-center space-x-4 text-xs text-gray-500">
                           <span>{item.date}</span>
                           {item.tags.length > 0 && (
@@ -632,7 +1305,30 @@ const Newsletter: React.FC = () => {
                           )}
                         </div>
                       </div>
-                      <div className="ml-4 opacity-0 group-hover:opacity-100 transition-opacity">
+                      <div className="ml-4 flex items-center opacity-0 group-hover:opacity-100 transition-opacity">
+                        <button
+                          onClick={() => moveNewsletterItem(sectionIndex, itemIndex, -1)}
+                          disabled={itemIndex === 0}
+                          className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ChevronUp className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => moveNewsletterItem(sectionIndex, itemIndex, 1)}
+                          disabled={itemIndex === section.items.length - 1}
+                          className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ChevronDown className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => setEditingItem({ sectionIndex, itemIndex })}
+                          className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                          title="Edit excerpt"
+                        >
+                          <Edit2 className="h-4 w-4" />
+                        </button>
                         <button
                           onClick={() => deleteNewsletterItem(sectionIndex, itemIndex)}
                           className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
@@ -665,6 +1361,40 @@ const Newsletter: React.FC = () => {
               </div>
             </div>
           </div>
+
+          {currentIssue && (
+            <NewsletterDelivery issueId={currentIssue.id} onSent={() => openIssue(currentIssue.id)} />
+          )}
+
+          {/* Revision History */}
+          {currentIssue && revisions.length > 0 && (
+            <div className="card">
+              <div className="flex items-center space-x-2 mb-4">
+                <History className="h-5 w-5 text-gray-500" />
+                <h3 className="text-lg font-semibold">Revision History</h3>
+              </div>
+              <div className="divide-y">
+                {revisions.map(revision => (
+                  <div key={revision.revision} className="flex items-center justify-between py-2 text-sm">
+                    <div>
+                      <span className="font-medium">Revision {revision.revision}</span>
+                      <span className="text-gray-500 ml-2">
+                        {revision.status} · {revision.itemCount} articles · {new Date(revision.created_at + 'Z').toLocaleString()}
+                      </span>
+                      {revision.note && <span className="text-gray-500 ml-2 italic">{revision.note}</span>}
+                    </div>
+                    <button
+                      onClick={() => restoreRevision(revision.revision)}
+                      className="btn-secondary flex items-center space-x-1 text-sm"
+                    >
+                      <RotateCcw className="h-3 w-3" />
+                      <span>Restore</span>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
         </div>
       )}
 
@@ -687,6 +1417,73 @@ const Newsletter: React.FC = () => {
         </div>
       )}
       </>
+      ) : activeTab === 'templates' ? (
+        <NewsletterTemplates issues={issues} />
+      ) : activeTab === 'subscribers' ? (
+        <NewsletterSubscribers />
+      ) : activeTab === 'issues' ? (
+        /* Saved Issues Tab */
+        <div className="space-y-4">
+          {issues.length === 0 ? (
+            <div className="text-center py-12">
+              <Archive className="h-12 w-12 text-gray-400 mx-auto mb-4" />
+              <h3 className="text-lg font-medium text-gray-900 mb-2">
+                No saved issues yet
+              </h3>
+              <p className="text-gray-600">
+                Generate a newsletter and save it to keep a draft you can come back to.
+              </p>
+            </div>
+          ) : (
+            issues.map(issue => (
+              <div key={issue.id} className="card hover:bg-gray-50 transition-colors">
+                <div className="flex items-start justify-between">
+                  <div className="flex-1">
+                    <div className="flex items-center space-x-2 mb-1">
+                      <h3 className="font-semibold text-gray-900">{issue.title}</h3>
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${
+                        issue.status === 'published'
+                          ? 'bg-green-100 text-green-700'
+                          : issue.status === 'scheduled'
+                            ? 'bg-blue-100 text-blue-700'
+                            : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {issue.status}
+                      </span>
+                    </div>
+                    <div className="flex items-center space-x-4 text-xs text-gray-500">
+                      <span>{issue.item_count} articles</span>
+                      <span>Revision {issue.revision}</span>
+                      <span>Updated {new Date(issue.updated_at + 'Z').toLocaleString()}</span>
+                      {issue.status === 'scheduled' && issue.scheduled_for && (
+                        <span>Scheduled for {new Date(issue.scheduled_for).toLocaleString()}</span>
+                      )}
+                      {issue.published_at && (
+                        <span>Published {new Date(issue.published_at + 'Z').toLocaleString()}</span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="ml-4 flex items-center space-x-2">
+                    <button
+                      onClick={() => openIssue(issue.id)}
+                      className="btn-secondary flex items-center space-x-1 text-sm"
+                    >
+                      <Edit2 className="h-3 w-3" />
+                      <span>Open</span>
+                    </button>
+                    <button
+                      onClick={() => deleteIssue(issue.id)}
+                      className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
+                      title="Delete issue"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+              </div>
+            ))
+          )}
+        </div>
       ) : (
         /* Newsletter Queue Tab */
         <div className="space-y-6">
@@ -696,7 +1493,8 @@ const Newsletter: React.FC = () => {
               <div>
                 <h3 className="text-lg font-semibold">Newsletter Queue</h3>
                 <p className="text-sm text-gray-600">
-                  Articles you've manually added to your newsletter queue
+                  Articles you've manually added to your newsletter queue. Drag to reorder, pin a lead story
+                  or add your own commentary and sections.
                 </p>
               </div>
               <div className="text-sm text-gray-500">
@@ -747,13 +1545,50 @@ const Newsletter: React.FC = () => {
             </div>
           ) : (
             <div className="space-y-4">
-              {queueItems.map((item, index) => (
+              <datalist id="queue-sections">
+                {Array.from(new Set(queueItems.map(item => item.section).filter(Boolean))).map(section => (
+                  <option key={section} value={section!} />
+                ))}
+              </datalist>
+              {queueItems.map((item) => (
                 <div
-                  key={item.id || index}
-                  className="card hover:bg-gray-50 transition-colors"
+                  key={item.id}
+                  draggable={editingQueueId !== item.id}
+                  onDragStart={() => setDraggedId(item.id)}
+                  onDragEnd={() => { setDraggedId(null); setDragOverId(null); }}
+                  onDragOver={(e) => {
+                    e.preventDefault();
+                    if (dragOverId !== item.id) setDragOverId(item.id);
+                  }}
+                  onDrop={(e) => {
+                    e.preventDefault();
+                    dropQueueItem(item.id);
+                  }}
+                  className={`card hover:bg-gray-50 transition-colors ${
+                    item.pinned ? 'border-l-4 border-l-yellow-400' : ''
+                  } ${draggedId === item.id ? 'opacity-50' : ''} ${
+                    dragOverId === item.id && draggedId !== item.id ? 'ring-2 ring-blue-300' : ''
+                  }`}
                 >
                   <div className="flex items-start justify-between">
+                    <div className="mr-3 pt-1 cursor-move text-gray-400" title="Drag to reorder">
+                      <GripVertical className="h-4 w-4" />
+                    </div>
                     <div className="flex-1">
+                      {(item.pinned || item.section) && (
+                        <div className="flex items-center space-x-2 mb-1">
+                          {item.pinned && (
+                            <span className="px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full text-xs font-medium">
+                              Lead story
+                            </span>
+                          )}
+                          {item.section && (
+                            <span className="px-2 py-0.5 bg-purple-100 text-purple-800 rounded-full text-xs">
+                              {item.section}
+                            </span>
+                          )}
+                        </div>
+                      )}
                       <h3 className="font-semibold text-gray-900 mb-2">
                         <a
                           href={item.url}
@@ -765,12 +1600,67 @@ const Newsletter: React.FC = () => {
                         </a>
                       </h3>
                       
-                      {item.excerpt && (
+                      {item.commentary ? (
+                        <p className="text-gray-800 mb-3 text-sm leading-relaxed">
+                          {item.commentary}
+                        </p>
+                      ) : item.excerpt && (
                         <p className="text-gray-600 mb-3 text-sm leading-relaxed">
                           {item.excerpt}
                         </p>
                       )}
                       
+                      {item.editorNote && (
+                        <p className="text-xs text-gray-500 italic mb-3">Note: {item.editorNote}</p>
+                      )}
+                      
+                      {editingQueueId === item.id && (
+                        <div className="space-y-3 mb-3 p-3 bg-gray-50 border rounded-lg">
+                          <div>
+                            <label className="block text-xs font-medium text-gray-700 mb-1">
+                              Commentary (replaces the summary in the newsletter)
+                            </label>
+                            <textarea
+                              value={queueDraft.commentary}
+                              onChange={(e) => setQueueDraft({ ...queueDraft, commentary: e.target.value })}
+                              rows={3}
+                              className="input-field"
+                            />
+                          </div>
+                          <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+                            <div>
+                              <label className="block text-xs font-medium text-gray-700 mb-1">Section</label>
+                              <input
+                                type="text"
+                                list="queue-sections"
+                                value={queueDraft.section}
+                                onChange={(e) => setQueueDraft({ ...queueDraft, section: e.target.value })}
+                                placeholder="Curated Articles"
+                                maxLength={100}
+                                className="input-field"
+                              />
+                            </div>
+                            <div>
+                              <label className="block text-xs font-medium text-gray-700 mb-1">Editor note (not published)</label>
+                              <input
+                                type="text"
+                                value={queueDraft.editorNote}
+                                onChange={(e) => setQueueDraft({ ...queueDraft, editorNote: e.target.value })}
+                                className="input-field"
+                              />
+                            </div>
+                          </div>
+                          <div className="flex justify-end space-x-2">
+                            <button onClick={() => setEditingQueueId(null)} className="btn-secondary text-sm">
+                              Cancel
+                            </button>
+                            <button onClick={() => saveQueueItem(item.id)} className="btn-primary text-sm">
+                              Save
+                            </button>
+                          </div>
+                        </div>
+                      )}
+                      
                       <div className="flex items-center space-x-4 text-xs text-gray-500">
                         <span>{item.date}</span>
                         <span>Score: {item.learningScore}/100</span>
@@ -792,9 +1682,23 @@ const Newsletter: React.FC = () => {
                       </div>
                     </div>
                     
-                    <div className="ml-4">
+                    <div className="ml-4 flex items-center space-x-1">
+                      <button
+                        onClick={() => updateQueueItem(item.id, { pinned: !item.pinned })}
+                        className="p-2 text-gray-400 hover:text-yellow-600 hover:bg-yellow-50 rounded-lg transition-colors"
+                        title={item.pinned ? 'Unpin lead story' : 'Pin as lead story'}
+                      >
+                        {item.pinned ? <PinOff className="h-4 w-4" /> : <Pin className="h-4 w-4" />}
+                      </button>
+                      <button
+                        onClick={() => startEditingQueueItem(item)}
+                        className="p-2 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded-lg transition-colors"
+                        title="Edit commentary and section"
+                      >
+                        <MessageSquare className="h-4 w-4" />
+                      </button>
                       <button
-                        onClick={() => removeFromQueue(item.id!)}
+                        onClick={() => removeFromQueue(item.id)}
                         className="p-2 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded-lg transition-colors"
                         title="Remove from queue"
                       >
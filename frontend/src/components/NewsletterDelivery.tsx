@@ -0,0 +1,200 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { Send, RotateCcw } from 'lucide-react';
+
+interface NewsletterSend {
+  id: number;
+  status: 'sending' | 'sent' | 'partial' | 'failed';
+  recipient_count: number;
+  sent_count: number;
+  failed_count: number;
+  started_at: string;
+  finished_at: string | null;
+  error: string | null;
+}
+
+interface Delivery {
+  id: number;
+  email: string;
+  status: 'pending' | 'sent' | 'failed' | 'skipped';
+  attempts: number;
+  last_error: string | null;
+  sent_at: string | null;
+}
+
+interface NewsletterDeliveryProps {
+  issueId: number;
+  onSent: () => void;
+}
+
+const STATUS_STYLES: Record<string, string> = {
+  sent: 'bg-green-100 text-green-800',
+  partial: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  sending: 'bg-blue-100 text-blue-800',
+  pending: 'bg-blue-100 text-blue-800',
+  skipped: 'bg-gray-100 text-gray-600'
+};
+
+// Sends an issue to the subscriber list and shows per-recipient status
+const NewsletterDelivery: React.FC<NewsletterDeliveryProps> = ({ issueId, onSent }) => {
+  const [sends, setSends] = useState<NewsletterSend[]>([]);
+  const [deliveries, setDeliveries] = useState<Record<number, Delivery[]>>({});
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [sending, setSending] = useState(false);
+
+  const loadSends = useCallback(async () => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletters/${issueId}/sends`);
+      if (response.ok) {
+        const data = await response.json();
+        setSends(data.sends);
+      }
+    } catch (error) {
+      console.error('Error loading newsletter sends:', error);
+    }
+  }, [issueId]);
+
+  const loadDeliveries = async (sendId: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletters/${issueId}/sends/${sendId}`);
+      if (response.ok) {
+        const data = await response.json();
+        setDeliveries(prev => ({ ...prev, [sendId]: data.deliveries }));
+      }
+    } catch (error) {
+      console.error('Error loading deliveries:', error);
+    }
+  };
+
+  useEffect(() => {
+    setExpandedId(null);
+    loadSends();
+  }, [loadSends]);
+
+  // Poll while a send is in progress
+  const inProgress = sends.some(send => send.status === 'sending');
+  useEffect(() => {
+    if (!inProgress) return;
+    const timer = setInterval(loadSends, 2000);
+    return () => clearInterval(timer);
+  }, [inProgress, loadSends]);
+
+  // Once a send finishes, let the parent reload the issue (it is now published)
+  const wasInProgress = useRef(false);
+  useEffect(() => {
+    if (wasInProgress.current && !inProgress) onSent();
+    wasInProgress.current = inProgress;
+  }, [inProgress, onSent]);
+
+  const sendIssue = async () => {
+    if (!window.confirm('Send this issue to all active subscribers?')) return;
+
+    setSending(true);
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletters/${issueId}/send`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({})
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to send newsletter');
+      }
+
+      await loadSends();
+    } catch (error) {
+      console.error('Error sending newsletter:', error);
+      alert(error instanceof Error ? error.message : 'Failed to send newsletter');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const retrySend = async (sendId: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletters/${issueId}/sends/${sendId}/retry`, { method: 'POST' });
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to retry');
+      }
+      await loadSends();
+    } catch (error) {
+      console.error('Error retrying send:', error);
+      alert(error instanceof Error ? error.message : 'Failed to retry');
+    }
+  };
+
+  const toggleDeliveries = (sendId: number) => {
+    if (expandedId === sendId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(sendId);
+    loadDeliveries(sendId);
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <Send className="h-5 w-5 text-gray-500" />
+          <h3 className="text-lg font-semibold">Email Delivery</h3>
+        </div>
+        <button
+          onClick={sendIssue}
+          disabled={sending || inProgress}
+          className="btn-primary flex items-center space-x-2"
+        >
+          <Send className="h-4 w-4" />
+          <span>{sending || inProgress ? 'Sending...' : 'Send to Subscribers'}</span>
+        </button>
+      </div>
+
+      {sends.length === 0 ? (
+        <p className="text-sm text-gray-500">This issue hasn't been sent yet</p>
+      ) : (
+        <div className="divide-y">
+          {sends.map(send => (
+            <div key={send.id} className="py-2">
+              <div className="flex items-center justify-between text-sm">
+                <button onClick={() => toggleDeliveries(send.id)} className="flex items-center space-x-2 text-left">
+                  <span className={`px-2 py-0.5 rounded-full text-xs ${STATUS_STYLES[send.status]}`}>{send.status}</span>
+                  <span className="text-gray-700">{new Date(send.started_at).toLocaleString()}</span>
+                  <span className="text-gray-500">
+                    {send.sent_count}/{send.recipient_count} sent{send.failed_count > 0 && ` · ${send.failed_count} failed`}
+                  </span>
+                </button>
+                {(send.failed_count > 0 || send.status === 'failed') && send.status !== 'sending' && (
+                  <button
+                    onClick={() => retrySend(send.id)}
+                    className="text-sm text-blue-600 hover:text-blue-800 flex items-center space-x-1"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    <span>Retry failed</span>
+                  </button>
+                )}
+              </div>
+              {send.error && <div className="text-xs text-red-600 mt-1">{send.error}</div>}
+
+              {expandedId === send.id && (
+                <div className="mt-2 space-y-1">
+                  {(deliveries[send.id] || []).map(delivery => (
+                    <div key={delivery.id} className="text-xs text-gray-600 flex items-center space-x-2">
+                      <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[delivery.status]}`}>{delivery.status}</span>
+                      <span>{delivery.email}</span>
+                      {delivery.attempts > 1 && <span>{delivery.attempts} attempts</span>}
+                      {delivery.last_error && <span className="text-red-600">{delivery.last_error}</span>}
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default NewsletterDelivery;
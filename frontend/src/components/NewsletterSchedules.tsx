@@ -0,0 +1,382 @@
+import React, { useState, useEffect } from 'react';
+import { Clock, Play, Plus, Save, Trash2, History } from 'lucide-react';
+
+interface ScheduleSettings {
+  dateRange: number;
+  minScore: number;
+  includeTracked: boolean;
+  resurface: boolean;
+}
+
+interface NewsletterSchedule {
+  id: number;
+  name: string;
+  frequency: 'daily' | 'weekly';
+  day_of_week: number | null;
+  time_of_day: string;
+  settings: ScheduleSettings;
+  enabled: boolean;
+  next_run_at: string | null;
+  last_run_at: string | null;
+  last_status: string | null;
+}
+
+interface ScheduleRun {
+  id: number;
+  status: 'running' | 'success' | 'empty' | 'failed';
+  newsletter_id: number | null;
+  article_count: number | null;
+  error: string | null;
+  started_at: string;
+  finished_at: string | null;
+}
+
+const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const STATUS_STYLES: Record<string, string> = {
+  success: 'bg-green-100 text-green-800',
+  empty: 'bg-yellow-100 text-yellow-800',
+  failed: 'bg-red-100 text-red-800',
+  running: 'bg-blue-100 text-blue-800'
+};
+
+const describeSchedule = (schedule: NewsletterSchedule) =>
+  schedule.frequency === 'weekly'
+    ? `Every ${DAYS[schedule.day_of_week ?? 0]} at ${schedule.time_of_day}`
+    : `Every day at ${schedule.time_of_day}`;
+
+const NewsletterSchedules: React.FC = () => {
+  const [schedules, setSchedules] = useState<NewsletterSchedule[]>([]);
+  const [runs, setRuns] = useState<Record<number, ScheduleRun[]>>({});
+  const [expandedId, setExpandedId] = useState<number | null>(null);
+  const [runningId, setRunningId] = useState<number | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  // Form state
+  const [newSchedule, setNewSchedule] = useState({
+    name: 'Weekly digest',
+    frequency: 'weekly' as 'daily' | 'weekly',
+    day_of_week: 5,
+    time_of_day: '08:00',
+    dateRange: 7,
+    minScore: 60,
+    includeTracked: true
+  });
+
+  useEffect(() => {
+    loadSchedules();
+  }, []);
+
+  const loadSchedules = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/schedules');
+      if (response.ok) {
+        setSchedules(await response.json());
+      }
+    } catch (error) {
+      console.error('Error loading newsletter schedules:', error);
+    }
+  };
+
+  const loadRuns = async (id: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/schedules/${id}/runs`);
+      if (response.ok) {
+        const scheduleRuns = await response.json();
+        setRuns(prev => ({ ...prev, [id]: scheduleRuns }));
+      }
+    } catch (error) {
+      console.error('Error loading schedule runs:', error);
+    }
+  };
+
+  const toggleRuns = (id: number) => {
+    if (expandedId === id) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(id);
+    loadRuns(id);
+  };
+
+  const createSchedule = async () => {
+    setSaving(true);
+    try {
+      const { dateRange, minScore, includeTracked, ...fields } = newSchedule;
+      const response = await fetch('http://localhost:3001/api/newsletter/schedules', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...fields,
+          settings: { dateRange, minScore, includeTracked }
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create schedule');
+      }
+
+      await loadSchedules();
+    } catch (error) {
+      console.error('Error creating schedule:', error);
+      alert(error instanceof Error ? error.message : 'Failed to create schedule');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const toggleEnabled = async (schedule: NewsletterSchedule) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/schedules/${schedule.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ enabled: !schedule.enabled })
+      });
+
+      if (response.ok) {
+        await loadSchedules();
+      }
+    } catch (error) {
+      console.error('Error toggling schedule:', error);
+    }
+  };
+
+  const runNow = async (id: number) => {
+    setRunningId(id);
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/schedules/${id}/run`, { method: 'POST' });
+      const data = await response.json();
+      if (data.run?.status === 'failed') {
+        alert(`Run failed: ${data.run.error}`);
+      }
+
+      await loadSchedules();
+      setExpandedId(id);
+      await loadRuns(id);
+    } catch (error) {
+      console.error('Error running schedule:', error);
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const deleteSchedule = async (id: number) => {
+    if (!window.confirm('Delete this schedule and its run history?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/schedules/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        await loadSchedules();
+      }
+    } catch (error) {
+      console.error('Error deleting schedule:', error);
+      alert('Failed to delete schedule');
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-3 mb-2">
+        <Clock className="h-5 w-5 text-blue-600" />
+        <h2 className="text-lg font-semibold">Newsletter Schedules</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        Generate a newsletter from the queue on a recurring schedule. Each run is saved as a draft issue.
+      </p>
+
+      {/* Current Schedules */}
+      <div className="mb-6">
+        {schedules.length === 0 ? (
+          <p className="text-sm text-gray-500">No schedules yet</p>
+        ) : (
+          <div className="space-y-2">
+            {schedules.map((schedule) => (
+              <div
+                key={schedule.id}
+                className={`p-3 rounded-lg border ${
+                  schedule.enabled ? 'border-green-200 bg-green-50' : 'border-gray-200 bg-white'
+                }`}
+              >
+                <div className="flex items-center justify-between">
+                  <div>
+                    <div className="font-medium">{schedule.name}</div>
+                    <div className="text-xs text-gray-500">
+                      {describeSchedule(schedule)} · last {schedule.settings.dateRange} days · min score {schedule.settings.minScore}
+                      {schedule.settings.includeTracked ? ' · queue + tracked' : ' · queue only'}
+                    </div>
+                    <div className="text-xs text-gray-500">
+                      {schedule.enabled && schedule.next_run_at && `Next run ${new Date(schedule.next_run_at).toLocaleString()}`}
+                      {schedule.last_run_at && ` · Last run ${new Date(schedule.last_run_at).toLocaleString()}`}
+                      {schedule.last_status && (
+                        <span className={`ml-2 px-2 py-0.5 rounded-full ${STATUS_STYLES[schedule.last_status] || ''}`}>
+                          {schedule.last_status}
+                        </span>
+                      )}
+                    </div>
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => toggleEnabled(schedule)}
+                      className={`text-sm px-3 py-1 rounded ${
+                        schedule.enabled
+                          ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                          : 'bg-green-100 text-green-700 hover:bg-green-200'
+                      }`}
+                    >
+                      {schedule.enabled ? 'Disable' : 'Enable'}
+                    </button>
+                    <button
+                      onClick={() => runNow(schedule.id)}
+                      disabled={runningId === schedule.id}
+                      className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                      title="Run now"
+                    >
+                      <Play className={`h-4 w-4 ${runningId === schedule.id ? 'animate-pulse' : ''}`} />
+                    </button>
+                    <button
+                      onClick={() => toggleRuns(schedule.id)}
+                      className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                      title="Run history"
+                    >
+                      <History className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => deleteSchedule(schedule.id)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {/* Run History */}
+                {expandedId === schedule.id && (
+                  <div className="mt-3 border-t pt-3 space-y-1">
+                    {(runs[schedule.id] || []).length === 0 ? (
+                      <p className="text-xs text-gray-500">No runs yet</p>
+                    ) : (
+                      runs[schedule.id].map(run => (
+                        <div key={run.id} className="text-xs text-gray-600 flex items-center space-x-2">
+                          <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[run.status] || ''}`}>{run.status}</span>
+                          <span>{new Date(run.started_at).toLocaleString()}</span>
+                          {run.status === 'success' && <span>{run.article_count} articles · draft #{run.newsletter_id}</span>}
+                          {run.status === 'empty' && <span>No articles to include</span>}
+                          {run.error && <span className="text-red-600">{run.error}</span>}
+                        </div>
+                      ))
+                    )}
+                  </div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add New Schedule */}
+      <div className="border-t pt-6">
+        <h3 className="text-sm font-medium text-gray-700 mb-3 flex items-center space-x-2">
+          <Plus className="h-4 w-4" />
+          <span>Add Schedule</span>
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+            <input
+              type="text"
+              value={newSchedule.name}
+              onChange={(e) => setNewSchedule({ ...newSchedule, name: e.target.value })}
+              className="input-field"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Frequency</label>
+            <select
+              value={newSchedule.frequency}
+              onChange={(e) => setNewSchedule({ ...newSchedule, frequency: e.target.value as 'daily' | 'weekly' })}
+              className="input-field"
+            >
+              <option value="daily">Daily</option>
+              <option value="weekly">Weekly</option>
+            </select>
+          </div>
+
+          {newSchedule.frequency === 'weekly' && (
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Day</label>
+              <select
+                value={newSchedule.day_of_week}
+                onChange={(e) => setNewSchedule({ ...newSchedule, day_of_week: Number(e.target.value) })}
+                className="input-field"
+              >
+                {DAYS.map((day, index) => (
+                  <option key={day} value={index}>{day}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Time</label>
+            <input
+              type="time"
+              value={newSchedule.time_of_day}
+              onChange={(e) => setNewSchedule({ ...newSchedule, time_of_day: e.target.value })}
+              className="input-field"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Date range (days)</label>
+            <input
+              type="number"
+              min="0"
+              max="90"
+              value={newSchedule.dateRange}
+              onChange={(e) => setNewSchedule({ ...newSchedule, dateRange: parseInt(e.target.value) || 0 })}
+              className="input-field"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Min learning score</label>
+            <input
+              type="number"
+              min="0"
+              max="100"
+              value={newSchedule.minScore}
+              onChange={(e) => setNewSchedule({ ...newSchedule, minScore: parseInt(e.target.value) || 0 })}
+              className="input-field"
+            />
+          </div>
+        </div>
+
+        <div className="mt-4 flex items-center justify-between">
+          <label className="flex items-center space-x-2">
+            <input
+              type="checkbox"
+              checked={newSchedule.includeTracked}
+              onChange={(e) => setNewSchedule({ ...newSchedule, includeTracked: e.target.checked })}
+              className="rounded"
+            />
+            <span className="text-sm text-gray-700">Include tracked articles as well as the queue</span>
+          </label>
+
+          <button
+            onClick={createSchedule}
+            disabled={saving || !newSchedule.name || !newSchedule.time_of_day}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <Save className="h-4 w-4" />
+            <span>{saving ? 'Saving...' : 'Save Schedule'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterSchedules;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { Users, Plus, Trash2, Send } from 'lucide-react';
+
+interface Subscriber {
+  id: number;
+  email: string;
+  name: string | null;
+  status: 'pending' | 'active' | 'unsubscribed';
+  confirmed_at: string | null;
+  unsubscribed_at: string | null;
+  created_at: string;
+}
+
+const STATUS_STYLES: Record<string, string> = {
+  active: 'bg-green-100 text-green-800',
+  pending: 'bg-yellow-100 text-yellow-800',
+  unsubscribed: 'bg-gray-100 text-gray-600'
+};
+
+const NewsletterSubscribers: React.FC = () => {
+  const [subscribers, setSubscribers] = useState<Subscriber[]>([]);
+  const [newSubscriber, setNewSubscriber] = useState({ email: '', name: '', confirmed: false });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadSubscribers();
+  }, []);
+
+  const loadSubscribers = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/subscribers');
+      if (response.ok) {
+        const data = await response.json();
+        setSubscribers(data.subscribers);
+      }
+    } catch (error) {
+      console.error('Error loading subscribers:', error);
+    }
+  };
+
+  const addSubscriber = async () => {
+    setSaving(true);
+    try {
+      const response = await fetch('http://localhost:3001/api/subscribers', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          email: newSubscriber.email,
+          name: newSubscriber.name || null,
+          confirmed: newSubscriber.confirmed
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add subscriber');
+      }
+      if (data.confirmationError) {
+        alert(`Subscriber added, but the confirmation email failed: ${data.confirmationError}`);
+      }
+
+      setNewSubscriber({ email: '', name: '', confirmed: false });
+      await loadSubscribers();
+    } catch (error) {
+      console.error('Error adding subscriber:', error);
+      alert(error instanceof Error ? error.message : 'Failed to add subscriber');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const updateStatus = async (subscriber: Subscriber, status: Subscriber['status']) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/subscribers/${subscriber.id}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ status })
+      });
+
+      if (response.ok) {
+        await loadSubscribers();
+      }
+    } catch (error) {
+      console.error('Error updating subscriber:', error);
+    }
+  };
+
+  const resendConfirmation = async (id: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/subscribers/${id}/resend-confirmation`, { method: 'POST' });
+      const data = await response.json();
+      alert(response.ok ? 'Confirmation email sent' : data.error);
+    } catch (error) {
+      console.error('Error resending confirmation:', error);
+    }
+  };
+
+  const deleteSubscriber = async (id: number) => {
+    if (!window.confirm('Delete this subscriber?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/subscribers/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        await loadSubscribers();
+      }
+    } catch (error) {
+      console.error('Error deleting subscriber:', error);
+      alert('Failed to delete subscriber');
+    }
+  };
+
+  const activeCount = subscribers.filter(subscriber => subscriber.status === 'active').length;
+
+  return (
+    <div className="card">
+      <div className="flex items-center space-x-3 mb-2">
+        <Users className="h-5 w-5 text-blue-600" />
+        <h2 className="text-lg font-semibold">Subscribers</h2>
+      </div>
+      <p className="text-sm text-gray-500 mb-6">
+        {activeCount} active of {subscribers.length}. New subscribers receive a confirmation email and only get issues once they confirm.
+      </p>
+
+      <div className="mb-6">
+        {subscribers.length === 0 ? (
+          <p className="text-sm text-gray-500">No subscribers yet</p>
+        ) : (
+          <div className="divide-y">
+            {subscribers.map(subscriber => (
+              <div key={subscriber.id} className="py-2 flex items-center justify-between">
+                <div>
+                  <div className="font-medium">{subscriber.email}</div>
+                  <div className="text-xs text-gray-500">
+                    {subscriber.name && `${subscriber.name} · `}
+                    <span className={`px-2 py-0.5 rounded-full ${STATUS_STYLES[subscriber.status]}`}>{subscriber.status}</span>
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {subscriber.status === 'pending' && (
+                    <button
+                      onClick={() => resendConfirmation(subscriber.id)}
+                      className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                      title="Resend confirmation"
+                    >
+                      <Send className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => updateStatus(subscriber, subscriber.status === 'active' ? 'unsubscribed' : 'active')}
+                    className={`text-sm px-3 py-1 rounded ${
+                      subscriber.status === 'active'
+                        ? 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                        : 'bg-green-100 text-green-700 hover:bg-green-200'
+                    }`}
+                  >
+                    {subscriber.status === 'active' ? 'Unsubscribe' : 'Activate'}
+                  </button>
+                  <button
+                    onClick={() => deleteSubscriber(subscriber.id)}
+                    className="p-1 text-red-600 hover:bg-red-50 rounded"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Add Subscriber */}
+      <div className="border-t pt-6">
+        <h3 className="text-sm font-medium text-gray-700 mb-3 flex items-center space-x-2">
+          <Plus className="h-4 w-4" />
+          <span>Add Subscriber</span>
+        </h3>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+            <input
+              type="email"
+              value={newSubscriber.email}
+              onChange={(e) => setNewSubscriber({ ...newSubscriber, email: e.target.value })}
+              className="input-field"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Name (optional)</label>
+            <input
+              type="text"
+              value={newSubscriber.name}
+              onChange={(e) => setNewSubscriber({ ...newSubscriber, name: e.target.value })}
+              className="input-field"
+            />
+          </div>
+        </div>
+
+        <div className="flex items-center justify-between mt-4">
+          <label className="flex items-center space-x-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={newSubscriber.confirmed}
+              onChange={(e) => setNewSubscriber({ ...newSubscriber, confirmed: e.target.checked })}
+            />
+            <span>Already confirmed (skip the confirmation email)</span>
+          </label>
+          <button
+            onClick={addSubscriber}
+            disabled={saving || !newSubscriber.email}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>{saving ? 'Adding...' : 'Add Subscriber'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterSubscribers;
@@ -0,0 +1,448 @@
+import React, { useState, useEffect } from 'react';
+import { FileText, Plus, Save, Trash2, Copy, Eye, Star, Type } from 'lucide-react';
+
+interface NewsletterTemplate {
+  id: number;
+  builtin_key: string | null;
+  name: string;
+  format: string;
+  description: string | null;
+  body: string;
+  escape_html: boolean;
+  is_default: boolean;
+  is_builtin: boolean;
+}
+
+interface IssueOption {
+  id: number;
+  title: string;
+}
+
+interface TemplateDraft {
+  id: number | null;
+  name: string;
+  format: string;
+  description: string;
+  body: string;
+  escape_html: boolean;
+}
+
+interface NewsletterTemplatesProps {
+  issues: IssueOption[];
+}
+
+const EMPTY_DRAFT: TemplateDraft = {
+  id: null,
+  name: '',
+  format: 'markdown',
+  description: '',
+  body: '',
+  escape_html: false
+};
+
+const NewsletterTemplates: React.FC<NewsletterTemplatesProps> = ({ issues }) => {
+  const [templates, setTemplates] = useState<NewsletterTemplate[]>([]);
+  const [formats, setFormats] = useState<string[]>([]);
+  const [draft, setDraft] = useState<TemplateDraft | null>(null);
+  const [previewIssueId, setPreviewIssueId] = useState<number | null>(null);
+  const [preview, setPreview] = useState<string | null>(null);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  // Copy (title, intro, footer and section title templates)
+  const [copyDefaults, setCopyDefaults] = useState<Record<string, string>>({});
+  const [copy, setCopy] = useState<Record<string, string>>({});
+  const [copySaving, setCopySaving] = useState(false);
+
+  useEffect(() => {
+    loadTemplates();
+    loadCopy();
+  }, []);
+
+  useEffect(() => {
+    if (previewIssueId === null && issues.length > 0) {
+      setPreviewIssueId(issues[0].id);
+    }
+  }, [issues, previewIssueId]);
+
+  const loadTemplates = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/templates');
+      if (response.ok) {
+        const data = await response.json();
+        setTemplates(data.templates);
+        setFormats(data.formats);
+      }
+    } catch (error) {
+      console.error('Error loading templates:', error);
+    }
+  };
+
+  const loadCopy = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/copy');
+      if (response.ok) {
+        const data = await response.json();
+        setCopyDefaults(data.defaults);
+        setCopy(data.copy);
+      }
+    } catch (error) {
+      console.error('Error loading newsletter copy:', error);
+    }
+  };
+
+  const editTemplate = (template: NewsletterTemplate, asCopy: boolean) => {
+    setDraft({
+      id: asCopy ? null : template.id,
+      name: asCopy ? `${template.name} (copy)` : template.name,
+      format: template.format,
+      description: template.description || '',
+      body: template.body,
+      escape_html: template.escape_html
+    });
+    setPreview(null);
+    setError(null);
+  };
+
+  const saveTemplate = async () => {
+    if (!draft) return;
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { id, ...fields } = draft;
+      const response = await fetch(
+        id ? `http://localhost:3001/api/newsletter/templates/${id}` : 'http://localhost:3001/api/newsletter/templates',
+        {
+          method: id ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields)
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save template');
+      }
+
+      setDraft({ ...draft, id: data.template.id });
+      await loadTemplates();
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save template');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deleteTemplate = async (id: number) => {
+    if (!window.confirm('Delete this template?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/templates/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        if (draft?.id === id) setDraft(null);
+        await loadTemplates();
+      }
+    } catch (error) {
+      console.error('Error deleting template:', error);
+    }
+  };
+
+  const makeDefault = async (id: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/newsletter/templates/${id}/default`, { method: 'POST' });
+      if (response.ok) {
+        await loadTemplates();
+      }
+    } catch (error) {
+      console.error('Error setting default template:', error);
+    }
+  };
+
+  // Preview the draft as currently typed, so changes can be checked before saving
+  const previewDraft = async () => {
+    if (!draft || previewIssueId === null) return;
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletter/templates/preview', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ newsletterId: previewIssueId, body: draft.body, escape_html: draft.escape_html })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to render preview');
+      }
+      setPreview(data.output);
+    } catch (err) {
+      setPreview(null);
+      setError(err instanceof Error ? err.message : 'Failed to render preview');
+    }
+  };
+
+  const saveCopy = async () => {
+    setCopySaving(true);
+    try {
+      // Values equal to the built-in text are sent empty so they keep following the defaults
+      const changes = Object.fromEntries(
+        Object.entries(copy).map(([key, value]) => [key, value === copyDefaults[key] ? null : value])
+      );
+
+      const response = await fetch('http://localhost:3001/api/newsletter/copy', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save copy');
+      }
+      setCopy(data.copy);
+    } catch (err) {
+      alert(err instanceof Error ? err.message : 'Failed to save copy');
+    } finally {
+      setCopySaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Template List */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h3 className="text-lg font-semibold">Output Templates</h3>
+            <p className="text-sm text-gray-600">
+              Handlebars templates used for each export format. The default template of a format is used for copy and download.
+            </p>
+          </div>
+          <button
+            onClick={() => {
+              setDraft({ ...EMPTY_DRAFT });
+              setPreview(null);
+            }}
+            className="btn-secondary flex items-center space-x-2"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New Template</span>
+          </button>
+        </div>
+
+        {formats.map(format => (
+          <div key={format} className="mb-4">
+            <h4 className="text-sm font-medium text-gray-700 mb-2 uppercase">{format}</h4>
+            <div className="space-y-2">
+              {templates.filter(template => template.format === format).map(template => (
+                <div
+                  key={template.id}
+                  className={`flex items-center justify-between p-3 rounded-lg border ${
+                    template.is_default ? 'border-blue-200 bg-blue-50' : 'border-gray-200 bg-white'
+                  }`}
+                >
+                  <div>
+                    <div className="font-medium flex items-center space-x-2">
+                      <span>{template.name}</span>
+                      {template.is_builtin && (
+                        <span className="px-2 py-0.5 text-xs bg-gray-200 text-gray-700 rounded-full">Built-in</span>
+                      )}
+                      {template.is_default && (
+                        <span className="px-2 py-0.5 text-xs bg-blue-100 text-blue-800 rounded-full">Default</span>
+                      )}
+                    </div>
+                    {template.description && (
+                      <div className="text-xs text-gray-500">{template.description}</div>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-2">
+                    {!template.is_default && (
+                      <button
+                        onClick={() => makeDefault(template.id)}
+                        className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                        title="Use as default"
+                      >
+                        <Star className="h-4 w-4" />
+                      </button>
+                    )}
+                    <button
+                      onClick={() => editTemplate(template, true)}
+                      className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                      title="Duplicate"
+                    >
+                      <Copy className="h-4 w-4" />
+                    </button>
+                    {!template.is_builtin && (
+                      <>
+                        <button
+                          onClick={() => editTemplate(template, false)}
+                          className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                          title="Edit"
+                        >
+                          <FileText className="h-4 w-4" />
+                        </button>
+                        <button
+                          onClick={() => deleteTemplate(template.id)}
+                          className="p-1 text-red-600 hover:bg-red-50 rounded"
+                          title="Delete"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </button>
+                      </>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {/* Template Editor */}
+      {draft && (
+        <div className="card">
+          <h3 className="text-lg font-semibold mb-4">{draft.id ? 'Edit Template' : 'New Template'}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Format</label>
+              <select
+                value={draft.format}
+                onChange={(e) => setDraft({ ...draft, format: e.target.value })}
+                className="input-field"
+              >
+                {formats.map(format => (
+                  <option key={format} value={format}>{format}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                className="input-field"
+              />
+            </div>
+          </div>
+
+          <textarea
+            value={draft.body}
+            onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+            rows={16}
+            className="input-field font-mono text-sm"
+            placeholder="{{title}}&#10;{{#each sections}}{{title}}{{#each items}}...{{/each}}{{/each}}"
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            Available: title, subtitle, intro, sections[].title, sections[].items[] (title, url, excerpt, tags, date, learningScore, readingTime),
+            footer (message, totalArticles, categories, generatedAt). Helpers: join, localeDateTime, capitalize, eq.
+          </p>
+
+          <div className="mt-4 flex flex-wrap items-center justify-between gap-2">
+            <label className="flex items-center space-x-2">
+              <input
+                type="checkbox"
+                checked={draft.escape_html}
+                onChange={(e) => setDraft({ ...draft, escape_html: e.target.checked })}
+                className="rounded"
+              />
+              <span className="text-sm text-gray-700">Escape HTML in values (for HTML output)</span>
+            </label>
+
+            <div className="flex items-center space-x-2">
+              <select
+                value={previewIssueId ?? ''}
+                onChange={(e) => setPreviewIssueId(Number(e.target.value))}
+                className="input-field w-auto"
+                disabled={issues.length === 0}
+              >
+                {issues.length === 0 && <option value="">Save an issue to preview</option>}
+                {issues.map(issue => (
+                  <option key={issue.id} value={issue.id}>{issue.title}</option>
+                ))}
+              </select>
+              <button
+                onClick={previewDraft}
+                disabled={previewIssueId === null}
+                className="btn-secondary flex items-center space-x-2"
+              >
+                <Eye className="h-4 w-4" />
+                <span>Preview</span>
+              </button>
+              <button
+                onClick={saveTemplate}
+                disabled={saving || !draft.name || !draft.body}
+                className="btn-primary flex items-center space-x-2"
+              >
+                <Save className="h-4 w-4" />
+                <span>{saving ? 'Saving...' : 'Save Template'}</span>
+              </button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3">
+              <pre className="text-sm text-red-700 whitespace-pre-wrap">{error}</pre>
+            </div>
+          )}
+
+          {preview !== null && (
+            <pre className="mt-4 p-4 bg-gray-50 border rounded-lg text-sm whitespace-pre-wrap max-h-96 overflow-auto">
+              {preview}
+            </pre>
+          )}
+        </div>
+      )}
+
+      {/* Newsletter Copy */}
+      <div className="card">
+        <div className="flex items-center space-x-2 mb-2">
+          <Type className="h-5 w-5 text-gray-500" />
+          <h3 className="text-lg font-semibold">Newsletter Copy</h3>
+        </div>
+        <p className="text-sm text-gray-600 mb-4">
+          Text used when a newsletter is generated. Intro can use dateRange, today, totalArticles, totalReadingTime and avgScore;
+          title and subtitle can use date, today and dateRange. Clear a field to restore the default.
+        </p>
+
+        <div className="space-y-3">
+          {Object.keys(copyDefaults).map(key => (
+            <div key={key}>
+              <label className="block text-sm font-medium text-gray-700 mb-1">{key}</label>
+              <textarea
+                value={copy[key] ?? ''}
+                onChange={(e) => setCopy({ ...copy, [key]: e.target.value })}
+                rows={key === 'intro' || key === 'footer_message' ? 3 : 1}
+                className="input-field text-sm"
+              />
+            </div>
+          ))}
+        </div>
+
+        <div className="mt-4 flex justify-end">
+          <button
+            onClick={saveCopy}
+            disabled={copySaving}
+            className="btn-primary flex items-center space-x-2"
+          >
+            <Save className="h-4 w-4" />
+            <span>{copySaving ? 'Saving...' : 'Save Copy'}</span>
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default NewsletterTemplates;
@@ -0,0 +1,507 @@
+import React, { useState, useEffect } from 'react';
+import { MessageSquare, Plus, Save, Trash2, Copy, FileText, Star, Play, History } from 'lucide-react';
+
+interface LLMPrompt {
+  id: number;
+  builtin_key: string | null;
+  name: string;
+  purpose: string;
+  description: string | null;
+  audience: string | null;
+  max_content_length: number;
+  body: string;
+  version: number;
+  is_default: boolean;
+  is_builtin: boolean;
+}
+
+interface PromptVersion {
+  version: number;
+  body: string;
+  created_at: string;
+}
+
+interface TestTarget {
+  id: number;
+  title: string;
+}
+
+interface PromptDraft {
+  id: number | null;
+  name: string;
+  purpose: string;
+  description: string;
+  audience: string;
+  max_content_length: number;
+  body: string;
+}
+
+interface TestRunResult {
+  prompt: string;
+  output: string;
+  model: string;
+  provider: string;
+  usage: { promptTokens: number; completionTokens: number };
+  costUsd: number;
+}
+
+const PURPOSE_LABELS: Record<string, string> = {
+  summary: 'Article summaries',
+  'editorial-theme': 'Newsletter theme',
+  'editorial-intro': 'Newsletter intro',
+  'editorial-transition': 'Section transitions',
+  'editorial-subject': 'Subject line'
+};
+
+const EMPTY_DRAFT: PromptDraft = {
+  id: null,
+  name: '',
+  purpose: 'summary',
+  description: '',
+  audience: '',
+  max_content_length: 8000,
+  body: ''
+};
+
+const PromptLibrary: React.FC = () => {
+  const [prompts, setPrompts] = useState<LLMPrompt[]>([]);
+  const [variables, setVariables] = useState<Record<string, string[]>>({});
+  const [purposes, setPurposes] = useState<string[]>(['summary']);
+  const [draft, setDraft] = useState<PromptDraft | null>(null);
+  const [versions, setVersions] = useState<PromptVersion[]>([]);
+  const [sessions, setSessions] = useState<TestTarget[]>([]);
+  const [testSessionId, setTestSessionId] = useState<number | null>(null);
+  const [issues, setIssues] = useState<TestTarget[]>([]);
+  const [testIssueId, setTestIssueId] = useState<number | null>(null);
+  const [testResult, setTestResult] = useState<TestRunResult | null>(null);
+  const [testing, setTesting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadPrompts();
+    loadSessions();
+    loadIssues();
+  }, []);
+
+  const loadPrompts = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/llm/prompts');
+      if (response.ok) {
+        const data = await response.json();
+        setPrompts(data.prompts);
+        setVariables(data.variables);
+        setPurposes(data.purposes);
+      }
+    } catch (error) {
+      console.error('Error loading prompts:', error);
+    }
+  };
+
+  // Recent articles with a URL to test-run prompts against
+  const loadSessions = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/sessions?limit=25');
+      if (response.ok) {
+        const data = await response.json();
+        const withUrl = data.sessions.filter((session: { url: string | null }) => session.url);
+        setSessions(withUrl.map((session: TestTarget) => ({ id: session.id, title: session.title })));
+        if (withUrl.length > 0) setTestSessionId(withUrl[0].id);
+      }
+    } catch (error) {
+      console.error('Error loading sessions:', error);
+    }
+  };
+
+  // Saved newsletter issues to test-run editorial prompts against
+  const loadIssues = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/newsletters');
+      if (response.ok) {
+        const data = await response.json();
+        setIssues(data.map((issue: TestTarget) => ({ id: issue.id, title: issue.title })));
+        if (data.length > 0) setTestIssueId(data[0].id);
+      }
+    } catch (error) {
+      console.error('Error loading newsletter issues:', error);
+    }
+  };
+
+  const loadVersions = async (id: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/llm/prompts/${id}`);
+      if (response.ok) {
+        const data = await response.json();
+        setVersions(data.versions);
+      }
+    } catch (error) {
+      console.error('Error loading prompt versions:', error);
+    }
+  };
+
+  const editPrompt = (prompt: LLMPrompt, asCopy: boolean) => {
+    setDraft({
+      id: asCopy ? null : prompt.id,
+      name: asCopy ? `${prompt.name} (copy)` : prompt.name,
+      purpose: prompt.purpose,
+      description: prompt.description || '',
+      audience: prompt.audience || '',
+      max_content_length: prompt.max_content_length,
+      body: prompt.body
+    });
+    setVersions([]);
+    if (!asCopy) loadVersions(prompt.id);
+    setTestResult(null);
+    setError(null);
+  };
+
+  const savePrompt = async () => {
+    if (!draft) return;
+    setSaving(true);
+    setError(null);
+
+    try {
+      const { id, ...fields } = draft;
+      const response = await fetch(
+        id ? `http://localhost:3001/api/llm/prompts/${id}` : 'http://localhost:3001/api/llm/prompts',
+        {
+          method: id ? 'PATCH' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(fields)
+        }
+      );
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save prompt');
+      }
+
+      setDraft({ ...draft, id: data.prompt.id });
+      await Promise.all([loadPrompts(), loadVersions(data.prompt.id)]);
+    } catch (err) {
+      setError(err instanceof Error ? err.message : 'Failed to save prompt');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const deletePrompt = async (id: number) => {
+    if (!window.confirm('Delete this prompt and its history?')) return;
+
+    try {
+      const response = await fetch(`http://localhost:3001/api/llm/prompts/${id}`, { method: 'DELETE' });
+      if (response.ok) {
+        if (draft?.id === id) setDraft(null);
+        await loadPrompts();
+      }
+    } catch (error) {
+      console.error('Error deleting prompt:', error);
+    }
+  };
+
+  const makeDefault = async (id: number) => {
+    try {
+      const response = await fetch(`http://localhost:3001/api/llm/prompts/${id}/default`, { method: 'POST' });
+      if (response.ok) {
+        await loadPrompts();
+      }
+    } catch (error) {
+      console.error('Error setting default prompt:', error);
+    }
+  };
+
+  // Run the draft as currently typed, so changes can be tried before saving
+  const testDraft = async () => {
+    if (!draft) return;
+    const isSummary = draft.purpose === 'summary';
+    if ((isSummary ? testSessionId : testIssueId) === null) return;
+    setTesting(true);
+    setError(null);
+
+    try {
+      const response = await fetch('http://localhost:3001/api/llm/prompts/test', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          body: draft.body,
+          purpose: draft.purpose,
+          max_content_length: draft.max_content_length,
+          audience: draft.audience || undefined,
+          ...(isSummary ? { sessionId: testSessionId } : { newsletterId: testIssueId })
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Test run failed');
+      }
+      setTestResult(data);
+    } catch (err) {
+      setTestResult(null);
+      setError(err instanceof Error ? err.message : 'Test run failed');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <div className="flex items-center space-x-2">
+            <MessageSquare className="h-5 w-5 text-blue-600" />
+            <h2 className="text-lg font-semibold">Prompts</h2>
+          </div>
+          <p className="text-sm text-gray-600">
+            Templates used to summarize articles and to write the editorial parts of newsletters. Each purpose has a default prompt, used unless a request names another one.
+          </p>
+        </div>
+        <button
+          onClick={() => {
+            setDraft({ ...EMPTY_DRAFT });
+            setVersions([]);
+            setTestResult(null);
+          }}
+          className="btn-secondary flex items-center space-x-2"
+        >
+          <Plus className="h-4 w-4" />
+          <span>New Prompt</span>
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {purposes.map(purpose => (
+          <React.Fragment key={purpose}>
+            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wide pt-2">{PURPOSE_LABELS[purpose] || purpose}</h3>
+            {prompts.filter(prompt => prompt.purpose === purpose).map(prompt => (
+              <div
+                key={prompt.id}
+                className={`flex items-center justify-between p-3 rounded-lg border ${
+                  prompt.is_default ? 'border-blue-200 bg-blue-50' : 'border-gray-200 bg-white'
+                }`}
+              >
+                <div>
+                  <div className="font-medium flex items-center space-x-2">
+                    <span>{prompt.name}</span>
+                    <span className="px-2 py-0.5 text-xs bg-gray-100 text-gray-600 rounded-full">v{prompt.version}</span>
+                    {prompt.is_builtin && (
+                      <span className="px-2 py-0.5 text-xs bg-gray-200 text-gray-700 rounded-full">Built-in</span>
+                    )}
+                    {prompt.is_default && (
+                      <span className="px-2 py-0.5 text-xs bg-blue-100 text-blue-800 rounded-full">Default</span>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {[prompt.description, prompt.audience && `Audience: ${prompt.audience}`].filter(Boolean).join(' · ')}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-2">
+                  {!prompt.is_default && (
+                    <button
+                      onClick={() => makeDefault(prompt.id)}
+                      className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                      title="Use as default"
+                    >
+                      <Star className="h-4 w-4" />
+                    </button>
+                  )}
+                  <button
+                    onClick={() => editPrompt(prompt, true)}
+                    className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                    title="Duplicate"
+                  >
+                    <Copy className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => editPrompt(prompt, false)}
+                    className="p-1 text-gray-600 hover:bg-gray-100 rounded"
+                    title="Edit"
+                  >
+                    <FileText className="h-4 w-4" />
+                  </button>
+                  {!prompt.is_builtin && (
+                    <button
+                      onClick={() => deletePrompt(prompt.id)}
+                      className="p-1 text-red-600 hover:bg-red-50 rounded"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  )}
+                </div>
+              </div>
+            ))}
+          </React.Fragment>
+        ))}
+      </div>
+
+      {/* Prompt Editor */}
+      {draft && (
+        <div className="border-t mt-6 pt-6">
+          <h3 className="text-sm font-medium text-gray-700 mb-3">{draft.id ? 'Edit Prompt' : 'New Prompt'}</h3>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Name</label>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Description</label>
+              <input
+                type="text"
+                value={draft.description}
+                onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+                className="input-field"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Purpose</label>
+              <select
+                value={draft.purpose}
+                onChange={(e) => setDraft({ ...draft, purpose: e.target.value })}
+                className="input-field"
+              >
+                {purposes.map(purpose => (
+                  <option key={purpose} value={purpose}>{PURPOSE_LABELS[purpose] || purpose}</option>
+                ))}
+              </select>
+            </div>
+            {draft.purpose === 'summary' && (
+              <>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Audience (optional)</label>
+                  <input
+                    type="text"
+                    value={draft.audience}
+                    onChange={(e) => setDraft({ ...draft, audience: e.target.value })}
+                    placeholder="e.g. busy executives"
+                    className="input-field"
+                  />
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Max content length (characters)</label>
+                  <input
+                    type="number"
+                    min="100"
+                    step="100"
+                    value={draft.max_content_length}
+                    onChange={(e) => setDraft({ ...draft, max_content_length: parseInt(e.target.value) || 0 })}
+                    className="input-field"
+                  />
+                </div>
+              </>
+            )}
+          </div>
+
+          {versions.length > 1 && (
+            <div className="flex items-center space-x-2 mb-2">
+              <History className="h-4 w-4 text-gray-500" />
+              <select
+                value=""
+                onChange={(e) => {
+                  const version = versions.find(v => v.version === Number(e.target.value));
+                  if (version) setDraft({ ...draft, body: version.body });
+                }}
+                className="input-field w-auto text-sm"
+              >
+                <option value="">Load an earlier version...</option>
+                {versions.slice(1).map(version => (
+                  <option key={version.version} value={version.version}>
+                    v{version.version} · {new Date(version.created_at).toLocaleString()}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <textarea
+            value={draft.body}
+            onChange={(e) => setDraft({ ...draft, body: e.target.value })}
+            rows={12}
+            className="input-field font-mono text-sm"
+            placeholder={draft.purpose === 'summary'
+              ? 'Summarize this article for {{audience}}:\n\nTitle: {{title}}\nContent: {{content}}'
+              : 'Write a short introduction for this newsletter issue:\n\n{{articles}}'}
+          />
+          <p className="text-xs text-gray-500 mt-1">
+            {draft.purpose === 'summary'
+              ? <>Available: {(variables.summary || []).join(', ')}. tags is a list, e.g. {'{{join tags ", "}}'}.</>
+              : <>Available: {(variables[draft.purpose] || []).join(', ')}. articles, sectionArticles and outline are ready-made lists; sections is a list of {'{title, items}'} to loop over with {'{{#each sections}}'}.</>}
+            {' '}Saving a changed prompt creates a new version.
+          </p>
+
+          <div className="mt-4 flex flex-wrap items-center justify-end gap-2">
+            {draft.purpose === 'summary' ? (
+              <select
+                value={testSessionId ?? ''}
+                onChange={(e) => setTestSessionId(Number(e.target.value))}
+                className="input-field w-auto"
+                disabled={sessions.length === 0}
+              >
+                {sessions.length === 0 && <option value="">No articles to test with</option>}
+                {sessions.map(session => (
+                  <option key={session.id} value={session.id}>{session.title}</option>
+                ))}
+              </select>
+            ) : (
+              <select
+                value={testIssueId ?? ''}
+                onChange={(e) => setTestIssueId(Number(e.target.value))}
+                className="input-field w-auto"
+                disabled={issues.length === 0}
+              >
+                {issues.length === 0 && <option value="">No newsletter issues to test with</option>}
+                {issues.map(issue => (
+                  <option key={issue.id} value={issue.id}>{issue.title}</option>
+                ))}
+              </select>
+            )}
+            <button
+              onClick={testDraft}
+              disabled={testing || (draft.purpose === 'summary' ? testSessionId : testIssueId) === null || !draft.body}
+              className="btn-secondary flex items-center space-x-2"
+            >
+              <Play className="h-4 w-4" />
+              <span>{testing ? 'Running...' : 'Test Run'}</span>
+            </button>
+            <button
+              onClick={savePrompt}
+              disabled={saving || !draft.name || !draft.body}
+              className="btn-primary flex items-center space-x-2"
+            >
+              <Save className="h-4 w-4" />
+              <span>{saving ? 'Saving...' : 'Save Prompt'}</span>
+            </button>
+          </div>
+
+          {error && (
+            <div className="mt-4 bg-red-50 border border-red-200 rounded-lg p-3">
+              <pre className="text-sm text-red-700 whitespace-pre-wrap">{error}</pre>
+            </div>
+          )}
+
+          {testResult && (
+            <div className="mt-4 space-y-2">
+              <div className="p-4 bg-gray-50 border rounded-lg text-sm whitespace-pre-wrap">{testResult.output}</div>
+              <div className="text-xs text-gray-500">
+                {testResult.provider}:{testResult.model} · {testResult.usage.promptTokens} + {testResult.usage.completionTokens} tokens
+                {testResult.costUsd > 0 && ` · $${testResult.costUsd.toFixed(4)}`}
+              </div>
+              <details className="text-xs">
+                <summary className="cursor-pointer text-gray-600">Rendered prompt</summary>
+                <pre className="mt-2 p-3 bg-gray-50 border rounded-lg whitespace-pre-wrap max-h-64 overflow-auto">{testResult.prompt}</pre>
+              </details>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PromptLibrary;
@@ -1,28 +1,190 @@
-import React, { useState, useEffect } from 'react';
-import { BookOpen, Clock, ExternalLink, Calendar, Tag } from 'lucide-react';
-import { ReadingSession } from '../types/index.ts';
-import { getSessions } from '../services/api.ts';
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { BookOpen, Clock, ExternalLink, Calendar, Tag, Edit2, Trash2, Save, X, Filter, Search } from 'lucide-react';
+import { ReadingSession, SessionQuery, Pagination, SearchResult } from '../types/index.ts';
+import { getSessions, searchSessions, updateSession, deleteSession, subscribeToEvents } from '../services/api.ts';
+
+const CATEGORIES = ['technology', 'science', 'business', 'education', 'future', 'linkedin', 'linkedin_newsletter', 'other'];
+
+const PAGE_SIZE = 25;
+
+type SessionFilters = Omit<SessionQuery, 'limit' | 'offset'>;
+
+const DEFAULT_FILTERS: SessionFilters = { sort: 'created_at', order: 'desc' };
+
+// Search results carry highlighted markup (already HTML-escaped by the API)
+type ListedSession = ReadingSession & Partial<Pick<SearchResult, 'title_highlight' | 'snippet'>>;
+
+interface EditFormState {
+  title: string;
+  url: string;
+  category: string;
+  learning_score: number;
+  excerpt: string;
+  notes: string;
+  tags: string;
+}
 
 const SessionsList: React.FC = () => {
-  const [sessions, setSessions] = useState<ReadingSession[]>([]);
+  const [sessions, setSessions] = useState<ListedSession[]>([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
+  const [editingId, setEditingId] = useState<number | null>(null);
+  const [editForm, setEditForm] = useState<EditFormState | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [actionError, setActionError] = useState('');
+  const [filters, setFilters] = useState<SessionFilters>(DEFAULT_FILTERS);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [pagination, setPagination] = useState<Pagination | null>(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const sentinelRef = useRef<HTMLDivElement | null>(null);
 
-  useEffect(() => {
-    loadSessions();
-  }, []);
+  const fetchPage = useCallback((offset: number) => {
+    const query = { ...filters, limit: PAGE_SIZE, offset };
+    return searchQuery.trim()
+      ? searchSessions(searchQuery.trim(), query)
+      : getSessions(query);
+  }, [filters, searchQuery]);
 
-  const loadSessions = async () => {
+  const loadSessions = useCallback(async () => {
     try {
       setLoading(true);
-      const data = await getSessions();
-      setSessions(data);
+      setError('');
+      const data = await fetchPage(0);
+      setSessions(data.sessions);
+      setPagination(data.pagination);
     } catch (error) {
       console.error('Error fetching sessions:', error);
       setError('Failed to load reading sessions');
     } finally {
       setLoading(false);
     }
+  }, [fetchPage]);
+
+  const loadMore = useCallback(async () => {
+    if (!pagination?.hasMore || pagination.nextOffset === null || loading || loadingMore) return;
+
+    try {
+      setLoadingMore(true);
+      const data = await fetchPage(pagination.nextOffset);
+      setSessions(prev => [...prev, ...data.sessions.filter(s => !prev.some(p => p.id === s.id))]);
+      setPagination(data.pagination);
+    } catch (error) {
+      console.error('Error fetching more sessions:', error);
+      setActionError('Failed to load more sessions');
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [fetchPage, pagination, loading, loadingMore]);
+
+  // Reload from the first page whenever the filters change (debounced for text inputs)
+  useEffect(() => {
+    const timer = setTimeout(loadSessions, 300);
+    return () => clearTimeout(timer);
+  }, [loadSessions]);
+
+  // Sessions saved elsewhere (e.g. from the extension) show up without a manual refresh. The ref
+  // keeps one subscription while the filters change.
+  const loadSessionsRef = useRef(loadSessions);
+  loadSessionsRef.current = loadSessions;
+  useEffect(() => subscribeToEvents({
+    'session-created': () => loadSessionsRef.current()
+  }), []);
+
+  // Infinite scroll: fetch the next page when the sentinel below the list becomes visible
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel) return;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) {
+        loadMore();
+      }
+    }, { rootMargin: '200px' });
+
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [loadMore]);
+
+  const updateFilter = (key: keyof SessionFilters, value: string) => {
+    setFilters(prev => ({ ...prev, [key]: value === '' ? undefined : value }));
+  };
+
+  const searching = searchQuery.trim() !== '';
+  const filtersActive = searching || Object.entries(filters).some(([key, value]) =>
+    key !== 'sort' && key !== 'order' && value !== undefined && value !== ''
+  );
+
+  const startEditing = (session: ReadingSession) => {
+    setActionError('');
+    setEditingId(session.id);
+    setEditForm({
+      title: session.title,
+      url: session.url || '',
+      category: session.category || 'other',
+      learning_score: session.learning_score || 0,
+      excerpt: session.excerpt || '',
+      notes: session.notes || '',
+      tags: (session.tags || []).join(', ')
+    });
+  };
+
+  const cancelEditing = () => {
+    setEditingId(null);
+    setEditForm(null);
+  };
+
+  const saveEdit = async () => {
+    if (editingId === null || !editForm) return;
+
+    if (!editForm.title.trim()) {
+      setActionError('Title is required');
+      return;
+    }
+
+    setSaving(true);
+    setActionError('');
+    try {
+      const updated = await updateSession(editingId, {
+        title: editForm.title.trim(),
+        url: editForm.url.trim(),
+        category: editForm.category,
+        learning_score: editForm.learning_score,
+        excerpt: editForm.excerpt,
+        notes: editForm.notes,
+        tags: editForm.tags.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+      setSessions(prev => prev.map(session => session.id === editingId ? updated : session));
+      cancelEditing();
+    } catch (error) {
+      console.error('Error updating session:', error);
+      setActionError('Failed to update reading session');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const removeSession = async (session: ReadingSession) => {
+    if (!window.confirm(`Delete "${session.title}"? This cannot be undone.`)) {
+      return;
+    }
+
+    setActionError('');
+    try {
+      await deleteSession(session.id);
+      setSessions(prev => prev.filter(s => s.id !== session.id));
+      // Rows after the deleted one move up, so the next page starts one row earlier
+      setPagination(prev => prev ? {
+        ...prev,
+        total: prev.total - 1,
+        nextOffset: prev.nextOffset === null ? null : prev.nextOffset - 1
+      } : prev);
+      if (editingId === session.id) {
+        cancelEditing();
+      }
+    } catch (error) {
+      console.error('Error deleting session:', error);
+      setActionError('Failed to delete reading session');
+    }
   };
 
   const formatDate = (dateString: string) => {
@@ -65,7 +227,7 @@ const SessionsList: React.FC = () => {
     }
   };
 
-  if (loading) {
+  if (loading && !pagination) {
     return (
       <div className="flex items-center justify-center h-64">
         <div className="text-center">
@@ -90,7 +252,7 @@ const SessionsList: React.FC = () => {
     );
   }
 
-  if (sessions.length === 0) {
+  if (sessions.length === 0 && !filtersActive && !loading) {
     return (
       <div className="text-center py-12">
         <BookOpen className="h-12 w-12 text-gray-400 mx-auto mb-4" />
@@ -113,21 +275,295 @@ const SessionsList: React.FC = () => {
       <div className="flex items-center justify-between">
         <h2 className="text-2xl font-bold text-gray-900">Reading Sessions</h2>
         <div className="text-sm text-gray-600">
-          {sessions.length} session{sessions.length !== 1 ? 's' : ''}
+          {(pagination?.total ?? sessions.length)} session{(pagination?.total ?? sessions.length) !== 1 ? 's' : ''}
         </div>
       </div>
 
+      {/* Search */}
+      <div className="relative">
+        <Search className="h-4 w-4 text-gray-400 absolute left-3 top-1/2 -translate-y-1/2" />
+        <input
+          type="search"
+          className="input w-full pl-9"
+          placeholder="Search titles, excerpts, notes and summaries..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+        />
+      </div>
+
+      {/* Filters */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-2">
+            <Filter className="h-4 w-4 text-gray-500" />
+            <h3 className="text-sm font-semibold text-gray-700">Filter & Sort</h3>
+          </div>
+          {filtersActive && (
+            <button
+              onClick={() => {
+                setFilters({ sort: filters.sort, order: filters.order });
+                setSearchQuery('');
+              }}
+              className="text-sm text-blue-600 hover:text-blue-800"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Category</label>
+            <select
+              className="input w-full"
+              value={filters.category || ''}
+              onChange={(e) => updateFilter('category', e.target.value)}
+            >
+              <option value="">All categories</option>
+              {CATEGORIES.map(category => (
+                <option key={category} value={category}>{category}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Content Type</label>
+            <select
+              className="input w-full"
+              value={filters.content_type || ''}
+              onChange={(e) => updateFilter('content_type', e.target.value)}
+            >
+              <option value="">All types</option>
+              <option value="web">Web Article</option>
+              <option value="pdf">PDF Document</option>
+              <option value="epub">eBook</option>
+              <option value="manual">Manual Entry</option>
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Tag</label>
+            <input
+              type="text"
+              className="input w-full"
+              placeholder="e.g. Technology"
+              value={filters.tag || ''}
+              onChange={(e) => updateFilter('tag', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Domain</label>
+            <input
+              type="text"
+              className="input w-full"
+              placeholder="e.g. medium.com"
+              value={filters.domain || ''}
+              onChange={(e) => updateFilter('domain', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Learning Score</label>
+            <div className="flex items-center gap-2">
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="input w-full"
+                placeholder="Min"
+                value={filters.min_score ?? ''}
+                onChange={(e) => updateFilter('min_score', e.target.value)}
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                className="input w-full"
+                placeholder="Max"
+                value={filters.max_score ?? ''}
+                onChange={(e) => updateFilter('max_score', e.target.value)}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">From</label>
+            <input
+              type="date"
+              className="input w-full"
+              value={filters.from || ''}
+              onChange={(e) => updateFilter('from', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">To</label>
+            <input
+              type="date"
+              className="input w-full"
+              value={filters.to || ''}
+              onChange={(e) => updateFilter('to', e.target.value)}
+            />
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-600 mb-1">Sort By</label>
+            <div className="flex items-center gap-2">
+              <select
+                className="input w-full"
+                value={filters.sort}
+                onChange={(e) => updateFilter('sort', e.target.value)}
+                disabled={searching}
+                title={searching ? 'Search results are sorted by relevance' : undefined}
+              >
+                <option value="created_at">Date added</option>
+                <option value="updated_at">Last updated</option>
+                <option value="title">Title</option>
+                <option value="learning_score">Learning score</option>
+                <option value="reading_time">Reading time</option>
+                <option value="word_count">Word count</option>
+                <option value="category">Category</option>
+              </select>
+              <select
+                className="input w-24"
+                value={filters.order}
+                onChange={(e) => updateFilter('order', e.target.value)}
+                disabled={searching}
+              >
+                <option value="desc">Desc</option>
+                <option value="asc">Asc</option>
+              </select>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {sessions.length === 0 && !loading && (
+        <div className="text-center py-8 text-gray-500">
+          <p>{searching ? `No reading sessions match "${searchQuery.trim()}".` : 'No reading sessions match these filters.'}</p>
+        </div>
+      )}
+
+      {actionError && (
+        <div className="p-3 bg-red-50 border border-red-200 rounded-md">
+          <p className="text-sm text-red-600">{actionError}</p>
+        </div>
+      )}
+
       <div className="space-y-4">
-        {sessions.map((session) => (
+        {sessions.map((session) => editingId === session.id && editForm ? (
+          <div key={session.id} className="card border-blue-300">
+            <div className="space-y-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Title *</label>
+                <input
+                  type="text"
+                  className="input w-full"
+                  value={editForm.title}
+                  onChange={(e) => setEditForm({ ...editForm, title: e.target.value })}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">URL</label>
+                <input
+                  type="url"
+                  className="input w-full"
+                  value={editForm.url}
+                  onChange={(e) => setEditForm({ ...editForm, url: e.target.value })}
+                />
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Category</label>
+                  <select
+                    className="input w-full"
+                    value={editForm.category}
+                    onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                  >
+                    {!CATEGORIES.includes(editForm.category) && (
+                      <option value={editForm.category}>{editForm.category}</option>
+                    )}
+                    {CATEGORIES.map(category => (
+                      <option key={category} value={category}>{category}</option>
+                    ))}
+                  </select>
+                </div>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-1">Learning Score (0-100)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    max="100"
+                    className="input w-full"
+                    value={editForm.learning_score}
+                    onChange={(e) => setEditForm({ ...editForm, learning_score: parseInt(e.target.value) || 0 })}
+                  />
+                </div>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Tags (comma separated)</label>
+                <input
+                  type="text"
+                  className="input w-full"
+                  value={editForm.tags}
+                  onChange={(e) => setEditForm({ ...editForm, tags: e.target.value })}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Excerpt</label>
+                <textarea
+                  rows={3}
+                  className="input w-full"
+                  value={editForm.excerpt}
+                  onChange={(e) => setEditForm({ ...editForm, excerpt: e.target.value })}
+                />
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Notes</label>
+                <textarea
+                  rows={3}
+                  className="input w-full"
+                  value={editForm.notes}
+                  onChange={(e) => setEditForm({ ...editForm, notes: e.target.value })}
+                />
+              </div>
+
+              <div className="flex gap-3">
+                <button
+                  onClick={saveEdit}
+                  disabled={saving || !editForm.title.trim()}
+                  className="btn btn-primary px-4 py-2"
+                >
+                  <Save className="h-4 w-4 mr-2" />
+                  {saving ? 'Saving...' : 'Save'}
+                </button>
+                <button
+                  onClick={cancelEditing}
+                  disabled={saving}
+                  className="btn btn-secondary px-4 py-2"
+                >
+                  <X className="h-4 w-4 mr-2" />
+                  Cancel
+                </button>
+              </div>
+            </div>
+          </div>
+        ) : (
           <div key={session.id} className="card hover:shadow-md transition-shadow">
             <div className="flex items-start justify-between">
               <div className="flex-1 min-w-0">
                 {/* Title and URL */}
                 <div className="flex items-start gap-2 mb-2">
                   <span className="text-lg flex-shrink-0">{getContentTypeIcon(session.content_type)}</span>
-                  <h3 className="text-lg font-semibold text-gray-900 break-anywhere flex-1 min-w-0">
-                    {session.title}
-                  </h3>
+                  {session.title_highlight ? (
+                    <h3
+                      className="text-lg font-semibold text-gray-900 break-anywhere flex-1 min-w-0"
+                      dangerouslySetInnerHTML={{ __html: session.title_highlight }}
+                    />
+                  ) : (
+                    <h3 className="text-lg font-semibold text-gray-900 break-anywhere flex-1 min-w-0">
+                      {session.title}
+                    </h3>
+                  )}
                   {session.url && (
                     <a
                       href={session.url}
@@ -147,8 +583,16 @@ const SessionsList: React.FC = () => {
                   </p>
                 )}
 
+                {/* Search snippet */}
+                {session.snippet && (
+                  <p
+                    className="text-sm text-gray-700 mb-3 bg-gray-50 rounded-md p-2"
+                    dangerouslySetInnerHTML={{ __html: session.snippet }}
+                  />
+                )}
+
                 {/* Excerpt */}
-                {session.excerpt && (
+                {!session.snippet && session.excerpt && (
                   <p className="text-gray-700 mb-3 line-clamp-2">
                     {session.excerpt}
                   </p>
@@ -197,17 +641,48 @@ const SessionsList: React.FC = () => {
                 </div>
               </div>
 
-              {/* Content Type Badge */}
-              <div className="flex-shrink-0 ml-4">
+              {/* Content Type Badge and Actions */}
+              <div className="flex-shrink-0 ml-4 flex flex-col items-end gap-2">
                 <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getContentTypeColor(session.content_type)}`}>
                   {session.content_type}
                 </span>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => startEditing(session)}
+                    className="p-1 text-gray-400 hover:text-blue-600 hover:bg-blue-50 rounded"
+                    title="Edit session"
+                  >
+                    <Edit2 className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => removeSession(session)}
+                    className="p-1 text-gray-400 hover:text-red-600 hover:bg-red-50 rounded"
+                    title="Delete session"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
               </div>
             </div>
           </div>
         ))}
       </div>
 
+      {/* Infinite scroll sentinel */}
+      <div ref={sentinelRef} />
+      {(loadingMore || (loading && pagination)) && (
+        <div className="flex items-center justify-center py-4">
+          <div className="animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
+        </div>
+      )}
+      {pagination?.hasMore && !loadingMore && (
+        <div className="text-center">
+          <button onClick={loadMore} className="btn btn-secondary px-4 py-2">
+            Load more
+          </button>
+        </div>
+      )}
+
       {/* Refresh Button */}
       <div className="text-center pt-6">
         <button 
@@ -1,5 +1,7 @@
 import React, { useState, useEffect } from 'react';
-import { Settings as SettingsIcon, Brain, Server, Key, Save, Trash2, Plus, RefreshCw } from 'lucide-react';
+import { Settings as SettingsIcon, Brain, Server, Key, Save, Trash2, Plus, RefreshCw, Activity } from 'lucide-react';
+import NewsletterSchedules from './NewsletterSchedules.tsx';
+import PromptLibrary from './PromptLibrary.tsx';
 
 interface LLMConfig {
   id: number;
@@ -7,38 +9,141 @@ interface LLMConfig {
   model_name: string;
   api_key: string | null;
   api_url: string | null;
+  api_headers: Record<string, string>;
   is_active: boolean;
   priority: number;
+  generation_params: GenerationParams;
 }
 
+interface GenerationParams {
+  temperature?: number;
+  max_tokens?: number;
+  top_p?: number;
+  stop?: string[];
+}
+
+interface LLMProvider {
+  name: string;
+  label: string;
+  requiresApiKey: boolean;
+  requiresApiUrl: boolean;
+  acceptsHeaders: boolean;
+  defaultUrl: string | null;
+}
+
+interface HealthCheckResult {
+  ok: boolean;
+  latencyMs: number;
+  models?: number;
+  error?: string;
+}
+
+interface ConfigHealth {
+  id: number;
+  status: 'unknown' | 'healthy' | 'degraded' | 'open' | 'half-open';
+  calls: number;
+  successRate: number | null;
+  fallbacks: number;
+  consecutiveFailures: number;
+  latency: { samples: number; p50: number | null; p90: number | null; p99: number | null };
+  lastError: string | null;
+  lastErrorAt: string | null;
+  openUntil: string | null;
+}
+
+const HEALTH_STYLES: Record<ConfigHealth['status'], { label: string; className: string }> = {
+  unknown: { label: 'No calls yet', className: 'bg-gray-100 text-gray-600' },
+  healthy: { label: 'Healthy', className: 'bg-green-100 text-green-800' },
+  degraded: { label: 'Failing', className: 'bg-yellow-100 text-yellow-800' },
+  open: { label: 'Circuit open', className: 'bg-red-100 text-red-800' },
+  'half-open': { label: 'Retrying', className: 'bg-orange-100 text-orange-800' }
+};
+
 interface OllamaModel {
   name: string;
   size: number;
   modified_at: string;
 }
 
+const EMPTY_CONFIG = {
+  provider: 'ollama',
+  model_name: '',
+  api_key: '',
+  api_url: '',
+  api_headers: '',
+  is_active: false,
+  priority: 1,
+  temperature: '',
+  max_tokens: ''
+};
+
+// Extra headers are entered one "Name: value" per line
+const parseHeaders = (text: string) => {
+  const headers: Record<string, string> = {};
+  text.split('\n').forEach(line => {
+    const separator = line.indexOf(':');
+    if (separator > 0) {
+      headers[line.slice(0, separator).trim()] = line.slice(separator + 1).trim();
+    }
+  });
+  return headers;
+};
+
 const Settings: React.FC = () => {
   const [llmConfigs, setLlmConfigs] = useState<LLMConfig[]>([]);
+  const [providers, setProviders] = useState<LLMProvider[]>([]);
+  const [defaultParams, setDefaultParams] = useState<GenerationParams>({});
+  const [checkResults, setCheckResults] = useState<Record<number, HealthCheckResult | 'checking'>>({});
+  const [health, setHealth] = useState<Record<number, ConfigHealth>>({});
+  const [providerModels, setProviderModels] = useState<string[]>([]);
+  const [modelsError, setModelsError] = useState<string | null>(null);
+  const [loadingModels, setLoadingModels] = useState(false);
   const [ollamaModels, setOllamaModels] = useState<OllamaModel[]>([]);
   const [ollamaAvailable, setOllamaAvailable] = useState(false);
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
 
   // Form state
-  const [newConfig, setNewConfig] = useState({
-    provider: 'ollama',
-    model_name: '',
-    api_key: '',
-    api_url: '',
-    is_active: false,
-    priority: 1
-  });
+  const [newConfig, setNewConfig] = useState(EMPTY_CONFIG);
 
   useEffect(() => {
+    loadProviders();
     loadLLMConfigs();
     checkOllamaAvailability();
   }, []);
 
+  // Health changes as summaries are generated, so keep it fresh while the page is open
+  useEffect(() => {
+    loadHealth();
+    const timer = setInterval(loadHealth, 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const loadHealth = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/llm/health');
+      if (response.ok) {
+        const data = await response.json();
+        setHealth(Object.fromEntries(data.configs.map((config: ConfigHealth) => [config.id, config])));
+      }
+    } catch (error) {
+      console.error('Error loading LLM health:', error);
+    }
+  };
+
+  const loadProviders = async () => {
+    try {
+      const response = await fetch('http://localhost:3001/api/llm/providers');
+      if (response.ok) {
+        const data = await response.json();
+        setProviders(data.providers);
+        setDefaultParams(data.defaultParams);
+      }
+    } catch (error) {
+      console.error('Error loading LLM providers:', error);
+    }
+  };
+
   const loadLLMConfigs = async () => {
     try {
       const response = await fetch('http://localhost:3001/api/llm/config');
@@ -67,36 +172,66 @@ const Settings: React.FC = () => {
     }
   };
 
+  // Ask the provider in the form for its models, before the configuration is saved
+  const loadProviderModels = async () => {
+    setLoadingModels(true);
+    setModelsError(null);
+    try {
+      const response = await fetch('http://localhost:3001/api/llm/models', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          provider: newConfig.provider,
+          api_key: newConfig.api_key || null,
+          api_url: newConfig.api_url || null,
+          api_headers: parseHeaders(newConfig.api_headers)
+        })
+      });
+
+      const data = await response.json();
+      if (!response.ok || !data.available) {
+        throw new Error(data.error || 'Failed to load models');
+      }
+      setProviderModels(data.models.map((model: { name: string }) => model.name));
+    } catch (error) {
+      setProviderModels([]);
+      setModelsError(error instanceof Error ? error.message : 'Failed to load models');
+    } finally {
+      setLoadingModels(false);
+    }
+  };
+
   const saveConfig = async () => {
     if (!newConfig.provider || !newConfig.model_name) {
       alert('Provider and model name are required');
       return;
     }
 
+    // Blank parameter fields fall back to the server defaults
+    const { temperature, max_tokens, api_headers, ...config } = newConfig;
+    const generation_params: GenerationParams = {};
+    if (temperature !== '') generation_params.temperature = parseFloat(temperature);
+    if (max_tokens !== '') generation_params.max_tokens = parseInt(max_tokens);
+
     setSaving(true);
     try {
       const response = await fetch('http://localhost:3001/api/llm/config', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(newConfig)
+        body: JSON.stringify({ ...config, api_headers: parseHeaders(api_headers), generation_params })
       });
 
-      if (response.ok) {
-        await loadLLMConfigs();
-        setNewConfig({
-          provider: 'ollama',
-          model_name: '',
-          api_key: '',
-          api_url: '',
-          is_active: false,
-          priority: 1
-        });
-      } else {
-        throw new Error('Failed to save configuration');
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to save configuration');
       }
+
+      await loadLLMConfigs();
+      setNewConfig(EMPTY_CONFIG);
+      setProviderModels([]);
     } catch (error) {
       console.error('Error saving config:', error);
-      alert('Failed to save configuration');
+      alert(error instanceof Error ? error.message : 'Failed to save configuration');
     } finally {
       setSaving(false);
     }
@@ -125,13 +260,10 @@ const Settings: React.FC = () => {
 
   const toggleActive = async (config: LLMConfig) => {
     try {
-      const response = await fetch('http://localhost:3001/api/llm/config', {
-        method: 'POST',
+      const response = await fetch(`http://localhost:3001/api/llm/config/${config.id}`, {
+        method: 'PATCH',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          ...config,
-          is_active: !config.is_active
-        })
+        body: JSON.stringify({ is_active: !config.is_active })
       });
 
       if (response.ok) {
@@ -142,6 +274,57 @@ const Settings: React.FC = () => {
     }
   };
 
+  const checkConfig = async (id: number) => {
+    setCheckResults(prev => ({ ...prev, [id]: 'checking' }));
+    try {
+      const response = await fetch(`http://localhost:3001/api/llm/config/${id}/check`, { method: 'POST' });
+      const data = await response.json();
+      setCheckResults(prev => ({
+        ...prev,
+        [id]: response.ok ? data : { ok: false, latencyMs: 0, error: data.error }
+      }));
+      await loadHealth();
+    } catch (error) {
+      console.error('Error checking config:', error);
+      setCheckResults(prev => ({ ...prev, [id]: { ok: false, latencyMs: 0, error: 'Request failed' } }));
+    }
+  };
+
+  const describeParams = (params: GenerationParams) => {
+    const effective = { ...defaultParams, ...params };
+    return [
+      effective.temperature !== undefined && `Temperature ${effective.temperature}`,
+      effective.max_tokens !== undefined && `Max tokens ${effective.max_tokens}`,
+      effective.top_p !== undefined && `Top-p ${effective.top_p}`
+    ].filter(Boolean).join(' · ');
+  };
+
+  const renderCheckResult = (result: HealthCheckResult | 'checking') => {
+    if (result === 'checking') {
+      return <span className="text-gray-500">Checking...</span>;
+    }
+    if (!result.ok) {
+      return <span className="text-red-600">{result.error}</span>;
+    }
+    return <span className="text-green-700">Reachable in {result.latencyMs}ms ({result.models} models)</span>;
+  };
+
+  const describeHealth = (configHealth: ConfigHealth) => {
+    const parts = [];
+    if (configHealth.latency.samples > 0) {
+      parts.push(`p50 ${configHealth.latency.p50}ms · p90 ${configHealth.latency.p90}ms · p99 ${configHealth.latency.p99}ms`);
+    }
+    if (configHealth.successRate !== null) {
+      parts.push(`${Math.round(configHealth.successRate * 100)}% of ${configHealth.calls} calls`);
+    }
+    if (configHealth.fallbacks > 0) {
+      parts.push(`${configHealth.fallbacks} as fallback`);
+    }
+    return parts.join(' · ');
+  };
+
+  const selectedProvider = providers.find(provider => provider.name === newConfig.provider);
+
   const getProviderIcon = (provider: string) => {
     switch (provider) {
       case 'ollama':
@@ -221,15 +404,49 @@ const Settings: React.FC = () => {
                       {config.api_url && (
                         <div className="text-xs text-gray-500">{config.api_url}</div>
                       )}
-                      <div className="text-xs text-gray-500">Priority: {config.priority}</div>
+                      {Object.keys(config.api_headers).length > 0 && (
+                        <div className="text-xs text-gray-500">Headers: {Object.keys(config.api_headers).join(', ')}</div>
+                      )}
+                      <div className="text-xs text-gray-500">
+                        Priority: {config.priority} · {describeParams(config.generation_params)}
+                      </div>
+                      {health[config.id] && health[config.id].calls > 0 && (
+                        <div className="text-xs text-gray-500">{describeHealth(health[config.id])}</div>
+                      )}
+                      {health[config.id]?.lastError && health[config.id].consecutiveFailures > 0 && (
+                        <div className="text-xs text-red-600">
+                          {health[config.id].consecutiveFailures} consecutive failure(s): {health[config.id].lastError}
+                        </div>
+                      )}
+                      {checkResults[config.id] && (
+                        <div className="text-xs mt-1">{renderCheckResult(checkResults[config.id])}</div>
+                      )}
                     </div>
                     {config.is_active && (
                       <span className="px-2 py-1 text-xs bg-green-100 text-green-800 rounded-full">
                         Active
                       </span>
                     )}
+                    {health[config.id] && (
+                      <span
+                        className={`px-2 py-1 text-xs rounded-full ${HEALTH_STYLES[health[config.id].status].className}`}
+                        title={health[config.id].openUntil
+                          ? `Skipped until ${new Date(health[config.id].openUntil as string).toLocaleTimeString()}`
+                          : undefined}
+                      >
+                        {HEALTH_STYLES[health[config.id].status].label}
+                      </span>
+                    )}
                   </div>
                   <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => checkConfig(config.id)}
+                      disabled={checkResults[config.id] === 'checking'}
+                      className="p-1 text-blue-600 hover:bg-blue-50 rounded"
+                      title="Check connection"
+                    >
+                      <Activity className="h-4 w-4" />
+                    </button>
                     <button
                       onClick={() => toggleActive(config)}
                       className={`text-sm px-3 py-1 rounded ${
@@ -266,13 +483,18 @@ const Settings: React.FC = () => {
               <label className="block text-sm font-medium text-gray-700 mb-1">Provider</label>
               <select
                 value={newConfig.provider}
-                onChange={(e) => setNewConfig({ ...newConfig, provider: e.target.value, model_name: '' })}
+                onChange={(e) => {
+                  setNewConfig({ ...newConfig, provider: e.target.value, model_name: '' });
+                  setProviderModels([]);
+                  setModelsError(null);
+                }}
                 className="input-field"
               >
-                <option value="ollama">Ollama (Local)</option>
-                <option value="openai">OpenAI</option>
-                <option value="gemini">Google Gemini</option>
-                <option value="grok">Grok (X.AI)</option>
+                {providers.map((provider) => (
+                  <option key={provider.name} value={provider.name}>
+                    {provider.label}
+                  </option>
+                ))}
               </select>
             </div>
 
@@ -293,26 +515,47 @@ const Settings: React.FC = () => {
                   ))}
                 </select>
               ) : (
-                <input
-                  type="text"
-                  value={newConfig.model_name}
-                  onChange={(e) => setNewConfig({ ...newConfig, model_name: e.target.value })}
-                  placeholder={
-                    newConfig.provider === 'openai' ? 'gpt-4-turbo' :
-                    newConfig.provider === 'gemini' ? 'gemini-pro' :
-                    newConfig.provider === 'grok' ? 'grok-beta' : 'Model name'
-                  }
-                  className="input-field"
-                />
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    list="provider-models"
+                    value={newConfig.model_name}
+                    onChange={(e) => setNewConfig({ ...newConfig, model_name: e.target.value })}
+                    placeholder={
+                      newConfig.provider === 'openai' ? 'gpt-4-turbo' :
+                      newConfig.provider === 'gemini' ? 'gemini-pro' :
+                      newConfig.provider === 'grok' ? 'grok-beta' : 'Model name'
+                    }
+                    className="input-field"
+                  />
+                  <button
+                    onClick={loadProviderModels}
+                    disabled={loadingModels}
+                    className="btn-secondary text-sm flex items-center space-x-1"
+                    title="Load the models this provider offers"
+                  >
+                    <RefreshCw className={`h-3 w-3 ${loadingModels ? 'animate-spin' : ''}`} />
+                    <span>Models</span>
+                  </button>
+                  <datalist id="provider-models">
+                    {providerModels.map((model) => (
+                      <option key={model} value={model} />
+                    ))}
+                  </datalist>
+                </div>
+              )}
+              {modelsError && <p className="text-xs text-red-600 mt-1">{modelsError}</p>}
+              {providerModels.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">{providerModels.length} models available</p>
               )}
             </div>
 
-            {/* API Key (for cloud providers) */}
-            {newConfig.provider !== 'ollama' && (
+            {/* API Key (required for cloud providers, optional for self-hosted servers) */}
+            {(selectedProvider?.requiresApiKey || selectedProvider?.acceptsHeaders) && (
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
                   <Key className="h-3 w-3 inline mr-1" />
-                  API Key
+                  API Key{!selectedProvider.requiresApiKey && ' (optional)'}
                 </label>
                 <input
                   type="password"
@@ -324,22 +567,36 @@ const Settings: React.FC = () => {
               </div>
             )}
 
-            {/* API URL (optional) */}
+            {/* API URL (required for self-hosted OpenAI-compatible servers) */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
-                API URL (optional)
+                API URL{!selectedProvider?.requiresApiUrl && ' (optional)'}
               </label>
               <input
                 type="url"
                 value={newConfig.api_url}
                 onChange={(e) => setNewConfig({ ...newConfig, api_url: e.target.value })}
-                placeholder={
-                  newConfig.provider === 'ollama' ? 'http://localhost:11434' : 'Custom API endpoint'
-                }
+                placeholder={selectedProvider?.defaultUrl || (selectedProvider?.requiresApiUrl ? 'http://192.168.1.20:8080/v1' : 'Custom API endpoint')}
                 className="input-field"
               />
             </div>
 
+            {/* Extra headers */}
+            {selectedProvider?.acceptsHeaders && (
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Extra headers (optional)
+                </label>
+                <textarea
+                  value={newConfig.api_headers}
+                  onChange={(e) => setNewConfig({ ...newConfig, api_headers: e.target.value })}
+                  placeholder="X-Api-Key: secret"
+                  rows={2}
+                  className="input-field font-mono text-sm"
+                />
+              </div>
+            )}
+
             {/* Priority */}
             <div>
               <label className="block text-sm font-medium text-gray-700 mb-1">
@@ -355,6 +612,35 @@ const Settings: React.FC = () => {
                 className="input-field"
               />
             </div>
+
+            {/* Generation parameters */}
+            <div className="grid grid-cols-2 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Temperature</label>
+                <input
+                  type="number"
+                  min="0"
+                  max="2"
+                  step="0.1"
+                  value={newConfig.temperature}
+                  onChange={(e) => setNewConfig({ ...newConfig, temperature: e.target.value })}
+                  placeholder={defaultParams.temperature !== undefined ? String(defaultParams.temperature) : ''}
+                  className="input-field"
+                />
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-1">Max tokens</label>
+                <input
+                  type="number"
+                  min="1"
+                  step="1"
+                  value={newConfig.max_tokens}
+                  onChange={(e) => setNewConfig({ ...newConfig, max_tokens: e.target.value })}
+                  placeholder={defaultParams.max_tokens !== undefined ? String(defaultParams.max_tokens) : ''}
+                  className="input-field"
+                />
+              </div>
+            </div>
           </div>
 
           <div className="mt-4 flex items-center justify-between">
@@ -380,6 +666,12 @@ const Settings: React.FC = () => {
         </div>
       </div>
 
+      {/* Prompt Library */}
+      <PromptLibrary />
+
+      {/* Newsletter Schedules */}
+      <NewsletterSchedules />
+
       {/* Additional Settings */}
       <div className="card">
         <h2 className="text-lg font-semibold mb-4">General Settings</h2>
@@ -1,5 +1,5 @@
 import axios from 'axios';
-import { ReadingSession, ReadingStats, Tag, NewSession } from '../types';
+import { ReadingSession, ReadingStats, Tag, NewSession, SessionUpdate, SessionQuery, SessionsPage, SearchResultsPage, LiveEventHandlers } from '../types';
 
 const API_URL = process.env.REACT_APP_API_URL || 'http://localhost:3001';
 
@@ -11,8 +11,26 @@ const api = axios.create({
 });
 
 // Reading Sessions
-export const getSessions = async (): Promise<ReadingSession[]> => {
-  const response = await api.get('/api/sessions');
+export const getSessions = async (query: SessionQuery = {}): Promise<SessionsPage> => {
+  // Drop unset filters so they don't reach the server as empty strings
+  const params = Object.fromEntries(
+    Object.entries(query).filter(([, value]) => value !== undefined && value !== '')
+  );
+  const response = await api.get('/api/sessions', { params });
+  return response.data;
+};
+
+// Full-text search; accepts the same filters as getSessions (sort is by relevance)
+export const searchSessions = async (q: string, query: SessionQuery = {}): Promise<SearchResultsPage> => {
+  const params = Object.fromEntries(
+    Object.entries({ ...query, q }).filter(([, value]) => value !== undefined && value !== '')
+  );
+  const response = await api.get('/api/search', { params });
+  return response.data;
+};
+
+export const getSession = async (id: number): Promise<ReadingSession> => {
+  const response = await api.get(`/api/sessions/${id}`);
   return response.data;
 };
 
@@ -21,6 +39,15 @@ export const createSession = async (session: NewSession): Promise<any> => {
   return response.data;
 };
 
+export const updateSession = async (id: number, updates: SessionUpdate): Promise<ReadingSession> => {
+  const response = await api.patch(`/api/sessions/${id}`, updates);
+  return response.data.session;
+};
+
+export const deleteSession = async (id: number): Promise<void> => {
+  await api.delete(`/api/sessions/${id}`);
+};
+
 // Statistics
 export const getStats = async (): Promise<ReadingStats> => {
   const response = await api.get('/api/stats');
@@ -33,6 +60,18 @@ export const getTags = async (): Promise<Tag[]> => {
   return response.data;
 };
 
+// Live updates: subscribe to server-sent events; the returned function closes the stream.
+// EventSource reconnects on its own and the server replays events missed in between.
+export const subscribeToEvents = (handlers: LiveEventHandlers): (() => void) => {
+  const source = new EventSource(`${API_URL}/api/events`);
+  Object.entries(handlers).forEach(([type, handler]) => {
+    source.addEventListener(type, (event) => {
+      (handler as (data: unknown) => void)(JSON.parse((event as MessageEvent).data));
+    });
+  });
+  return () => source.close();
+};
+
 // Health check
 export const healthCheck = async (): Promise<any> => {
   const response = await api.get('/health');
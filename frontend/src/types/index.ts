@@ -11,10 +11,56 @@ export interface ReadingSession {
   tag_colors: string[];
   learning_score: number;
   category: string;
+  llm_summary?: string | null;
+  llm_model?: string | null;
   created_at: string;
   updated_at: string;
 }
 
+export type SessionSortField = 'created_at' | 'updated_at' | 'title' | 'learning_score' | 'reading_time' | 'word_count' | 'category';
+
+export interface SessionQuery {
+  limit?: number;
+  offset?: number;
+  sort?: SessionSortField;
+  order?: 'asc' | 'desc';
+  category?: string;
+  tag?: string;
+  content_type?: string;
+  min_score?: number;
+  max_score?: number;
+  from?: string;
+  to?: string;
+  domain?: string;
+}
+
+export interface Pagination {
+  total: number;
+  limit: number;
+  offset: number;
+  hasMore: boolean;
+  nextOffset: number | null;
+}
+
+export interface SessionsPage {
+  sessions: ReadingSession[];
+  pagination: Pagination;
+  sort: SessionSortField;
+  order: 'asc' | 'desc';
+}
+
+export interface SearchResult extends ReadingSession {
+  rank: number;
+  title_highlight: string;
+  snippet: string;
+}
+
+export interface SearchResultsPage {
+  query: string;
+  sessions: SearchResult[];
+  pagination: Pagination;
+}
+
 export interface Tag {
   id: number;
   name: string;
@@ -48,4 +94,19 @@ export interface NewSession {
   excerpt?: string;
   notes?: string;
   tags?: string[];
-}
\ No newline at end of file
+  learning_score?: number;
+  category?: string;
+}
+
+export type SessionUpdate = Partial<NewSession>;
+// Live updates pushed by GET /api/events
+export interface LiveEventData {
+  'session-created': { session: ReadingSession; at: string };
+  'queue-changed': { action: 'added' | 'removed' | 'updated' | 'reordered' | 'cleared'; id?: number; sessionId?: number | null; at: string };
+  'summary-generated': { sessionId: number; summary: string; model: string; at: string };
+  'stats-changed': { at: string };
+}
+
+export type LiveEventHandlers = {
+  [Type in keyof LiveEventData]?: (data: LiveEventData[Type]) => void;
+};